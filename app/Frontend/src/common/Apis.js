@@ -23,6 +23,50 @@ apiClient.interceptors.request.use((config) => {
   return config;
 });
 
+// access tokens are short-lived: on a 401 swap the refresh token once and retry
+let refreshRequest = null;
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    const refreshToken = sessionStorage.getItem('refreshToken');
+    if (
+      error.response?.status !== 401 ||
+      !refreshToken ||
+      original._retry ||
+      original.url === '/refreshToken'
+    ) {
+      return Promise.reject(error);
+    }
+    original._retry = true;
+    try {
+      refreshRequest =
+        refreshRequest ||
+        axios.post(`${backendUrl}/refreshToken`, { refreshToken });
+      const { data } = await refreshRequest;
+      sessionStorage.setItem('accessToken', data.accessToken);
+      sessionStorage.setItem('refreshToken', data.refreshToken);
+      return apiClient(original);
+    } catch (refreshError) {
+      sessionStorage.removeItem('accessToken');
+      sessionStorage.removeItem('refreshToken');
+      return Promise.reject(error);
+    } finally {
+      refreshRequest = null;
+    }
+  },
+);
+
+// every way of signing in ends with both tokens: keep them for the refresh
+// above, whichever page made the call
+const keepSessionTokens = (response) => {
+  if (response.data?.accessToken) {
+    sessionStorage.setItem('accessToken', response.data.accessToken);
+    sessionStorage.setItem('refreshToken', response.data.refreshToken);
+  }
+  return response;
+};
+
 // general
 export const LogOut = async () => {
   return apiClient.post('/logout');
@@ -39,6 +83,197 @@ export const downloadLoginLogoutReport = async (fromDate, toDate) => {
   });
 };
 
+// impersonation endpoints
+// data: { userId, reason, minutes, readOnly }; returns the accessToken to use
+// until the impersonation is stopped
+export const startImpersonation = async (data) => {
+  return apiClient.post('/impersonation/start', data);
+};
+export const stopImpersonation = async (impersonationId) => {
+  return apiClient.post('/impersonation/stop', { impersonationId });
+};
+export const getMyImpersonations = async () => {
+  return apiClient.get('/impersonations');
+};
+export const getUserImpersonations = async (userId) => {
+  return apiClient.get(`/impersonations/user/${userId}`);
+};
+
+// org structure import/export
+export const exportOrgStructure = async () => {
+  return apiClient.get('/orgStructure/export', { responseType: 'blob' });
+};
+// formData: file, dryRun ("true" for a validation report only), sheet (CSV only)
+export const importOrgStructure = async (formData) => {
+  return apiClient.post('/orgStructure/import', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+};
+
+// effective document rights and why; userId defaults to the caller
+export const getEffectiveDocumentAccess = async (documentId, userId) => {
+  return apiClient.get(`/documents/${documentId}/effectiveAccess`, {
+    params: { userId },
+  });
+};
+
+// DENY entries and access inheritance on documents and folders
+export const getDenyRules = async (documentId) => {
+  return apiClient.get(`/documents/${documentId}/denyRules`);
+};
+export const createDenyRule = async (documentId, denyRule) => {
+  return apiClient.post(`/documents/${documentId}/denyRules`, denyRule);
+};
+export const deleteDenyRule = async (documentId, accessId) => {
+  return apiClient.delete(`/documents/${documentId}/denyRules/${accessId}`);
+};
+export const setDocumentInheritance = async (documentId, inheritAccess) => {
+  return apiClient.put(`/documents/${documentId}/inheritance`, {
+    inheritAccess,
+  });
+};
+
+// document access requests; role is 'user' (own requests) or 'approver'
+export const requestDocumentAccess = async (documentId, accessType, reason) => {
+  return apiClient.post(`/documents/${documentId}/accessRequests`, {
+    accessType,
+    reason,
+  });
+};
+export const getAccessRequests = async (role, status) => {
+  return apiClient.get('/accessRequests', { params: { role, status } });
+};
+export const approveAccessRequest = async (
+  requestId,
+  accessType,
+  validUntil
+) => {
+  return apiClient.post(`/accessRequests/${requestId}/approve`, {
+    accessType,
+    validUntil,
+  });
+};
+export const rejectAccessRequest = async (requestId, reason) => {
+  return apiClient.post(`/accessRequests/${requestId}/reject`, { reason });
+};
+export const cancelAccessRequest = async (requestId) => {
+  return apiClient.post(`/accessRequests/${requestId}/cancel`);
+};
+
+// check-out / check-in; formData: file (same extension), comment
+export const checkOutDocument = async (documentId) => {
+  return apiClient.post(`/documents/${documentId}/checkout`);
+};
+export const checkInDocument = async (documentId, formData) => {
+  return apiClient.post(`/documents/${documentId}/checkin`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+};
+export const undoCheckOut = async (documentId) => {
+  return apiClient.post(`/documents/${documentId}/undoCheckout`);
+};
+
+// version history; versionLimit is set on folders, null keeps every version
+export const getDocumentVersions = async (documentId) => {
+  return apiClient.get(`/documents/${documentId}/versions`);
+};
+export const downloadDocumentVersion = async (documentId, versionNumber) => {
+  return apiClient.get(
+    `/documents/${documentId}/versions/${versionNumber}/download`,
+    { responseType: 'blob' }
+  );
+};
+export const restoreDocumentVersion = async (
+  documentId,
+  versionNumber,
+  comment
+) => {
+  return apiClient.post(
+    `/documents/${documentId}/versions/${versionNumber}/restore`,
+    { comment }
+  );
+};
+export const setVersionLimit = async (documentId, versionLimit) => {
+  return apiClient.put(`/documents/${documentId}/versionLimit`, {
+    versionLimit,
+  });
+};
+
+// resumable uploads: create a session, PUT each chunk with its SHA-256,
+// then finalize; getUploadSession lists the chunks still missing
+export const createUploadSession = async (session) => {
+  return apiClient.post('/uploadSessions', session);
+};
+export const getUploadSession = async (sessionId) => {
+  return apiClient.get(`/uploadSessions/${sessionId}`);
+};
+export const uploadSessionChunk = async (
+  sessionId,
+  chunkNumber,
+  chunk,
+  sha256
+) => {
+  return apiClient.put(
+    `/uploadSessions/${sessionId}/chunks/${chunkNumber}`,
+    chunk,
+    {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Chunk-SHA256': sha256,
+      },
+    }
+  );
+};
+export const finalizeUploadSession = async (sessionId) => {
+  return apiClient.post(`/uploadSessions/${sessionId}/finalize`);
+};
+export const abortUploadSession = async (sessionId) => {
+  return apiClient.delete(`/uploadSessions/${sessionId}`);
+};
+
+// access recertification campaigns
+export const createRecertification = async (campaign) => {
+  return apiClient.post('/recertifications', campaign);
+};
+export const getRecertifications = async () => {
+  return apiClient.get('/recertifications');
+};
+export const getRecertification = async (campaignId) => {
+  return apiClient.get(`/recertifications/${campaignId}`);
+};
+export const getMyRecertificationReviews = async () => {
+  return apiClient.get('/recertifications/reviews');
+};
+export const decideRecertificationItems = async (campaignId, decisions) => {
+  return apiClient.post(`/recertifications/${campaignId}/decisions`, {
+    decisions,
+  });
+};
+export const closeRecertification = async (campaignId) => {
+  return apiClient.post(`/recertifications/${campaignId}/close`);
+};
+export const downloadRecertificationReport = async (campaignId) => {
+  return apiClient.get(`/recertifications/${campaignId}/report`, {
+    responseType: 'blob',
+  });
+};
+
+// role permission matrix
+export const getPermissionMatrix = async () => {
+  return apiClient.get('/permissions');
+};
+export const setRolePermissions = async (roleId, permissions) => {
+  return apiClient.put(`/roles/${roleId}/permissions`, { permissions });
+};
+
+export const unlockLogin = async (data) => {
+  return apiClient.post('/unlockLogin', data);
+};
+
 export const exportFileLogs = async (fromDate, toDate) => {
   console.log(fromDate);
   return apiClient.get('/exportFileLogs', {
@@ -91,8 +326,12 @@ export const CreateUser = async (data) => {
 export const EditUser = async (id, data) => {
   return apiClient.put(`/editUser/${id}`, data);
 };
-export const DeleteUser = async (id) => {
-  return apiClient.post(`/deleteUser/${id}`);
+export const GetUserPendingWork = async (id) => {
+  return apiClient.get(`/users/${id}/pendingWork`);
+};
+// data: { successorId, roleId, reason } when the user still has pending work
+export const DeleteUser = async (id, data = {}) => {
+  return apiClient.post(`/deleteUser/${id}`, data);
 };
 export const GetUser = async (id) => {
   return apiClient.get(`/getUser/${id}`);
@@ -101,6 +340,20 @@ export const GetUsersWithDetails = async () => {
   return apiClient.get('/getUsersWithDetails');
 };
 
+// ldap endpoints
+export const syncLdapUsers = async () => {
+  return apiClient.post('/ldap/sync');
+};
+export const getLdapGroupMappings = async () => {
+  return apiClient.get('/ldap/groupMappings');
+};
+export const addLdapGroupMapping = async (data) => {
+  return apiClient.post('/ldap/groupMappings', data);
+};
+export const deleteLdapGroupMapping = async (id) => {
+  return apiClient.delete(`/ldap/groupMappings/${id}`);
+};
+
 // roles endpoints
 export const GetRoles = async (fromAdmin) => {
   return apiClient.get('/getRoles', {
@@ -397,13 +650,92 @@ export const deleteBranch = async (id) => {
 
 // signin endpoints
 export const signIn = async (data) => {
-  return apiClient.post(`/login`, data);
+  return apiClient.post(`/login`, data).then(keepSessionTokens);
+};
+
+// two-factor endpoints
+export const getTwoFactorStatus = async () => {
+  return apiClient.get('/twoFactor/status');
+};
+export const setupTwoFactor = async (challengeToken) => {
+  return apiClient.post('/twoFactor/setup', { challengeToken });
+};
+export const enableTwoFactor = async (code, challengeToken) => {
+  return apiClient
+    .post('/twoFactor/enable', { code, challengeToken })
+    .then(keepSessionTokens);
+};
+export const verifyTwoFactor = async (data) => {
+  return apiClient.post('/twoFactor/verify', data).then(keepSessionTokens);
+};
+export const disableTwoFactor = async (password, code) => {
+  return apiClient.post('/twoFactor/disable', { password, code });
+};
+export const regenerateRecoveryCodes = async (code) => {
+  return apiClient.post('/twoFactor/recoveryCodes', { code });
+};
+export const resetTwoFactor = async (userId) => {
+  return apiClient.post(`/twoFactor/reset/${userId}`);
+};
+
+// session endpoints
+export const getMySessions = async () => {
+  return apiClient.get('/sessions');
+};
+export const getUserSessions = async (userId) => {
+  return apiClient.get(`/sessions/user/${userId}`);
+};
+export const revokeSession = async (sessionId) => {
+  return apiClient.post(`/sessions/${sessionId}/revoke`);
+};
+export const signOutEverywhere = async (userId) => {
+  return apiClient.post(`/sessions/user/${userId}/revokeAll`);
+};
+
+// api key and service account endpoints
+export const getMyApiKeys = async () => {
+  return apiClient.get('/apiKeys');
+};
+export const createApiKey = async (data) => {
+  return apiClient.post('/apiKeys', data);
+};
+export const getUserApiKeys = async (userId) => {
+  return apiClient.get(`/apiKeys/user/${userId}`);
+};
+export const revokeApiKey = async (id) => {
+  return apiClient.post(`/apiKeys/${id}/revoke`);
+};
+export const getServiceAccounts = async () => {
+  return apiClient.get('/serviceAccounts');
+};
+export const createServiceAccount = async (data) => {
+  return apiClient.post('/serviceAccounts', data);
+};
+
+// out-of-office delegation endpoints
+export const getMyDelegations = async () => {
+  return apiClient.get('/delegations');
+};
+export const getUserDelegations = async (userId) => {
+  return apiClient.get(`/delegations/user/${userId}`);
+};
+export const createDelegation = async (data) => {
+  return apiClient.post('/delegations', data);
+};
+export const cancelDelegation = async (id) => {
+  return apiClient.post(`/delegations/${id}/cancel`);
 };
 
 // signUp endpoints
 export const changePassword = async (data) => {
   return apiClient.post(`/changePassword`, data);
 };
+export const forgotPassword = async (data) => {
+  return apiClient.post(`/forgotPassword`, data);
+};
+export const resetPassword = async (token, newPassword) => {
+  return apiClient.post(`/resetPassword`, { token, newPassword });
+};
 
 // viewer endpoints
 export const storeSignCoordinates = async (data) => {
@@ -12,7 +12,6 @@ const Editor = ({
   readOnly,
 }) => {
   const [editorUrl, setEditorUrl] = useState('');
-  const [lock, setLock] = useState(null);
   const [error, setError] = useState(null);
   const backend_url = import.meta.env.VITE_BACKEND_URL;
 
@@ -35,7 +34,7 @@ const Editor = ({
           );
         }
 
-        // Fetch WOPI token and acquire lock if not readOnly
+        // Fetch WOPI token; Collabora locks the file itself when editing
         const tokenResponse = await axios.post(
           `${backend_url}/wopi/token/${documentId}`,
           { readOnly }, // Send readOnly in the request body
@@ -43,25 +42,8 @@ const Editor = ({
             headers: { 'x-authorization': `Bearer ${accessToken}` },
           },
         );
-        const { lock: lockValue } = tokenResponse.data;
-        setLock(lockValue);
-
         const wopiToken = tokenResponse.data.access_token;
 
-        // Acquire lock for editable documents
-        if (!readOnly) {
-          await axios.post(
-            `${backend_url}/wopi/files/${documentId}/lock`,
-            {},
-            {
-              headers: {
-                'x-authorization': `Bearer ${accessToken}`,
-                'X-WOPI-Lock': lockValue || 'lock-value',
-              },
-            },
-          );
-        }
-
         // Fetch Collabora discovery XML
 
         const discoveryResponse = await axios.get(
@@ -190,31 +172,7 @@ const Editor = ({
     };
 
     fetchEditorUrl();
-
-    // Cleanup function to unlock the file
-    return () => {
-      if (!readOnly && documentId && accessToken && lock) {
-        axios
-          .post(
-            `${backend_url}/wopi/files/${documentId}/unlock`,
-            {},
-            {
-              headers: {
-                'x-authorization': `Bearer ${accessToken}`,
-                'X-WOPI-Lock': lock,
-              },
-            },
-          )
-          .then(() => {
-            console.log('Editor.jsx: File unlocked successfully');
-          })
-          .catch((err) => {
-            console.error('Editor.jsx: Error unlocking file:', err);
-            toast.error('Failed to unlock file on session end');
-          });
-      }
-    };
-  }, [documentId, fileType, name, path, accessToken, onError, readOnly, lock]);
+  }, [documentId, fileType, name, path, accessToken, onError, readOnly]);
 
   const handleIframeError = (event) => {
     console.error('Editor.jsx: Iframe load error:', event, event.target.src);
@@ -7,6 +7,7 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import dotenv from "dotenv";
+import { startScheduledJobs } from "./jobs/scheduler.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -54,4 +55,5 @@ app.get("*", (req, res) => {
 
 app.listen(PORT, () => {
   console.log("listening on", `${PORT}`);
+  startScheduledJobs();
 });
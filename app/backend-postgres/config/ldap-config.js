@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ================== LDAP / ACTIVE DIRECTORY ==================
+// Defaults target Active Directory; override the attribute names and filters
+// for OpenLDAP or the local stand-in server (scripts/ldap-standin-server.js)
+
+const ldapConfig = {
+  enabled: process.env.LDAP_ENABLED === "true",
+  url: process.env.LDAP_URL || "ldap://localhost:389",
+  // service account used to look users up and to run the sync
+  bindDN: process.env.LDAP_BIND_DN || "",
+  bindPassword: process.env.LDAP_BIND_PASSWORD || "",
+  baseDN: process.env.LDAP_BASE_DN || "",
+  // {{username}} is replaced with the escaped login name
+  userFilter:
+    process.env.LDAP_USER_FILTER ||
+    "(&(objectClass=user)(sAMAccountName={{username}}))",
+  syncFilter:
+    process.env.LDAP_SYNC_FILTER ||
+    "(&(objectClass=user)(objectCategory=person))",
+  attributes: {
+    username: process.env.LDAP_USERNAME_ATTRIBUTE || "sAMAccountName",
+    email: process.env.LDAP_EMAIL_ATTRIBUTE || "mail",
+    name: process.env.LDAP_NAME_ATTRIBUTE || "displayName",
+    groups: process.env.LDAP_GROUP_ATTRIBUTE || "memberOf",
+    // stable id; falls back to the entry DN when the attribute is missing
+    externalId: process.env.LDAP_EXTERNAL_ID_ATTRIBUTE || "objectGUID",
+  },
+  // create the local user on the first successful LDAP login
+  autoProvision: process.env.LDAP_AUTO_PROVISION !== "false",
+  // deactivate local LDAP users that vanish from the directory during sync
+  deactivateMissing: process.env.LDAP_DEACTIVATE_MISSING !== "false",
+  syncCron: process.env.LDAP_SYNC_CRON || "0 2 * * *",
+  timeout: parseInt(process.env.LDAP_TIMEOUT_MS) || 10000,
+  tlsRejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== "false",
+};
+
+export default ldapConfig;
@@ -1,18 +1,17 @@
 import express from "express";
 import multer from "multer";
 import path from "path";
+import os from "os";
 import { verifyUser } from "../utility/verifyUser.js";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import fs from "fs/promises";
-import { PrismaClient } from "@prisma/client";
 import dotenv from "dotenv";
 
 dotenv.config();
 
 const STORAGE_PATH = process.env.STORAGE_PATH;
 const router = express.Router();
-const prisma = new PrismaClient();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -43,24 +42,6 @@ const diskStorage = multer.diskStorage({
       case "dsc":
         destinationDirectory = process.env.DSC_FOLDER_PATH || "uploads/dsc";
         break;
-      case "template":
-        const { workflowId } = req.body;
-        if (!workflowId) {
-          return cb(new Error("Workflow ID is required for template uploads"));
-        }
-        const workflow = await prisma.workflow.findUnique({
-          where: { id: workflowId },
-          select: { name: true },
-        });
-        if (!workflow) {
-          return cb(new Error("Workflow not found"));
-        }
-        destinationDirectory = path.join(
-          process.env.STORAGE_PATH,
-          workflow.name,
-          "templates"
-        );
-        break;
       default:
         return cb(new Error("Invalid purpose specified"));
     }
@@ -106,9 +87,6 @@ const diskStorage = multer.diskStorage({
           file.originalname
         )}`;
         break;
-      case "template":
-        fileName = file.originalname;
-        break;
       default:
         return cb(new Error("Invalid purpose specified"));
     }
@@ -213,3 +191,50 @@ export { uploadMemory }; // New upload for memory storage
 
 // You can also export a pre-configured middleware for merge-pdf if needed
 export const mergePdfUpload = uploadMemory.array("files", 10); // max 10 files
+
+// Org structure import: one XLSX workbook or CSV sheet, read from memory
+export const orgImportUpload = multer({
+  storage: memoryStorage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if ([".xlsx", ".csv"].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only .xlsx and .csv files can be imported"), false);
+    }
+  },
+}).single("file");
+
+// Workflow templates: read from memory, the controller stores them in the
+// document tree
+export const templateUpload = multer({
+  storage: memoryStorage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const supportedExtensions = [
+      ".docx",
+      ".docm",
+      ".dotx",
+      ".xlsx",
+      ".xlsm",
+      ".xltx",
+      ".pptx",
+      ".pptm",
+      ".potx",
+    ];
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (supportedExtensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Unsupported file extension"), false);
+    }
+  },
+}).single("file");
+
+// Check-in: the new version is copied over the document's file by the
+// controller, so multer only parks it in the temp directory
+export const checkInUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+}).single("file");
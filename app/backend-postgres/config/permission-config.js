@@ -0,0 +1,58 @@
+// ================== PERMISSION CATALOGUE ==================
+
+// Capabilities a role can grant. Checks name one of these instead of looking
+// at role or user flags; which role holds which is edited through /permissions.
+export const PERMISSIONS = {
+  "user.manage":
+    "Create, edit, import and deactivate users; see and revoke their sessions and delegations",
+  "role.manage": "Create, edit and deactivate roles",
+  "department.manage": "Create and deactivate departments",
+  "permission.manage": "Edit which roles hold which permissions",
+  "security.manage":
+    "Unlock logins, reset two-factor, run LDAP sync and mappings, manage service accounts and other users' API keys",
+  "impersonation.use": "View the system as another user",
+  "workflow.edit": "Create, edit and deactivate workflows, and see all of them",
+  "document.accessAll":
+    "Full access to every document regardless of document access grants",
+  "document.grant": "Grant document access and list all documents for it",
+  "dashboard.viewAll": "Dashboards cover all processes and documents",
+  "logs.export": "Download login and file activity reports",
+  "physicalDocument.manage":
+    "Approve, return and scrap physical document requests of any department",
+  // Scoped: only for the department of the role that grants it
+  "physicalDocument.approve":
+    "Approve physical document requests for the role's department",
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// What the old role flags meant, used when a role is created or edited
+// through the flag fields and by scripts/backfill-role-permissions.js
+export const LEGACY_FLAG_PERMISSIONS = {
+  isAdmin: PERMISSION_KEYS.filter(
+    (permission) => permission !== "physicalDocument.approve"
+  ),
+  isRootLevel: ["dashboard.viewAll"],
+  isDepartmentHead: ["physicalDocument.approve"],
+};
+
+// What makes a user privileged the way admins and department heads were:
+// holding one of these requires 2FA when twoFactor.requiredForPrivilegedRoles
+// is on. Dashboards, reports and workflow editing alone do not.
+export const PRIVILEGED_PERMISSIONS = [
+  "user.manage",
+  "role.manage",
+  "permission.manage",
+  "security.manage",
+  "impersonation.use",
+  "document.accessAll",
+  "document.grant",
+  "physicalDocument.approve",
+];
+
+export default {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  LEGACY_FLAG_PERMISSIONS,
+  PRIVILEGED_PERMISSIONS,
+};
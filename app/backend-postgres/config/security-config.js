@@ -0,0 +1,89 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// ================== LOGIN BRUTE-FORCE PROTECTION ==================
+
+export const loginProtection = {
+  // failed attempts per username before the account is locked
+  maxFailedAttemptsPerUser: intFromEnv("LOGIN_MAX_FAILED_ATTEMPTS", 5),
+  // failed attempts from one IP (across all usernames) before the IP is locked
+  maxFailedAttemptsPerIp: intFromEnv("LOGIN_MAX_FAILED_ATTEMPTS_PER_IP", 20),
+  // only failures inside this window count towards a lockout
+  attemptWindowMinutes: intFromEnv("LOGIN_ATTEMPT_WINDOW_MINUTES", 15),
+  lockoutMinutes: intFromEnv("LOGIN_LOCKOUT_MINUTES", 15),
+  // every earlier failure adds this much delay, capped at maxDelayMs
+  delayStepMs: intFromEnv("LOGIN_DELAY_STEP_MS", 500),
+  maxDelayMs: intFromEnv("LOGIN_MAX_DELAY_MS", 5000),
+};
+
+// ================== TWO-FACTOR AUTHENTICATION ==================
+
+export const twoFactor = {
+  // users whose roles grant a PRIVILEGED_PERMISSIONS entry
+  // (config/permission-config.js) must enroll before login
+  requiredForPrivilegedRoles: process.env.REQUIRE_2FA_FOR_PRIVILEGED === "true",
+  issuer: process.env.TOTP_ISSUER || "DMS",
+  // time steps of clock drift tolerated either side of now
+  allowedDriftSteps: intFromEnv("TOTP_ALLOWED_DRIFT_STEPS", 1),
+  recoveryCodeCount: intFromEnv("TOTP_RECOVERY_CODE_COUNT", 10),
+  challengeExpiry: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
+};
+
+// ================== PASSWORDS ==================
+
+export const passwordPolicy = {
+  minLength: intFromEnv("PASSWORD_MIN_LENGTH", 8),
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== "false",
+  requireSpecial: process.env.PASSWORD_REQUIRE_SPECIAL === "true",
+  // how many previous passwords cannot be reused (0 disables the check)
+  historyCount: intFromEnv("PASSWORD_HISTORY_COUNT", 5),
+  resetTokenExpiryMinutes: intFromEnv("PASSWORD_RESET_EXPIRY_MINUTES", 30),
+};
+
+// ================== API KEYS ==================
+
+export const apiKeyPolicy = {
+  // used when a key is created without an expiry
+  defaultExpiryDays: intFromEnv("API_KEY_DEFAULT_EXPIRY_DAYS", 90),
+  maxExpiryDays: intFromEnv("API_KEY_MAX_EXPIRY_DAYS", 365),
+};
+
+// ================== IMPERSONATION ==================
+
+export const impersonationPolicy = {
+  defaultMinutes: intFromEnv("IMPERSONATION_DEFAULT_MINUTES", 30),
+  maxMinutes: intFromEnv("IMPERSONATION_MAX_MINUTES", 60),
+  // sessions are read-only unless this is on and the admin asks for writes
+  allowWrite: process.env.IMPERSONATION_ALLOW_WRITE === "true",
+};
+
+// ================== DOCUMENT ACCESS GRANTS ==================
+
+export const documentAccessPolicy = {
+  // the granter and the document owner are warned this long before a
+  // time-bound grant lapses
+  expiryWarningDays: intFromEnv("DOCUMENT_ACCESS_EXPIRY_WARNING_DAYS", 3),
+  // recertification reviewers with grants left to review get a daily
+  // reminder from this long before the campaign's due date
+  recertificationReminderDays: intFromEnv(
+    "ACCESS_RECERTIFICATION_REMINDER_DAYS",
+    7
+  ),
+};
+
+export default {
+  loginProtection,
+  twoFactor,
+  passwordPolicy,
+  apiKeyPolicy,
+  impersonationPolicy,
+  documentAccessPolicy,
+};
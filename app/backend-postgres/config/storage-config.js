@@ -0,0 +1,42 @@
+import dotenv from "dotenv";
+import { join } from "path";
+
+dotenv.config();
+
+// ================== DOCUMENT STORAGE ==================
+// "local" keeps document files on this server's disk; "s3" keeps them in a
+// bucket of an S3-compatible object store (AWS S3, MinIO, Ceph...), so that
+// several servers can share them. Switching drivers does not move files.
+
+const STORAGE_PATH = process.env.STORAGE_PATH || "";
+
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || "local",
+  // local driver; relative paths are taken from the backend's folders, as
+  // STORAGE_PATH always has been
+  documentsPath: STORAGE_PATH,
+  blobsPath: process.env.BLOB_STORAGE_PATH || join(STORAGE_PATH, "..", "blobs"),
+  uploadSessionsPath:
+    process.env.UPLOAD_SESSION_PATH ||
+    join(STORAGE_PATH, "..", "upload-sessions"),
+  // files being worked on (uploads being assembled, watermarked copies...)
+  // are always on this server, whichever the driver
+  scratchPath:
+    process.env.STORAGE_SCRATCH_PATH || join(STORAGE_PATH, "..", "tmp"),
+  s3: {
+    // e.g. http://localhost:9000 for MinIO; unset for AWS
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    region: process.env.S3_REGION || "us-east-1",
+    bucket: process.env.S3_BUCKET || "",
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || "",
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+    // MinIO and most self-hosted stores only serve bucket-in-path URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === "true"
+      : !!process.env.S3_ENDPOINT,
+    // lets several installations share a bucket
+    prefix: process.env.S3_PREFIX || "",
+  },
+};
+
+export default storageConfig;
@@ -0,0 +1,279 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import { apiKeyPolicy } from "../config/security-config.js";
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+} from "../services/apiKeyService.js";
+import { hasPermission } from "../services/permissionService.js";
+
+const prisma = new PrismaClient();
+
+/*
+{
+  "name": "ERP upload job",
+  "scopes": ["documents:upload", "processes:initiate"],
+  "workflowIds": ["6f1c0c8e-4b9a-4c1e-9a55-2f0f3c1d9b7a"],
+  "expiresInDays": 90,
+  "userId": 42
+}
+userId is optional: without it the key is a personal key of the caller,
+admins may pass the id of a service account instead.
+*/
+export const create_api_key = async (req, res) => {
+  try {
+    const userData = req.user;
+    const { name, scopes, workflowIds = [] } = req.body;
+    const expiresInDays =
+      parseInt(req.body.expiresInDays) || apiKeyPolicy.defaultExpiryDays;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "name and at least one scope are required" });
+    }
+    const unknownScopes = scopes.filter(
+      (scope) => !API_KEY_SCOPES.includes(scope)
+    );
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        message: `Unknown scopes: ${unknownScopes.join(", ")}`,
+        allowedScopes: API_KEY_SCOPES,
+      });
+    }
+    if (expiresInDays < 1 || expiresInDays > apiKeyPolicy.maxExpiryDays) {
+      return res.status(400).json({
+        message: `expiresInDays must be between 1 and ${apiKeyPolicy.maxExpiryDays}`,
+      });
+    }
+
+    if (scopes.includes("processes:initiate")) {
+      if (!Array.isArray(workflowIds) || workflowIds.length === 0) {
+        return res.status(400).json({
+          message: "processes:initiate keys must name at least one workflow",
+        });
+      }
+      const workflowCount = await prisma.workflow.count({
+        where: { id: { in: workflowIds } },
+      });
+      if (workflowCount !== new Set(workflowIds).size) {
+        return res
+          .status(400)
+          .json({ message: "One or more workflows do not exist" });
+      }
+    }
+
+    // Admins can issue keys for service accounts, never for other people
+    const userId = req.body.userId ? parseInt(req.body.userId) : userData.id;
+    if (userId !== userData.id) {
+      const owner = await prisma.user.findUnique({ where: { id: userId } });
+      if (
+        !hasPermission(userData, "security.manage") ||
+        !owner ||
+        owner.authSource !== "SERVICE"
+      ) {
+        return res.status(404).json({ message: "Service account not found" });
+      }
+    }
+
+    const { apiKey, key } = await createApiKey({
+      userId,
+      name,
+      scopes,
+      workflowIds: scopes.includes("processes:initiate") ? workflowIds : [],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      createdById: userData.id,
+    });
+
+    logger.info({
+      action: "API_KEY_CREATE",
+      userId: userData.id,
+      details: {
+        apiKeyId: apiKey.id,
+        name,
+        ownerId: userId,
+        scopes,
+        workflowIds: apiKey.workflowIds,
+        expiresAt: apiKey.expiresAt,
+      },
+    });
+
+    // The key itself is never shown again
+    res.status(200).json({
+      message: "API key created",
+      key,
+      apiKey: {
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        workflowIds: apiKey.workflowIds,
+        expiresAt: apiKey.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating API key", error);
+    return res.status(500).json({ message: "Error creating API key" });
+  }
+};
+
+export const get_my_api_keys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+
+    res.status(200).json({ apiKeys });
+  } catch (error) {
+    console.error("Error fetching API keys", error);
+    return res.status(500).json({ message: "Error fetching API keys" });
+  }
+};
+
+export const get_user_api_keys = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const apiKeys = await listApiKeys(userId);
+
+    res.status(200).json({ userId, username: user.username, apiKeys });
+  } catch (error) {
+    console.error("Error fetching user API keys", error);
+    return res.status(500).json({ message: "Error fetching user API keys" });
+  }
+};
+
+// Owners can revoke their own keys, admins anyone's
+export const revoke_api_key = async (req, res) => {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id: parseInt(req.params.id) },
+    });
+    if (
+      !apiKey ||
+      (apiKey.userId !== req.user.id &&
+        !hasPermission(req.user, "security.manage"))
+    ) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: "API key is already revoked" });
+    }
+
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { revokedAt: new Date() },
+    });
+
+    logger.info({
+      action: "API_KEY_REVOKE",
+      userId: req.user.id,
+      details: {
+        apiKeyId: apiKey.id,
+        name: apiKey.name,
+        ownerId: apiKey.userId,
+      },
+    });
+
+    res.status(200).json({ message: "API key revoked" });
+  } catch (error) {
+    console.error("Error revoking API key", error);
+    return res.status(500).json({ message: "Error revoking API key" });
+  }
+};
+
+/*
+{
+  "username": "svc_erp",
+  "name": "ERP integration",
+  "email": "erp-team@example.com",
+  "roles": [4],
+  "departments": [2]
+}
+*/
+export const create_service_account = async (req, res) => {
+  try {
+    const userData = req.user;
+    const { username, name, email, roles = [], departments = [] } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ message: "username is required" });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { username },
+    });
+    if (existingUser) {
+      return res
+        .status(400)
+        .json({ message: "User with given username already exists" });
+    }
+
+    const validRoles = await prisma.role.findMany({
+      where: { id: { in: roles }, isActive: true },
+    });
+    if (validRoles.length !== roles.length) {
+      return res.status(400).json({
+        message: "One or more roles are invalid or inactive",
+      });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        username,
+        name,
+        email,
+        status: "Active",
+        authSource: "SERVICE",
+        // never used: service accounts only authenticate with API keys
+        password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+        createdById: userData.id,
+        roles: { create: roles.map((roleId) => ({ roleId })) },
+        branches: { connect: departments.map((id) => ({ id })) },
+      },
+    });
+
+    logger.info({
+      action: "SERVICE_ACCOUNT_CREATE",
+      userId: userData.id,
+      details: { serviceAccountId: user.id, username, roles, departments },
+    });
+
+    res.status(200).json({
+      message: "Service account created",
+      user: { id: user.id, username: user.username, name: user.name },
+    });
+  } catch (error) {
+    console.error("Error creating service account", error);
+    return res.status(500).json({ message: "Error creating service account" });
+  }
+};
+
+export const get_service_accounts = async (req, res) => {
+  try {
+    const serviceAccounts = await prisma.user.findMany({
+      where: { authSource: "SERVICE" },
+      select: {
+        id: true,
+        username: true,
+        name: true,
+        email: true,
+        status: true,
+        createdAt: true,
+        roles: { select: { role: { select: { id: true, role: true } } } },
+        _count: { select: { apiKeys: { where: { revokedAt: null } } } },
+      },
+      orderBy: { username: "asc" },
+    });
+
+    res.status(200).json({ serviceAccounts });
+  } catch (error) {
+    console.error("Error fetching service accounts", error);
+    return res.status(500).json({ message: "Error fetching service accounts" });
+  }
+};
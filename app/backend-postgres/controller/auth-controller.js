@@ -1,23 +1,46 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { send_mail_for_sign_up } from "./email-handler.js";
 import { PrismaClient } from "@prisma/client";
-import { verifyUser } from "../utility/verifyUser.js";
 import ExcelJS from "exceljs";
+import ldapConfig from "../config/ldap-config.js";
+import {
+  authenticateWithLdap,
+  provisionLdapUser,
+} from "../services/ldapService.js";
+import {
+  issueAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+} from "../services/tokenService.js";
+import {
+  getActiveLockout,
+  getLoginDelay,
+  applyLockoutIfNeeded,
+  unlockLogin,
+} from "../services/loginProtectionService.js";
+import {
+  isTwoFactorRequired,
+  issueTwoFactorChallenge,
+} from "../services/twoFactorService.js";
+import {
+  validatePasswordStrength,
+  isPasswordReused,
+  setUserPassword,
+  generateRandomPassword,
+  sendPasswordResetLink,
+  findValidResetToken,
+} from "../services/passwordService.js";
+import { createSession, touchSession } from "../services/sessionService.js";
+import {
+  ensureAdministratorRole,
+  getRolesPermissions,
+  permissionsNotHeld,
+} from "../services/permissionService.js";
 
 const prisma = new PrismaClient();
 
-function generateRandomPassword(length) {
-  const charset =
-    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
-  let password = "";
-  for (let i = 0; i < length; i++) {
-    const randomIndex = Math.floor(Math.random() * charset.length);
-    password += charset[randomIndex];
-  }
-  return password;
-}
-
 /*
 {
   "username": "john_doe",
@@ -32,11 +55,7 @@ function generateRandomPassword(length) {
 */
 export const sign_up = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
     const {
       username,
       email,
@@ -48,8 +67,18 @@ export const sign_up = async (req, res) => {
       status,
     } = req.body;
 
-    // Generate a random password
-    let password = req.body.password;
+    // Use the admin supplied password or generate one; either way the user
+    // has to replace it on first login
+    const generatedPassword = !req.body.password;
+    const password = req.body.password || generateRandomPassword();
+    if (!generatedPassword) {
+      const strengthErrors = validatePasswordStrength(password, { username });
+      if (strengthErrors.length > 0) {
+        return res
+          .status(400)
+          .json({ message: strengthErrors[0], errors: strengthErrors });
+      }
+    }
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Check if the user already exists
@@ -79,6 +108,16 @@ export const sign_up = async (req, res) => {
       });
     }
 
+    const notHeld = permissionsNotHeld(
+      userData,
+      await getRolesPermissions(roles)
+    );
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        message: `The roles grant permissions you do not hold: ${notHeld.join(", ")}`,
+      });
+    }
+
     // Create the user
     const user = await prisma.user.create({
       data: {
@@ -91,6 +130,7 @@ export const sign_up = async (req, res) => {
         uploadable,
         status,
         createdById: userData.id,
+        mustChangePassword: true,
       },
     });
 
@@ -102,16 +142,18 @@ export const sign_up = async (req, res) => {
       })),
     });
 
-    // Attempt to send the email
-    // const emailSent = await send_mail_for_sign_up(username, email, password);
+    // Generated passwords are only ever sent by email
+    if (generatedPassword) {
+      const emailSent = await send_mail_for_sign_up(username, email, password);
 
-    // if (!emailSent) {
-    //   // If email sending fails, rollback the user creation
-    //   await prisma.user.delete({ where: { id: user.id } });
-    //   return res.status(500).json({
-    //     message: "Error sending email. User creation rolled back.",
-    //   });
-    // }
+      if (!emailSent) {
+        // If email sending fails, rollback the user creation
+        await prisma.user.delete({ where: { id: user.id } });
+        return res.status(500).json({
+          message: "Error sending email. User creation rolled back.",
+        });
+      }
+    }
 
     res.status(200).json({ message: "User created successfully" });
   } catch (error) {
@@ -120,6 +162,62 @@ export const sign_up = async (req, res) => {
   }
 };
 
+// Issue tokens, record the successful login and send the login response
+export const completeLogin = async (req, res, user, extra = {}) => {
+  // Every login starts a new refresh token family, tracked as a Session
+  const { refreshToken, familyId } = await prisma.$transaction(async (tx) => {
+    await tx.token.deleteMany({
+      where: { userId: user.id, expiresAt: { lt: new Date() } },
+    });
+    const issued = await issueRefreshToken(tx, user.id);
+    await createSession(tx, {
+      id: issued.familyId,
+      userId: user.id,
+      expiresAt: issued.record.expiresAt,
+      req,
+    });
+    return issued;
+  });
+
+  // Generate an access token with all required user properties
+  const { accessToken, roles, permissions, isAdmin, isDepartmentHead } =
+    await issueAccessToken(user, familyId);
+
+  await prisma.loginLog.create({
+    data: {
+      userId: user.id,
+      username: user.username,
+      email: user.email,
+      action: "LOGIN",
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+      success: true,
+    },
+  });
+  res.status(200).json({
+    accessToken,
+    refreshToken,
+    email: user.email,
+    userName: user.username,
+    userId: user.id,
+    roles: roles.map((role) => role.role),
+    permissions,
+    isAdmin: isAdmin,
+    isDepartmentHead: isDepartmentHead,
+    isRootUser: permissions.includes("dashboard.viewAll"),
+    ...extra,
+  });
+};
+
+export const sendLockedOut = (res, lockout) => {
+  const retryAfter = Math.ceil((lockout.lockedUntil - new Date()) / 1000);
+  res.set("Retry-After", String(Math.max(retryAfter, 1)));
+  return res.status(429).json({
+    message: "Too many failed login attempts. Please try again later.",
+    lockedUntil: lockout.lockedUntil,
+  });
+};
+
 /*
 {
   "username": "john_doe",
@@ -129,99 +227,106 @@ export const sign_up = async (req, res) => {
 export const login = async (req, res) => {
   try {
     const { username, password } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    // Refuse outright while the username or IP is locked out
+    const lockout = await getActiveLockout(username, ipAddress);
+    if (lockout) {
+      await prisma.loginLog.create({
+        data: {
+          username: username || "",
+          action: "LOGIN_BLOCKED",
+          ipAddress,
+          userAgent: req.get("User-Agent"),
+          success: false,
+          error: `${lockout.scope} locked until ${lockout.lockedUntil.toISOString()}`,
+        },
+      });
+      return sendLockedOut(res, lockout);
+    }
+
+    // Slow down repeated guessing before checking the password
+    const delay = await getLoginDelay(username, ipAddress);
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
 
     // Check if the user exists
-    const user = await prisma.user.findUnique({
+    let user = await prisma.user.findUnique({
       where: { username },
-      include: {
-        tokens: true,
-        roles: true,
-      },
     });
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    let match = false;
+    if (ldapConfig.enabled && (!user || user.authSource === "LDAP")) {
+      // Directory users bind against LDAP; the local row is refreshed from it
+      const profile = await authenticateWithLdap(username, password);
+      if (profile) {
+        user = (await provisionLdapUser(profile)) || user;
+        match = !!user && user.authSource === "LDAP";
+      }
+    } else if (user && user.authSource === "LOCAL") {
+      // Service accounts never match: they only authenticate with API keys
+      match = await bcrypt.compare(password, user.password);
     }
 
-    const match = await bcrypt.compare(password, user.password);
-
     if (!match) {
       await prisma.loginLog.create({
         data: {
-          userId: user.id,
-          username: user.username,
-          email: user.email,
+          userId: user?.id,
+          username: username || "",
+          email: user?.email,
           action: "LOGIN",
-          ipAddress: req.ip || req.connection.remoteAddress,
+          ipAddress,
           userAgent: req.get("User-Agent"),
           success: false,
-          error: "Password does not match",
+          error: user ? "Password does not match" : "User not found",
         },
       });
+
+      const [newLockout] = await applyLockoutIfNeeded({
+        username,
+        userId: user?.id,
+        ipAddress,
+      });
+      if (newLockout) {
+        return sendLockedOut(res, newLockout);
+      }
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
       return res.status(400).json({ message: "Password does not match" });
     }
 
-    // Check if the user already has a refresh token
-    let refreshToken = user.tokens?.[0]?.token || "";
-
-    if (!refreshToken) {
-      refreshToken = jwt.sign({ id: user.id }, process.env.REFRESH_SECRET_KEY);
+    if (user.status === "Inactive") {
+      return res.status(403).json({ message: "User is deactivated" });
+    }
 
-      await prisma.token.create({
-        data: {
-          token: refreshToken,
-          userId: user.id,
-        },
+    // Admin-issued and generated passwords must be replaced via /changePassword
+    if (user.mustChangePassword) {
+      return res.status(200).json({
+        passwordChangeRequired: true,
+        message: "Password change required before first login",
       });
     }
 
-    // Generate an access token with all required user properties
-
-    let roles = await prisma.role.findMany({
-      where: { id: { in: user.roles.map((role) => role.roleId) } },
-    });
-
-    const isAdmin = roles.some((role) => role.isAdmin) || user.isAdmin;
-
-    const isDepartmentHead = roles.some((role) => role.isDepartmentHead);
+    // Second step: a TOTP code is needed before any tokens are issued
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: issueTwoFactorChallenge(user.id, "2FA_VERIFY"),
+      });
+    }
 
-    const accessToken = jwt.sign(
-      {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        roles: user.roles.map((role) => role.roleId),
-        isAdmin: isAdmin,
-        isDepartmentHead: isDepartmentHead,
-      },
-      process.env.SECRET_ACCESS_KEY,
-      {
-        expiresIn: "365d",
-      }
-    );
+    // Policy forces admins and HODs to enroll before they can get in
+    if (await isTwoFactorRequired(user)) {
+      return res.status(200).json({
+        twoFactorSetupRequired: true,
+        challengeToken: issueTwoFactorChallenge(user.id, "2FA_SETUP"),
+      });
+    }
 
-    await prisma.loginLog.create({
-      data: {
-        userId: user.id,
-        username: user.username,
-        email: user.email,
-        action: "LOGIN",
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userAgent: req.get("User-Agent"),
-        success: true,
-      },
-    });
-    res.status(200).json({
-      accessToken,
-      refreshToken,
-      email: user.email,
-      userName: user.username,
-      userId: user.id,
-      roles: roles.map((role) => role.role),
-      isAdmin: isAdmin,
-      isDepartmentHead: isDepartmentHead,
-      isRootUser: user.isRootLevel,
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error("Error during login", error);
     await prisma.loginLog.create({
@@ -239,27 +344,15 @@ export const login = async (req, res) => {
 };
 
 export const logout = async (req, res) => {
-  const accessToken = req.headers["authorization"]?.substring(7);
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized" || !userData?.id) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        message: "Unauthorized request",
-        details: "Invalid or missing authorization token.",
-        code: "UNAUTHORIZED",
-      },
-    });
-  }
+  const userData = req.user;
   try {
     const userId = userData.id;
 
-    // Delete the refresh token from database
-    await prisma.token.deleteMany({
-      where: {
-        userId: userId,
-      },
-    });
+    // Revoke the refresh token family of this session; the access token
+    // stops verifying as soon as its family is revoked
+    if (userData.sid) {
+      await revokeTokenFamily(userData.sid, prisma, { reason: "LOGOUT" });
+    }
 
     // Log the logout action
     await prisma.loginLog.create({
@@ -298,8 +391,82 @@ export const logout = async (req, res) => {
   }
 };
 
+/*
+{
+  "refreshToken": "<refresh token from login or the previous refresh>"
+}
+*/
+export const refresh_token = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (result.status !== "OK") {
+      if (result.userId) {
+        const user = await prisma.user.findUnique({
+          where: { id: result.userId },
+        });
+        await prisma.loginLog.create({
+          data: {
+            userId: result.userId,
+            username: user?.username || "",
+            email: user?.email,
+            action:
+              result.status === "REUSED" ? "REFRESH_TOKEN_REUSE" : "REFRESH",
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get("User-Agent"),
+            success: false,
+            error:
+              result.status === "REUSED"
+                ? "Refresh token reused, token family revoked"
+                : "Refresh token expired",
+          },
+        });
+      }
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    const { accessToken } = await issueAccessToken(
+      result.user,
+      result.familyId
+    );
+    await touchSession(result.familyId, req, { expiresAt: result.expiresAt });
+
+    res.status(200).json({
+      accessToken,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error("Error refreshing token", error);
+    return res.status(500).json({ message: "Error refreshing token" });
+  }
+};
+
 export const create_admin = async (req, res) => {
   try {
+    // Public so a fresh install can bootstrap; closed once someone can grant
+    // permissions (or, before the backfill has run, a flagged admin exists)
+    const existingAdmin =
+      (await prisma.rolePermission.findFirst({
+        where: {
+          permission: "permission.manage",
+          role: { users: { some: {} } },
+        },
+        select: { id: true },
+      })) ||
+      (await prisma.user.findFirst({
+        where: { isAdmin: true },
+        select: { id: true },
+      }));
+    if (existingAdmin) {
+      return res.status(403).json({ message: "An admin user already exists" });
+    }
+
     const encryptedPassword = await bcrypt.hash("check", 10);
 
     const adminData = {
@@ -307,11 +474,14 @@ export const create_admin = async (req, res) => {
       email: "bhavik.bhatt@ssbi.in",
       password: encryptedPassword,
       isRootLevel: true,
-      isAdmin: true,
+      mustChangePassword: true,
     };
 
-    const admin = await prisma.user.create({
-      data: adminData,
+    const admin = await prisma.$transaction(async (tx) => {
+      const role = await ensureAdministratorRole(tx);
+      return await tx.user.create({
+        data: { ...adminData, roles: { create: { roleId: role.id } } },
+      });
     });
 
     res.status(200).json({
@@ -327,6 +497,24 @@ export const create_admin = async (req, res) => {
   }
 };
 
+// Logged as a failed LOGIN so it counts towards the same lockout thresholds
+const recordFailedPasswordChange = async (req, { username, user, error }) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  await prisma.loginLog.create({
+    data: {
+      userId: user?.id,
+      username,
+      email: user?.email,
+      action: "LOGIN",
+      ipAddress,
+      userAgent: req.get("User-Agent"),
+      success: false,
+      error,
+    },
+  });
+  return applyLockoutIfNeeded({ username, userId: user?.id, ipAddress });
+};
+
 export const change_password = async (req, res) => {
   try {
     const { username, currentPassword, newPassword } = req.body;
@@ -336,21 +524,70 @@ export const change_password = async (req, res) => {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    // The current password is a login credential: same lockout as login
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const lockout = await getActiveLockout(username, ipAddress);
+    if (lockout) {
+      await prisma.loginLog.create({
+        data: {
+          username,
+          action: "LOGIN_BLOCKED",
+          ipAddress,
+          userAgent: req.get("User-Agent"),
+          success: false,
+          error: `${lockout.scope} locked until ${lockout.lockedUntil.toISOString()}`,
+        },
+      });
+      return sendLockedOut(res, lockout);
+    }
+
+    const delay = await getLoginDelay(username, ipAddress);
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
     // Find user by username
     const user = await prisma.user.findUnique({
       where: { username },
     });
 
     if (!user) {
+      const [newLockout] = await recordFailedPasswordChange(req, {
+        username,
+        error: "User not found",
+      });
+      if (newLockout) {
+        return sendLockedOut(res, newLockout);
+      }
       return res.status(404).json({ message: "User not found" });
     }
 
+    if (user.authSource === "LDAP") {
+      return res.status(400).json({
+        message:
+          "Directory users must change their password in Active Directory",
+      });
+    }
+    if (user.authSource === "SERVICE") {
+      return res
+        .status(400)
+        .json({ message: "Service accounts do not have a password" });
+    }
+
     // Verify current password
     const isPasswordValid = await bcrypt.compare(
       currentPassword,
       user.password
     );
     if (!isPasswordValid) {
+      const [newLockout] = await recordFailedPasswordChange(req, {
+        username,
+        user,
+        error: "Current password is incorrect",
+      });
+      if (newLockout) {
+        return sendLockedOut(res, newLockout);
+      }
       return res.status(401).json({ message: "Current password is incorrect" });
     }
 
@@ -361,13 +598,34 @@ export const change_password = async (req, res) => {
       });
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const strengthErrors = validatePasswordStrength(newPassword, user);
+    if (strengthErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ message: strengthErrors[0], errors: strengthErrors });
+    }
+
+    if (await isPasswordReused(user, newPassword)) {
+      return res.status(400).json({
+        message: "New password must not match one of your recent passwords",
+      });
+    }
 
-    // Update password in database
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { password: hashedPassword },
+    // Update password in database, keeping the old hash in the history
+    await prisma.$transaction(async (tx) => {
+      await setUserPassword(tx, user, newPassword);
+    });
+
+    await prisma.loginLog.create({
+      data: {
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        action: "PASSWORD_CHANGE",
+        ipAddress,
+        userAgent: req.get("User-Agent"),
+        success: true,
+      },
     });
 
     res.status(200).json({ message: "Password changed successfully" });
@@ -377,6 +635,177 @@ export const change_password = async (req, res) => {
   }
 };
 
+/*
+{
+  "username": "john_doe",
+  "ipAddress": "10.0.0.12"
+}
+*/
+export const unlock_login = async (req, res) => {
+  try {
+    const userData = req.user;
+    const { username, ipAddress } = req.body;
+    if (!username && !ipAddress) {
+      return res
+        .status(400)
+        .json({ message: "username or ipAddress is required" });
+    }
+
+    const unlocked = await unlockLogin({
+      username,
+      ipAddress,
+      unlockedById: userData.id,
+    });
+
+    const user = username
+      ? await prisma.user.findUnique({ where: { username } })
+      : null;
+    await prisma.loginLog.create({
+      data: {
+        userId: user?.id,
+        username: username || "",
+        email: user?.email,
+        action: "UNLOCK",
+        ipAddress: ipAddress || null,
+        userAgent: req.get("User-Agent"),
+        success: true,
+      },
+    });
+
+    res.status(200).json({
+      message:
+        unlocked > 0
+          ? "Login unlocked successfully"
+          : "No active lockout found",
+      unlocked,
+    });
+  } catch (error) {
+    console.error("Error unlocking login", error);
+    return res.status(500).json({ message: "Error unlocking login" });
+  }
+};
+
+/*
+{
+  "username": "john_doe"   // or "email": "john@example.com"
+}
+*/
+export const forgot_password = async (req, res) => {
+  // Same answer whether or not the account exists, so it cannot be probed
+  const genericResponse = {
+    message:
+      "If an account with an email address exists, a reset link has been sent",
+  };
+  try {
+    const { username, email } = req.body;
+    if (!username && !email) {
+      return res.status(400).json({ message: "Username or email is required" });
+    }
+
+    const user = await prisma.user.findFirst({
+      where: username ? { username } : { email },
+    });
+
+    if (
+      !user ||
+      !user.email ||
+      user.status === "Inactive" ||
+      user.authSource !== "LOCAL"
+    ) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    await sendPasswordResetLink(user, ipAddress);
+
+    await prisma.loginLog.create({
+      data: {
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        action: "PASSWORD_RESET_REQUEST",
+        ipAddress,
+        userAgent: req.get("User-Agent"),
+        success: true,
+      },
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Error requesting password reset", error);
+    return res.status(500).json({ message: "Error requesting password reset" });
+  }
+};
+
+/*
+{
+  "token": "<token from the emailed link>",
+  "newPassword": "N3w-password"
+}
+*/
+export const reset_password = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const resetToken = await findValidResetToken(token);
+    if (!resetToken) {
+      return res
+        .status(400)
+        .json({ message: "Reset link is invalid or has expired" });
+    }
+
+    const user = resetToken.user;
+
+    const strengthErrors = validatePasswordStrength(newPassword, user);
+    if (strengthErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ message: strengthErrors[0], errors: strengthErrors });
+    }
+
+    if (await isPasswordReused(user, newPassword)) {
+      return res.status(400).json({
+        message: "New password must not match one of your recent passwords",
+      });
+    }
+
+    const reset = await prisma.$transaction(async (tx) => {
+      // Mark used first so a second request with the same link fails
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      if (count === 0) return false;
+      await setUserPassword(tx, user, newPassword);
+      // Whoever had the old password loses every session
+      await revokeAllUserTokens(user.id, tx, { reason: "PASSWORD_RESET" });
+      return true;
+    });
+    if (!reset) {
+      return res
+        .status(400)
+        .json({ message: "Reset link is invalid or has expired" });
+    }
+
+    await prisma.loginLog.create({
+      data: {
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        action: "PASSWORD_RESET",
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get("User-Agent"),
+        success: true,
+      },
+    });
+
+    res.status(200).json({ message: "Password reset successfully" });
+  } catch (error) {
+    console.error("Error resetting password", error);
+    return res.status(500).json({ message: "Error resetting password" });
+  }
+};
+
 export const download_login_logs = async (req, res) => {
   try {
     const { fromDate, toDate, action } = req.query;
@@ -454,6 +883,55 @@ export const download_login_logs = async (req, res) => {
       };
     });
 
+    // Lockouts in the same period, with who lifted them
+    const lockouts = await prisma.loginLockout.findMany({
+      where: where.createdAt ? { lockedAt: where.createdAt } : {},
+      include: {
+        unlockedBy: {
+          select: {
+            username: true,
+          },
+        },
+      },
+      orderBy: {
+        lockedAt: "desc",
+      },
+    });
+
+    const lockoutSheet = workbook.addWorksheet("Lockouts");
+    lockoutSheet.columns = [
+      { header: "ID", key: "id", width: 10 },
+      { header: "Scope", key: "scope", width: 12 },
+      { header: "Username / IP", key: "key", width: 25 },
+      { header: "Failed Attempts", key: "failedAttempts", width: 15 },
+      { header: "Locked At", key: "lockedAt", width: 25 },
+      { header: "Locked Until", key: "lockedUntil", width: 25 },
+      { header: "Unlocked At", key: "unlockedAt", width: 25 },
+      { header: "Unlocked By", key: "unlockedBy", width: 20 },
+    ];
+
+    lockouts.forEach((lockout) => {
+      lockoutSheet.addRow({
+        id: lockout.id,
+        scope: lockout.scope,
+        key: lockout.key,
+        failedAttempts: lockout.failedAttempts,
+        lockedAt: lockout.lockedAt.toLocaleString(),
+        lockedUntil: lockout.lockedUntil.toLocaleString(),
+        unlockedAt: lockout.unlockedAt?.toLocaleString() || "N/A",
+        unlockedBy: lockout.unlockedBy?.username || "N/A",
+      });
+    });
+
+    lockoutSheet.getRow(1).eachCell((cell) => {
+      cell.font = { bold: true };
+      cell.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFE0E0E0" },
+      };
+    });
+
     // Set response headers
     res.setHeader(
       "Content-Type",
@@ -1,5 +1,6 @@
 import { PrismaClient } from "@prisma/client";
-import { verifyUser } from "../utility/verifyUser.js";
+import { hasPermission } from "../services/permissionService.js";
+import { getAccessibleDocumentIds } from "../services/documentAccessService.js";
 
 const prisma = new PrismaClient();
 
@@ -34,115 +35,13 @@ const getDocType = (path) => {
   return parts[parts.length - 1].toLowerCase();
 };
 
-// Helper function to check if user is admin (has at least one role with isAdmin AND isRootLevel true)
-const isUserAdmin = async (userId) => {
-  const userWithRoles = await prisma.user.findUnique({
-    where: { id: userId },
-    include: {
-      roles: {
-        include: {
-          role: true,
-        },
-      },
-    },
-  });
-
-  if (!userWithRoles) return false;
-
-  if (userWithRoles.isAdmin) {
-    return true;
-  }
-  // Check if user has at least one role with isAdmin AND isRootLevel true
-  return userWithRoles.roles.some(
-    (userRole) => userRole.role.isAdmin || userRole.role.isRootLevel
-  );
-};
-
 // Helper function to get allowed document IDs for a user
-const getAllowedDocumentIds = async (userId, userRoles) => {
-  // Get all document accesses for the user
-  const userDocumentAccesses = await prisma.documentAccess.findMany({
-    where: {
-      OR: [
-        { userId: userId },
-        { roleId: { in: userRoles.map((r) => r.roleId) } },
-      ],
-    },
-  });
-
-  const allowedDocumentIds = new Set();
-
-  // Helper function to get parent IDs
-  const getParents = async (documentId) => {
-    const parents = [];
-    let currentDoc = await prisma.document.findUnique({
-      where: { id: documentId },
-      select: { id: true, parentId: true },
-    });
-
-    while (currentDoc && currentDoc.parentId) {
-      parents.push(currentDoc.parentId);
-      currentDoc = await prisma.document.findUnique({
-        where: { id: currentDoc.parentId },
-        select: { id: true, parentId: true },
-      });
-    }
-    return parents;
-  };
-
-  // Process each access
-  for (const access of userDocumentAccesses) {
-    if (access.accessLevel === "FULL") {
-      // For FULL access, add the document and all its children
-      allowedDocumentIds.add(access.documentId);
-
-      // Get all children of this document
-      const getAllChildren = async (parentId) => {
-        const children = await prisma.document.findMany({
-          where: { parentId: parentId },
-          select: { id: true },
-        });
-
-        for (const child of children) {
-          allowedDocumentIds.add(child.id);
-          await getAllChildren(child.id);
-        }
-      };
-
-      await getAllChildren(access.documentId);
-    } else if (
-      access.accessType.includes("READ") ||
-      access.accessType.includes("DOWNLOAD") ||
-      access.accessType.includes("EDIT")
-    ) {
-      // For STANDARD access with READ/DOWNLOAD/EDIT permission
-      allowedDocumentIds.add(access.documentId);
-
-      // Check if any parent has FULL access that grants access to this document
-      const parents = await getParents(access.documentId);
-      const hasFullAccessParent = userDocumentAccesses.some(
-        (parentAccess) =>
-          parentAccess.accessLevel === "FULL" &&
-          parents.includes(parentAccess.documentId)
-      );
-
-      if (hasFullAccessParent) {
-        allowedDocumentIds.add(access.documentId);
-      }
-    }
-  }
-
-  // Also add documents created by the user
-  const userDocuments = await prisma.document.findMany({
-    where: { createdById: userId },
-    select: { id: true },
+const getAllowedDocumentIds = (userId, userRoles) =>
+  getAccessibleDocumentIds({
+    id: userId,
+    roleIds: userRoles.map((r) => r.roleId),
   });
 
-  userDocuments.forEach((doc) => allowedDocumentIds.add(doc.id));
-
-  return Array.from(allowedDocumentIds);
-};
-
 // Helper function to get allowed workflow IDs for a user
 const getAllowedWorkflowIds = async (
   userId,
@@ -245,11 +144,7 @@ const getUserRolesAndDepartments = async (userId) => {
 // 1. /getNumbers Endpoint
 export const getNumbers = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { startDate, endDate } = req.query;
     const { start, end } = validateDateRange(startDate, endDate);
@@ -385,17 +280,13 @@ export const getNumbers = async (req, res) => {
 // 2. /getDetails Endpoint
 export const getDetails = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { startDate, endDate } = req.query;
     const { start, end } = validateDateRange(startDate, endDate);
 
-    // First, check if user is admin
-    const isAdmin = await isUserAdmin(userData.id);
+    // First, check if user sees everything
+    const isAdmin = hasPermission(userData, "dashboard.viewAll");
 
     let allowedDocumentIds = null;
     let allowedWorkflowIds = null;
@@ -741,18 +632,14 @@ export const getDetails = async (req, res) => {
 // 3. /getWorkflowAnalysis/:workflowId Endpoint
 export const getWorkflowAnalysis = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { workflowId } = req.params;
     const { startDate, endDate } = req.query;
     const { start, end } = validateDateRange(startDate, endDate);
 
-    // First, check if user is admin
-    const isAdmin = await isUserAdmin(userData.id);
+    // First, check if user sees everything
+    const isAdmin = hasPermission(userData, "dashboard.viewAll");
 
     let allowedDocumentIds = null;
     let allowedWorkflowIds = null;
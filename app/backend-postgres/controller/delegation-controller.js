@@ -0,0 +1,185 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import { findOverlappingDelegation } from "../services/delegationService.js";
+import { hasPermission } from "../services/permissionService.js";
+
+const prisma = new PrismaClient();
+
+const delegationInclude = {
+  user: { select: { id: true, username: true, name: true } },
+  delegate: { select: { id: true, username: true, name: true } },
+};
+
+// Current and upcoming delegations; finished or cancelled ones are history
+const openDelegations = (where) =>
+  prisma.delegation.findMany({
+    where: { ...where, cancelledAt: null, endsAt: { gt: new Date() } },
+    include: delegationInclude,
+    orderBy: { startsAt: "asc" },
+  });
+
+export const get_my_delegations = async (req, res) => {
+  try {
+    const [delegations, delegationsReceived] = await Promise.all([
+      openDelegations({ userId: req.user.id }),
+      openDelegations({ delegateId: req.user.id }),
+    ]);
+
+    res.status(200).json({ delegations, delegationsReceived });
+  } catch (error) {
+    console.error("Error fetching delegations", error);
+    return res.status(500).json({ message: "Error fetching delegations" });
+  }
+};
+
+export const get_user_delegations = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const [delegations, delegationsReceived] = await Promise.all([
+      openDelegations({ userId }),
+      openDelegations({ delegateId: userId }),
+    ]);
+
+    res.status(200).json({ userId, delegations, delegationsReceived });
+  } catch (error) {
+    console.error("Error fetching user delegations", error);
+    return res.status(500).json({ message: "Error fetching user delegations" });
+  }
+};
+
+/*
+{
+  "delegateId": 7,
+  "startsAt": "2025-08-04T00:00:00.000Z",
+  "endsAt": "2025-08-15T23:59:59.000Z",
+  "reason": "Annual leave",
+  "userId": 12
+}
+userId is optional and only honoured for admins, e.g. to cover sick leave.
+*/
+export const create_delegation = async (req, res) => {
+  try {
+    const userData = req.user;
+    const { reason } = req.body;
+    const userId = req.body.userId ? parseInt(req.body.userId) : userData.id;
+    const delegateId = parseInt(req.body.delegateId);
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+
+    if (userId !== userData.id && !hasPermission(userData, "user.manage")) {
+      return res
+        .status(403)
+        .json({ message: "Only admins can set delegations for other users" });
+    }
+    if (!delegateId || isNaN(startsAt) || isNaN(endsAt)) {
+      return res
+        .status(400)
+        .json({ message: "delegateId, startsAt and endsAt are required" });
+    }
+    if (endsAt <= startsAt || endsAt <= new Date()) {
+      return res
+        .status(400)
+        .json({ message: "endsAt must be after startsAt and in the future" });
+    }
+    if (delegateId === userId) {
+      return res
+        .status(400)
+        .json({ message: "Users cannot delegate to themselves" });
+    }
+
+    const [user, delegate] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      prisma.user.findUnique({ where: { id: delegateId } }),
+    ]);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (
+      !delegate ||
+      delegate.status === "Inactive" ||
+      delegate.authSource === "SERVICE"
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Delegate must be an active user" });
+    }
+
+    if (await findOverlappingDelegation(userId, startsAt, endsAt)) {
+      return res.status(400).json({
+        message: "A delegation already covers part of this period",
+      });
+    }
+
+    const delegation = await prisma.delegation.create({
+      data: {
+        userId,
+        delegateId,
+        startsAt,
+        endsAt,
+        reason,
+        createdById: userData.id,
+      },
+      include: delegationInclude,
+    });
+
+    logger.info({
+      action: "DELEGATION_CREATE",
+      userId: userData.id,
+      details: {
+        delegationId: delegation.id,
+        userId,
+        username: user.username,
+        delegateId,
+        delegateUsername: delegate.username,
+        startsAt,
+        endsAt,
+      },
+    });
+
+    res.status(200).json({ message: "Delegation created", delegation });
+  } catch (error) {
+    console.error("Error creating delegation", error);
+    return res.status(500).json({ message: "Error creating delegation" });
+  }
+};
+
+// Steps already handed to the delegate stay with them; only new work is affected
+export const cancel_delegation = async (req, res) => {
+  try {
+    const delegation = await prisma.delegation.findUnique({
+      where: { id: parseInt(req.params.id) },
+    });
+    if (
+      !delegation ||
+      (delegation.userId !== req.user.id &&
+        !hasPermission(req.user, "user.manage"))
+    ) {
+      return res.status(404).json({ message: "Delegation not found" });
+    }
+    if (delegation.cancelledAt) {
+      return res
+        .status(400)
+        .json({ message: "Delegation is already cancelled" });
+    }
+
+    await prisma.delegation.update({
+      where: { id: delegation.id },
+      data: { cancelledAt: new Date() },
+    });
+
+    logger.info({
+      action: "DELEGATION_CANCEL",
+      userId: req.user.id,
+      details: {
+        delegationId: delegation.id,
+        userId: delegation.userId,
+        delegateId: delegation.delegateId,
+      },
+    });
+
+    res.status(200).json({ message: "Delegation cancelled" });
+  } catch (error) {
+    console.error("Error cancelling delegation", error);
+    return res.status(500).json({ message: "Error cancelling delegation" });
+  }
+};
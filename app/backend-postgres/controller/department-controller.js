@@ -1,5 +1,4 @@
 import { PrismaClient } from "@prisma/client";
-import { verifyUser } from "../utility/verifyUser.js";
 
 const prisma = new PrismaClient();
 
@@ -22,14 +21,7 @@ const prisma = new PrismaClient();
 */
 export const add_department = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     console.log("User data", userData); // Full user details logged here
     const { code, type, status } = req.body;
@@ -88,14 +80,7 @@ export const add_department = async (req, res) => {
 */
 export const get_department = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     const { id } = req.params;
 
@@ -133,11 +118,7 @@ export const get_department = async (req, res) => {
 */
 export const get_departments = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
     const { status, type, adminId, fromAdmin } = req.query;
     console.log("from admin", fromAdmin);
     const filters = {};
@@ -198,14 +179,8 @@ export const getDepartmentsHierarchy = async (req, res) => {
 
 export const add_workflow = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
 
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
   } catch (error) {
     console.log("Error adding workflow:", error);
     return res.status(500).json({
@@ -216,12 +191,7 @@ export const add_workflow = async (req, res) => {
 
 export const deactivate_department = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { id } = req.params;
 
@@ -10,7 +10,6 @@ import axios from "axios";
 import { Transform } from "stream";
 import { createHash } from "crypto";
 import jwt from "jsonwebtoken";
-import { verifyUser } from "../utility/verifyUser.js";
 import archiver from "archiver";
 import { promisify } from "util";
 import { pipeline } from "stream";
@@ -19,39 +18,22 @@ import dotnev from "dotenv";
 
 import { PrismaClient } from "@prisma/client";
 import { execSync } from "child_process";
+import {
+  hasPermission,
+  departmentsWithPermission,
+} from "../services/permissionService.js";
 
 const prisma = new PrismaClient();
 
 dotnev.config();
 
-export const checkIfUserIsAdmin = async (userData) => {
-  try {
-    const roles = await prisma.role.findMany({
-      where: { id: { in: userData.roles } },
-      select: { isDepartmentHead: true, departmentId: true },
-    });
-
-    const user = await prisma.user.findUnique({
-      where: { id: parseInt(userData.id) },
-      select: { isAdmin: true },
-    });
-
-    const isAdmin = roles.some((role) => role.isAdmin) || user.isAdmin;
-    return isAdmin;
-  } catch (error) {
-    console.error("Error checking if user is admin:", error);
-    return false;
-  }
-};
+export const checkIfUserIsAdmin = async (userData) =>
+  hasPermission(userData, "physicalDocument.manage");
 
 // POST /physical-requests
 export const create_physical_request = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     let { documentId, departmentId, reason } = req.body;
 
@@ -103,31 +85,26 @@ export const create_physical_request = async (req, res) => {
 
 export const get_physical_requests = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
-    let roles = await prisma.userRole.findMany({
-      where: { userId: userData.id },
-      include: { role: true },
-    });
-
-    roles = roles.map((r) => r.role);
-
-    const user = await prisma.user.findUnique({
-      where: { id: parseInt(userData.id) },
-      select: { isAdmin: true },
-    });
+    const userData = req.user;
 
-    const isAdmin = roles.some((role) => role.isAdmin) || user.isAdmin;
+    const isAdmin = await checkIfUserIsAdmin(userData);
 
-    const isDepartmentHead = roles.some((role) => role.isDepartmentHead);
+    const hodDepartments = departmentsWithPermission(
+      userData,
+      "physicalDocument.approve"
+    );
+    const isDepartmentHead = hodDepartments.length > 0;
 
     const role =
       req.query.role || (isAdmin ? "admin" : isDepartmentHead ? "hod" : "user");
 
+    if (
+      (role === "admin" && !isAdmin) ||
+      (role === "hod" && !isDepartmentHead)
+    ) {
+      return res.status(403).json({ message: "No access to these requests" });
+    }
+
     console.log("role", role);
     let requests;
 
@@ -150,10 +127,6 @@ export const get_physical_requests = async (req, res) => {
       });
       return res.status(200).json(requests);
     } else if (role === "hod") {
-      console.log("roles", roles);
-      const hodDepartments = roles
-        .filter((r) => r.isDepartmentHead)
-        .map((r) => r.departmentId);
       requests = await prisma.physicalDocumentRequest.findMany({
         where: { departmentId: { in: hodDepartments } },
         include: {
@@ -173,11 +146,7 @@ export const get_physical_requests = async (req, res) => {
 
 export const get_physical_request_messages = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { id } = req.params;
 
@@ -214,11 +183,7 @@ export const get_physical_request_messages = async (req, res) => {
 // PATCH /physical-requests/:id
 export const update_physical_request = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { id } = req.params;
     const { action, message } = req.body;
@@ -328,11 +293,7 @@ export const update_physical_request = async (req, res) => {
 // POST /physical-requests/:id/messages
 export const add_request_message = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { id } = req.params;
     const { message } = req.body;
@@ -348,7 +309,7 @@ export const add_request_message = async (req, res) => {
       return res.status(404).json({ message: "Request not found" });
     }
 
-    const isAdmin = userData.isAdmin;
+    const isAdmin = await checkIfUserIsAdmin(userData);
     const isHod = await checkHodRole(userData, request.departmentId);
     const isRequestingUser = userData.id === request.requestingUserId;
 
@@ -395,21 +356,7 @@ export const add_request_message = async (req, res) => {
 };
 
 // Helper function to check if user is HOD for a department
-export const checkHodRole = async (userData, departmentId) => {
-  try {
-    const roles = await prisma.role.findMany({
-      where: { id: { in: userData.roles } },
-      select: { isDepartmentHead: true, departmentId: true },
-    });
-
-    const headDepartments = roles
-      .filter((role) => role.isDepartmentHead)
-      .map((r) => r.departmentId);
-
-    const isHod = headDepartments.some((dept) => dept === departmentId);
-    return isHod;
-  } catch (error) {
-    console.error("Error checking if user is HOD:", error);
-    return false;
-  }
-};
+export const checkHodRole = async (userData, departmentId) =>
+  departmentsWithPermission(userData, "physicalDocument.approve").includes(
+    departmentId
+  );
@@ -0,0 +1,570 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import {
+  explainDocumentAccess,
+  hasDocumentAccess,
+  grantDocumentAccess,
+} from "../services/documentAccessService.js";
+import {
+  accessRequestInclude,
+  getRequestDocument,
+  isApprover,
+  approverWhere,
+  getApproverIds,
+  notifyApprovers,
+  closeAccessRequest,
+} from "../services/accessRequestService.js";
+
+const prisma = new PrismaClient();
+
+const ACCESS_TYPES = ["READ", "EDIT", "DOWNLOAD"];
+const REQUEST_STATUSES = ["PENDING", "APPROVED", "REJECTED", "CANCELLED"];
+
+/*
+GET /documents/42/effectiveAccess?userId=7
+userId defaults to the caller.
+*/
+export const get_effective_access = async (req, res) => {
+  try {
+    const documentId = parseInt(req.params.documentId);
+    const userId = req.query.userId ? parseInt(req.query.userId) : req.user.id;
+    if (!documentId || !userId) {
+      return res
+        .status(400)
+        .json({ message: "documentId and userId must be numbers" });
+    }
+
+    const explanation = await explainDocumentAccess(userId, documentId);
+    if (!explanation) {
+      return res.status(404).json({ message: "User or document not found" });
+    }
+
+    res.status(200).json(explanation);
+  } catch (error) {
+    console.error("Error explaining document access:", error);
+    return res
+      .status(500)
+      .json({ message: "Error explaining document access" });
+  }
+};
+
+/*
+{
+  "accessType": ["READ", "DOWNLOAD"],
+  "reason": "Need the 2024 audit report for the Q3 review"
+}
+Sent to the document's owner, the owner of its folder and its department
+head as ACCESS_REQUEST notifications.
+*/
+export const create_access_request = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+    const reason = req.body.reason?.trim();
+    const accessType = req.body.accessType;
+
+    if (
+      !Array.isArray(accessType) ||
+      accessType.length === 0 ||
+      accessType.some((type) => !ACCESS_TYPES.includes(type))
+    ) {
+      return res.status(400).json({
+        message: `accessType must list one or more of ${ACCESS_TYPES.join(
+          ", "
+        )}`,
+      });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: "reason is required" });
+    }
+
+    const document = await getRequestDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    const missing = [];
+    for (const type of new Set(accessType)) {
+      if (!(await hasDocumentAccess(userData, documentId, type))) {
+        missing.push(type);
+      }
+    }
+    if (missing.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "You already have the requested access" });
+    }
+
+    const pending = await prisma.documentAccessRequest.findFirst({
+      where: {
+        documentId,
+        requestingUserId: userData.id,
+        status: "PENDING",
+      },
+    });
+    if (pending) {
+      return res.status(409).json({
+        message: "You already have a pending request for this document",
+        requestId: pending.id,
+      });
+    }
+
+    const request = await prisma.$transaction(async (tx) => {
+      const created = await tx.documentAccessRequest.create({
+        data: {
+          documentId,
+          requestingUserId: userData.id,
+          accessType: missing,
+          reason,
+        },
+        include: accessRequestInclude,
+      });
+      const approverIds = await getApproverIds(document, userData.id, tx);
+      await notifyApprovers(tx, created, document, approverIds);
+      return created;
+    });
+
+    logger.info({
+      action: "ACCESS_REQUEST_CREATE",
+      userId: userData.id,
+      details: {
+        requestId: request.id,
+        documentId,
+        path: document.path,
+        accessType: missing,
+      },
+    });
+
+    res.status(201).json({ request });
+  } catch (error) {
+    console.error("Error creating access request:", error);
+    return res.status(500).json({ message: "Error creating access request" });
+  }
+};
+
+/*
+GET /accessRequests?role=approver&status=PENDING
+role "user" (default) lists the caller's own requests, "approver" those the
+caller can decide.
+*/
+export const get_access_requests = async (req, res) => {
+  try {
+    const userData = req.user;
+    const role = req.query.role || "user";
+    const status = req.query.status;
+
+    if (!["user", "approver"].includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    if (status && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+
+    const requests = await prisma.documentAccessRequest.findMany({
+      where: {
+        ...(role === "user"
+          ? { requestingUserId: userData.id }
+          : {
+              ...approverWhere(userData),
+              requestingUserId: { not: userData.id },
+            }),
+        ...(status && { status }),
+      },
+      include: accessRequestInclude,
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json({ requests });
+  } catch (error) {
+    console.error("Error fetching access requests:", error);
+    return res.status(500).json({ message: "Error fetching access requests" });
+  }
+};
+
+// Moves a pending request on; null when someone else got there first
+const decideRequest = async (tx, id, data) => {
+  const { count } = await tx.documentAccessRequest.updateMany({
+    where: { id, status: "PENDING" },
+    data,
+  });
+  return count === 0
+    ? null
+    : tx.documentAccessRequest.findUnique({
+        where: { id },
+        include: accessRequestInclude,
+      });
+};
+
+// The pending request and its document, or the response to send instead
+const loadPendingRequest = async (req, res) => {
+  const request = await prisma.documentAccessRequest.findUnique({
+    where: { id: parseInt(req.params.id) },
+  });
+  if (!request) {
+    res.status(404).json({ message: "Access request not found" });
+    return null;
+  }
+  if (request.status !== "PENDING") {
+    res
+      .status(400)
+      .json({ message: `Access request is already ${request.status}` });
+    return null;
+  }
+  const document = await getRequestDocument(request.documentId);
+  return { request, document };
+};
+
+/*
+{
+  "accessType": ["READ"], // optional, narrows what was requested
+  "validUntil": "2025-07-31T23:59:59.000Z" // optional, time-bound grant
+}
+*/
+export const approve_access_request = async (req, res) => {
+  try {
+    const userData = req.user;
+    const loaded = await loadPendingRequest(req, res);
+    if (!loaded) return;
+    const { request, document } = loaded;
+
+    if (
+      request.requestingUserId === userData.id ||
+      !isApprover(userData, document)
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not allowed to decide this request" });
+    }
+
+    const accessType = req.body.accessType || request.accessType;
+    if (
+      !Array.isArray(accessType) ||
+      accessType.length === 0 ||
+      accessType.some((type) => !request.accessType.includes(type))
+    ) {
+      return res.status(400).json({
+        message: `accessType must be taken from ${request.accessType.join(
+          ", "
+        )}`,
+      });
+    }
+    const validUntil = req.body.validUntil
+      ? new Date(req.body.validUntil)
+      : null;
+    if (validUntil && (isNaN(validUntil) || validUntil <= new Date())) {
+      return res
+        .status(400)
+        .json({ message: "validUntil must be a future date" });
+    }
+
+    const approved = await prisma.$transaction(async (tx) => {
+      const grant = await grantDocumentAccess(tx, {
+        documentId: document.id,
+        userId: request.requestingUserId,
+        accessType: [...new Set(accessType)],
+        grantedById: userData.id,
+        validUntil,
+      });
+      const decided = await decideRequest(tx, request.id, {
+        status: "APPROVED",
+        decidedById: userData.id,
+        decidedAt: new Date(),
+        accessId: grant.id,
+      });
+      // Rolls the grant back with it
+      if (!decided) throw new Error("ACCESS_REQUEST_DECIDED");
+      await closeAccessRequest(tx, decided, document);
+      return decided;
+    });
+
+    logger.info({
+      action: "ACCESS_REQUEST_APPROVE",
+      userId: userData.id,
+      details: {
+        requestId: approved.id,
+        documentId: document.id,
+        path: document.path,
+        requestingUserId: approved.requestingUserId,
+        accessId: approved.accessId,
+        accessType,
+        validUntil,
+      },
+    });
+
+    res.status(200).json({ request: approved });
+  } catch (error) {
+    if (error.message === "ACCESS_REQUEST_DECIDED") {
+      return res
+        .status(409)
+        .json({ message: "Access request was decided meanwhile" });
+    }
+    console.error("Error approving access request:", error);
+    return res.status(500).json({ message: "Error approving access request" });
+  }
+};
+
+/*
+{
+  "reason": "Report is restricted to the audit committee"
+}
+*/
+export const reject_access_request = async (req, res) => {
+  try {
+    const userData = req.user;
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ message: "reason is required" });
+    }
+
+    const loaded = await loadPendingRequest(req, res);
+    if (!loaded) return;
+    const { request, document } = loaded;
+
+    if (
+      request.requestingUserId === userData.id ||
+      !isApprover(userData, document)
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not allowed to decide this request" });
+    }
+
+    const rejected = await prisma.$transaction(async (tx) => {
+      const decided = await decideRequest(tx, request.id, {
+        status: "REJECTED",
+        decidedById: userData.id,
+        decidedAt: new Date(),
+        rejectionReason: reason,
+      });
+      if (decided) await closeAccessRequest(tx, decided, document);
+      return decided;
+    });
+    if (!rejected) {
+      return res
+        .status(409)
+        .json({ message: "Access request was decided meanwhile" });
+    }
+
+    logger.info({
+      action: "ACCESS_REQUEST_REJECT",
+      userId: userData.id,
+      details: {
+        requestId: rejected.id,
+        documentId: document.id,
+        path: document.path,
+        requestingUserId: rejected.requestingUserId,
+        reason,
+      },
+    });
+
+    res.status(200).json({ request: rejected });
+  } catch (error) {
+    console.error("Error rejecting access request:", error);
+    return res.status(500).json({ message: "Error rejecting access request" });
+  }
+};
+
+export const cancel_access_request = async (req, res) => {
+  try {
+    const userData = req.user;
+    const loaded = await loadPendingRequest(req, res);
+    if (!loaded) return;
+    const { request, document } = loaded;
+
+    if (request.requestingUserId !== userData.id) {
+      return res
+        .status(403)
+        .json({ message: "Only the requester can cancel a request" });
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const decided = await decideRequest(tx, request.id, {
+        status: "CANCELLED",
+      });
+      if (decided) await closeAccessRequest(tx, decided, document);
+      return decided;
+    });
+    if (!cancelled) {
+      return res
+        .status(409)
+        .json({ message: "Access request was decided meanwhile" });
+    }
+
+    logger.info({
+      action: "ACCESS_REQUEST_CANCEL",
+      userId: userData.id,
+      details: { requestId: cancelled.id, documentId: document.id },
+    });
+
+    res.status(200).json({ request: cancelled });
+  } catch (error) {
+    console.error("Error cancelling access request:", error);
+    return res.status(500).json({ message: "Error cancelling access request" });
+  }
+};
+
+export const get_deny_rules = async (req, res) => {
+  try {
+    const documentId = parseInt(req.params.documentId);
+    const denyRules = await prisma.documentAccess.findMany({
+      where: { documentId, effect: "DENY" },
+      include: {
+        user: { select: { id: true, username: true, name: true } },
+        role: { select: { id: true, role: true } },
+        grantedBy: { select: { id: true, username: true } },
+      },
+      orderBy: { grantedAt: "asc" },
+    });
+
+    res.status(200).json({ denyRules });
+  } catch (error) {
+    console.error("Error fetching deny rules:", error);
+    return res.status(500).json({ message: "Error fetching deny rules" });
+  }
+};
+
+/*
+{
+  "userId": 12, // or "roleId": 4
+  "accessType": ["READ"] // denying READ takes everything away
+}
+Applies to the document and everything below it, over any grant including
+FULL access on folders above.
+*/
+export const create_deny_rule = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+    const userId = req.body.userId ? parseInt(req.body.userId) : null;
+    const roleId = req.body.roleId ? parseInt(req.body.roleId) : null;
+    const accessType = req.body.accessType;
+
+    if (!userId === !roleId) {
+      return res.status(400).json({ message: "Give either userId or roleId" });
+    }
+    if (
+      !Array.isArray(accessType) ||
+      accessType.length === 0 ||
+      accessType.some((type) => !ACCESS_TYPES.includes(type))
+    ) {
+      return res.status(400).json({
+        message: `accessType must list one or more of ${ACCESS_TYPES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const [document, target] = await Promise.all([
+      prisma.document.findUnique({ where: { id: documentId } }),
+      userId
+        ? prisma.user.findUnique({ where: { id: userId } })
+        : prisma.role.findUnique({ where: { id: roleId } }),
+    ]);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    if (!target) {
+      return res
+        .status(404)
+        .json({ message: userId ? "User not found" : "Role not found" });
+    }
+
+    const denyRule = await prisma.documentAccess.create({
+      data: {
+        documentId,
+        userId,
+        roleId,
+        accessType: [...new Set(accessType)],
+        effect: "DENY",
+        docAccessThrough: "ADMINISTRATION",
+        grantedById: userData.id,
+      },
+    });
+
+    logger.info({
+      action: "DOCUMENT_ACCESS_DENY_ADD",
+      userId: userData.id,
+      details: {
+        accessId: denyRule.id,
+        documentId,
+        path: document.path,
+        deniedUserId: userId,
+        deniedRoleId: roleId,
+        accessType: denyRule.accessType,
+      },
+    });
+
+    res.status(201).json({ denyRule });
+  } catch (error) {
+    console.error("Error creating deny rule:", error);
+    return res.status(500).json({ message: "Error creating deny rule" });
+  }
+};
+
+export const delete_deny_rule = async (req, res) => {
+  try {
+    const documentId = parseInt(req.params.documentId);
+    const { count } = await prisma.documentAccess.deleteMany({
+      where: { id: req.params.accessId, documentId, effect: "DENY" },
+    });
+    if (count === 0) {
+      return res.status(404).json({ message: "Deny rule not found" });
+    }
+
+    logger.info({
+      action: "DOCUMENT_ACCESS_DENY_REMOVE",
+      userId: req.user.id,
+      details: { accessId: req.params.accessId, documentId },
+    });
+
+    res.status(200).json({ message: "Deny rule removed" });
+  } catch (error) {
+    console.error("Error removing deny rule:", error);
+    return res.status(500).json({ message: "Error removing deny rule" });
+  }
+};
+
+/*
+{
+  "inheritAccess": false
+}
+false stops FULL grants on the folders above from reaching this folder and
+what is inside it; grants on the folder itself and DENY entries above still
+apply.
+*/
+export const set_document_inheritance = async (req, res) => {
+  try {
+    const documentId = parseInt(req.params.documentId);
+    const { inheritAccess } = req.body;
+    if (typeof inheritAccess !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "inheritAccess must be true or false" });
+    }
+
+    const folder = await prisma.document.findUnique({
+      where: { id: documentId },
+    });
+    if (!folder || folder.type !== "folder") {
+      return res.status(404).json({ message: "Folder not found" });
+    }
+
+    await prisma.document.update({
+      where: { id: documentId },
+      data: { inheritAccess },
+    });
+
+    logger.info({
+      action: "DOCUMENT_INHERITANCE_UPDATE",
+      userId: req.user.id,
+      details: { documentId, path: folder.path, inheritAccess },
+    });
+
+    res.status(200).json({ documentId, inheritAccess });
+  } catch (error) {
+    console.error("Error updating access inheritance:", error);
+    return res
+      .status(500)
+      .json({ message: "Error updating access inheritance" });
+  }
+};
@@ -0,0 +1,194 @@
+import { PrismaClient } from "@prisma/client";
+import fs from "fs/promises";
+import path from "path";
+import logger from "./logger.js";
+import { indexDocumentFile } from "./file-controller.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+  checkedOutBySelect,
+  checkOutDocument,
+  releaseCheckOut,
+} from "../services/checkoutService.js";
+import { saveNewVersion } from "../services/documentVersionService.js";
+
+const prisma = new PrismaClient();
+
+const getCheckOutDocument = (documentId) =>
+  prisma.document.findUnique({
+    where: { id: documentId },
+    include: { checkedOutBy: { select: checkedOutBySelect } },
+  });
+
+/*
+POST /documents/42/checkout
+Reserves the document for the caller until they check it in or undo the
+check-out. Nobody else can open it for editing, replace, move or delete it
+in the meantime.
+*/
+export const check_out_document = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+
+    const document = await getCheckOutDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    if (document.type === "folder") {
+      return res.status(400).json({ message: "Folders cannot be checked out" });
+    }
+
+    const result = await checkOutDocument(documentId, userData.id);
+    if (!result.ok) {
+      const current = await getCheckOutDocument(documentId);
+      return res.status(409).json({
+        message: result.message,
+        checkedOutBy: current.checkedOutBy,
+        checkedOutAt: current.checkedOutAt,
+      });
+    }
+
+    logger.info({
+      action: "DOCUMENT_CHECK_OUT",
+      userId: userData.id,
+      details: { documentId, path: document.path },
+    });
+
+    const checkedOut = await getCheckOutDocument(documentId);
+    res.status(200).json({
+      message: "Document checked out",
+      checkedOutBy: checkedOut.checkedOutBy,
+      checkedOutAt: checkedOut.checkedOutAt,
+    });
+  } catch (error) {
+    console.error("Error checking out document:", error);
+    return res.status(500).json({ message: "Error checking out document" });
+  }
+};
+
+/*
+POST /documents/42/checkin  (multipart/form-data)
+file: the edited copy, with the document's extension
+comment: "Updated the figures for Q3"
+Only whoever checked the document out can check it in. The file becomes the
+new version and the previous one is kept in the version history.
+*/
+export const check_in_document = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+    const comment = req.body.comment?.trim() || null;
+
+    const document = await getCheckOutDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    if (document.checkedOutById !== userData.id) {
+      return res.status(409).json({
+        message: document.checkedOutById
+          ? "The document is checked out by someone else"
+          : "The document is not checked out",
+        checkedOutBy: document.checkedOutBy,
+        checkedOutAt: document.checkedOutAt,
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "file is required" });
+    }
+    if (
+      path.extname(req.file.originalname).toLowerCase() !==
+      path.extname(document.name).toLowerCase()
+    ) {
+      return res.status(400).json({
+        message: `The new version must be a ${path.extname(
+          document.name
+        )} file`,
+      });
+    }
+
+    const version = await saveNewVersion(document, req.file.path, {
+      authorId: userData.id,
+      comment,
+    });
+    await releaseCheckOut(documentId);
+
+    logger.info({
+      action: "DOCUMENT_CHECK_IN",
+      userId: userData.id,
+      details: {
+        documentId,
+        path: document.path,
+        versionNumber: version.versionNumber,
+        comment,
+      },
+    });
+
+    // The search index follows the new content; a failure here does not undo
+    // the check-in
+    try {
+      await indexDocumentFile(document);
+    } catch (error) {
+      logger.error({
+        action: "DOCUMENT_CHECK_IN_INDEXING_ERROR",
+        userId: userData.id,
+        details: { documentId, error: error.message },
+      });
+    }
+
+    res.status(200).json({ message: "Document checked in", version });
+  } catch (error) {
+    console.error("Error checking in document:", error);
+    return res.status(500).json({ message: "Error checking in document" });
+  } finally {
+    if (req.file) {
+      await fs.rm(req.file.path, { force: true });
+    }
+  }
+};
+
+/*
+POST /documents/42/undoCheckout
+Ends the check-out without changing the document. Open to whoever checked it
+out, and to users with document.accessAll for abandoned check-outs.
+*/
+export const undo_check_out = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+
+    const document = await getCheckOutDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    if (!document.checkedOutById) {
+      return res
+        .status(409)
+        .json({ message: "The document is not checked out" });
+    }
+    if (
+      document.checkedOutById !== userData.id &&
+      !hasPermission(userData, "document.accessAll")
+    ) {
+      return res.status(403).json({
+        message: "Only whoever checked the document out can undo it",
+      });
+    }
+
+    await releaseCheckOut(documentId);
+
+    logger.info({
+      action: "DOCUMENT_CHECK_OUT_UNDO",
+      userId: userData.id,
+      details: {
+        documentId,
+        path: document.path,
+        checkedOutById: document.checkedOutById,
+      },
+    });
+
+    res.status(200).json({ message: "Check-out undone" });
+  } catch (error) {
+    console.error("Error undoing check-out:", error);
+    return res.status(500).json({ message: "Error undoing check-out" });
+  }
+};
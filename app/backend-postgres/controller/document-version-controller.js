@@ -0,0 +1,227 @@
+import { PrismaClient } from "@prisma/client";
+import path from "path";
+import logger from "./logger.js";
+import { indexDocumentFile, sendStoredFile } from "./file-controller.js";
+import { getActiveLock } from "../services/wopiLockService.js";
+import {
+  checkedOutBySelect,
+  checkedOutMessage,
+} from "../services/checkoutService.js";
+import {
+  versionSource,
+  listVersions,
+  getVersion,
+  getVersionLimit,
+  pruneVersions,
+  restoreVersion,
+} from "../services/documentVersionService.js";
+
+const prisma = new PrismaClient();
+
+const getVersionedDocument = (documentId) =>
+  prisma.document.findUnique({
+    where: { id: documentId },
+    include: { checkedOutBy: { select: checkedOutBySelect } },
+  });
+
+/*
+GET /documents/42/versions
+Newest first; the first entry is the current file (blobHash null).
+*/
+export const get_document_versions = async (req, res) => {
+  try {
+    const documentId = parseInt(req.params.documentId);
+
+    const document = await getVersionedDocument(documentId);
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    if (document.type === "folder") {
+      return res.status(400).json({ message: "Folders have no versions" });
+    }
+
+    const versions = await listVersions(document);
+    res.status(200).json({
+      versions: versions.map(({ blobHash, ...version }) => ({
+        ...version,
+        isCurrent: !blobHash,
+      })),
+      versionLimit: await getVersionLimit(documentId),
+    });
+  } catch (error) {
+    console.error("Error getting document versions:", error);
+    return res.status(500).json({ message: "Error getting document versions" });
+  }
+};
+
+/*
+GET /documents/42/versions/3/download
+Sent as report_v3.docx for report.docx.
+*/
+export const download_document_version = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+    const versionNumber = parseInt(req.params.versionNumber);
+
+    const document = await getVersionedDocument(documentId);
+    const version = document && (await getVersion(documentId, versionNumber));
+    if (!version) {
+      return res.status(404).json({ message: "Version not found" });
+    }
+
+    const extension = path.extname(document.name);
+    const downloadName = `${path.basename(
+      document.name,
+      extension
+    )}_v${versionNumber}${extension}`;
+
+    logger.info({
+      action: "DOCUMENT_VERSION_DOWNLOAD",
+      userId: userData.id,
+      details: { documentId, path: document.path, versionNumber },
+    });
+
+    const { storage, key } = versionSource(document, version);
+    await sendStoredFile(req, res, storage, key, {
+      fileName: downloadName,
+      attachment: true,
+    });
+  } catch (error) {
+    console.error("Error downloading document version:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Error downloading document version" });
+    }
+  }
+};
+
+/*
+POST /documents/42/versions/3/restore
+{
+  "comment": "Back to the figures approved in March"
+}
+The restored file becomes a new version; nothing in between is lost.
+*/
+export const restore_document_version = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+    const versionNumber = parseInt(req.params.versionNumber);
+
+    const document = await getVersionedDocument(documentId);
+    const version = document && (await getVersion(documentId, versionNumber));
+    if (!version) {
+      return res.status(404).json({ message: "Version not found" });
+    }
+    if (!version.blobHash) {
+      return res
+        .status(400)
+        .json({ message: "This version is already the current one" });
+    }
+    if (document.checkedOutById && document.checkedOutById !== userData.id) {
+      return res.status(409).json(checkedOutMessage(document));
+    }
+    if (await getActiveLock(documentId)) {
+      return res
+        .status(409)
+        .json({ message: `${document.path} is open for editing and locked` });
+    }
+
+    const restored = await restoreVersion(document, version, {
+      authorId: userData.id,
+      comment: req.body.comment?.trim() || `Restored version ${versionNumber}`,
+    });
+
+    logger.info({
+      action: "DOCUMENT_VERSION_RESTORE",
+      userId: userData.id,
+      details: {
+        documentId,
+        path: document.path,
+        restoredVersion: versionNumber,
+        versionNumber: restored.versionNumber,
+      },
+    });
+
+    try {
+      await indexDocumentFile(document);
+    } catch (error) {
+      logger.error({
+        action: "DOCUMENT_VERSION_RESTORE_INDEXING_ERROR",
+        userId: userData.id,
+        details: { documentId, error: error.message },
+      });
+    }
+
+    res.status(200).json({ message: "Version restored", version: restored });
+  } catch (error) {
+    console.error("Error restoring document version:", error);
+    return res
+      .status(500)
+      .json({ message: "Error restoring document version" });
+  }
+};
+
+/*
+{
+  "versionLimit": 10
+}
+Set on a folder; null keeps every version. Documents below the folder drop
+their oldest versions right away when they are over the new limit.
+*/
+export const set_version_limit = async (req, res) => {
+  try {
+    const userData = req.user;
+    const documentId = parseInt(req.params.documentId);
+    const { versionLimit } = req.body;
+
+    if (
+      versionLimit !== null &&
+      (!Number.isInteger(versionLimit) || versionLimit < 1)
+    ) {
+      return res.status(400).json({
+        message: "versionLimit must be a whole number from 1, or null",
+      });
+    }
+
+    const folder = await prisma.document.findUnique({
+      where: { id: documentId },
+    });
+    if (!folder) {
+      return res.status(404).json({ message: "Folder not found" });
+    }
+    if (folder.type !== "folder") {
+      return res
+        .status(400)
+        .json({ message: "Version limits are set on folders" });
+    }
+
+    await prisma.document.update({
+      where: { id: documentId },
+      data: { versionLimit },
+    });
+
+    let pruned = 0;
+    if (versionLimit) {
+      const versioned = await prisma.documentVersion.findMany({
+        where: { document: { path: { startsWith: `${folder.path}/` } } },
+        distinct: ["documentId"],
+        select: { documentId: true },
+      });
+      for (const { documentId: versionedId } of versioned) {
+        pruned += await pruneVersions(versionedId);
+      }
+    }
+
+    logger.info({
+      action: "DOCUMENT_VERSION_LIMIT_SET",
+      userId: userData.id,
+      details: { documentId, path: folder.path, versionLimit, pruned },
+    });
+
+    res.status(200).json({ message: "Version limit saved", pruned });
+  } catch (error) {
+    console.error("Error setting version limit:", error);
+    return res.status(500).json({ message: "Error setting version limit" });
+  }
+};
@@ -1,5 +1,4 @@
 import { PrismaClient } from "@prisma/client";
-import { verifyUser } from "../utility/verifyUser.js";
 import { PDFDocument, rgb, StandardFonts } from "pdf-lib";
 import fs from "fs/promises";
 import path from "path";
@@ -15,6 +14,8 @@ import forge from "node-forge";
 import { plainAddPlaceholder } from "node-signpdf/dist/helpers/index.js";
 import { SignPdf } from "@signpdf/signpdf";
 import { P12Signer } from "@signpdf/signer-p12";
+import { getOnBehalfOf } from "../services/delegationService.js";
+import { documentStorage } from "../services/storageService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,6 +25,10 @@ const execPromise = promisify(exec);
 
 const envVariables = process.env;
 
+// Name printed on the stamp; delegates sign as "delegate for assignee"
+const stampName = (username, onBehalfOf) =>
+  onBehalfOf ? `${username} for ${onBehalfOf.username}` : username;
+
 // Unchanged Helper Functions
 async function executePythonScript(
   pythonEnvPath,
@@ -80,11 +85,7 @@ async function is_process_forwardable(process, userId) {
 // Main Functions
 export const sign_document = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const signaturePic = await prisma.user.findUnique({
       where: { id: userData.id },
@@ -131,6 +132,7 @@ export const sign_document = async (req, res, next) => {
       processStepInstanceId,
       p12password,
     } = req.body;
+    const onBehalfOf = await getOnBehalfOf(processStepInstanceId);
 
     const document = await prisma.document.findUnique({
       where: { id: documentId },
@@ -159,9 +161,7 @@ export const sign_document = async (req, res, next) => {
     }, Timestamp: ${formatDate(Date.now())}, fileName: ${document.name})]`;
 
     const documentPath = document.path;
-    const existingPdfBytes = await fs.readFile(
-      path.join(__dirname, "../../../../", "storage", documentPath)
-    );
+    const existingPdfBytes = await documentStorage.readFile(documentPath);
     const pdfDoc = await PDFDocument.load(existingPdfBytes, {
       ignoreEncryption: true,
     });
@@ -197,11 +197,12 @@ export const sign_document = async (req, res, next) => {
           remarks,
           formatDate(Date.now()),
           helveticaFont,
-          path.join(__dirname, "../../../../", "storage", documentPath),
+          documentPath,
           documentId,
           userData,
           path.join(__dirname, envVariables.DSC_FOLDER_PATH, user.dscFileName),
-          p12password
+          p12password,
+          onBehalfOf
         );
       } else {
         console.log("dir name", __dirname);
@@ -213,11 +214,14 @@ export const sign_document = async (req, res, next) => {
           remarks,
           formatDate(Date.now()),
           helveticaFont,
-          path.join(__dirname, "../../../../", "storage", documentPath),
+          documentPath,
           documentId,
-          userData
+          userData,
           // path.join(__dirname, envVariables.DSC_FOLDER_PATH, user.dscFileName),
           // p12password
+          undefined,
+          undefined,
+          onBehalfOf
         );
       }
     } else {
@@ -266,7 +270,10 @@ export const sign_document = async (req, res, next) => {
           remarks,
           helveticaFont,
           pythonEnvPath,
-          pythonScriptPath
+          pythonScriptPath,
+          undefined,
+          undefined,
+          onBehalfOf
         );
 
       await prisma.signCoordinate.create({
@@ -291,6 +298,7 @@ export const sign_document = async (req, res, next) => {
         processDocumentId: processDocument.id,
         userId: userData.id,
         processStepInstanceId: processStepInstanceId,
+        onBehalfOfId: onBehalfOf?.id,
         reason: remarks,
       },
     });
@@ -311,11 +319,7 @@ export const sign_document = async (req, res, next) => {
 
 export const sign_documents = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     // Get user's signature image
     const signaturePic = await prisma.user.findUnique({
@@ -401,6 +405,7 @@ export const sign_documents = async (req, res, next) => {
     for (const doc of documents) {
       try {
         const { documentId, processStepInstanceId, remarks = "N/A" } = doc;
+        const onBehalfOf = await getOnBehalfOf(processStepInstanceId);
 
         // Find the document
         const document = await prisma.document.findUnique({
@@ -432,9 +437,7 @@ export const sign_documents = async (req, res, next) => {
 
         // Read the PDF document
         const documentPath = document.path;
-        const existingPdfBytes = await fs.readFile(
-          path.join(__dirname, "../../../../", "storage", documentPath)
-        );
+        const existingPdfBytes = await documentStorage.readFile(documentPath);
         const pdfDoc = await PDFDocument.load(existingPdfBytes, {
           ignoreEncryption: true,
         });
@@ -460,11 +463,12 @@ export const sign_documents = async (req, res, next) => {
             remarks,
             formatDate(Date.now()),
             helveticaFont,
-            path.join(__dirname, "../../../../", "storage", documentPath),
+            documentPath,
             documentId,
             userData,
             dscPath,
-            p12password
+            p12password,
+            onBehalfOf
           );
         } else {
           // Sign at default position (end of document)
@@ -481,7 +485,8 @@ export const sign_documents = async (req, res, next) => {
               pythonEnvPath,
               pythonScriptPath,
               dscPath,
-              p12password
+              p12password,
+              onBehalfOf
             );
 
           // Save the coordinates for future reference
@@ -508,6 +513,7 @@ export const sign_documents = async (req, res, next) => {
             processDocumentId: processDocument.id,
             userId: userData.id,
             processStepInstanceId: processStepInstanceId,
+            onBehalfOfId: onBehalfOf?.id,
             reason: remarks,
           },
         });
@@ -572,11 +578,7 @@ export const sign_documents = async (req, res, next) => {
 
 export const revoke_sign = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { documentId, processId } = req.body;
 
@@ -608,13 +610,8 @@ export const revoke_sign = async (req, res, next) => {
     const document = await prisma.document.findUnique({
       where: { id: documentId },
     });
-    const documentPath = path.join(
-      __dirname,
-      "../../../../",
-      "storage",
-      document.path
-    );
-    const existingPdfBytes = await fs.readFile(documentPath);
+    const documentPath = document.path;
+    const existingPdfBytes = await documentStorage.readFile(documentPath);
     const pdfDoc = await PDFDocument.load(existingPdfBytes, {
       ignoreEncryption: true,
     });
@@ -630,7 +627,7 @@ export const revoke_sign = async (req, res, next) => {
     );
 
     const updatedPdfBytes = await pdfDoc.save();
-    await fs.writeFile(documentPath, updatedPdfBytes);
+    await documentStorage.writeFile(documentPath, updatedPdfBytes);
 
     await prisma.documentSignature.delete({ where: { id: signature.id } });
 
@@ -643,11 +640,7 @@ export const revoke_sign = async (req, res, next) => {
 
 export const reject_document = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const {
       processId,
@@ -681,13 +674,7 @@ export const reject_document = async (req, res, next) => {
     }
 
     const documentPath = document.path;
-    const absDocumentPath = path.join(
-      __dirname,
-      "../../../../",
-      "storage",
-      documentPath
-    );
-    const existingPdfBytes = await fs.readFile(absDocumentPath);
+    const existingPdfBytes = await documentStorage.readFile(documentPath);
 
     const pythonScriptPath = path.join(
       __dirname,
@@ -697,10 +684,10 @@ export const reject_document = async (req, res, next) => {
 
     let scriptOutput;
     try {
-      scriptOutput = await executePythonScript(
-        pythonEnvPath,
-        pythonScriptPath,
-        absDocumentPath
+      scriptOutput = await documentStorage.withLocalFile(
+        documentPath,
+        (filePath) =>
+          executePythonScript(pythonEnvPath, pythonScriptPath, filePath)
       );
     } catch (error) {
       console.error("Error calculating available space:", error);
@@ -724,8 +711,9 @@ export const reject_document = async (req, res, next) => {
     const currentDate = new Date().toLocaleString();
 
     const rejectionReason = reason || "No reason provided";
+    const onBehalfOf = await getOnBehalfOf(processStepInstanceId);
     const watermarkLines = [
-      `Rejected By: ${userData.username}`,
+      `Rejected By: ${stampName(userData.username, onBehalfOf)}`,
       `Timestamp: ${currentDate}`,
       `Reason: ${rejectionReason}`,
     ];
@@ -783,7 +771,7 @@ export const reject_document = async (req, res, next) => {
     }
 
     const updatedPdfBytes = await pdfDoc.save();
-    await fs.writeFile(absDocumentPath, updatedPdfBytes);
+    await documentStorage.writeFile(documentPath, updatedPdfBytes);
 
     await prisma.document.update({
       where: { id: documentId },
@@ -796,6 +784,7 @@ export const reject_document = async (req, res, next) => {
         userId: userData.id,
         reason: rejectionReason,
         processStepInstanceId,
+        onBehalfOfId: onBehalfOf?.id,
         byRecommender,
         isAttachedWithRecommendation,
       },
@@ -816,11 +805,7 @@ export const reject_document = async (req, res, next) => {
 
 export const revoke_rejection = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { processId, documentId } = req.body;
 
@@ -845,9 +830,7 @@ export const revoke_rejection = async (req, res, next) => {
     });
 
     const documentPath = document.path;
-    const existingPdfBytes = await fs.readFile(
-      path.join(__dirname, "../../../../", "storage", documentPath)
-    );
+    const existingPdfBytes = await documentStorage.readFile(documentPath);
     const pdfDoc = await PDFDocument.load(existingPdfBytes, {
       ignoreEncryption: true,
     });
@@ -869,10 +852,7 @@ export const revoke_rejection = async (req, res, next) => {
     }
 
     const updatedPdfBytes = await pdfDoc.save();
-    await fs.writeFile(
-      path.join(__dirname, "../../../../", "storage", documentPath),
-      updatedPdfBytes
-    );
+    await documentStorage.writeFile(documentPath, updatedPdfBytes);
 
     await prisma.document.update({
       where: { id: documentId },
@@ -933,23 +913,18 @@ async function print_signature_after_content_on_the_last_page(
   pythonEnvPath,
   pythonScriptPath,
   p12Path,
-  p12password
+  p12password,
+  onBehalfOf = null
 ) {
   const user = await prisma.user.findUnique({
     where: { username: username },
     select: { dscFileName: true },
   });
+  const signedBy = stampName(username, onBehalfOf);
 
-  const absDocumentPath = path.join(
-    __dirname,
-    "../../../../",
-    "storage",
-    documentPath
-  );
-  const lastContentCoordinates = await executePythonScript(
-    pythonEnvPath,
-    pythonScriptPath,
-    absDocumentPath
+  const lastContentCoordinates = await documentStorage.withLocalFile(
+    documentPath,
+    (filePath) => executePythonScript(pythonEnvPath, pythonScriptPath, filePath)
   );
 
   const startingY = lastContentCoordinates.last_y;
@@ -985,14 +960,14 @@ async function print_signature_after_content_on_the_last_page(
       height: signatureImageHeight,
     });
     currentY -= textPadding;
-    newPage.drawText(`Signed By: ${username}`, {
+    newPage.drawText(`Signed By: ${signedBy}`, {
       x: 50,
       y: currentY,
       size: fontSize,
       font: helveticaFont,
       color: rgb(0, 0, 0),
     });
-    calculateMaxWidth(`Signed By: ${username}`);
+    calculateMaxWidth(`Signed By: ${signedBy}`);
     currentY -= fontSize + textPadding;
     newPage.drawText(`Timestamp: ${timestamp}`, {
       x: 50,
@@ -1028,14 +1003,14 @@ async function print_signature_after_content_on_the_last_page(
       height: signatureImageHeight,
     });
     currentY -= textPadding;
-    lastPage.drawText(`Signed By: ${username}`, {
+    lastPage.drawText(`Signed By: ${signedBy}`, {
       x: 50,
       y: currentY,
       size: fontSize,
       font: helveticaFont,
       color: rgb(0, 0, 0),
     });
-    calculateMaxWidth(`Signed By: ${username}`);
+    calculateMaxWidth(`Signed By: ${signedBy}`);
     currentY -= fontSize + textPadding;
     lastPage.drawText(`Timestamp: ${timestamp}`, {
       x: 50,
@@ -1067,7 +1042,7 @@ async function print_signature_after_content_on_the_last_page(
 
   // if (!user.dscFileName) {
   pdfBytes = await pdfDoc.save();
-  await fs.writeFile(absDocumentPath, pdfBytes);
+  await documentStorage.writeFile(documentPath, pdfBytes);
   // } else {
   //   pdfBytes = await pdfDoc.save({ useObjectStreams: false });
   //   const pdfWithPlaceholder = await plainAddPlaceholder({
@@ -1094,16 +1069,18 @@ async function print_signature_at_coordinates(
   remarks,
   timestamp,
   helveticaFont,
-  absDocumentPath,
+  documentPath,
   documentId,
   userData,
   p12Path,
-  p12password
+  p12password,
+  onBehalfOf = null
 ) {
   const user = await prisma.user.findUnique({
     where: { username: username },
     select: { dscFileName: true },
   });
+  const signedBy = stampName(username, onBehalfOf);
 
   // if (!user.dscFileName) {
   //   throw new Error("Please Upload your DSC to sign the document");
@@ -1140,7 +1117,7 @@ async function print_signature_at_coordinates(
       currentTextY -= textFontSize + textPadding;
     };
 
-    drawTextLine(`SignedBy: ${username}`);
+    drawTextLine(`SignedBy: ${signedBy}`);
     drawTextLine(`Remarks: ${remarks}`);
     drawTextLine(`Timestamp: ${timestamp}`);
 
@@ -1159,7 +1136,7 @@ async function print_signature_at_coordinates(
   let pdfBytes;
   if (!user.dscFileName) {
     pdfBytes = await pdfDoc.save();
-    await fs.writeFile(absDocumentPath, pdfBytes);
+    await documentStorage.writeFile(documentPath, pdfBytes);
   } else {
     pdfBytes = await pdfDoc.save({ useObjectStreams: false });
     const pdfWithPlaceholder = await plainAddPlaceholder({
@@ -1172,6 +1149,6 @@ async function print_signature_at_coordinates(
     const signer = new P12Signer(p12Buffer, { passphrase: p12password });
     const signPdf = new SignPdf();
     const signedPdf = await signPdf.sign(pdfWithPlaceholder, signer);
-    await fs.writeFile(absDocumentPath, signedPdf);
+    await documentStorage.writeFile(documentPath, signedPdf);
   }
 }
@@ -10,12 +10,47 @@ import path from "path";
 import axios from "axios";
 import { Transform } from "stream";
 import { createHash } from "crypto";
-import jwt from "jsonwebtoken";
-import { verifyUser } from "../utility/verifyUser.js";
 import archiver from "archiver";
 import { promisify } from "util";
 import { pipeline } from "stream";
 import SearchIndexService from "../services/seach-index-service.js";
+import {
+  issueWopiToken,
+  verifyWopiToken,
+  issueFileUrlToken,
+} from "../services/tokenService.js";
+import {
+  hasDocumentAccess,
+  createAccessResolver,
+} from "../services/documentAccessService.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+  getActiveLock,
+  currentLockId,
+  findLockOnPaths,
+  lockDocument,
+  refreshDocumentLock,
+  unlockDocument,
+  checkWopiWrite,
+} from "../services/wopiLockService.js";
+import {
+  findCheckedOutDocument,
+  checkedOutMessage,
+} from "../services/checkoutService.js";
+import {
+  saveNewVersion,
+  uploadStagingPath,
+  ensureDocumentBlob,
+  releaseDocumentBlobs,
+} from "../services/documentVersionService.js";
+import {
+  ingestFile,
+  ingestBuffer,
+  acquireBlob,
+  releaseBlob,
+  linkBlob,
+} from "../services/blobStoreService.js";
+import { scratchPath, documentStorage } from "../services/storageService.js";
 
 // import { PDFDocument, rgb, StandardFonts } from "pdf-lib";
 import dotnev from "dotenv";
@@ -67,9 +102,7 @@ function getContentTypeFromExtension(extension) {
   return mimeTypes[extension] || "application/octet-stream"; // Default to generic binary if extension not found
 }
 
-const STORAGE_PATH = process.env.STORAGE_PATH;
-
-async function executeTextExtractionScript(filePath) {
+export async function executeTextExtractionScript(filePath) {
   const pythonEnvPath = path.join(__dirname, "../../support/venv/bin/python");
   const pythonScriptPath = path.join(
     __dirname,
@@ -98,9 +131,94 @@ async function executeTextExtractionScript(filePath) {
   }
 }
 
+// Puts the text of the document's file into the search index
+export async function indexDocumentFile(document) {
+  let content = "";
+  try {
+    const extractionResult = await documentStorage.withLocalFile(
+      document.path,
+      executeTextExtractionScript
+    );
+    if (extractionResult.success) {
+      content = extractionResult.text;
+    }
+  } catch (error) {
+    console.error(
+      `Text extraction failed for ${document.path}:`,
+      error.message
+    );
+  }
+  await SearchIndexService.indexDocumentContent(document.id, content);
+}
+
+/**
+ * Streams a stored file, or the byte range the request asks for, typed by
+ * the extension of `fileName`. `attachment` makes it a download under that
+ * name.
+ */
+export const sendStoredFile = async (
+  req,
+  res,
+  storage,
+  key,
+  { fileName, attachment = false }
+) => {
+  const { size } = await storage.stat(key);
+  res.setHeader(
+    "content-type",
+    getContentTypeFromExtension(extname(fileName).slice(1).toLowerCase())
+  );
+  res.setHeader("accept-ranges", "bytes");
+  if (attachment) res.attachment(fileName);
+
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (!range || (!range[1] && !range[2])) {
+    res.setHeader("content-length", size);
+    return pipelineAsync(await storage.createReadStream(key), res);
+  }
+
+  // "bytes=-500" is the last 500 bytes
+  const start = range[1]
+    ? parseInt(range[1], 10)
+    : Math.max(0, size - parseInt(range[2], 10));
+  const end =
+    range[1] && range[2]
+      ? Math.min(parseInt(range[2], 10), size - 1)
+      : size - 1;
+  if (start > end) {
+    res.setHeader("content-range", `bytes */${size}`);
+    return res.status(416).end();
+  }
+  res.status(206);
+  res.setHeader("content-range", `bytes ${start}-${end}/${size}`);
+  res.setHeader("content-length", end - start + 1);
+  return pipelineAsync(
+    await storage.createReadStream(key, { start, end }),
+    res
+  );
+};
+
+// Uploads, copies and moves must not overwrite a file that is open in
+// Collabora or checked out. Sends the 409 and returns true when one of the
+// paths is.
+export const rejectIfReserved = async (res, paths) => {
+  const lock = await findLockOnPaths(paths);
+  if (lock) {
+    res.status(409).json({
+      message: `${lock.document.path} is open for editing and locked`,
+    });
+    return true;
+  }
+  const checkedOut = await findCheckedOutDocument({ path: { in: paths } });
+  if (checkedOut) {
+    res.status(409).json(checkedOutMessage(checkedOut));
+    return true;
+  }
+  return false;
+};
+
 export const file_upload = async (req, res) => {
-  const accessToken = req.headers["x-authorization"].substring(7);
-  const userData = await verifyUser(accessToken);
+  const userData = req.user;
   try {
     logger.info({
       action: "FILE_UPLOAD_START",
@@ -113,14 +231,6 @@ export const file_upload = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "FILE_UPLOAD_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
     const fileName = decodeURIComponent(req.headers["x-file-name"]);
     const chunkNumber = parseInt(req.headers["x-current-chunk"]);
     const totalChunks = parseInt(req.headers["x-total-chunks"]);
@@ -134,11 +244,8 @@ export const file_upload = async (req, res) => {
         ? false
         : isInvolvedInProcess;
 
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
     const fileExtension = fileName.split(".").pop();
     let extra = req.headers["x-file-path"].substring(2);
-    let relativePath = STORAGE_PATH + extra;
     let document;
 
     if (documentId && documentId !== "undefined" && documentId !== undefined) {
@@ -147,58 +254,85 @@ export const file_upload = async (req, res) => {
       });
     }
 
-    const saveTo =
-      documentId && documentId !== "undefined"
-        ? path.join(__dirname, STORAGE_PATH, document.path)
-        : path.join(__dirname, relativePath, fileName);
-    relativePath = relativePath + `/${fileName}`;
+    const targetPath = document?.path ?? extra + "/" + fileName;
 
-    // Check if file exists and this is the first chunk
-    let existingDocument = null;
-    let fileReplaced = false;
-    if (chunkNumber === 0) {
-      try {
-        await fs.access(saveTo);
-        // File exists, check if there's a document record for it
-        const documentPath = extra + "/" + fileName;
-        existingDocument = await prisma.document.findUnique({
-          where: { path: documentPath },
+    // The chunks are assembled on this server and stored with the last one.
+    // Uploading over a document keeps its current file as a version, which
+    // takes the same EDIT access as any other change to it.
+    const replacedDocument =
+      document ??
+      (await prisma.document.findUnique({ where: { path: targetPath } }));
+    if (
+      replacedDocument &&
+      !(await hasDocumentAccess(userData, replacedDocument.id, "EDIT"))
+    ) {
+      logger.warn({
+        action: "FILE_UPLOAD_FORBIDDEN",
+        userId: userData.id,
+        details: { fileName, documentId: replacedDocument.id },
+      });
+      return res
+        .status(403)
+        .json({ message: "You cannot replace this document" });
+    }
+    if (!replacedDocument) {
+      // A new file takes EDIT on the folder it goes into
+      if (!isValidFileName(fileName) || !isSafeFolderPath(extra)) {
+        return res
+          .status(400)
+          .json({ message: "A valid file name and path are required" });
+      }
+      const folder = await prisma.document.findUnique({
+        where: { path: extra },
+      });
+      if (folder?.type !== "folder") {
+        return res.status(404).json({ message: "Folder not found" });
+      }
+      if (!(await hasDocumentAccess(userData, folder.id, "EDIT"))) {
+        logger.warn({
+          action: "FILE_UPLOAD_FORBIDDEN",
+          userId: userData.id,
+          details: { fileName, folderId: folder.id },
         });
+        return res
+          .status(403)
+          .json({ message: "You cannot upload to this folder" });
+      }
+    }
 
-        if (existingDocument) {
-          // Delete existing document from database
-          await prisma.document.delete({
-            where: { id: existingDocument.id },
-          });
-
-          // Remove from search index
-          await SearchIndexService.removeDocumentFromIndex(existingDocument.id);
+    if (await rejectIfReserved(res, [targetPath])) {
+      logger.warn({
+        action: "FILE_UPLOAD_BLOCKED",
+        userId: userData.id,
+        details: { fileName, path: targetPath },
+      });
+      return;
+    }
 
-          logger.info({
-            action: "FILE_UPLOAD_DELETE_EXISTING",
-            userId: userData.id,
-            details: {
-              fileName,
-              path: saveTo,
-              deletedDocumentId: existingDocument.id,
-            },
-          });
-        }
+    const writeTo = uploadStagingPath(targetPath, userData.id);
 
-        fileReplaced = true;
+    // Check if file exists and this is the first chunk
+    let fileReplaced = false;
+    if (chunkNumber === 0) {
+      await fs.mkdir(dirname(writeTo), { recursive: true });
+      // A stored file without a document record is simply overwritten
+      fileReplaced =
+        !!replacedDocument || (await documentStorage.exists(targetPath));
+      if (fileReplaced) {
         logger.info({
           action: "FILE_UPLOAD_REPLACE",
           userId: userData.id,
-          details: { fileName, path: saveTo },
+          details: {
+            fileName,
+            path: targetPath,
+            documentId: replacedDocument?.id,
+          },
         });
-      } catch (err) {
-        // File does not exist; continue normally
-        fileReplaced = false;
       }
     }
 
-    const writableStream = fsCB.createWriteStream(saveTo, {
-      flags: fileReplaced && chunkNumber === 0 ? "w" : "a+",
+    const writableStream = fsCB.createWriteStream(writeTo, {
+      flags: chunkNumber === 0 ? "w" : "a+",
       start: chunkNumber * chunkSize,
     });
     req.pipe(writableStream);
@@ -206,30 +340,57 @@ export const file_upload = async (req, res) => {
     writableStream.on("finish", async () => {
       if (chunkNumber === totalChunks - 1) {
         try {
-          if (
-            documentId !== "undefined" &&
-            documentId !== undefined &&
-            documentId
-          ) {
+          if (replacedDocument) {
+            const versionComment = req.headers["x-version-comment"];
+            const version = await saveNewVersion(replacedDocument, writeTo, {
+              authorId: userData.id,
+              comment: versionComment
+                ? decodeURIComponent(versionComment)
+                : null,
+            });
+            await fs.rm(writeTo, { force: true });
+
             logger.info({
               action: "FILE_UPLOAD_COMPLETED",
               userId: userData.id,
-              details: { documentId, fileName, username: userData.username },
+              details: {
+                documentId: replacedDocument.id,
+                fileName,
+                versionNumber: version.versionNumber,
+                username: userData.username,
+              },
             });
-            return res.status(200).json({
-              message: fileReplaced
-                ? "File has been replaced."
-                : "File upload completed.",
-              documentId,
+            res.status(200).json({
+              message: "File has been replaced.",
+              documentId: replacedDocument.id,
+              version,
             });
+
+            try {
+              await indexDocumentFile(replacedDocument);
+            } catch (error) {
+              logger.error({
+                action: "FILE_UPLOAD_INDEXING_ERROR",
+                userId: userData.id,
+                details: {
+                  error: error.message,
+                  documentId: replacedDocument.id,
+                },
+              });
+            }
+            return;
           }
 
+          const { hash } = await ingestFile(writeTo);
+          await linkBlob(hash, targetPath);
+          await fs.rm(writeTo, { force: true });
+
           // Create new document entry
           const newDocument = await prisma.document.create({
             data: {
               name: fileName,
               type: fileExtension,
-              path: extra + "/" + fileName,
+              path: targetPath,
               createdById: userData.id,
               isInvolvedInProcess: isInvolvedInProcess || false,
               tags: tags,
@@ -237,6 +398,7 @@ export const file_upload = async (req, res) => {
               department: departmentName
                 ? { connect: { name: departmentName } }
                 : undefined,
+              blobHash: hash,
             },
           });
 
@@ -245,37 +407,32 @@ export const file_upload = async (req, res) => {
 
           setTimeout(async () => {
             try {
-              const absolutePath = path.join(
-                __dirname,
-                STORAGE_PATH,
-                newDocument.path
-              );
+              let stats;
               try {
-                await fs.access(absolutePath);
+                stats = await documentStorage.stat(newDocument.path);
               } catch (err) {
                 logger.error({
                   action: "FILE_UPLOAD_ACCESS_ERROR",
                   userId: userData.id,
-                  details: { error: err.message, path: absolutePath },
+                  details: { error: err.message, path: newDocument.path },
                 });
                 return;
               }
 
-              const stats = await fs.stat(absolutePath);
               if (stats.size === 0) {
                 logger.warn({
                   action: "FILE_UPLOAD_EMPTY",
                   userId: userData.id,
-                  details: { path: absolutePath },
+                  details: { path: newDocument.path },
                 });
                 return;
               }
 
-              const ext = path.extname(absolutePath).toLowerCase();
               let content = "";
               try {
-                const extractionResult = await executeTextExtractionScript(
-                  absolutePath
+                const extractionResult = await documentStorage.withLocalFile(
+                  newDocument.path,
+                  executeTextExtractionScript
                 );
                 if (extractionResult.success) {
                   content = extractionResult.text;
@@ -284,7 +441,7 @@ export const file_upload = async (req, res) => {
                 logger.error({
                   action: "FILE_UPLOAD_EXTRACTION_ERROR",
                   userId: userData.id,
-                  details: { error: error.message, path: absolutePath },
+                  details: { error: error.message, path: newDocument.path },
                 });
               }
 
@@ -318,7 +475,7 @@ export const file_upload = async (req, res) => {
             details: {
               documentId: newDocument.id,
               fileName,
-              path: saveTo,
+              path: targetPath,
               username: userData.username,
               replaced: fileReplaced,
             },
@@ -374,8 +531,7 @@ export const file_upload = async (req, res) => {
 
 export const create_folder = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
 
     logger.info({
       action: "CREATE_FOLDER_START",
@@ -387,15 +543,29 @@ export const create_folder = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
+    const { isProject, path: path_ } = req.body;
+    if (!isSafeFolderPath(path_?.substring(2))) {
+      return res.status(400).json({ message: "A valid path is required" });
+    }
+
+    // Missing parents are created too: EDIT is needed on the deepest folder
+    // that exists, and only users who can access all documents start a new
+    // top-level folder
+    const parent = await nearestExistingFolder(path_.substring(2));
+    const allowed = parent
+      ? await hasDocumentAccess(userData, parent.id, "EDIT")
+      : hasPermission(userData, "document.accessAll");
+    if (!allowed) {
       logger.warn({
-        action: "CREATE_FOLDER_UNAUTHORIZED",
-        details: { accessToken },
+        action: "CREATE_FOLDER_FORBIDDEN",
+        userId: userData.id,
+        details: { path: path_, parentId: parent?.id },
       });
-      return res.status(401).json({ message: "Unauthorized request" });
+      return res
+        .status(403)
+        .json({ message: "You cannot create a folder here" });
     }
 
-    const { isProject, path: path_ } = req.body;
     const statusCode = await createFolder(isProject, path_, userData); // Assume createFolder is defined
 
     if (statusCode === 409) {
@@ -437,34 +607,40 @@ export function getParentPath(path) {
   return "/" + pathParts.join("/");
 }
 
+// The deepest folder above documentPath that has a document
+const nearestExistingFolder = async (documentPath) => {
+  const segments = documentPath.split("/").slice(1, -1);
+  const ancestors = segments.map(
+    (_, index) => `/${segments.slice(0, index + 1).join("/")}`
+  );
+  const folders = await prisma.document.findMany({
+    where: { path: { in: ancestors }, type: "folder" },
+    select: { id: true, path: true },
+  });
+  return folders.sort((a, b) => b.path.length - a.path.length)[0] ?? null;
+};
+
 export const createFolder = async (isProject, path_, userData) => {
   try {
-    const storagePath = process.env.STORAGE_PATH;
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-
-    const absolutePath = path.join(__dirname, storagePath, path_.substring(2));
-
     try {
-      await fs.access(absolutePath);
+      await documentStorage.stat(path_.substring(2));
       return 409; // Folder already exists
     } catch (error) {
-      let pathOrigin = storagePath;
+      let keyOrigin = "";
       const type = "folder";
       const createdBy = userData.username;
       const createdOn = new Date();
 
       for (const element of path_.split("/").slice(1)) {
-        const pathToBeChecked = path.join(pathOrigin, element);
-        const absolutePathToBeChecked = path.join(__dirname, pathToBeChecked);
+        const keyToBeChecked = `${keyOrigin}/${element}`;
 
         try {
-          await fs.access(absolutePathToBeChecked);
-          pathOrigin = path.join(pathOrigin, element);
+          await documentStorage.stat(keyToBeChecked);
+          keyOrigin = keyToBeChecked;
         } catch (error) {
           if (error.code === "ENOENT") {
-            // Create the folder in the filesystem
-            await fs.mkdir(absolutePathToBeChecked);
+            // Create the folder in storage
+            await documentStorage.makeFolder(keyToBeChecked);
 
             // Store document details in the database
 
@@ -473,7 +649,7 @@ export const createFolder = async (isProject, path_, userData) => {
               data: {
                 name: element,
                 type,
-                path: path_.substring(2),
+                path: keyToBeChecked,
                 createdById: userData.id,
                 createdOn,
                 isProject: isProject || false,
@@ -486,9 +662,8 @@ export const createFolder = async (isProject, path_, userData) => {
               true
             );
 
-            const parentPath = getParentPath(path_);
-
-            await storeChildIdInParentDocument(parentPath, newDocument.id);
+            // Link it under the segment before it
+            await storeChildIdInParentDocument(keyOrigin, newDocument.id);
             // Create user permissions
             // await prisma.userRole.create({
             //   data: {
@@ -497,23 +672,7 @@ export const createFolder = async (isProject, path_, userData) => {
             //   },
             // });
 
-            // Update parent document with child ID
-            const parentDocument = await prisma.document.findFirst({
-              where: { path: pathOrigin },
-            });
-
-            if (parentDocument) {
-              await prisma.document.update({
-                where: { id: parentDocument.id },
-                data: {
-                  children: {
-                    connect: { id: newDocument.id },
-                  },
-                },
-              });
-            }
-
-            pathOrigin = pathToBeChecked;
+            keyOrigin = keyToBeChecked;
           } else {
             throw error;
           }
@@ -585,8 +744,7 @@ export const createUserPermissions = async (documentId, username, writable) => {
 };
 export const file_copy = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
 
     logger.info({
       action: "FILE_COPY_START",
@@ -599,125 +757,110 @@ export const file_copy = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "FILE_COPY_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
-    const bufferSize = 1024 * 1024; // 1 MB buffer size
     const sourcePath = req.body.sourcePath.substring(2);
     const destinationPathParent = req.body.destinationPath.substring(2);
     const name = req.body.name;
     const destinationPath = destinationPathParent + `/${name}`;
-    const absoluteSourcePath = path.join(__dirname, STORAGE_PATH, sourcePath);
-    const absoluteDestinationPath = path.join(
-      __dirname,
-      STORAGE_PATH,
-      destinationPath
-    );
 
-    const sourceStream = createReadStream(absoluteSourcePath, {
-      highWaterMark: bufferSize,
-    });
-    const destinationStream = createWriteStream(absoluteDestinationPath, {
-      highWaterMark: bufferSize,
-    });
+    if (await rejectIfReserved(res, [destinationPath])) return;
 
-    sourceStream.on("error", (error) => {
-      logger.error({
-        action: "FILE_COPY_SOURCE_ERROR",
+    const sourceDocument = await prisma.document.findUnique({
+      where: { path: sourcePath },
+    });
+    if (!sourceDocument) {
+      logger.warn({
+        action: "FILE_COPY_SOURCE_NOT_FOUND",
         userId: userData.id,
-        details: { error: error.message, sourcePath: absoluteSourcePath },
+        details: { sourcePath },
       });
-      return res.status(500).json({ message: "Error reading source file" });
-    });
+      return res.status(404).json({ message: "Source document not found" });
+    }
 
-    destinationStream.on("error", (error) => {
+    // The copy shares the source's blob: only a link and the rows are written
+    const blobHash = await ensureDocumentBlob(sourceDocument);
+    await acquireBlob(blobHash);
+    try {
+      await linkBlob(blobHash, destinationPath);
+    } catch (error) {
+      await releaseBlob(blobHash);
       logger.error({
         action: "FILE_COPY_DESTINATION_ERROR",
         userId: userData.id,
-        details: {
-          error: error.message,
-          destinationPath: absoluteDestinationPath,
-        },
+        details: { error: error.message, destinationPath },
       });
       return res
         .status(500)
         .json({ message: "Error writing destination file" });
-    });
+    }
 
-    destinationStream.on("finish", async () => {
-      try {
-        const newDocument = await prisma.document.create({
-          data: {
-            name: name,
-            type: name.split(".").pop(),
-            path: destinationPath,
-            createdById: userData.id,
-            isInvolvedInProcess: false,
-            isRejected: false,
-          },
-        });
+    try {
+      const newDocument = await prisma.document.create({
+        data: {
+          name: name,
+          type: name.split(".").pop(),
+          path: destinationPath,
+          createdById: userData.id,
+          isInvolvedInProcess: false,
+          isRejected: false,
+          blobHash,
+        },
+      });
 
-        await createUserPermissions(newDocument.id, userData.username, true);
-
-        const accessTypes = ["READ", "EDIT"];
-        const documentAccess = await prisma.documentAccess.create({
-          data: {
-            document: { connect: { id: newDocument.id } },
-            user: { connect: { id: userData.id } },
-            accessType: accessTypes,
-            accessLevel: "STANDARD",
-            docAccessThrough: "SELF",
-            grantedAt: new Date(),
-            grantedBy: { connect: { id: userData.id } },
-          },
+      await createUserPermissions(newDocument.id, userData.username, true);
+
+      const accessTypes = ["READ", "EDIT"];
+      const documentAccess = await prisma.documentAccess.create({
+        data: {
+          document: { connect: { id: newDocument.id } },
+          user: { connect: { id: userData.id } },
+          accessType: accessTypes,
+          accessLevel: "STANDARD",
+          docAccessThrough: "SELF",
+          grantedAt: new Date(),
+          grantedBy: { connect: { id: userData.id } },
+        },
+      });
+
+      if (req.body.destinationPath) {
+        const parentDocument = await prisma.document.findUnique({
+          where: { path: destinationPathParent },
         });
 
-        if (req.body.destinationPath) {
-          const parentDocument = await prisma.document.findUnique({
-            where: { path: destinationPathParent },
+        if (parentDocument) {
+          await prisma.document.update({
+            where: { id: parentDocument.id },
+            data: {
+              children: { connect: { id: newDocument.id } },
+            },
           });
-
-          if (parentDocument) {
-            await prisma.document.update({
-              where: { id: parentDocument.id },
-              data: {
-                children: { connect: { id: newDocument.id } },
-              },
-            });
-          }
         }
+      }
 
-        logger.info({
-          action: "FILE_COPY_SUCCESS",
-          userId: userData.id,
-          details: {
-            documentId: newDocument.id,
-            sourcePath: absoluteSourcePath,
-            destinationPath: absoluteDestinationPath,
-            username: userData.username,
-          },
-        });
-
-        res.status(200).json({
-          message: `File copied successfully`,
+      logger.info({
+        action: "FILE_COPY_SUCCESS",
+        userId: userData.id,
+        details: {
           documentId: newDocument.id,
-        });
-      } catch (error) {
-        logger.error({
-          action: "FILE_COPY_DB_ERROR",
-          userId: userData.id,
-          details: { error: error.message, sourcePath, destinationPath },
-        });
-        res.status(500).json({ message: "Error storing document details" });
-      }
-    });
+          sourcePath,
+          destinationPath,
+          username: userData.username,
+        },
+      });
 
-    sourceStream.pipe(destinationStream);
+      res.status(200).json({
+        message: `File copied successfully`,
+        documentId: newDocument.id,
+      });
+    } catch (error) {
+      await documentStorage.remove(destinationPath);
+      await releaseBlob(blobHash);
+      logger.error({
+        action: "FILE_COPY_DB_ERROR",
+        userId: userData.id,
+        details: { error: error.message, sourcePath, destinationPath },
+      });
+      res.status(500).json({ message: "Error storing document details" });
+    }
   } catch (error) {
     logger.error({
       action: "FILE_COPY_ERROR",
@@ -730,8 +873,7 @@ export const file_copy = async (req, res) => {
 
 export const file_cut = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
 
     logger.info({
       action: "FILE_CUT_START",
@@ -744,144 +886,119 @@ export const file_cut = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "FILE_CUT_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
-    const bufferSize = 1024 * 1024;
     const sourcePath = req.body.sourcePath.substring(2);
     const destinationPathParent = req.body.destinationPath.substring(2);
     const name = req.body.name;
     const destinationPath = destinationPathParent + `/${name}`;
-    const absoluteSourcePath = path.join(__dirname, STORAGE_PATH, sourcePath);
-    const absoluteDestinationPath = path.join(
-      __dirname,
-      STORAGE_PATH,
-      destinationPath
-    );
 
-    const sourceStream = createReadStream(absoluteSourcePath, {
-      highWaterMark: bufferSize,
-    });
-    const destinationStream = createWriteStream(absoluteDestinationPath, {
-      highWaterMark: bufferSize,
+    if (await rejectIfReserved(res, [sourcePath, destinationPath])) return;
+
+    const oldDocument = await prisma.document.findUnique({
+      where: { path: sourcePath },
     });
 
-    sourceStream.on("error", (error) => {
-      logger.error({
-        action: "FILE_CUT_SOURCE_ERROR",
+    if (!oldDocument) {
+      logger.warn({
+        action: "FILE_CUT_SOURCE_NOT_FOUND",
         userId: userData.id,
-        details: { error: error.message, sourcePath: absoluteSourcePath },
+        details: { sourcePath },
       });
-      return res.status(500).json({ message: "Error reading source file" });
-    });
+      return res.status(404).json({ message: "Source document not found" });
+    }
 
-    destinationStream.on("error", (error) => {
+    // The file keeps its bytes, and its link to the blob, where it goes
+    try {
+      await documentStorage.move(sourcePath, destinationPath);
+    } catch (error) {
       logger.error({
         action: "FILE_CUT_DESTINATION_ERROR",
         userId: userData.id,
-        details: {
-          error: error.message,
-          destinationPath: absoluteDestinationPath,
-        },
+        details: { error: error.message, sourcePath, destinationPath },
       });
       return res
         .status(500)
         .json({ message: "Error writing destination file" });
-    });
-
-    destinationStream.on("finish", async () => {
-      try {
-        const newDocument = await prisma.document.create({
-          data: {
-            name: name,
-            type: name.split(".").pop(),
-            path: destinationPath,
-            createdById: userData.id,
-            isInvolvedInProcess: false,
-            isRejected: false,
-          },
-        });
-
-        const accessTypes = ["READ", "EDIT"];
-        await prisma.documentAccess.create({
-          data: {
-            document: { connect: { id: newDocument.id } },
-            user: { connect: { id: userData.id } },
-            accessType: accessTypes,
-            accessLevel: "STANDARD",
-            docAccessThrough: "SELF",
-            grantedAt: new Date(),
-            grantedBy: { connect: { id: userData.id } },
-          },
-        });
+    }
 
-        if (req.body.destinationPath) {
-          const parentDocument = await prisma.document.findUnique({
-            where: { path: destinationPathParent },
-          });
+    try {
+      const newDocument = await prisma.document.create({
+        data: {
+          name: name,
+          type: name.split(".").pop(),
+          path: destinationPath,
+          createdById: userData.id,
+          isInvolvedInProcess: false,
+          isRejected: false,
+          blobHash: oldDocument.blobHash,
+        },
+      });
 
-          if (parentDocument) {
-            await prisma.document.update({
-              where: { id: parentDocument.id },
-              data: {
-                children: { connect: { id: newDocument.id } },
-              },
-            });
-          }
-        }
+      const accessTypes = ["READ", "EDIT"];
+      await prisma.documentAccess.create({
+        data: {
+          document: { connect: { id: newDocument.id } },
+          user: { connect: { id: userData.id } },
+          accessType: accessTypes,
+          accessLevel: "STANDARD",
+          docAccessThrough: "SELF",
+          grantedAt: new Date(),
+          grantedBy: { connect: { id: userData.id } },
+        },
+      });
 
-        const oldDocument = await prisma.document.findUnique({
-          where: { path: sourcePath },
+      if (req.body.destinationPath) {
+        const parentDocument = await prisma.document.findUnique({
+          where: { path: destinationPathParent },
         });
 
-        if (!oldDocument) {
-          logger.warn({
-            action: "FILE_CUT_SOURCE_NOT_FOUND",
-            userId: userData.id,
-            details: { sourcePath },
+        if (parentDocument) {
+          await prisma.document.update({
+            where: { id: parentDocument.id },
+            data: {
+              children: { connect: { id: newDocument.id } },
+            },
           });
-          return res.status(404).json({ message: "Source document not found" });
         }
+      }
 
-        await prisma.document.updateMany({
-          where: { children: { some: { id: oldDocument.id } } },
-          data: {
-            children: { disconnect: { id: oldDocument.id } },
-          },
-        });
+      await prisma.document.updateMany({
+        where: { children: { some: { id: oldDocument.id } } },
+        data: {
+          children: { disconnect: { id: oldDocument.id } },
+        },
+      });
 
-        await cleanUpDocumentDetails(oldDocument.id);
-        await fs.unlink(absoluteSourcePath);
-        await prisma.document.delete({ where: { id: oldDocument.id } });
+      // The version history moves with the file, and so does the reference
+      // on the blob
+      await prisma.documentVersion.updateMany({
+        where: { documentId: oldDocument.id },
+        data: { documentId: newDocument.id },
+      });
+      await ensureDocumentBlob(newDocument);
 
-        logger.info({
-          action: "FILE_CUT_SUCCESS",
-          userId: userData.id,
-          details: {
-            documentId: newDocument.id,
-            sourcePath: absoluteSourcePath,
-            destinationPath: absoluteDestinationPath,
-            username: userData.username,
-          },
-        });
+      await cleanUpDocumentDetails(oldDocument.id);
+      await prisma.document.delete({ where: { id: oldDocument.id } });
 
-        res.status(200).json({ message: "File cut successfully" });
-      } catch (error) {
-        logger.error({
-          action: "FILE_CUT_DB_ERROR",
-          userId: userData.id,
-          details: { error: error.message, sourcePath, destinationPath },
-        });
-        res.status(500).json({ message: "Error during file cut operation" });
-      }
-    });
+      logger.info({
+        action: "FILE_CUT_SUCCESS",
+        userId: userData.id,
+        details: {
+          documentId: newDocument.id,
+          sourcePath,
+          destinationPath,
+          username: userData.username,
+        },
+      });
 
-    sourceStream.pipe(destinationStream);
+      res.status(200).json({ message: "File cut successfully" });
+    } catch (error) {
+      logger.error({
+        action: "FILE_CUT_DB_ERROR",
+        userId: userData.id,
+        details: { error: error.message, sourcePath, destinationPath },
+      });
+      res.status(500).json({ message: "Error during file cut operation" });
+    }
   } catch (error) {
     logger.error({
       action: "FILE_CUT_ERROR",
@@ -1108,8 +1225,7 @@ const storeParentIdInChildDocument = async (childId, parentId) => {
 
 export const folder_download = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
 
     logger.info({
       action: "FOLDER_DOWNLOAD_START",
@@ -1121,19 +1237,10 @@ export const folder_download = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "FOLDER_DOWNLOAD_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
     const departmentId = req.body.departmentId;
     const folderName = req.body.folderName;
     const department = await prisma.department.findUnique({
       where: { id: departmentId },
-      include: { documents: true },
     });
 
     if (!department) {
@@ -1145,9 +1252,43 @@ export const folder_download = async (req, res) => {
       return res.status(404).json({ message: "Department not found" });
     }
 
-    let folderPath =
-      STORAGE_PATH + `/departments/${department.code}/${folderName}`;
-    folderPath = path.join(__dirname, folderPath);
+    const folder = await prisma.document.findUnique({
+      where: { path: `/departments/${department.code}/${folderName}` },
+    });
+    if (!folder) {
+      return res.status(404).json({ message: "Folder not found" });
+    }
+    if (!(await hasDocumentAccess(userData, folder.id, "DOWNLOAD"))) {
+      logger.warn({
+        action: "FOLDER_DOWNLOAD_FORBIDDEN",
+        userId: userData.id,
+        details: { documentId: folder.id },
+      });
+      return res
+        .status(403)
+        .json({ message: "DOWNLOAD access to this folder is required" });
+    }
+
+    const documents = await prisma.document.findMany({
+      where: {
+        path: { startsWith: `${folder.path}/` },
+        type: { not: "folder" },
+        inBin: false,
+      },
+      orderBy: { path: "asc" },
+    });
+
+    // Only what the user may download goes in: a DENY or broken inheritance
+    // below the folder keeps those documents out
+    let allowed = documents;
+    if (!hasPermission(userData, "document.accessAll")) {
+      const resolver = await createAccessResolver(userData);
+      await resolver.load(documents.map((doc) => doc.id));
+      allowed = [];
+      for (const doc of documents) {
+        if ((await resolver.rights(doc.id)).DOWNLOAD) allowed.push(doc);
+      }
+    }
     const zipFileName = `${folderName}.zip`;
 
     res.setHeader("Content-Type", "application/zip");
@@ -1158,12 +1299,31 @@ export const folder_download = async (req, res) => {
 
     const archive = archiver("zip", { zlib: { level: 9 } });
     archive.pipe(res);
-    archive.directory(folderPath, false);
 
-    department.documents.forEach((doc) => {
-      const documentPath = path.join(__dirname, doc.path);
-      archive.file(documentPath, { name: doc.name });
-    });
+    // One file open at a time, however large the folder
+    for (const doc of allowed) {
+      let stream;
+      try {
+        stream = await documentStorage.createReadStream(doc.path);
+      } catch (error) {
+        logger.warn({
+          action: "FOLDER_DOWNLOAD_FILE_MISSING",
+          userId: userData.id,
+          details: { documentId: doc.id, error: error.message },
+        });
+        continue;
+      }
+      await new Promise((resolve, reject) => {
+        archive.once("error", reject);
+        archive.once("entry", () => {
+          archive.off("error", reject);
+          resolve();
+        });
+        archive.append(stream, {
+          name: doc.path.slice(folder.path.length + 1),
+        });
+      });
+    }
 
     await archive.finalize();
 
@@ -1186,19 +1346,15 @@ export const folder_download = async (req, res) => {
         folderName: req.body.folderName,
       },
     });
-    res.status(500).json({ message: "Error downloading folder" });
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Error downloading folder" });
+    }
   }
 };
 
 export const file_delete = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     // Find the document in the database by its path
     const document = await prisma.document.findUnique({
@@ -1206,14 +1362,8 @@ export const file_delete = async (req, res) => {
       // include: { history: true, highlights: true }, // Include related data if needed
     });
 
-    let absolutePath = path.join(
-      __dirname,
-      process.env.STORAGE_PATH,
-      document.path
-    );
-
-    // Check if file exists in the filesystem
-    await fs.access(absolutePath);
+    // Check if file exists in storage
+    await documentStorage.stat(document.path);
 
     if (!document) {
       return res.status(404).json({
@@ -1221,6 +1371,11 @@ export const file_delete = async (req, res) => {
       });
     }
 
+    const checkedOut = await findCheckedOutDocument({ id: document.id });
+    if (checkedOut) {
+      return res.status(409).json(checkedOutMessage(checkedOut));
+    }
+
     const idToRemove = document.id;
 
     // Cleanup from related models
@@ -1228,7 +1383,8 @@ export const file_delete = async (req, res) => {
     await cleanUpDocumentDetail(idToRemove);
 
     // Delete file from storage
-    await fs.unlink(absolutePath);
+    await documentStorage.remove(document.path);
+    await releaseDocumentBlobs(document);
 
     // Delete the document from the database
     await prisma.document.delete({
@@ -1272,21 +1428,15 @@ export const file_though_url = async (req, res) => {
     if (!document) {
       logger.warn({
         action: "FILE_NOT_FOUND_FOR_VIEW",
-        details: { filePath, userId: userData.id },
+        details: { filePath, userId: req.user.id },
       });
       return res.status(404).json({ message: "File not found in database" });
     }
 
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const absoluteFilePath = path.join(__dirname, STORAGE_PATH, document.path);
-
-    try {
-      await fs.access(absoluteFilePath);
-    } catch {
+    if (!(await documentStorage.exists(document.path))) {
       logger.error({
         action: "FILE_NOT_FOUND_FOR_VIEW",
-        details: { filePath: absoluteFilePath },
+        details: { filePath: document.path },
       });
       return res.status(404).json({ message: "File not found in storage" });
     }
@@ -1295,26 +1445,29 @@ export const file_though_url = async (req, res) => {
       action: "FILE_VIEW_SUCCESS",
       details: {
         documentId: document.id,
-        filePath: absoluteFilePath,
+        filePath: document.path,
       },
     });
 
-    return res.sendFile(absoluteFilePath);
+    return await sendStoredFile(req, res, documentStorage, document.path, {
+      fileName: document.name,
+    });
   } catch (error) {
     console.log("error", error);
     logger.error({
       action: "FILE_VIEW_SERVER_ERROR",
       details: { error: error.message, filePath: req.params.filePath },
     });
-    return res.status(500).json({ message: "Error serving file" });
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Error serving file" });
+    }
   }
 };
 
 export const file_download = async (req, res) => {
   let userData;
   try {
-    const accessToken = req.headers["x-authorization"].substring(7);
-    userData = await verifyUser(accessToken);
+    userData = req.user;
 
     logger.info({
       action: "REQ_FOR_VIEW_OR_EXPORT_START",
@@ -1326,16 +1479,6 @@ export const file_download = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "REQ_FOR_VIEW_OR_EXPORT_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
-
     let extra = decodeURIComponent(req.headers["x-file-path"]);
     let relativePath = extra.substring(1);
 
@@ -1358,8 +1501,9 @@ export const file_download = async (req, res) => {
       },
     });
 
+    // The viewer loads this URL directly, so it carries its own short-lived token
     return res.status(200).json({
-      data: `${fileURL}${filePath}`,
+      data: `${fileURL}${filePath}?token=${issueFileUrlToken(userData.id)}`,
       fileType: fileExt,
     });
   } catch (error) {
@@ -1429,7 +1573,6 @@ export const file_download = async (req, res) => {
 
 export const get_file_data = async (req, res) => {
   try {
-    const accessToken = req.headers["x-authorization"]?.substring(7);
     const extra = decodeURIComponent(req.headers["x-file-path"]);
     const fileName = decodeURIComponent(req.headers["x-file-name"]);
 
@@ -1438,22 +1581,8 @@ export const get_file_data = async (req, res) => {
       details: { filePath: extra, fileName },
     });
 
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "FILE_EXPORT_UNAUTHORIZED",
-        details: { filePath: extra, fileName },
-      });
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
-
-    const relativePath = process.env.STORAGE_PATH + "/" + extra.substring(1);
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const filePath = join(__dirname, relativePath, fileName);
+    // READ on the file is checked by the route
+    const filePath = join("/", extra.substring(1), fileName);
 
     // Fetch document metadata from PostgreSQL using Prisma
     const document = await prisma.document.findUnique({
@@ -1471,19 +1600,10 @@ export const get_file_data = async (req, res) => {
         .json({ message: "File not found in the database." });
     }
 
-    // Check user permissions for the requested document
-    const userRole = await prisma.userRole.findFirst({
-      where: {
-        userId: userData.id,
-        role: {
-          departmentId: document.departmentId,
-        },
-      },
-    });
-
-    // Verify file existence
+    // Verify file existence and get file stats
+    let stat;
     try {
-      await fs.access(filePath);
+      stat = await documentStorage.stat(filePath);
     } catch {
       logger.error({
         action: "FILE_EXPORT_NOT_FOUND_IN_STORAGE",
@@ -1491,9 +1611,6 @@ export const get_file_data = async (req, res) => {
       });
       return res.status(404).json({ message: "File not found in storage" });
     }
-
-    // Get file stats
-    const stat = await fs.stat(filePath);
     const fileSize = stat.size;
     const range = req.headers.range;
     const fileExtension = fileName.split(".").pop();
@@ -1521,14 +1638,17 @@ export const get_file_data = async (req, res) => {
       const start = parseInt(parts[0], 10);
       const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
 
-      const fileStream = fsCB.createReadStream(filePath, { start, end });
+      const fileStream = await documentStorage.createReadStream(filePath, {
+        start,
+        end,
+      });
       res.setHeader("content-type", getContentTypeFromExtension(fileExtension));
       res.setHeader("access-control-expose-headers", "Content-Range");
 
       fileStream.pipe(res);
     } else {
       res.setHeader("content-type", getContentTypeFromExtension(fileExtension));
-      fsCB.createReadStream(filePath).pipe(res);
+      (await documentStorage.createReadStream(filePath)).pipe(res);
     }
   } catch (error) {
     logger.error({
@@ -1548,8 +1668,7 @@ export const get_file_data = async (req, res) => {
 export const archive_file = async (req, res) => {
   let userData;
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    userData = await verifyUser(accessToken);
+    userData = req.user;
 
     logger.info({
       action: "ARCHIVE_FILE_START",
@@ -1560,16 +1679,6 @@ export const archive_file = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "ARCHIVE_FILE_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
-
     const documentId = req.body.documentId;
     const document = await prisma.document.findUnique({
       where: { id: documentId },
@@ -1586,21 +1695,16 @@ export const archive_file = async (req, res) => {
       });
     }
 
-    let absolutePath = path.join(
-      __dirname,
-      process.env.STORAGE_PATH + document.path
-    );
-
-    // Check if file exists in the filesystem
+    // Check if file exists in storage
     try {
-      await fs.access(absolutePath);
+      await documentStorage.stat(document.path);
     } catch (error) {
       logger.warn({
         action: "ARCHIVE_FILE_NOT_FOUND",
         userId: userData.id,
         details: {
           documentId,
-          path: absolutePath,
+          path: document.path,
           error: error.message,
         },
       });
@@ -1646,8 +1750,7 @@ export const archive_file = async (req, res) => {
 
 export const delete_file = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
 
     logger.info({
       action: "FILE_DELETE_START",
@@ -1658,14 +1761,6 @@ export const delete_file = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "FILE_DELETE_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
     const documentId = req.body.documentId;
     const document = await prisma.document.findUnique({
       where: { id: documentId },
@@ -1680,15 +1775,21 @@ export const delete_file = async (req, res) => {
       return res.status(404).json({ message: "Document not found" });
     }
 
-    const absolutePath = path.join(__dirname, STORAGE_PATH, document.path);
+    // A folder cannot go to the bin with a checked-out document inside
+    const checkedOut = await findCheckedOutDocument({
+      OR: [{ id: document.id }, { path: { startsWith: `${document.path}/` } }],
+    });
+    if (checkedOut) {
+      return res.status(409).json(checkedOutMessage(checkedOut));
+    }
 
     try {
-      await fs.access(absolutePath);
+      await documentStorage.stat(document.path);
     } catch (error) {
       logger.error({
         action: "FILE_DELETE_ACCESS_ERROR",
         userId: userData.id,
-        details: { error: error.message, path: absolutePath },
+        details: { error: error.message, path: document.path },
       });
       return res.status(404).json({ message: "File not found" });
     }
@@ -1724,8 +1825,7 @@ export const delete_file = async (req, res) => {
 export const unarchive_file = async (req, res) => {
   let userData;
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    userData = await verifyUser(accessToken);
+    userData = req.user;
 
     logger.info({
       action: "UNARCHIVE_FILE_START",
@@ -1736,16 +1836,6 @@ export const unarchive_file = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "UNARCHIVE_FILE_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
-
     const documentId = req.body.documentId;
     const document = await prisma.document.findUnique({
       where: { id: documentId },
@@ -1762,21 +1852,16 @@ export const unarchive_file = async (req, res) => {
       });
     }
 
-    let absolutePath = path.join(
-      __dirname,
-      process.env.STORAGE_PATH + document.path
-    );
-
-    // Check if file exists in the filesystem
+    // Check if file exists in storage
     try {
-      await fs.access(absolutePath);
+      await documentStorage.stat(document.path);
     } catch (error) {
       logger.warn({
         action: "UNARCHIVE_FILE_NOT_FOUND",
         userId: userData.id,
         details: {
           documentId,
-          path: absolutePath,
+          path: document.path,
           error: error.message,
         },
       });
@@ -1823,8 +1908,7 @@ export const unarchive_file = async (req, res) => {
 export const recover_from_recycle_bin = async (req, res) => {
   let userData;
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    userData = await verifyUser(accessToken);
+    userData = req.user;
 
     logger.info({
       action: "RECOVER_FROM_BIN_START",
@@ -1835,16 +1919,6 @@ export const recover_from_recycle_bin = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "RECOVER_FROM_BIN_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
-
     const documentId = req.body.documentId;
     const document = await prisma.document.findUnique({
       where: { id: documentId },
@@ -1861,21 +1935,16 @@ export const recover_from_recycle_bin = async (req, res) => {
       });
     }
 
-    let absolutePath = path.join(
-      __dirname,
-      process.env.STORAGE_PATH + document.path
-    );
-
-    // Check if file exists in the filesystem
+    // Check if file exists in storage
     try {
-      await fs.access(absolutePath);
+      await documentStorage.stat(document.path);
     } catch (error) {
       logger.warn({
         action: "RECOVER_FROM_BIN_FILE_NOT_FOUND",
         userId: userData.id,
         details: {
           documentId,
-          path: absolutePath,
+          path: document.path,
           error: error.message,
         },
       });
@@ -1943,18 +2012,12 @@ const setWopiHeaders = (res) => {
   });
 };
 
-const generateWopiToken = (userId, fileId, readOnly) => {
-  return jwt.sign({ userId, fileId, readOnly }, process.env.SECRET_ACCESS_KEY, {
-    expiresIn: "1h",
-  });
-};
-
 const validateWopiToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.SECRET_ACCESS_KEY);
-  } catch (err) {
+  const claims = verifyWopiToken(token);
+  if (!claims) {
     throw new Error("Invalid WOPI token");
   }
+  return claims;
 };
 
 export const wopiDiscovery = async (req, res) => {
@@ -1985,24 +2048,22 @@ export const checkHostingDiscovery = async (req, res) => {
 
 export const getWopiToken = async (req, res) => {
   try {
-    const accessToken = req.headers["x-authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized" });
-    }
+    const userData = req.user;
     const { fileId } = req.params;
     const { readOnly } = req.body;
 
-    const token = generateWopiToken(userData.id, fileId, readOnly);
-
-    // Generate or retrieve lock value
-    let lock = locks.get(fileId);
-    if (!lock) {
-      lock = `lock-${fileId}-${Date.now()}`; // Generate a unique lock value
-      locks.set(fileId, lock);
+    const editing = !readOnly && !userData.impersonation?.readOnly;
+    if (editing) {
+      const checkedOut = await findCheckedOutDocument({ id: parseInt(fileId) });
+      if (checkedOut) {
+        return res.status(409).json(checkedOutMessage(checkedOut));
+      }
     }
 
-    res.json({ access_token: token, lock });
+    const token = issueWopiToken(userData.id, fileId, !editing);
+
+    // Collabora takes the WOPI lock itself once the editor loads
+    res.json({ access_token: token });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -2023,15 +2084,7 @@ export const getFileDataByDocumentId = async (req, res) => {
         .json({ message: "File not found in the database." });
     }
 
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const filePath = join(
-      __dirname,
-      process.env.STORAGE_PATH || "",
-      document.path
-    );
-
-    const stat = await fs.stat(filePath);
+    const stat = await documentStorage.stat(document.path);
     const fileSize = stat.size;
     const fileExtension = document.path.split(".").pop();
     const fileName = document.path.split("/").pop();
@@ -2058,11 +2111,14 @@ export const getFileDataByDocumentId = async (req, res) => {
       res.setHeader("content-length", end - start + 1);
       res.status(206);
 
-      const fileStream = fsCB.createReadStream(filePath, { start, end });
+      const fileStream = await documentStorage.createReadStream(document.path, {
+        start,
+        end,
+      });
       fileStream.pipe(res);
     } else {
       res.setHeader("content-type", getContentTypeFromExtension(fileExtension));
-      fsCB.createReadStream(filePath).pipe(res);
+      (await documentStorage.createReadStream(document.path)).pipe(res);
     }
   } catch (error) {
     console.error("Error while processing file data:", error);
@@ -2101,15 +2157,7 @@ export const wopiFiles = async (req, res) => {
       return res.status(404).json({ message: "File not found" });
     }
 
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const filePath = join(
-      __dirname,
-      process.env.STORAGE_PATH || "",
-      document.path
-    );
-
-    const stat = await fs.stat(filePath);
+    const stat = await documentStorage.stat(document.path);
     const fileName = document.path.split("/").pop();
 
     console.log("read only", readOnly);
@@ -2126,6 +2174,10 @@ export const wopiFiles = async (req, res) => {
       DisableExport: true,
       UserCanWrite: !readOnly, // Set based on IsReadOnly
       SupportsLocks: true,
+      SupportsGetLock: true,
+      SupportsRename: true,
+      UserCanRename: !readOnly,
+      UserCanNotWriteRelative: !!readOnly,
       UserFriendlyName: user.username,
     });
   } catch (err) {
@@ -2154,30 +2206,29 @@ export const wopiFilePost = async (req, res) => {
       include: { department: true },
     });
 
-    console.log("reached at post contents");
-
     if (!document) {
       return res.status(404).json({ message: "File not found" });
     }
 
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = dirname(__filename);
-    const filePath = join(
-      __dirname,
-      process.env.STORAGE_PATH || "",
-      document.path
+    // Another session's lock, or none sent while locked, is a conflict; so
+    // is writing an unlocked file unless it is still empty
+    const { size } = await documentStorage
+      .stat(document.path)
+      .catch((error) => {
+        if (error.code === "ENOENT") return { size: 0 };
+        throw error;
+      });
+    const lockCheck = await checkWopiWrite(
+      document.id,
+      req.headers["x-wopi-lock"],
+      { requireLock: size > 0 }
     );
-
-    console.log("file path", filePath);
-
-    const dir = dirname(filePath);
-    await fs.mkdir(dir, { recursive: true });
+    if (!lockCheck.ok) return wopiConflict(res, lockCheck.currentLock);
 
     // Buffer incoming body manually
     const chunks = [];
 
     req.on("data", (chunk) => {
-      console.log("chunk", chunk);
       chunks.push(chunk);
     });
 
@@ -2185,13 +2236,18 @@ export const wopiFilePost = async (req, res) => {
       const buffer = Buffer.concat(chunks);
 
       try {
-        await fs.writeFile(filePath, buffer);
-
-        console.log("end");
+        // Every save, autosaves included, keeps the file it replaces
+        const version = await saveNewVersion(document, buffer, {
+          authorId: userId,
+        });
 
-        await prisma.document.update({
-          where: { id: parseInt(fileId) },
-          data: { lastUpdatedOn: new Date() },
+        logger.info({
+          action: "WOPI_PUT_FILE",
+          userId,
+          details: {
+            documentId: document.id,
+            versionNumber: version.versionNumber,
+          },
         });
 
         return res.status(200).json({});
@@ -2208,47 +2264,318 @@ export const wopiFilePost = async (req, res) => {
   }
 };
 
-let locks = new Map(); // Simple in-memory lock storage
+const wopiConflict = (res, currentLock) =>
+  res.status(409).set("X-WOPI-Lock", currentLock).send();
+
+// Only the user holding a check-out may lock or rename the document
+const checkedOutByOther = (documentId, userId) =>
+  findCheckedOutDocument({
+    id: documentId,
+    ...(userId && { NOT: { checkedOutById: userId } }),
+  });
+
+const sendLockResult = (res, result) =>
+  result.ok ? res.status(200).send() : wopiConflict(res, result.currentLock);
+
+// LOCK, or UnlockAndRelock when X-WOPI-OldLock is sent
+export const wopiLock = async (req, res) => {
+  try {
+    const lockId = req.headers["x-wopi-lock"];
+    if (!lockId) {
+      return res.status(400).json({ message: "X-WOPI-Lock is required" });
+    }
+
+    const documentId = parseInt(req.params.fileId);
+    const userId = req.wopi?.userId ?? req.user?.id ?? null;
+    const checkedOut = await checkedOutByOther(documentId, userId);
+    if (checkedOut) return res.status(409).json(checkedOutMessage(checkedOut));
+
+    const result = await lockDocument(documentId, lockId, {
+      userId,
+      oldLockId: req.headers["x-wopi-oldlock"] || null,
+    });
+    sendLockResult(res, result);
+  } catch (err) {
+    console.error("Error locking file:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+export const wopiUnlock = async (req, res) => {
+  try {
+    const result = await unlockDocument(
+      parseInt(req.params.fileId),
+      req.headers["x-wopi-lock"]
+    );
+    sendLockResult(res, result);
+  } catch (err) {
+    console.error("Error unlocking file:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
+
+export const wopiRefreshLock = async (req, res) => {
+  try {
+    const result = await refreshDocumentLock(
+      parseInt(req.params.fileId),
+      req.headers["x-wopi-lock"]
+    );
+    sendLockResult(res, result);
+  } catch (err) {
+    console.error("Error refreshing file lock:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
 
-export const wopiLock = (req, res) => {
-  const { fileId } = req.params;
-  const accessToken = req.query.access_token;
-  const lock = req.headers["x-wopi-lock"];
+export const wopiGetLock = async (req, res) => {
+  try {
+    const lockId = await currentLockId(parseInt(req.params.fileId));
+    res.status(200).set("X-WOPI-Lock", lockId).send();
+  } catch (err) {
+    console.error("Error reading file lock:", err);
+    res.status(500).json({ message: err.message });
+  }
+};
 
-  const currentLock = locks.get(fileId);
+// File names in WOPI headers are UTF-7: "+...-" runs are base64 UTF-16
+const decodeUtf7 = (value = "") =>
+  value.replace(/\+([A-Za-z0-9+/]*)-?/g, (match, encoded) => {
+    if (!encoded) return "+";
+    const bytes = Buffer.from(encoded, "base64");
+    return bytes
+      .subarray(0, bytes.length - (bytes.length % 2))
+      .swap16()
+      .toString("utf16le");
+  });
 
-  // if (currentLock) {
-  //   return res.status(409).set("X-WOPI-Lock", currentLock).send();
-  // }
+const encodeUtf7 = (value) =>
+  value.replace(/[^\x20-\x2a\x2c-\x7e]+|\+/g, (match) =>
+    match === "+"
+      ? "+-"
+      : `+${Buffer.from(match, "utf16le")
+          .swap16()
+          .toString("base64")
+          .replace(/=+$/, "")}-`
+  );
 
-  locks.set(fileId, lock);
-  return res.status(200).send();
+export const isValidFileName = (name) =>
+  !!name && name !== "." && name !== ".." && !/[\\/:*?"<>|]/.test(name);
+
+// Client paths arrive as "../departments/FIN/Reports"; after the prefix is cut
+// only "/segment/segment" with no empty, "." or ".." segments is accepted
+export const isSafeFolderPath = (folderPath) =>
+  typeof folderPath === "string" &&
+  folderPath.startsWith("/") &&
+  folderPath
+    .slice(1)
+    .split("/")
+    .every((segment) => segment && segment !== "." && segment !== "..");
+
+const invalidFileName = (res, reason) =>
+  res.status(400).set("X-WOPI-InvalidFileNameError", reason).send();
+
+// `name` in the folder, or "name (n).ext" when that is taken
+const availableName = async (folderPath, name) => {
+  const extension = extname(name);
+  const base = basename(name, extension);
+  let candidate = name;
+  for (let n = 1; ; n++) {
+    const taken = await prisma.document.findUnique({
+      where: { path: `${folderPath}/${candidate}` },
+      select: { id: true },
+    });
+    if (!taken) return candidate;
+    candidate = `${base} (${n})${extension}`;
+  }
 };
 
-export const wopiUnlock = (req, res) => {
-  const { fileId } = req.params;
-  const lock = req.headers["x-wopi-lock"];
-  const currentLock = locks.get(fileId);
+export const readRequestBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+/**
+ * PUT_RELATIVE ("Save As"): writes the body as a new file next to the one
+ * open in the editor. X-WOPI-SuggestedTarget lets us pick a free name (a
+ * bare ".ext" keeps the current name); X-WOPI-RelativeTarget asks for an
+ * exact name and only replaces an existing file when
+ * X-WOPI-OverwriteRelativeTarget is set, the file is not locked and the user
+ * may edit it.
+ */
+export const wopiPutRelative = async (req, res) => {
+  try {
+    const userData = req.user;
+    const suggested = req.headers["x-wopi-suggestedtarget"];
+    const relative = req.headers["x-wopi-relativetarget"];
+    if (suggested && relative) return res.status(501).send();
+    if (!suggested && !relative) {
+      return res
+        .status(400)
+        .json({ message: "X-WOPI-SuggestedTarget or RelativeTarget needed" });
+    }
+
+    const source = await prisma.document.findUnique({
+      where: { id: parseInt(req.params.fileId) },
+    });
+    if (!source) return res.status(404).json({ message: "File not found" });
+    const folderPath = dirname(source.path);
+
+    let name = decodeUtf7(suggested || relative).trim();
+    if (suggested) {
+      if (name.startsWith(".")) {
+        name = basename(source.name, extname(source.name)) + name;
+      }
+      if (!isValidFileName(name)) {
+        return invalidFileName(res, "The file name is not allowed");
+      }
+      name = await availableName(folderPath, name);
+    } else if (!isValidFileName(name)) {
+      return invalidFileName(res, "The file name is not allowed");
+    }
+
+    const targetPath = `${folderPath}/${name}`;
+    let document = await prisma.document.findUnique({
+      where: { path: targetPath },
+    });
+    if (document) {
+      const overwrite =
+        req.headers["x-wopi-overwriterelativetarget"]?.toLowerCase() === "true";
+      const lock = await getActiveLock(document.id);
+      if (
+        !overwrite ||
+        lock ||
+        document.checkedOutById ||
+        document.type === "folder" ||
+        !(await hasDocumentAccess(userData, document.id, "EDIT"))
+      ) {
+        res.set(
+          "X-WOPI-ValidRelativeTarget",
+          encodeUtf7(await availableName(folderPath, name))
+        );
+        if (lock) res.set("X-WOPI-Lock", lock.lockId);
+        return res.status(409).send();
+      }
+    }
+
+    const content = await readRequestBody(req);
+    const replaced = !!document;
+    if (replaced) {
+      await saveNewVersion(document, content, { authorId: userData.id });
+    } else {
+      const { hash } = await ingestBuffer(content);
+      await linkBlob(hash, targetPath);
+      document = await prisma.document.create({
+        data: {
+          name,
+          type: name.split(".").pop(),
+          path: targetPath,
+          createdById: userData.id,
+          departmentId: source.departmentId,
+          blobHash: hash,
+        },
+      });
+      await createUserPermissions(document.id, userData.username, true);
+      await storeChildIdInParentDocument(folderPath, document.id);
+    }
 
-  // if (currentLock !== lock) {
-  //   return res.status(409).set("X-WOPI-Lock", currentLock).send();
-  // }
+    logger.info({
+      action: "WOPI_PUT_RELATIVE",
+      userId: userData.id,
+      details: {
+        sourceDocumentId: source.id,
+        documentId: document.id,
+        path: targetPath,
+        replaced,
+      },
+    });
 
-  locks.delete(fileId);
-  return res.status(200).send();
+    const token = issueWopiToken(userData.id, document.id, false);
+    res.status(200).json({
+      Name: name,
+      Url: `${req.protocol}://${req.get("host")}${req.baseUrl}/wopi/files/${
+        document.id
+      }?access_token=${token}`,
+    });
+  } catch (err) {
+    console.error("Error saving file as:", err);
+    res.status(500).json({ message: err.message });
+  }
 };
 
-export const wopiRefreshLock = (req, res) => {
-  const { fileId } = req.params;
-  const lock = req.headers["x-wopi-lock"];
-  const currentLock = locks.get(fileId);
+/**
+ * RENAME_FILE: X-WOPI-RequestedName is the new name without the extension.
+ * A locked file can only be renamed by the session holding the lock.
+ */
+export const wopiRenameFile = async (req, res) => {
+  try {
+    const documentId = parseInt(req.params.fileId);
+    const lockCheck = await checkWopiWrite(
+      documentId,
+      req.headers["x-wopi-lock"]
+    );
+    if (!lockCheck.ok) return wopiConflict(res, lockCheck.currentLock);
+    const checkedOut = await checkedOutByOther(documentId, req.user.id);
+    if (checkedOut) return res.status(409).json(checkedOutMessage(checkedOut));
+
+    const document = await prisma.document.findUnique({
+      where: { id: documentId },
+    });
+    if (!document) return res.status(404).json({ message: "File not found" });
+
+    const requestedName = decodeUtf7(
+      req.headers["x-wopi-requestedname"]
+    ).trim();
+    if (!isValidFileName(requestedName)) {
+      return invalidFileName(res, "The file name is not allowed");
+    }
+    const name = requestedName + extname(document.name);
+    const newPath = `${dirname(document.path)}/${name}`;
+    if (newPath !== document.path) {
+      const taken = await prisma.document.findUnique({
+        where: { path: newPath },
+        select: { id: true },
+      });
+      if (taken) {
+        return invalidFileName(res, "A file with this name already exists");
+      }
+      await documentStorage.move(document.path, newPath);
+      await prisma.document.update({
+        where: { id: documentId },
+        data: { name, path: newPath },
+      });
+    }
+
+    logger.info({
+      action: "WOPI_RENAME_FILE",
+      userId: req.user.id,
+      details: { documentId, oldPath: document.path, newPath },
+    });
 
-  if (currentLock !== lock) {
-    return res.status(409).set("X-WOPI-Lock", currentLock).send();
+    res.status(200).json({ Name: requestedName });
+  } catch (err) {
+    console.error("Error renaming file:", err);
+    res.status(500).json({ message: err.message });
   }
+};
 
-  // Refresh means re-saving the same lock, so we do nothing but 200
-  return res.status(200).send();
+const WOPI_OPERATIONS = {
+  LOCK: wopiLock,
+  UNLOCK: wopiUnlock,
+  REFRESH_LOCK: wopiRefreshLock,
+  GET_LOCK: wopiGetLock,
+  PUT_RELATIVE: wopiPutRelative,
+  RENAME_FILE: wopiRenameFile,
+};
+
+// Collabora sends every operation on a file as POST /wopi/files/:fileId,
+// named by X-WOPI-Override
+export const wopiFileOperation = (req, res) => {
+  const operation = WOPI_OPERATIONS[req.headers["x-wopi-override"]];
+  if (!operation) return res.status(501).send();
+  return operation(req, res);
 };
 
 export const downloadWatermarkedFile = async (req, res) => {
@@ -2285,32 +2612,28 @@ export const downloadWatermarkedFile = async (req, res) => {
       return res.status(404).json({ message: "File not found in database" });
     }
 
-    const absoluteFilePath = path.join(__dirname, STORAGE_PATH, document.path);
-
     try {
-      await fs.access(absoluteFilePath, fs.constants.R_OK);
+      await documentStorage.stat(document.path);
     } catch (error) {
       logger.error({
         action: "DOWNLOAD_WATERMARKED_ACCESS_ERROR",
-        details: { error: error.message, path: absoluteFilePath },
+        details: { error: error.message, path: document.path },
       });
       return res.status(404).json({ message: "File not found in storage" });
     }
 
-    const stats = await fs.stat(absoluteFilePath);
-    const ext = path.extname(absoluteFilePath).toLowerCase();
+    const ext = path.extname(document.path).toLowerCase();
     const allowedExtensions = [".pdf", ".jpg", ".jpeg", ".png", ".tiff"];
     const contentType = getContentTypeFromExtension(ext.slice(1));
 
-    tempFilePath = path.join(
-      __dirname,
-      STORAGE_PATH,
-      `temp_${Date.now()}_${path.basename(absoluteFilePath, ext)}.pdf`
+    tempFilePath = scratchPath(
+      `temp_${Date.now()}_${path.basename(document.path, ext)}.pdf`
     );
+    await fs.mkdir(dirname(tempFilePath), { recursive: true });
 
     if (allowedExtensions.includes(ext)) {
       if (ext === ".pdf") {
-        const pdfBytes = await fs.readFile(absoluteFilePath);
+        const pdfBytes = await documentStorage.readFile(document.path);
         const pdfDoc = await PDFDocument.load(pdfBytes);
         const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
         const pages = pdfDoc.getPages();
@@ -2334,14 +2657,14 @@ export const downloadWatermarkedFile = async (req, res) => {
         }
 
         const watermarkedPdfBytes = await pdfDoc.save();
-        watermarkedFilePath = path.join(
-          __dirname,
-          STORAGE_PATH,
-          `watermarked_${Date.now()}_${path.basename(absoluteFilePath)}`
+        watermarkedFilePath = scratchPath(
+          `watermarked_${Date.now()}_${path.basename(document.path)}`
         );
         await fs.writeFile(watermarkedFilePath, watermarkedPdfBytes);
       } else {
-        const image = sharp(absoluteFilePath, { failOn: "none" });
+        const image = sharp(await documentStorage.readFile(document.path), {
+          failOn: "none",
+        });
         const metadata = await image.metadata();
         const fontSize = Math.max(
           Math.min(metadata.width || 0, metadata.height || 0) * 0.07,
@@ -2375,11 +2698,7 @@ export const downloadWatermarkedFile = async (req, res) => {
           });
         }
 
-        tempImagePath = path.join(
-          __dirname,
-          STORAGE_PATH,
-          `temp_image_${Date.now()}${ext}`
-        );
+        tempImagePath = scratchPath(`temp_image_${Date.now()}${ext}`);
         await outputImage.toFile(tempImagePath);
 
         const pdfDoc = await PDFDocument.create();
@@ -2401,13 +2720,8 @@ export const downloadWatermarkedFile = async (req, res) => {
         });
 
         const pdfBytes = await pdfDoc.save();
-        watermarkedFilePath = path.join(
-          __dirname,
-          STORAGE_PATH,
-          `watermarked_${Date.now()}_${path.basename(
-            absoluteFilePath,
-            ext
-          )}.pdf`
+        watermarkedFilePath = scratchPath(
+          `watermarked_${Date.now()}_${path.basename(document.path, ext)}.pdf`
         );
         await fs.writeFile(watermarkedFilePath, pdfBytes);
       }
@@ -2416,7 +2730,10 @@ export const downloadWatermarkedFile = async (req, res) => {
         `qpdf --encrypt "${password}" "${password}" 256 -- "${watermarkedFilePath}" "${tempFilePath}"`
       );
     } else {
-      await fs.copyFile(absoluteFilePath, tempFilePath);
+      await pipelineAsync(
+        await documentStorage.createReadStream(document.path),
+        createWriteStream(tempFilePath)
+      );
     }
 
     const tempStats = await fs.stat(tempFilePath);
@@ -2424,7 +2741,7 @@ export const downloadWatermarkedFile = async (req, res) => {
       "Content-Type": contentType,
       "Content-Length": tempStats.size,
       "Content-Disposition": `attachment; filename="${path.basename(
-        absoluteFilePath,
+        document.path,
         ext
       )}.pdf"`,
       "Accept-Ranges": "bytes",
@@ -2450,7 +2767,7 @@ export const downloadWatermarkedFile = async (req, res) => {
       action: "DOWNLOAD_WATERMARKED_SUCCESS",
       details: {
         documentId,
-        filePath: absoluteFilePath,
+        filePath: document.path,
         watermarkText,
       },
     });
@@ -2508,13 +2825,7 @@ export const downloadWatermarkedFile = async (req, res) => {
 };
 
 export const bookmark_document = async (req, res) => {
-  const accessToken = req.headers["authorization"].substring(7);
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized") {
-    return res.status(401).json({
-      message: "Unauthorized request",
-    });
-  }
+  const userData = req.user;
 
   const userId = userData.id;
   const documentId = req.body.documentId; // Assuming userId and documentId are sent in request body
@@ -2552,15 +2863,7 @@ export const bookmark_document = async (req, res) => {
 };
 
 export const get_bookmarked_documents = async (req, res) => {
-  const accessToken = req.headers["authorization"]?.substring(7);
-  if (!accessToken) {
-    return res.status(401).json({ message: "No authorization token provided" });
-  }
-
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized") {
-    return res.status(401).json({ message: "Unauthorized request" });
-  }
+  const userData = req.user;
 
   const userId = userData.id;
   if (!userId) {
@@ -2620,15 +2923,7 @@ export const isDocumentBookmarked = async (userId, documentId) => {
 };
 
 export const remove_bookmark_document = async (req, res) => {
-  const accessToken = req.headers["authorization"]?.substring(7);
-  if (!accessToken) {
-    return res.status(401).json({ message: "No authorization token provided" });
-  }
-
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized") {
-    return res.status(401).json({ message: "Unauthorized request" });
-  }
+  const userData = req.user;
 
   const userId = userData.id;
   const { documentId } = req.body;
@@ -2675,8 +2970,7 @@ export const mergeFilesToPdf = async (req, res) => {
   let mergedPdfPath = null;
 
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    userData = await verifyUser(accessToken);
+    userData = req.user;
 
     logger.info({
       action: "MERGE_FILES_START",
@@ -2686,14 +2980,6 @@ export const mergeFilesToPdf = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "MERGE_FILES_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
     if (!req.files || !Array.isArray(req.files) || req.files.length === 0) {
       return res.status(400).json({ message: "No files uploaded for merging" });
     }
@@ -2702,7 +2988,7 @@ export const mergeFilesToPdf = async (req, res) => {
     const mergedPdf = await PDFDocument.create();
 
     // Create temporary directory
-    const tempDir = path.join(__dirname, STORAGE_PATH, "temp");
+    const tempDir = scratchPath("merge");
     await fs.mkdir(tempDir, { recursive: true });
 
     // Process each uploaded file
@@ -3127,12 +3413,7 @@ export const mergeAndSavePdf = async (req, res) => {
   let tempFiles = [];
 
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    userData = req.user;
 
     if (!req.files || !Array.isArray(req.files) || req.files.length === 0) {
       return res.status(400).json({ message: "No files uploaded for merging" });
@@ -3149,13 +3430,10 @@ export const mergeAndSavePdf = async (req, res) => {
     const timestamp = Date.now();
     const fileName = `merged_documents_${timestamp}.pdf`;
     const filePath = `temp/merged/${fileName}`;
-    const fullPath = path.join(__dirname, STORAGE_PATH, filePath);
-
-    // Ensure directory exists
-    await fs.mkdir(path.dirname(fullPath), { recursive: true });
 
     // Save the file
-    await fs.writeFile(fullPath, mergedPdfBytes);
+    const { hash } = await ingestBuffer(mergedPdfBytes);
+    await linkBlob(hash, filePath);
 
     // Create document record
     const newDocument = await prisma.document.create({
@@ -3166,13 +3444,15 @@ export const mergeAndSavePdf = async (req, res) => {
         createdById: userData.id,
         isInvolvedInProcess: false,
         isRecord: false,
+        blobHash: hash,
       },
     });
 
     await createUserPermissions(newDocument.id, userData.username, true);
 
     // Return the file URL for download
-    const fileURL = process.env.FILE_URL + filePath;
+    const fileToken = issueFileUrlToken(userData.id);
+    const fileURL = `${process.env.FILE_URL}${filePath}?token=${fileToken}`;
 
     return res.status(200).json({
       message: "Files merged and saved successfully",
@@ -1,13 +1,8 @@
-import { verifyUser } from "../utility/verifyUser.js";
 import { fileURLToPath } from "url";
 import path from "path";
 import fs from "fs/promises";
 import { dirname, join } from "path";
 import { access, read } from "fs";
-import {
-  getChildrenForFullAccess,
-  getParents,
-} from "../utility/accessFunction.js";
 
 import SearchIndexService from "../services/seach-index-service.js";
 
@@ -25,20 +20,20 @@ function removeDuplicates(array) {
 import dotenv from "dotenv";
 import { serializeBigInt } from "./process-controller.js";
 import { isDocumentBookmarked } from "./file-controller.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+  createAccessResolver,
+  getAccessibleDocumentIds,
+  getAncestorIds,
+} from "../services/documentAccessService.js";
+import { checkedOutBySelect } from "../services/checkoutService.js";
+import { documentStorage } from "../services/storageService.js";
 
 dotenv.config();
 
-const STORAGE_PATH = process.env.STORAGE_PATH;
-
 export const getDocumentChildren = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     const parentPath = process.env.STORAGE_PATH + req.body.path.substring(2);
 
@@ -87,13 +82,7 @@ export const getDocumentChildren = async (req, res, next) => {
 
 export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     const user = await prisma.user.findUnique({
       where: { username: userData.username },
@@ -110,18 +99,14 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Get all document accesses for the user
-    const userDocumentAccesses = await prisma.documentAccess.findMany({
-      where: {
-        OR: [
-          { userId: user.id },
-          { roleId: { in: user.roles.map((r) => r.roleId) } },
-        ],
-      },
+    // Resolves the user's rights, DENY entries and broken inheritance included
+    const resolver = await createAccessResolver({
+      id: user.id,
+      roleIds: user.roles.map((r) => r.roleId),
     });
 
-    // Check if user is admin
-    const isAdmin = user.username === "admin" || user.isAdmin;
+    // Check if user can see every document
+    const isAdmin = hasPermission(userData, "document.accessAll");
 
     let docPath = req.body.path;
     docPath = docPath.substring(2);
@@ -130,7 +115,12 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
     const foundDocument = await prisma.document.findUnique({
       where: { path: docPath },
       include: {
-        children: true,
+        children: {
+          include: {
+            checkedOutBy: { select: checkedOutBySelect },
+            wopiLock: { select: { expiresAt: true } },
+          },
+        },
       },
     });
 
@@ -140,55 +130,22 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
       });
     }
 
-    // Get parent documents for full access checks
-    const parents = await getParents([foundDocument.id]);
-
-    // Create access map
-    const accessMap = new Map();
-    userDocumentAccesses.forEach((access) => {
-      if (!accessMap.has(access.documentId)) {
-        accessMap.set(access.documentId, {
-          readable: false,
-          writable: false,
-          uploadable: false,
-          downloadable: false,
-          isFullAccess: access.accessLevel === "FULL",
-        });
-      }
-
-      const docAccess = accessMap.get(access.documentId);
-
-      if (access.accessLevel === "FULL") {
-        docAccess.readable = true;
-        docAccess.writable = true;
-        docAccess.uploadable = true;
-        docAccess.downloadable = true;
-        docAccess.isFullAccess = true;
-      } else {
-        access.accessType.forEach((type) => {
-          if (type === "READ") docAccess.readable = true;
-          if (type === "EDIT") {
-            docAccess.writable = true;
-            docAccess.uploadable = true;
-          }
-          if (type === "DOWNLOAD") docAccess.downloadable = true;
-        });
-      }
+    // Who has a child checked out, and whether it is open in Collabora
+    const now = new Date();
+    const lockStatus = (child) => ({
+      checkedOutBy: child.checkedOutBy,
+      checkedOutAt: child.checkedOutAt,
+      isOpenForEditing: !!child.wopiLock && child.wopiLock.expiresAt > now,
     });
 
     const __filename = fileURLToPath(import.meta.url);
     const __dirname = dirname(__filename);
     let children;
 
-    if (isAdmin || user.specialUser) {
-      // Admin or special user gets all children with full permissions
+    if (isAdmin) {
+      // Admin gets all children with full permissions
       children = await Promise.all(
         foundDocument.children.map(async (child) => {
-          const fileAbsolutePath = path.join(
-            __dirname,
-            STORAGE_PATH,
-            child.path
-          );
           const createdBy = await prisma.user.findUnique({
             where: { id: child.createdById },
             select: { username: true },
@@ -196,7 +153,7 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
 
           try {
             const fileStats = !child.onlyMetaData
-              ? await fs.stat(fileAbsolutePath)
+              ? await documentStorage.stat(child.path)
               : null;
 
             const isDocumentBookmarked_ = await isDocumentBookmarked(
@@ -223,6 +180,7 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
               isRejected: child.isRejected ?? false,
               children: [],
               onlyMetaData: child.onlyMetaData,
+              ...lockStatus(child),
             };
           } catch (error) {
             console.log("error", error);
@@ -234,28 +192,19 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
       console.log(foundDocument.children.map((item) => item.id));
     } else {
       // Regular user - filter based on permissions
+      const childRights = new Map();
+      await resolver.load([
+        foundDocument.id,
+        ...foundDocument.children.map((child) => child.id),
+      ]);
+      for (const child of foundDocument.children) {
+        childRights.set(child.id, await resolver.rights(child.id));
+      }
+
       children = await Promise.all(
         foundDocument.children
-          .filter((child) => {
-            // Check if user has any access to this child
-            const hasAccess = userDocumentAccesses.some(
-              (userAccess) =>
-                (userAccess.documentId === child.id ||
-                  (userAccess.accessLevel === "FULL" &&
-                    parents.includes(userAccess.documentId))) &&
-                (userAccess.accessType.includes("READ") ||
-                  userAccess.accessType.includes("DOWNLOAD") ||
-                  userAccess.accessType.includes("EDIT"))
-            );
-            return hasAccess;
-          })
+          .filter((child) => childRights.get(child.id).READ)
           .map(async (child) => {
-            const fileAbsolutePath = path.join(
-              __dirname,
-              process.env.STORAGE_PATH,
-              child.path
-            );
-
             const createdBy = await prisma.user.findUnique({
               where: { id: child.createdById },
               select: { username: true },
@@ -263,20 +212,10 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
 
             try {
               const fileStats = !child.onlyMetaData
-                ? await fs.stat(fileAbsolutePath)
+                ? await documentStorage.stat(child.path)
                 : null;
 
-              // Check specific permissions for this document
-              const documentAccess = userDocumentAccesses.find(
-                (access) => access.documentId === child.id
-              );
-
-              // Check for inherited full access
-              const hasFullAccess = userDocumentAccesses.some(
-                (access) =>
-                  access.accessLevel === "FULL" &&
-                  parents.includes(access.documentId)
-              );
+              const rights = childRights.get(child.id);
 
               const isDocumentBookmarked_ = await isDocumentBookmarked(
                 userData.id,
@@ -298,11 +237,12 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
                 size: fileStats ? fileStats.size : null,
                 isRejected: child.isRejected ?? false,
                 isDownloadable:
-                  user.id === child.createdById ||
-                  (documentAccess?.accessType.includes("DOWNLOAD") ?? false) ||
-                  (hasFullAccess && child.type !== "folder"),
+                  (user.id === child.createdById &&
+                    !rights.denied.includes("DOWNLOAD")) ||
+                  rights.DOWNLOAD,
                 children: [],
                 onlyMetaData: child.onlyMetaData,
+                ...lockStatus(child),
               };
             } catch (error) {
               console.log("error", error);
@@ -331,17 +271,14 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
       );
     }
     // Check if user can upload to this directory
+    const folderRights = isAdmin
+      ? null
+      : await resolver.rights(foundDocument.id);
     const canUpload = isAdmin
       ? true
       : foundDocument.createdById === user.id
-      ? true
-      : userDocumentAccesses.some(
-          (access) =>
-            (access.documentId === foundDocument.id ||
-              (access.accessLevel === "FULL" &&
-                parents.includes(access.documentId))) &&
-            access.accessType.includes("EDIT")
-        );
+      ? !folderRights.denied.includes("EDIT")
+      : folderRights.EDIT;
 
     res.status(200).json({
       children: result,
@@ -357,17 +294,11 @@ export const getDocumentDetailsOnTheBasisOfPath = async (req, res) => {
 
 export const getDocumentDetailsOnTheBasisOfPathForEdit = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     // Get role document accesses
     const roleDocumentAccesses = await prisma.documentAccess.findMany({
-      where: { roleId: parseInt(req.body.role) },
+      where: { roleId: parseInt(req.body.role), effect: "ALLOW" },
     });
 
     let documentPath = req.body.path;
@@ -387,8 +318,11 @@ export const getDocumentDetailsOnTheBasisOfPathForEdit = async (req, res) => {
       });
     }
 
-    // Get parent documents for full access checks
-    const parents = await getParents([foundDocument.id]);
+    // FULL grants on the folder or above it reach every child
+    const childParents = [
+      foundDocument.id,
+      ...(await getAncestorIds(foundDocument.id)),
+    ];
 
     const __filename = fileURLToPath(import.meta.url);
     const __dirname = dirname(__filename);
@@ -401,9 +335,8 @@ export const getDocumentDetailsOnTheBasisOfPathForEdit = async (req, res) => {
     if (foundDocument) {
       const children = await Promise.all(
         foundDocument.children.map(async (child) => {
-          const fileAbsolutePath = path.join(__dirname, child.path);
           try {
-            await fs.stat(fileAbsolutePath);
+            await documentStorage.stat(child.path);
 
             let obj = {
               id: child.id,
@@ -412,8 +345,6 @@ export const getDocumentDetailsOnTheBasisOfPathForEdit = async (req, res) => {
               view: false,
             };
 
-            const childParents = await getParents([child.id]);
-
             // Check for full access permissions (direct or inherited)
             const hasFullAccess = roleDocumentAccesses.some(
               (access) =>
@@ -504,10 +435,49 @@ export const getDocumentDetailsOnTheBasisOfPathForEdit = async (req, res) => {
   }
 };
 
+// Optional validFrom / validUntil of one permissions entry, or the reason
+// they are invalid
+const parseGrantValidity = ({ validFrom, validUntil }) => {
+  const from = validFrom ? new Date(validFrom) : null;
+  const until = validUntil ? new Date(validUntil) : null;
+  if ((from && isNaN(from)) || (until && isNaN(until))) {
+    return { error: "validFrom and validUntil must be dates" };
+  }
+  if (until && until <= new Date()) {
+    return { error: "validUntil must be in the future" };
+  }
+  if (from && until && from >= until) {
+    return { error: "validFrom must be before validUntil" };
+  }
+  return { validFrom: from, validUntil: until };
+};
+
+/*
+{
+  "permissions": [
+    {
+      "filePath": "/Audit/2025/ledger.pdf",
+      "read": [12],
+      "write": [15],
+      "validFrom": "2025-07-01T00:00:00.000Z", // optional
+      "validUntil": "2025-07-31T23:59:59.000Z" // optional, e.g. outside auditors
+    }
+  ]
+}
+Time-bound grants stop counting at validUntil and are then removed by the
+document-access-expiry job.
+*/
 export const create_permissions = async (req, res) => {
   try {
+    const validities = req.body.permissions.map(parseGrantValidity);
+    const invalid = validities.find((validity) => validity.error);
+    if (invalid) {
+      return res.status(400).json({ message: invalid.error });
+    }
+
     for (let i = 0; i < req.body.permissions.length; i++) {
       const obj = req.body.permissions[i];
+      const grant = { ...validities[i], grantedById: req.user.id };
 
       // Find the document by its path
       const document = await prisma.document.findUnique({
@@ -543,7 +513,8 @@ export const create_permissions = async (req, res) => {
               parentDocument.id,
               permissionedUsers[m],
               false,
-              "STANDARD"
+              "STANDARD",
+              grant
             );
           }
         }
@@ -555,7 +526,8 @@ export const create_permissions = async (req, res) => {
           document.id,
           obj.read[j],
           false,
-          "STANDARD"
+          "STANDARD",
+          grant
         );
       }
 
@@ -565,7 +537,8 @@ export const create_permissions = async (req, res) => {
           document.id,
           obj.write[k],
           true,
-          "STANDARD"
+          "STANDARD",
+          grant
         );
       }
     }
@@ -585,7 +558,8 @@ const createUserPermissions = async (
   documentId,
   userId,
   isWritable,
-  accessLevel
+  accessLevel,
+  { validFrom = null, validUntil = null, grantedById } = {}
 ) => {
   try {
     const existingPermission = await prisma.user.findUnique({
@@ -598,7 +572,8 @@ const createUserPermissions = async (
 
     const accessTypes = isWritable ? ["READ", "EDIT"] : ["READ"];
 
-    // Check if permission already exists
+    // Check if permission already exists; grants with a different validity
+    // window are kept apart so each one lapses on its own
     const existingAccess = await prisma.documentAccess.findFirst({
       where: {
         documentId,
@@ -606,6 +581,9 @@ const createUserPermissions = async (
         accessType: {
           hasSome: accessTypes,
         },
+        effect: "ALLOW",
+        validFrom,
+        validUntil,
       },
     });
 
@@ -618,7 +596,9 @@ const createUserPermissions = async (
           accessType: accessTypes,
           accessLevel,
           docAccessThrough: "ADMINISTRATION",
-          grantedById: userId, // Assuming self-granted for now
+          grantedById: grantedById || userId,
+          validFrom,
+          validUntil,
         },
       });
     } else {
@@ -673,11 +653,7 @@ export const getDocumentDetailsForAdmin = async (req, res) => {
 };
 
 export const search_documents = async (req, res) => {
-  const accessToken = req.headers["authorization"]?.substring(7);
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized") {
-    return res.status(401).json({ message: "Unauthorized request" });
-  }
+  const userData = req.user;
 
   try {
     // Get user with roles and check if admin
@@ -696,99 +672,16 @@ export const search_documents = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check if user is admin or special user
-    const isAdmin =
-      user.username === "admin" || user.isAdmin || user.specialUser;
-
-    // Function to get allowed document IDs for non-admin users
-    const getAllowedDocumentIds = async (userId, userRoles) => {
-      // Get all document accesses for the user
-      const userDocumentAccesses = await prisma.documentAccess.findMany({
-        where: {
-          OR: [
-            { userId: userId },
-            { roleId: { in: userRoles.map((r) => r.roleId) } },
-          ],
-        },
-      });
-
-      const allowedDocumentIds = new Set();
-
-      // Helper function to get parent IDs
-      const getParents = async (documentId) => {
-        const parents = [];
-        let currentDoc = await prisma.document.findUnique({
-          where: { id: documentId },
-          select: { id: true, parentId: true },
-        });
-
-        while (currentDoc && currentDoc.parentId) {
-          parents.push(currentDoc.parentId);
-          currentDoc = await prisma.document.findUnique({
-            where: { id: currentDoc.parentId },
-            select: { id: true, parentId: true },
-          });
-        }
-        return parents;
-      };
-
-      // Process each access
-      for (const access of userDocumentAccesses) {
-        if (access.accessLevel === "FULL") {
-          // For FULL access, add the document and all its children
-          allowedDocumentIds.add(access.documentId);
-
-          // Get all children of this document
-          const getAllChildren = async (parentId) => {
-            const children = await prisma.document.findMany({
-              where: { parentId: parentId },
-              select: { id: true },
-            });
-
-            for (const child of children) {
-              allowedDocumentIds.add(child.id);
-              await getAllChildren(child.id);
-            }
-          };
-
-          await getAllChildren(access.documentId);
-        } else if (
-          access.accessType.includes("READ") ||
-          access.accessType.includes("DOWNLOAD") ||
-          access.accessType.includes("EDIT")
-        ) {
-          // For STANDARD access with READ/DOWNLOAD/EDIT permission
-          allowedDocumentIds.add(access.documentId);
-
-          // Check if any parent has FULL access that grants access to this document
-          const parents = await getParents(access.documentId);
-          const hasFullAccessParent = userDocumentAccesses.some(
-            (parentAccess) =>
-              parentAccess.accessLevel === "FULL" &&
-              parents.includes(parentAccess.documentId)
-          );
-
-          if (hasFullAccessParent) {
-            allowedDocumentIds.add(access.documentId);
-          }
-        }
-      }
-
-      // Also add documents created by the user
-      const userDocuments = await prisma.document.findMany({
-        where: { createdById: userId },
-        select: { id: true },
-      });
-
-      userDocuments.forEach((doc) => allowedDocumentIds.add(doc.id));
-
-      return Array.from(allowedDocumentIds);
-    };
+    // Check if user can see every document
+    const isAdmin = hasPermission(userData, "document.accessAll");
 
     // Get allowed document IDs for non-admin users
     let allowedDocumentIds = null;
     if (!isAdmin) {
-      allowedDocumentIds = await getAllowedDocumentIds(user.id, user.roles);
+      allowedDocumentIds = await getAccessibleDocumentIds({
+        id: user.id,
+        roleIds: user.roles.map((r) => r.roleId),
+      });
     }
 
     const {
@@ -1208,11 +1101,7 @@ export const search_documents = async (req, res) => {
 };
 
 export const get_searches = async (req, res) => {
-  const accessToken = req.headers["authorization"]?.substring(7);
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized") {
-    return res.status(401).json({ message: "Unauthorized request" });
-  }
+  const userData = req.user;
 
   try {
     const { searchType } = req.query;
@@ -1246,11 +1135,7 @@ export const get_searches = async (req, res) => {
 };
 
 export const delete_search = async (req, res) => {
-  const accessToken = req.headers["authorization"]?.substring(7);
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized") {
-    return res.status(401).json({ message: "Unauthorized request" });
-  }
+  const userData = req.user;
 
   try {
     const { id } = req.params; // Assume /delete_search/:id route
@@ -4,16 +4,9 @@ import logger from "./logger.js";
 
 const prisma = new PrismaClient();
 
-const verifyUser = async (accessToken) => {
-  // Placeholder for user verification logic
-  // Replace with actual implementation
-  return { id: 1, username: "testUser" }; // Mock for example
-};
-
 export const export_file_logs = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
 
     logger.info({
       action: "EXPORT_LOGS_START",
@@ -25,14 +18,6 @@ export const export_file_logs = async (req, res) => {
       },
     });
 
-    if (userData === "Unauthorized") {
-      logger.warn({
-        action: "EXPORT_LOGS_UNAUTHORIZED",
-        details: { accessToken },
-      });
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
     const { fromDate, toDate } = req.query;
 
     if (!fromDate || !toDate) {
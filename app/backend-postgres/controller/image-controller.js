@@ -1,6 +1,5 @@
 import upload from "../config/multer-config.js"; // Import the multer configuration
 import path from "path";
-import { verifyUser } from "../utility/verifyUser.js";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 
@@ -14,15 +13,7 @@ const prisma = new PrismaClient();
 // uploadSignature.js
 export const upload_signature = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    if (!accessToken) {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
-
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     if (!req.file) {
       return res.status(400).json({ message: "No file uploaded." });
@@ -0,0 +1,188 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import { impersonationPolicy } from "../config/security-config.js";
+import { getUserPermissions } from "../services/permissionService.js";
+import {
+  startImpersonation,
+  endImpersonation,
+  listImpersonations,
+} from "../services/impersonationService.js";
+
+const prisma = new PrismaClient();
+
+/*
+{
+  "userId": 42,
+  "reason": "Ticket #1234: folder Loans/2025 missing from tree",
+  "minutes": 30,
+  "readOnly": true
+}
+readOnly: false is only honoured when IMPERSONATION_ALLOW_WRITE is on.
+*/
+export const start_impersonation = async (req, res) => {
+  try {
+    const userData = req.user;
+    const userId = parseInt(req.body.userId);
+    const reason = req.body.reason?.trim();
+    const minutes =
+      parseInt(req.body.minutes) || impersonationPolicy.defaultMinutes;
+    const readOnly = req.body.readOnly !== false;
+
+    if (userData.impersonation) {
+      return res
+        .status(400)
+        .json({ message: "Stop the current impersonation first" });
+    }
+    if (!userId || !reason) {
+      return res
+        .status(400)
+        .json({ message: "userId and reason are required" });
+    }
+    if (minutes < 1 || minutes > impersonationPolicy.maxMinutes) {
+      return res.status(400).json({
+        message: `minutes must be between 1 and ${impersonationPolicy.maxMinutes}`,
+      });
+    }
+    if (!readOnly && !impersonationPolicy.allowWrite) {
+      return res
+        .status(403)
+        .json({ message: "Impersonation is limited to read-only access" });
+    }
+    if (userId === userData.id) {
+      return res
+        .status(400)
+        .json({ message: "Admins cannot impersonate themselves" });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || user.status === "Inactive" || user.authSource === "SERVICE") {
+      return res.status(404).json({ message: "User not found" });
+    }
+    // Viewing as someone who can do more would be a way around the admin's
+    // own limits
+    const userPermissions = await getUserPermissions(userId);
+    if (
+      userPermissions.some(
+        (permission) => !userData.permissions.includes(permission)
+      )
+    ) {
+      return res.status(403).json({
+        message: "Cannot impersonate a user with permissions you do not hold",
+      });
+    }
+
+    const { impersonation, token } = await startImpersonation({
+      adminId: userData.id,
+      userId,
+      reason,
+      minutes,
+      readOnly,
+      ipAddress: req.ip || req.connection.remoteAddress,
+    });
+
+    logger.info({
+      action: "IMPERSONATION_START",
+      userId: userData.id,
+      details: {
+        impersonationId: impersonation.id,
+        impersonatedUserId: userId,
+        impersonatedUsername: user.username,
+        reason,
+        readOnly,
+        expiresAt: impersonation.expiresAt,
+      },
+    });
+
+    // Sent as the bearer token instead of the admin's own until stopped or
+    // expired; there is no refresh token for it
+    res.status(200).json({
+      message: `Impersonating ${user.username}`,
+      accessToken: token,
+      impersonation: {
+        id: impersonation.id,
+        userId,
+        username: user.username,
+        readOnly,
+        expiresAt: impersonation.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error starting impersonation", error);
+    return res.status(500).json({ message: "Error starting impersonation" });
+  }
+};
+
+/*
+{
+  "impersonationId": "0b6a3c55-6c5e-4d7e-9f39-3f1f4f8f2a10"
+}
+impersonationId is only needed when calling with the admin's own token.
+*/
+export const stop_impersonation = async (req, res) => {
+  try {
+    const userData = req.user;
+    const impersonationId =
+      userData.impersonation?.id || req.body.impersonationId;
+    const adminId = userData.impersonation?.impersonatorId || userData.id;
+
+    const impersonation =
+      impersonationId &&
+      (await prisma.impersonationSession.findUnique({
+        where: { id: impersonationId },
+      }));
+    if (!impersonation || impersonation.adminId !== adminId) {
+      return res.status(404).json({ message: "Impersonation not found" });
+    }
+
+    const ended = await endImpersonation(impersonation.id, "STOPPED");
+    if (!ended) {
+      return res.status(400).json({ message: "Impersonation already ended" });
+    }
+
+    logger.info({
+      action: "IMPERSONATION_STOP",
+      userId: adminId,
+      details: {
+        impersonationId: impersonation.id,
+        impersonatedUserId: impersonation.userId,
+      },
+    });
+
+    res.status(200).json({ message: "Impersonation stopped" });
+  } catch (error) {
+    console.error("Error stopping impersonation", error);
+    return res.status(500).json({ message: "Error stopping impersonation" });
+  }
+};
+
+// Finished sessions in which an admin viewed the system as the caller
+export const get_my_impersonations = async (req, res) => {
+  try {
+    const impersonations = await listImpersonations({
+      userId: req.user.id,
+      endedAt: { not: null },
+    });
+
+    res.status(200).json({ impersonations });
+  } catch (error) {
+    console.error("Error fetching impersonations", error);
+    return res.status(500).json({ message: "Error fetching impersonations" });
+  }
+};
+
+export const get_user_impersonations = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const [impersonations, impersonationsStarted] = await Promise.all([
+      listImpersonations({ userId }),
+      listImpersonations({ adminId: userId }),
+    ]);
+
+    res.status(200).json({ userId, impersonations, impersonationsStarted });
+  } catch (error) {
+    console.error("Error fetching user impersonations", error);
+    return res
+      .status(500)
+      .json({ message: "Error fetching user impersonations" });
+  }
+};
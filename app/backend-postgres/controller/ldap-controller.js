@@ -0,0 +1,95 @@
+import { PrismaClient } from "@prisma/client";
+import ldapConfig from "../config/ldap-config.js";
+import { syncLdapUsers } from "../services/ldapService.js";
+
+const prisma = new PrismaClient();
+
+export const sync_ldap_users = async (req, res) => {
+  try {
+    if (!ldapConfig.enabled) {
+      return res.status(400).json({ message: "LDAP is not enabled" });
+    }
+
+    const summary = await syncLdapUsers({ triggeredById: req.user.id });
+
+    res.status(200).json({ message: "LDAP sync completed", summary });
+  } catch (error) {
+    console.error("Error syncing LDAP users", error);
+    return res
+      .status(500)
+      .json({ message: "Error syncing LDAP users", error: error.message });
+  }
+};
+
+export const get_ldap_group_mappings = async (req, res) => {
+  try {
+    const mappings = await prisma.ldapGroupMapping.findMany({
+      include: {
+        role: { select: { id: true, role: true } },
+        department: { select: { id: true, name: true } },
+      },
+      orderBy: { groupDn: "asc" },
+    });
+
+    res.status(200).json({ mappings });
+  } catch (error) {
+    console.error("Error fetching LDAP group mappings", error);
+    return res
+      .status(500)
+      .json({ message: "Error fetching LDAP group mappings" });
+  }
+};
+
+/*
+{
+  "groupDn": "CN=DMS-Approvers,OU=Groups,DC=bank,DC=local",
+  "roleId": 3,
+  "departmentId": 2
+}
+*/
+export const add_ldap_group_mapping = async (req, res) => {
+  try {
+    const { groupDn, roleId, departmentId } = req.body;
+
+    if (!groupDn || (!roleId && !departmentId)) {
+      return res.status(400).json({
+        message:
+          "groupDn and at least one of roleId or departmentId are required",
+      });
+    }
+
+    const mapping = await prisma.ldapGroupMapping.create({
+      data: {
+        groupDn,
+        roleId: roleId ? parseInt(roleId) : null,
+        departmentId: departmentId ? parseInt(departmentId) : null,
+      },
+    });
+
+    res.status(200).json({ message: "Group mapping added", mapping });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(400).json({ message: "Group mapping already exists" });
+    }
+    console.error("Error adding LDAP group mapping", error);
+    return res.status(500).json({ message: "Error adding LDAP group mapping" });
+  }
+};
+
+export const delete_ldap_group_mapping = async (req, res) => {
+  try {
+    await prisma.ldapGroupMapping.delete({
+      where: { id: parseInt(req.params.id) },
+    });
+
+    res.status(200).json({ message: "Group mapping deleted" });
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "Group mapping not found" });
+    }
+    console.error("Error deleting LDAP group mapping", error);
+    return res
+      .status(500)
+      .json({ message: "Error deleting LDAP group mapping" });
+  }
+};
@@ -1,5 +1,4 @@
 import { PrismaClient } from "@prisma/client";
-import { verifyUser } from "../utility/verifyUser.js";
 const prisma = new PrismaClient();
 
 // Helper function to format timestamp
@@ -7,6 +6,10 @@ const formatDate = (date) => {
   return new Date(date).toLocaleString("en-US", { timeZone: "UTC" });
 };
 
+// Appended to descriptions of actions a delegate took for an out-of-office
+// assignee
+const onBehalfOfText = (name) => (name ? ` on behalf of ${name}` : "");
+
 // Helper function to get assignment details for a process step instance
 async function getAssignmentDetails(stepInstanceId, processId) {
   try {
@@ -156,18 +159,7 @@ export const make_path = (path_) => {
 
 export const get_user_activity_log = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     const { processId, stepInstanceId } = req.params;
 
@@ -359,7 +351,10 @@ export const get_user_activity_log = async (req, res) => {
             },
           },
           signatures: {
-            include: { user: { select: { id: true, username: true } } },
+            include: {
+              user: { select: { id: true, username: true } },
+              onBehalfOf: { select: { id: true, username: true } },
+            },
           },
           rejections: {
             include: { user: { select: { id: true, username: true } } },
@@ -401,6 +396,7 @@ export const get_user_activity_log = async (req, res) => {
           const signedBy =
             doc?.signatures.map((sig) => ({
               signedBy: sig.user.username,
+              onBehalfOf: sig.onBehalfOf?.username || null,
               signedAt: sig.signedAt ? sig.signedAt.toISOString() : null,
               remarks: sig.reason || null,
               byRecommender: sig.byRecommender,
@@ -667,6 +663,7 @@ export const get_user_activity_log = async (req, res) => {
         createdAt: true,
         decisionAt: true,
         status: true,
+        delegatedFromId: true,
         workflowStep: { select: { stepName: true, stepNumber: true } },
       },
     });
@@ -861,13 +858,16 @@ export const get_user_activity_log = async (req, res) => {
             sig.processStepInstanceId,
             sig.processDocument.processId
           );
+          const onBehalfOf = sig.onBehalfOfId
+            ? await getUserDetails(sig.onBehalfOfId)
+            : null;
           return {
             actionType: "DOCUMENT_SIGNED",
             description: `You signed the document "${
               documentDetails.name
             }" during step "${
               sig.processStepInstance?.workflowStep?.stepName || "N/A"
-            }"`,
+            }"${onBehalfOfText(onBehalfOf)}`,
             createdAt: sig.signedAt.toISOString(),
             details: {
               documentId: sig.processDocument.documentId,
@@ -876,6 +876,7 @@ export const get_user_activity_log = async (req, res) => {
               path: make_path(documentDetails.path),
               tags: documentDetails.tags,
               signedBy: await getUserDetails(sig.userId),
+              onBehalfOf,
               signedAt: sig.signedAt.toISOString(),
               remarks: sig.reason || null,
               byRecommender: sig.byRecommender,
@@ -902,13 +903,18 @@ export const get_user_activity_log = async (req, res) => {
             dr.processStepInstanceId,
             dr.processDocument.processId
           );
+          const onBehalfOf = dr.onBehalfOfId
+            ? await getUserDetails(dr.onBehalfOfId)
+            : null;
           return {
             actionType: "DOCUMENT_REJECTED",
             description: `You rejected the document "${
               documentDetails.name
             }" during step "${
               dr.processStepInstance?.workflowStep?.stepName || "N/A"
-            }" with reason: "${dr.reason || "No reason provided"}"`,
+            }"${onBehalfOfText(onBehalfOf)} with reason: "${
+              dr.reason || "No reason provided"
+            }"`,
             createdAt: dr.rejectedAt.toISOString(),
             details: {
               documentId: dr.processDocument.documentId,
@@ -917,6 +923,7 @@ export const get_user_activity_log = async (req, res) => {
               path: make_path(documentDetails.path),
               tags: documentDetails.tags,
               rejectedBy: await getUserDetails(dr.userId),
+              onBehalfOf,
               rejectionReason: dr.reason || null,
               rejectedAt: dr.rejectedAt.toISOString(),
               byRecommender: dr.byRecommender,
@@ -1147,17 +1154,21 @@ export const get_user_activity_log = async (req, res) => {
                 step.id,
                 processId
               );
+              const onBehalfOf = step.delegatedFromId
+                ? await getUserDetails(step.delegatedFromId)
+                : null;
               return {
                 actionType: "STEP_COMPLETED",
                 description: `You completed the step "${
                   step.workflowStep?.stepName || "Unknown"
-                }" with status "${step.status}"`,
+                }"${onBehalfOfText(onBehalfOf)} with status "${step.status}"`,
                 createdAt: step.decisionAt.toISOString(),
                 details: {
                   stepInstanceId: step.id,
                   stepName: step.workflowStep?.stepName || "Unknown",
                   stepNumber: step.workflowStep?.stepNumber || null,
                   completedBy: await getUserDetails(userData.id),
+                  onBehalfOf,
                   status: step.status,
                   decisionComment: step.decisionComment || null,
                   workflow: assignmentDetails.workflow || "N/A",
@@ -1218,18 +1229,7 @@ export const get_user_activity_log = async (req, res) => {
 
 export const get_user_activity_logs = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     // First, get all potential processes where user might have activities
     const [
@@ -1535,18 +1535,7 @@ export const get_user_activity_logs = async (req, res) => {
 
 export const get_process_activity_logs = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     const { processId, stepInstanceId } = req.params;
 
@@ -1731,7 +1720,10 @@ export const get_process_activity_logs = async (req, res) => {
             },
           },
           signatures: {
-            include: { user: { select: { id: true, username: true } } },
+            include: {
+              user: { select: { id: true, username: true } },
+              onBehalfOf: { select: { id: true, username: true } },
+            },
           },
           rejections: {
             include: { user: { select: { id: true, username: true } } },
@@ -1773,6 +1765,7 @@ export const get_process_activity_logs = async (req, res) => {
           const signedBy =
             doc?.signatures.map((sig) => ({
               signedBy: sig.user.username,
+              onBehalfOf: sig.onBehalfOf?.username || null,
               signedAt: sig.signedAt ? sig.signedAt.toISOString() : null,
               remarks: sig.reason || null,
               byRecommender: sig.byRecommender,
@@ -2040,9 +2033,11 @@ export const get_process_activity_logs = async (req, res) => {
         id: true,
         createdAt: true,
         decisionAt: true,
+        claimedAt: true,
         status: true,
         workflowStep: { select: { stepName: true, stepNumber: true } },
         assignedTo: true,
+        delegatedFromId: true,
       },
     });
 
@@ -2055,6 +2050,7 @@ export const get_process_activity_logs = async (req, res) => {
     // Add assigned users from step instances
     stepInstancesAll.forEach((step) => {
       if (step.assignedTo) allUserIds.add(step.assignedTo);
+      if (step.delegatedFromId) allUserIds.add(step.delegatedFromId);
     });
 
     const allUsers = await prisma.user.findMany({
@@ -2411,13 +2407,16 @@ export const get_process_activity_logs = async (req, res) => {
             sig.processDocument.processId
           );
           const signedByDetails = await getUserDetails(sig.userId);
+          const onBehalfOf = sig.onBehalfOfId
+            ? await getUserDetails(sig.onBehalfOfId)
+            : null;
           return {
             actionType: "DOCUMENT_SIGNED",
             description: `${signedByDetails} signed the document "${
               documentDetails.name
             }" during step "${
               sig.processStepInstance?.workflowStep?.stepName || "N/A"
-            }"`,
+            }"${onBehalfOfText(onBehalfOf)}`,
             createdAt: sig.signedAt.toISOString(),
             details: {
               documentId: sig.processDocument.documentId,
@@ -2426,6 +2425,7 @@ export const get_process_activity_logs = async (req, res) => {
               path: make_path(documentDetails.path),
               tags: documentDetails.tags,
               signedBy: signedByDetails,
+              onBehalfOf,
               signedAt: sig.signedAt.toISOString(),
               remarks: sig.reason || null,
               byRecommender: sig.byRecommender,
@@ -2453,13 +2453,18 @@ export const get_process_activity_logs = async (req, res) => {
             dr.processDocument.processId
           );
           const rejectedByDetails = await getUserDetails(dr.userId);
+          const onBehalfOf = dr.onBehalfOfId
+            ? await getUserDetails(dr.onBehalfOfId)
+            : null;
           return {
             actionType: "DOCUMENT_REJECTED",
             description: `${rejectedByDetails} rejected the document "${
               documentDetails.name
             }" during step "${
               dr.processStepInstance?.workflowStep?.stepName || "N/A"
-            }" with reason: "${dr.reason || "No reason provided"}"`,
+            }"${onBehalfOfText(onBehalfOf)} with reason: "${
+              dr.reason || "No reason provided"
+            }"`,
             createdAt: dr.rejectedAt.toISOString(),
             details: {
               documentId: dr.processDocument.documentId,
@@ -2468,6 +2473,7 @@ export const get_process_activity_logs = async (req, res) => {
               path: make_path(documentDetails.path),
               tags: documentDetails.tags,
               rejectedBy: rejectedByDetails,
+              onBehalfOf,
               rejectionReason: dr.reason || null,
               rejectedAt: dr.rejectedAt.toISOString(),
               byRecommender: dr.byRecommender,
@@ -2685,17 +2691,21 @@ export const get_process_activity_logs = async (req, res) => {
                 processId
               );
               const completedByDetails = await getUserDetails(step.assignedTo);
+              const onBehalfOf = step.delegatedFromId
+                ? await getUserDetails(step.delegatedFromId)
+                : null;
               return {
                 actionType: "STEP_COMPLETED",
                 description: `${completedByDetails} completed the step "${
                   step.workflowStep?.stepName || "Unknown"
-                }" with status "${step.status}"`,
+                }"${onBehalfOfText(onBehalfOf)} with status "${step.status}"`,
                 createdAt: step.decisionAt.toISOString(),
                 details: {
                   stepInstanceId: step.id,
                   stepName: step.workflowStep?.stepName || "Unknown",
                   stepNumber: step.workflowStep?.stepNumber || null,
                   completedBy: completedByDetails,
+                  onBehalfOf,
                   status: step.status,
                   decisionComment: step.decisionComment || null,
                   workflow: assignmentDetails.workflow || "N/A",
@@ -2708,7 +2718,37 @@ export const get_process_activity_logs = async (req, res) => {
             return null;
           })
         )
-      ).filter((action) => action !== null)
+      ).filter((action) => action !== null),
+      ...(await Promise.all(
+        stepInstancesAll
+          .filter((step) => step.delegatedFromId)
+          .map(async (step) => {
+            const assignmentDetails = await getAssignmentDetails(
+              step.id,
+              processId
+            );
+            const delegatedFrom = await getUserDetails(step.delegatedFromId);
+            const delegatedTo = await getUserDetails(step.assignedTo);
+            return {
+              actionType: "STEP_DELEGATED",
+              description: `The step "${
+                step.workflowStep?.stepName || "Unknown"
+              }" was delegated from ${delegatedFrom} to ${delegatedTo} (out of office)`,
+              createdAt: (step.claimedAt || step.createdAt).toISOString(),
+              details: {
+                stepInstanceId: step.id,
+                stepName: step.workflowStep?.stepName || "Unknown",
+                stepNumber: step.workflowStep?.stepNumber || null,
+                delegatedFrom,
+                delegatedTo,
+                workflow: assignmentDetails.workflow || "N/A",
+                assignmentType: assignmentDetails.assignmentType || "N/A",
+                role: assignmentDetails.role || "N/A",
+                department: assignmentDetails.department || "N/A",
+              },
+            };
+          })
+      ))
     );
 
     const sortedActivities = activities
@@ -1,5 +1,6 @@
 import winston from "winston";
 import { PrismaClient } from "@prisma/client";
+import { impersonationContext } from "../utility/impersonationContext.js";
 
 const prisma = new PrismaClient();
 
@@ -27,6 +28,8 @@ class PrismaTransport extends winston.Transport {
         const userId = logData.userId || info.userId || null;
         const action = logData.action || info.action || "UNKNOWN";
         const details = logData.details || info.details || {};
+        // Set by tagImpersonation when an admin was acting as the user
+        const impersonation = info.impersonation;
 
         // Use local time instead of UTC
         const localTimestamp = getLocalDate();
@@ -35,7 +38,13 @@ class PrismaTransport extends winston.Transport {
           data: {
             userId: userId,
             action: action,
-            details: details,
+            details: impersonation
+              ? {
+                  ...details,
+                  impersonatedBy: impersonation.impersonatorId,
+                  impersonationId: impersonation.id,
+                }
+              : details,
             timestamp: localTimestamp,
           },
         });
@@ -48,10 +57,18 @@ class PrismaTransport extends winston.Transport {
   }
 }
 
+// Read when logger.info is called; the transport only writes later
+const tagImpersonation = winston.format((info) => {
+  const impersonation = impersonationContext.getStore();
+  if (impersonation) info.impersonation = impersonation;
+  return info;
+});
+
 // Configure Winston logger - keeping the original format
 const logger = winston.createLogger({
   level: "info",
   format: winston.format.combine(
+    tagImpersonation(),
     winston.format.timestamp(),
     winston.format.json()
   ),
@@ -0,0 +1,117 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import { send_mail_for_sign_up } from "./email-handler.js";
+import {
+  parseOrgWorkbook,
+  validateOrgImport,
+  preparePasswords,
+  applyOrgImport,
+  buildOrgWorkbook,
+} from "../services/orgImportService.js";
+
+const prisma = new PrismaClient();
+
+export const export_org_structure = async (req, res) => {
+  try {
+    const workbook = await buildOrgWorkbook();
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=org-structure-${
+        new Date().toISOString().split("T")[0]
+      }.xlsx`
+    );
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error("Error exporting org structure:", error);
+    return res.status(500).json({ message: "Error exporting org structure" });
+  }
+};
+
+/*
+multipart/form-data
+{
+  "file": <org-structure.xlsx with Departments, Roles and Users sheets>,
+  "sheet": "Users", // only for .csv files, which hold a single sheet
+  "dryRun": "true"
+}
+Nothing is written unless every row is valid.
+*/
+export const import_org_structure = async (req, res) => {
+  try {
+    const userData = req.user;
+    const dryRun = ["true", "1"].includes(String(req.body.dryRun));
+
+    if (!req.file) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+
+    let sheets;
+    try {
+      sheets = parseOrgWorkbook(req.file.buffer, req.body.sheet);
+    } catch (error) {
+      return res.status(400).json({ message: "Could not read the file" });
+    }
+    if (Object.values(sheets).every((rows) => rows.length === 0)) {
+      return res.status(400).json({
+        message:
+          "No Departments, Roles or Users rows found; CSV files need a sheet name",
+      });
+    }
+
+    const { errors, summary, plan } = await validateOrgImport(sheets, userData);
+    const report = { dryRun, valid: errors.length === 0, summary, errors };
+
+    if (dryRun) {
+      return res.status(200).json(report);
+    }
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ message: "Import has errors, nothing was saved", ...report });
+    }
+
+    await preparePasswords(plan);
+    const { createdUsers } = await prisma.$transaction(
+      (tx) => applyOrgImport(tx, plan, userData.id),
+      { timeout: 60000 }
+    );
+
+    // Same as sign_up: generated passwords are only ever sent by email
+    const emailFailures = [];
+    for (const user of createdUsers) {
+      const emailSent = await send_mail_for_sign_up(
+        user.username,
+        user.email,
+        user.password
+      );
+      if (!emailSent) emailFailures.push(user.username);
+    }
+
+    logger.info({
+      action: "ORG_IMPORT",
+      userId: userData.id,
+      details: {
+        fileName: req.file.originalname,
+        summary,
+        createdUsers: createdUsers.map((user) => user.username),
+        emailFailures,
+      },
+    });
+
+    return res.status(200).json({
+      message: "Import completed",
+      ...report,
+      emailFailures,
+    });
+  } catch (error) {
+    console.error("Error importing org structure:", error);
+    return res.status(500).json({ message: "Error importing org structure" });
+  }
+};
@@ -0,0 +1,91 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import {
+  isKnownPermission,
+  setRolePermissions,
+  isLastPermissionManager,
+  getPermissionMatrix,
+} from "../services/permissionService.js";
+
+const prisma = new PrismaClient();
+
+export const get_permission_matrix = async (req, res) => {
+  try {
+    const matrix = await getPermissionMatrix();
+    res.status(200).json(matrix);
+  } catch (error) {
+    console.error("Error fetching permission matrix:", error);
+    return res
+      .status(500)
+      .json({ message: "Error fetching permission matrix" });
+  }
+};
+
+/*
+{
+  "permissions": ["user.manage", "role.manage", "logs.export"]
+}
+Replaces the role's permissions with exactly this list.
+*/
+export const set_role_permissions = async (req, res) => {
+  try {
+    const userData = req.user;
+    const roleId = parseInt(req.params.roleId);
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res
+        .status(400)
+        .json({ message: "permissions must be an array of permission keys" });
+    }
+    const unknown = permissions.filter(
+      (permission) => !isKnownPermission(permission)
+    );
+    if (unknown.length > 0) {
+      return res
+        .status(400)
+        .json({ message: `Unknown permissions: ${unknown.join(", ")}` });
+    }
+
+    const role = await prisma.role.findUnique({
+      where: { id: roleId },
+      include: { permissions: { select: { permission: true } } },
+    });
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    // Nobody may be left able to hand out permissions
+    const removesPermissionManage =
+      !permissions.includes("permission.manage") &&
+      role.permissions.some(
+        ({ permission }) => permission === "permission.manage"
+      );
+    if (removesPermissionManage && (await isLastPermissionManager(roleId))) {
+      return res.status(400).json({
+        message:
+          "Another active role must hold permission.manage before it is removed here",
+      });
+    }
+
+    const { added, removed } = await prisma.$transaction((tx) =>
+      setRolePermissions(tx, roleId, [...new Set(permissions)], userData.id)
+    );
+
+    logger.info({
+      action: "ROLE_PERMISSIONS_UPDATE",
+      userId: userData.id,
+      details: { roleId, role: role.role, added, removed },
+    });
+
+    res.status(200).json({
+      message: "Role permissions updated",
+      roleId,
+      added,
+      removed,
+    });
+  } catch (error) {
+    console.error("Error updating role permissions:", error);
+    return res.status(500).json({ message: "Error updating role permissions" });
+  }
+};
@@ -1,4 +1,3 @@
-import { verifyUser } from "../utility/verifyUser.js";
 
 import pkg from "@prisma/client";
 import { file_copy, delete_file } from "./file-controller.js";
@@ -9,13 +8,17 @@ import { file_delete } from "./file-controller.js";
 import { watermarkDocument } from "./watermark.js";
 import dotenv from "dotenv";
 import { sendProcessNotification } from "../services/emailService.js";
+import { resolveAssignee } from "../services/delegationService.js";
+import { activeGrantWhere } from "../services/documentAccessService.js";
+import {
+  findCheckedOutDocument,
+  checkedOutMessage,
+} from "../services/checkoutService.js";
 
 dotenv.config();
 
 import path from "path";
 
-const STORAGE_PATH = process.env.STORAGE_PATH;
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const {
@@ -136,6 +139,7 @@ async function checkDocumentAccess(userId, documentId, requiredAccess) {
         { roleId: { in: userRoles.map((r) => r.roleId) } },
         { departmentId: { in: userDepartments.map((d) => d.id) } },
       ],
+      ...activeGrantWhere(),
     },
   });
 }
@@ -322,12 +326,7 @@ const generate_unique_process_name = async (workflowId) => {
 
 export const initiate_process = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { description, workflowId, issueNo } = req.body;
 
@@ -361,7 +360,7 @@ export const initiate_process = async (req, res, next) => {
           const copyResult = await new Promise((resolve, reject) => {
             file_copy(
               {
-                headers: { authorization: `Bearer ${accessToken}` },
+                user: req.user,
                 body: { sourcePath, destinationPath, name },
               },
               {
@@ -382,7 +381,7 @@ export const initiate_process = async (req, res, next) => {
           await new Promise((resolve, reject) => {
             delete_file(
               {
-                headers: { authorization: `Bearer ${accessToken}` },
+                user: req.user,
                 body: { documentId },
               },
               {
@@ -695,6 +694,13 @@ async function processAssignment(
   return progress;
 }
 
+// The initiator's own first step is recorded as is; everything after it
+// follows out-of-office delegations
+const assigneeFor = async (tx, userId, fromInitiator) =>
+  fromInitiator
+    ? { assignedTo: userId, delegatedFromId: null }
+    : await resolveAssignee(tx, userId);
+
 async function handleDepartmentAssignment(
   tx,
   assignment,
@@ -771,27 +777,38 @@ async function handleDepartmentAssignment(
       usersByRole.get(user.roleId).push(user);
     });
 
+    // A delegate covering several absent users gets one step instance
+    const assignedUserIds = new Set();
+
     for (const roleId of currentRoles) {
       const roleUsers = usersByRole.get(roleId) || [];
       if (roleUsers.length === 0) continue;
 
       for (const user of roleUsers) {
+        // Out-of-office users hand new work to their delegate
+        const { assignedTo, delegatedFromId } = await assigneeFor(
+          tx,
+          user.userId,
+          fromInitiator
+        );
         const hasAccess = await checkUserProcessAssignment(
           progress.processId,
-          user.userId
+          assignedTo
         );
 
         let stepInstance;
-        if (hasAccess) {
+        if (hasAccess || assignedUserIds.has(assignedTo)) {
           continue;
         } else {
+          assignedUserIds.add(assignedTo);
           stepInstance = fromInitiator
             ? await tx.processStepInstance.create({
                 data: {
                   processId: progress.processId,
                   assignmentId: assignment.id,
                   progressId: progress.id,
-                  assignedTo: user.userId,
+                  assignedTo,
+                  delegatedFromId,
                   roleId: roleId,
                   departmentId: departmentId,
                   status: "APPROVED",
@@ -803,7 +820,8 @@ async function handleDepartmentAssignment(
                   processId: progress.processId,
                   assignmentId: assignment.id,
                   progressId: progress.id,
-                  assignedTo: user.userId,
+                  assignedTo,
+                  delegatedFromId,
                   roleId: roleId,
                   departmentId: departmentId,
                   status: "IN_PROGRESS",
@@ -814,7 +832,7 @@ async function handleDepartmentAssignment(
           for (const docId of documentIds) {
             await ensureDocumentAccessWithParents(tx, {
               documentId: docId,
-              userId: user.userId,
+              userId: assignedTo,
               stepInstanceId: stepInstance.id,
               processId: progress.processId,
               assignmentId: assignment.id,
@@ -867,16 +885,26 @@ async function handleUserAssignment(
   fromInitiator,
   workflowId
 ) {
-  for (const userId of assignment.assigneeIds) {
+  // A delegate covering several absent users gets one step instance
+  const assignedUserIds = new Set();
+
+  for (const assigneeId of assignment.assigneeIds) {
+    // Out-of-office users hand new work to their delegate
+    const { assignedTo: userId, delegatedFromId } = await assigneeFor(
+      tx,
+      assigneeId,
+      fromInitiator
+    );
     const hasAccess = await checkUserProcessAssignment(
       progress.processId,
       userId
     );
     let stepInstance;
 
-    if (hasAccess) {
+    if (hasAccess || assignedUserIds.has(userId)) {
       continue;
     } else {
+      assignedUserIds.add(userId);
       stepInstance = fromInitiator
         ? await tx.processStepInstance.create({
             data: {
@@ -884,6 +912,7 @@ async function handleUserAssignment(
               assignmentId: assignment.id,
               progressId: progress.id,
               assignedTo: userId,
+              delegatedFromId,
               status: "APPROVED",
               stepId: step.id,
             },
@@ -894,6 +923,7 @@ async function handleUserAssignment(
               assignmentId: assignment.id,
               progressId: progress.id,
               assignedTo: userId,
+              delegatedFromId,
               status: "IN_PROGRESS",
               stepId: step.id,
             },
@@ -965,22 +995,33 @@ async function handleRoleAssignment(
     },
   });
 
+  // A delegate covering several absent users gets one step instance
+  const assignedUserIds = new Set();
+
   for (const user of users) {
+    // Out-of-office users hand new work to their delegate
+    const { assignedTo, delegatedFromId } = await assigneeFor(
+      tx,
+      user.userId,
+      fromInitiator
+    );
     const hasAccess = await checkUserProcessAssignment(
       progress.processId,
-      user.userId
+      assignedTo
     );
 
-    if (hasAccess) {
+    if (hasAccess || assignedUserIds.has(assignedTo)) {
       continue;
     } else {
+      assignedUserIds.add(assignedTo);
       const stepInstance = fromInitiator
         ? await tx.processStepInstance.create({
             data: {
               processId: progress.processId,
               assignmentId: assignment.id,
               progressId: progress.id,
-              assignedTo: user.userId,
+              assignedTo,
+              delegatedFromId,
               roleId: user.roleId,
               departmentId: user.role.departmentId,
               status: "APPROVED",
@@ -992,7 +1033,8 @@ async function handleRoleAssignment(
               processId: progress.processId,
               assignmentId: assignment.id,
               progressId: progress.id,
-              assignedTo: user.userId,
+              assignedTo,
+              delegatedFromId,
               roleId: user.roleId,
               departmentId: user.role.departmentId,
               status: "IN_PROGRESS",
@@ -1003,7 +1045,7 @@ async function handleRoleAssignment(
       for (const docId of documentIds) {
         await ensureDocumentAccessWithParents(tx, {
           documentId: docId,
-          userId: user.userId,
+          userId: assignedTo,
           stepInstanceId: stepInstance.id,
           processId: progress.processId,
           assignmentId: assignment.id,
@@ -1056,19 +1098,7 @@ export const serializeBigInt = (obj) => {
 export const view_process_ = async (req, res) => {
   try {
     const { processId } = req.params;
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     const retry = async (fn, retries = 3, delay = 1000) => {
       for (let i = 0; i < retries; i++) {
@@ -2090,19 +2120,7 @@ export const view_process_ = async (req, res) => {
 export const view_process = async (req, res) => {
   try {
     const { processId } = req.params;
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     const retry = async (fn, retries = 3, delay = 1000) => {
       for (let i = 0; i < retries; i++) {
@@ -2157,7 +2175,10 @@ export const view_process = async (req, res) => {
             select: { id: true, name: true, type: true, path: true },
           },
           signatures: {
-            include: { user: { select: { id: true, username: true } } },
+            include: {
+              user: { select: { id: true, username: true } },
+              onBehalfOf: { select: { id: true, username: true } },
+            },
           },
           rejections: {
             include: { user: { select: { id: true, username: true } } },
@@ -2771,6 +2792,7 @@ export const view_process = async (req, res) => {
         const signedBy =
           processDoc?.signatures.map((sig) => ({
             signedBy: sig.user.username,
+            onBehalfOf: sig.onBehalfOf?.username || null,
             signedAt: sig.signedAt ? sig.signedAt.toISOString() : null,
             remarks: sig.reason || null,
             byRecommender: sig.byRecommender,
@@ -3693,12 +3715,7 @@ export async function buildRoleHierarchyForAssignment(
 
 export const get_user_processes = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const userId = userData.id;
 
@@ -3816,11 +3833,7 @@ async function checkAllAssignmentsCompleted(tx, processId, stepId) {
 export const complete_process_step = async (req, res) => {
   try {
     const { stepInstanceId } = req.body;
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const result = await prisma.$transaction(async (tx) => {
       const stepInstance = await tx.processStepInstance.findUnique({
@@ -4154,7 +4167,7 @@ async function getUserRecommendations(tx, userId) {
   });
 }
 
-async function copyAndDeleteSingleDocument(processId, documentId, accessToken) {
+async function copyAndDeleteSingleDocument(processId, documentId, user) {
   try {
     // Fetch the ProcessInstance with related workflow data
     const processInstance = await prisma.processInstance.findUnique({
@@ -4191,7 +4204,7 @@ async function copyAndDeleteSingleDocument(processId, documentId, accessToken) {
     const copyResult = await new Promise((resolve, reject) => {
       file_copy(
         {
-          headers: { authorization: `Bearer ${accessToken}` },
+          user,
           body: { sourcePath, destinationPath, name },
         },
         {
@@ -4209,7 +4222,7 @@ async function copyAndDeleteSingleDocument(processId, documentId, accessToken) {
     await new Promise((resolve, reject) => {
       delete_file(
         {
-          headers: { authorization: `Bearer ${accessToken}` },
+          user,
           body: { documentId },
         },
         {
@@ -4240,11 +4253,7 @@ async function copyAndDeleteSingleDocument(processId, documentId, accessToken) {
 
 export const createQuery = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const {
       processId,
@@ -4264,6 +4273,18 @@ export const createQuery = async (req, res) => {
       });
     }
 
+    // A checked-out document is being edited offline and cannot be replaced
+    const checkedOut = await findCheckedOutDocument({
+      id: {
+        in: documentChanges
+          .filter((change) => change.isReplacement && change.replacesDocumentId)
+          .map((change) => parseInt(change.replacesDocumentId)),
+      },
+    });
+    if (checkedOut) {
+      return res.status(409).json(checkedOutMessage(checkedOut));
+    }
+
     const result = await prisma.$transaction(async (tx) => {
       const stepInstance = await tx.processStepInstance.findUnique({
         where: {
@@ -4360,12 +4381,6 @@ export const createQuery = async (req, res) => {
             );
           }
 
-          const oldDocPath = path.join(
-            __dirname,
-            STORAGE_PATH,
-            replacedDocument.path
-          );
-
           const record = await tx.processDocument.findUnique({
             where: {
               documentId_processId: {
@@ -4707,11 +4722,7 @@ export const createQuery = async (req, res) => {
 
 export const createRecommendation = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const {
       processId,
@@ -4864,11 +4875,7 @@ export const createRecommendation = async (req, res) => {
 
 export const signAsRecommender = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { recommendationId, documentId, reason } = req.body;
 
@@ -4974,11 +4981,7 @@ export const signAsRecommender = async (req, res) => {
 
 export const submitRecommendationResponse = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { recommendationId, responseText, documentResponses = [] } = req.body;
 
@@ -5113,18 +5116,7 @@ export const submitRecommendationResponse = async (req, res) => {
 
 export const get_recommendations = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     const recommendations = await prisma.recommendation.findMany({
       where: {
@@ -5170,18 +5162,7 @@ export const get_recommendations = async (req, res) => {
 
 export const get_recommendation = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     const { recommendationId } = req.params;
 
@@ -5279,11 +5260,7 @@ export const get_recommendation = async (req, res) => {
 
 export const reopen_process = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { processId, supersededDocuments } = req.body;
 
@@ -5300,6 +5277,17 @@ export const reopen_process = async (req, res) => {
       });
     }
 
+    const checkedOut = await findCheckedOutDocument({
+      id: {
+        in: supersededDocuments
+          .filter((entry) => !entry.isNewDocument && entry.oldDocumentId)
+          .map((entry) => parseInt(entry.oldDocumentId)),
+      },
+    });
+    if (checkedOut) {
+      return res.status(409).json(checkedOutMessage(checkedOut));
+    }
+
     const result = await prisma.$transaction(async (tx) => {
       const process = await tx.processInstance.findUnique({
         where: { id: processId, initiatorId: userData.id },
@@ -5575,19 +5563,7 @@ export const reopen_process = async (req, res) => {
 
 export const get_completed_initiator_processes = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized" || !userData?.id) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: "Unauthorized request",
-          details: "Invalid or missing authorization token.",
-          code: "UNAUTHORIZED",
-        },
-      });
-    }
+    const userData = req.user;
 
     const processes = await prisma.processInstance.findMany({
       where: {
@@ -6226,12 +6202,7 @@ export const get_process_documents = async (req, res) => {
 
 export const upload_documents_in_process = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { processId, documents, issueNo } = req.body;
 
@@ -6272,6 +6243,14 @@ export const upload_documents_in_process = async (req, res) => {
     let documentIds = documents.map((item) => item.documentId) || [];
     const copiedDocumentIds = [];
 
+    // Documents are moved into the process folder, which a check-out forbids
+    const checkedOut = await findCheckedOutDocument({
+      id: { in: documentIds.map((id) => parseInt(id)) },
+    });
+    if (checkedOut) {
+      return res.status(409).json(checkedOutMessage(checkedOut));
+    }
+
     // Copy documents to process folder (similar to initiate_process)
     for (const documentId of documentIds) {
       const document = await prisma.document.findUnique({
@@ -6288,7 +6267,7 @@ export const upload_documents_in_process = async (req, res) => {
           const copyResult = await new Promise((resolve, reject) => {
             file_copy(
               {
-                headers: { authorization: `Bearer ${accessToken}` },
+                user: req.user,
                 body: { sourcePath, destinationPath, name },
               },
               {
@@ -6310,7 +6289,7 @@ export const upload_documents_in_process = async (req, res) => {
           await new Promise((resolve, reject) => {
             delete_file(
               {
-                headers: { authorization: `Bearer ${accessToken}` },
+                user: req.user,
                 body: { documentId },
               },
               {
@@ -6439,12 +6418,7 @@ export const upload_documents_in_process = async (req, res) => {
 
 export const delete_document_in_process = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { processId, documentId } = req.body;
 
@@ -6545,7 +6519,7 @@ export const delete_document_in_process = async (req, res) => {
         await new Promise((resolve, reject) => {
           file_delete(
             {
-              headers: { authorization: `Bearer ${accessToken}` },
+              user: req.user,
               body: { documentId: parseInt(documentId) },
             },
             {
@@ -1,12 +1,11 @@
-import { verifyUser } from "../utility/verifyUser.js";
 import { PrismaClient } from "@prisma/client";
+import { resolveAssignee } from "../services/delegationService.js";
 
 const prisma = new PrismaClient();
 
 export const pick_process_step = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
+    const userData = req.user;
     const { stepInstanceId } = req.body;
 
     if (!stepInstanceId) {
@@ -48,6 +47,23 @@ export const pick_process_step = async (req, res, next) => {
         throw new Error("Assignee type not found for this step");
       }
 
+      // The delegate of an out-of-office assignee claims the step for them:
+      // it moves over to the delegate, remembering who it was meant for
+      let delegatedFromId = null;
+      if (stepInstance.assignedTo !== userData.id) {
+        const { assignedTo } = await resolveAssignee(
+          tx,
+          stepInstance.assignedTo
+        );
+        if (assignedTo === userData.id) {
+          delegatedFromId = stepInstance.assignedTo;
+          await tx.documentAccess.updateMany({
+            where: { stepInstanceId, userId: delegatedFromId },
+            data: { userId: userData.id },
+          });
+        }
+      }
+
       // Update the step instance with the current user's ID
       const updatedStepInstance = await tx.processStepInstance.update({
         where: { id: stepInstanceId },
@@ -55,16 +71,29 @@ export const pick_process_step = async (req, res, next) => {
           pickedById: userData.id,
           claimedAt: new Date(),
           status: "IN_PROGRESS",
+          ...(delegatedFromId && {
+            assignedTo: userData.id,
+            delegatedFromId,
+          }),
         },
       });
 
-      // If assigneeType is USER, just return success
-      if (assigneeType === "USER") {
-        return { message: "Process picked successfully", assigneeType };
+      // If assigneeType is USER, just return success. A USER step that was
+      // pooled to a role (deactivated assignee) is claimed like a ROLE step.
+      if (assigneeType === "USER" && !stepInstance.roleId) {
+        return {
+          message: "Process picked successfully",
+          assigneeType,
+          delegatedFromId,
+        };
       }
 
       // If assigneeType is ROLE or DEPARTMENT, handle the logic
-      if (assigneeType === "ROLE" || assigneeType === "DEPARTMENT") {
+      if (
+        assigneeType === "ROLE" ||
+        assigneeType === "DEPARTMENT" ||
+        assigneeType === "USER"
+      ) {
         // Get the roleId from the step instance
         if (!stepInstance.roleId) {
           throw new Error("Role ID not found for this step instance");
@@ -105,6 +134,7 @@ export const pick_process_step = async (req, res, next) => {
             message:
               "Process picked successfully and other users' step instances removed",
             assigneeType,
+            delegatedFromId,
             deletedCount: deleteResult.count,
           };
         }
@@ -112,6 +142,7 @@ export const pick_process_step = async (req, res, next) => {
         return {
           message: "Process picked successfully",
           assigneeType,
+          delegatedFromId,
           deletedCount: 0,
         };
       }
@@ -1,15 +1,14 @@
-import { verifyUser } from "../utility/verifyUser.js";
 import { fileURLToPath } from "url";
 import path from "path";
 import fs from "fs/promises";
 import { dirname, join } from "path";
-import {
-  getChildrenForDoc,
-  getChildrenForFullAccess,
-} from "../utility/accessFunction.js";
+import { getChildrenForDoc } from "../utility/accessFunction.js";
 import { read } from "fs";
 
 import { PrismaClient } from "@prisma/client";
+import { hasPermission } from "../services/permissionService.js";
+import { createAccessResolver } from "../services/documentAccessService.js";
+import { documentStorage } from "../services/storageService.js";
 
 const prisma = new PrismaClient();
 
@@ -18,12 +17,7 @@ const __dirname = dirname(__filename);
 
 export const getRootDocumentsWithAccess = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const userId = userData.id;
 
@@ -43,6 +37,8 @@ export const getRootDocumentsWithAccess = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
+    const accessAll = hasPermission(userData, "document.accessAll");
+
     // Get all role IDs for the user
     const roleIds = user.roles.map((userRole) => userRole.roleId);
 
@@ -55,75 +51,28 @@ export const getRootDocumentsWithAccess = async (req, res) => {
       return res.status(200).json({ children: [] });
     }
 
-    // Get document access for user and their roles
-    const documentAccesses = await prisma.documentAccess.findMany({
-      where: {
-        OR: [{ userId: userId }, { roleId: { in: roleIds } }],
-        documentId: { in: rootDocuments.map((doc) => doc.id) },
-      },
-      select: {
-        documentId: true,
-        accessType: true,
-        accessLevel: true,
-      },
-    });
-
-    // Organize access by document
-    const documentAccessMap = new Map();
-    documentAccesses.forEach((access) => {
-      if (!documentAccessMap.has(access.documentId)) {
-        documentAccessMap.set(access.documentId, {
-          readable: false,
-          writable: false,
-          uploadable: false,
-          downloadable: false,
-          isFullAccess: access.accessLevel === "FULL",
-        });
-      }
-
-      const docAccess = documentAccessMap.get(access.documentId);
-
-      // For FULL access level, grant all permissions
-      if (access.accessLevel === "FULL") {
-        docAccess.readable = true;
-        docAccess.writable = true;
-        docAccess.uploadable = true;
-        docAccess.downloadable = true;
-        docAccess.isFullAccess = true;
-      } else {
-        // For STANDARD access, only grant the specified permissions
-        access.accessType.forEach((type) => {
-          if (type === "READ") docAccess.readable = true;
-          if (type === "EDIT") {
-            docAccess.writable = true;
-            docAccess.uploadable = true;
-          }
-          if (type === "DOWNLOAD") docAccess.downloadable = true;
-        });
-      }
-    });
+    // Rights on each project, DENY entries included
+    const resolver = await createAccessResolver({ id: userId, roleIds });
+    const documentRights = new Map();
+    await resolver.load(rootDocuments.map((doc) => doc.id));
+    for (const doc of rootDocuments) {
+      documentRights.set(doc.id, await resolver.rights(doc.id));
+    }
 
     // Filter documents based on user permissions
     const accessibleRootDocuments = rootDocuments.filter((doc) => {
       // Admin has full access
-      if (user.username === "admin") return true;
+      if (accessAll) return true;
 
-      const access = documentAccessMap.get(doc.id);
-      return access && (access.readable || access.writable);
+      return documentRights.get(doc.id).READ;
     });
 
     // Map documents to include metadata
     const mappedDocuments = await Promise.all(
       accessibleRootDocuments.map(async (doc) => {
-        const fileAbsolutePath = path.join(
-          __dirname,
-          process.env.STORAGE_PATH,
-          doc.path.substring(1)
-        );
-
         try {
-          const fileStats = await fs.stat(fileAbsolutePath);
-          const access = documentAccessMap.get(doc.id) || {};
+          const fileStats = await documentStorage.stat(doc.path);
+          const rights = documentRights.get(doc.id);
 
           console.log("dpc path", doc.path);
           return {
@@ -136,8 +85,8 @@ export const getRootDocumentsWithAccess = async (req, res) => {
             lastUpdated: fileStats.mtime,
             lastAccessed: fileStats.atime,
             size: fileStats.size,
-            isUploadable: user.username === "admin" || access.uploadable,
-            isDownloadable: user.username === "admin" || access.downloadable,
+            isUploadable: accessAll || rights.EDIT,
+            isDownloadable: accessAll || rights.DOWNLOAD,
             children: [],
           };
         } catch (err) {
@@ -159,13 +108,7 @@ export const getRootDocumentsWithAccess = async (req, res) => {
 
 export const getRootDocumentsForEdit = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     const roleId = Number(req.body.role);
     const __filename = fileURLToPath(import.meta.url);
@@ -181,6 +124,7 @@ export const getRootDocumentsForEdit = async (req, res) => {
     const roleAccesses = await prisma.documentAccess.findMany({
       where: {
         roleId: roleId,
+        effect: "ALLOW",
         OR: [
           { docAccessThrough: "ADMINISTRATION" },
           { docAccessThrough: "SELF" },
@@ -250,13 +194,8 @@ export const getRootDocumentsForEdit = async (req, res) => {
     // Process documents and include file stats
     const childrenData = await Promise.all(
       rootDocuments.map(async (doc) => {
-        const fileAbsolutePath = path.join(
-          __dirname,
-          process.env.STORAGE_PATH,
-          doc.path
-        );
         try {
-          const fileStats = await fs.stat(fileAbsolutePath);
+          const fileStats = await documentStorage.stat(doc.path);
 
           // Check if this document has full access
           const hasFullAccess = roleAccesses.some(
@@ -296,7 +235,7 @@ export const getRootDocumentsForEdit = async (req, res) => {
             })),
           };
         } catch (error) {
-          console.error(`Error accessing file at ${fileAbsolutePath}:`, error);
+          console.error(`Error accessing file at ${doc.path}:`, error);
           return null;
         }
       })
@@ -0,0 +1,346 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import {
+  startRecertification,
+  decideRecertificationItem,
+  closeRecertification,
+  buildRecertificationReport,
+} from "../services/recertificationService.js";
+
+const prisma = new PrismaClient();
+
+const DECISIONS = ["KEEP", "REVOKE"];
+
+/*
+{
+  "name": "Q3 2025 review: Finance/Audit",
+  "folderId": 42, // or "departmentId": 3
+  "dueDate": "2025-09-30T23:59:59.000Z",
+  "reviewerId": 15 // optional, otherwise each document's owner or department head
+}
+*/
+export const create_recertification = async (req, res) => {
+  try {
+    const userData = req.user;
+    const name = req.body.name?.trim();
+    const folderId = req.body.folderId ? parseInt(req.body.folderId) : null;
+    const departmentId = req.body.departmentId
+      ? parseInt(req.body.departmentId)
+      : null;
+    const reviewerId = req.body.reviewerId
+      ? parseInt(req.body.reviewerId)
+      : null;
+    const dueDate = new Date(req.body.dueDate);
+
+    if (!name || !req.body.dueDate) {
+      return res.status(400).json({ message: "name and dueDate are required" });
+    }
+    if (!folderId === !departmentId) {
+      return res
+        .status(400)
+        .json({ message: "Give either folderId or departmentId" });
+    }
+    if (isNaN(dueDate) || dueDate <= new Date()) {
+      return res.status(400).json({ message: "dueDate must be in the future" });
+    }
+
+    if (folderId) {
+      const folder = await prisma.document.findUnique({
+        where: { id: folderId },
+      });
+      if (!folder || folder.type !== "folder") {
+        return res.status(404).json({ message: "Folder not found" });
+      }
+    } else {
+      const department = await prisma.department.findUnique({
+        where: { id: departmentId },
+      });
+      if (!department) {
+        return res.status(404).json({ message: "Department not found" });
+      }
+    }
+    if (reviewerId) {
+      const reviewer = await prisma.user.findUnique({
+        where: { id: reviewerId },
+      });
+      if (
+        !reviewer ||
+        reviewer.status === "Inactive" ||
+        reviewer.authSource === "SERVICE"
+      ) {
+        return res.status(404).json({ message: "Reviewer not found" });
+      }
+    }
+
+    const campaign = await prisma.$transaction(
+      (tx) =>
+        startRecertification(tx, {
+          name,
+          folderId,
+          departmentId,
+          dueDate,
+          reviewerId,
+          createdById: userData.id,
+        }),
+      { timeout: 60000 }
+    );
+    if (!campaign) {
+      return res
+        .status(400)
+        .json({ message: "There are no access grants to review" });
+    }
+
+    logger.info({
+      action: "ACCESS_RECERTIFICATION_START",
+      userId: userData.id,
+      details: {
+        campaignId: campaign.id,
+        name,
+        folderId,
+        departmentId,
+        dueDate,
+        grantCount: campaign.grantCount,
+      },
+    });
+
+    res.status(201).json({ campaign });
+  } catch (error) {
+    console.error("Error starting recertification:", error);
+    return res.status(500).json({ message: "Error starting recertification" });
+  }
+};
+
+export const get_recertifications = async (req, res) => {
+  try {
+    const campaigns = await prisma.accessRecertification.findMany({
+      include: {
+        folder: { select: { id: true, path: true } },
+        department: { select: { id: true, name: true } },
+        createdBy: { select: { id: true, username: true } },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+    const counts = await prisma.accessRecertificationItem.groupBy({
+      by: ["campaignId", "decision"],
+      _count: { _all: true },
+    });
+
+    res.status(200).json({
+      campaigns: campaigns.map((campaign) => ({
+        ...campaign,
+        decisions: Object.fromEntries(
+          counts
+            .filter((count) => count.campaignId === campaign.id)
+            .map((count) => [count.decision, count._count._all])
+        ),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching recertifications:", error);
+    return res.status(500).json({ message: "Error fetching recertifications" });
+  }
+};
+
+export const get_recertification = async (req, res) => {
+  try {
+    const campaign = await prisma.accessRecertification.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        folder: { select: { id: true, path: true } },
+        department: { select: { id: true, name: true } },
+        createdBy: { select: { id: true, username: true } },
+        closedBy: { select: { id: true, username: true } },
+        items: {
+          include: {
+            reviewer: { select: { id: true, username: true, name: true } },
+          },
+          orderBy: [{ documentPath: "asc" }, { id: "asc" }],
+        },
+      },
+    });
+    if (!campaign) {
+      return res.status(404).json({ message: "Recertification not found" });
+    }
+
+    res.status(200).json({ campaign });
+  } catch (error) {
+    console.error("Error fetching recertification:", error);
+    return res.status(500).json({ message: "Error fetching recertification" });
+  }
+};
+
+// Grants the caller still has to review, across open campaigns
+export const get_my_recertification_reviews = async (req, res) => {
+  try {
+    const items = await prisma.accessRecertificationItem.findMany({
+      where: {
+        reviewerId: req.user.id,
+        decision: "PENDING",
+        campaign: { status: "OPEN" },
+      },
+      include: {
+        campaign: { select: { id: true, name: true, dueDate: true } },
+      },
+      orderBy: [{ campaign: { dueDate: "asc" } }, { documentPath: "asc" }],
+    });
+
+    res.status(200).json({ items });
+  } catch (error) {
+    console.error("Error fetching recertification reviews:", error);
+    return res
+      .status(500)
+      .json({ message: "Error fetching recertification reviews" });
+  }
+};
+
+/*
+{
+  "decisions": [
+    { "itemId": 12, "decision": "KEEP" },
+    { "itemId": 13, "decision": "REVOKE", "comment": "Left the audit team" }
+  ]
+}
+*/
+export const decide_recertification_items = async (req, res) => {
+  try {
+    const userData = req.user;
+    const campaignId = parseInt(req.params.id);
+    const decisions = req.body.decisions;
+
+    if (
+      !Array.isArray(decisions) ||
+      decisions.length === 0 ||
+      decisions.some(
+        (entry) =>
+          !parseInt(entry.itemId) || !DECISIONS.includes(entry.decision)
+      )
+    ) {
+      return res.status(400).json({
+        message: "decisions must list items with a KEEP or REVOKE decision",
+      });
+    }
+
+    const campaign = await prisma.accessRecertification.findUnique({
+      where: { id: campaignId },
+    });
+    if (!campaign) {
+      return res.status(404).json({ message: "Recertification not found" });
+    }
+    if (campaign.status !== "OPEN") {
+      return res.status(400).json({ message: "Recertification is closed" });
+    }
+
+    const itemIds = decisions.map((entry) => parseInt(entry.itemId));
+    const items = await prisma.accessRecertificationItem.findMany({
+      where: { id: { in: itemIds }, campaignId },
+    });
+    const notReviewable = itemIds.filter(
+      (id) =>
+        !items.some(
+          (item) =>
+            item.id === id &&
+            item.reviewerId === userData.id &&
+            item.decision === "PENDING"
+        )
+    );
+    if (notReviewable.length > 0) {
+      return res.status(400).json({
+        message: "Some items are not yours to review or already decided",
+        itemIds: notReviewable,
+      });
+    }
+
+    const decided = await prisma.$transaction(async (tx) => {
+      const results = [];
+      for (const entry of decisions) {
+        const item = items.find((item) => item.id === parseInt(entry.itemId));
+        const result = await decideRecertificationItem(
+          tx,
+          item,
+          entry.decision,
+          entry.comment?.trim() || null
+        );
+        // Rolls back the whole batch
+        if (!result) throw new Error("RECERTIFICATION_ITEM_DECIDED");
+        results.push(result);
+      }
+      return results;
+    });
+
+    decided.forEach((item) =>
+      logger.info({
+        action: "ACCESS_RECERTIFICATION_DECISION",
+        userId: userData.id,
+        details: {
+          campaignId,
+          itemId: item.id,
+          accessId: item.accessId,
+          documentPath: item.documentPath,
+          grantee: item.grantee,
+          decision: item.decision,
+          comment: item.comment,
+        },
+      })
+    );
+
+    res.status(200).json({ items: decided });
+  } catch (error) {
+    if (error.message === "RECERTIFICATION_ITEM_DECIDED") {
+      return res
+        .status(409)
+        .json({ message: "Some items were decided meanwhile" });
+    }
+    console.error("Error recording recertification decisions:", error);
+    return res
+      .status(500)
+      .json({ message: "Error recording recertification decisions" });
+  }
+};
+
+// Revokes every grant nobody reviewed; the job does the same at the due date
+export const close_recertification = async (req, res) => {
+  try {
+    const closed = await closeRecertification(
+      parseInt(req.params.id),
+      req.user.id
+    );
+    if (!closed) {
+      return res
+        .status(400)
+        .json({ message: "Recertification not found or already closed" });
+    }
+
+    res.status(200).json({ message: "Recertification closed", ...closed });
+  } catch (error) {
+    console.error("Error closing recertification:", error);
+    return res.status(500).json({ message: "Error closing recertification" });
+  }
+};
+
+export const export_recertification_report = async (req, res) => {
+  try {
+    const report = await buildRecertificationReport(parseInt(req.params.id));
+    if (!report) {
+      return res.status(404).json({ message: "Recertification not found" });
+    }
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=access-recertification-${report.campaign.id}-${
+        new Date().toISOString().split("T")[0]
+      }.xlsx`
+    );
+
+    await report.workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error("Error exporting recertification report:", error);
+    return res
+      .status(500)
+      .json({ message: "Error exporting recertification report" });
+  }
+};
@@ -1,11 +1,51 @@
 import { PrismaClient } from "@prisma/client";
+import {
+  isKnownPermission,
+  permissionsNotHeld,
+  legacyPermissions,
+  grantPermissions,
+  setRolePermissions,
+  isLastPermissionManager,
+} from "../services/permissionService.js";
 
-import { verifyUser } from "../utility/verifyUser.js";
 const prisma = new PrismaClient();
 
 // Utility function to remove duplicates
 const removeDuplicates = (arr) => [...new Set(arr)];
 
+// The explicit permissions list, else what the old isAdmin / isRootLevel /
+// isDepartmentHead flags in the body meant
+const requestedPermissions = (body) =>
+  removeDuplicates(
+    Array.isArray(body.permissions)
+      ? body.permissions
+      : legacyPermissions({
+          isAdmin: body.isAdmin,
+          isRootLevel: body.isRootLevel,
+          isDepartmentHead: body.isDepartmentHead,
+        })
+  );
+
+// Null when the caller may grant or take away these permissions, otherwise
+// the reason why not
+const checkPermissionChange = (user, permissions) => {
+  const unknown = permissions.filter((p) => !isKnownPermission(p));
+  if (unknown.length > 0) {
+    return {
+      status: 400,
+      message: `Unknown permissions: ${unknown.join(", ")}`,
+    };
+  }
+  const notHeld = permissionsNotHeld(user, permissions);
+  if (notHeld.length > 0) {
+    return {
+      status: 403,
+      message: `You do not hold these permissions: ${notHeld.join(", ")}`,
+    };
+  }
+  return null;
+};
+
 /*
 {
   "role": "Project Manager",
@@ -18,8 +58,11 @@ const removeDuplicates = (arr) => [...new Set(arr)];
     { "id": 202, "upload": false, "download": true, "view": true } // Partial full access
   ],
   "isRootLevel": false, // Set to true if creating a root-level role
-  "parentRoleId": 3 // Parent role ID (optional, for hierarchy)
+  "parentRoleId": 3, // Parent role ID (optional, for hierarchy)
+  "permissions": ["physicalDocument.approve"] // Optional, see config/permission-config.js
 }
+Without "permissions" the role gets what isAdmin, isRootLevel and
+isDepartmentHead used to mean.
 
 */
 export const add_role = async (req, res) => {
@@ -38,6 +81,14 @@ export const add_role = async (req, res) => {
       status,
     } = req.body;
 
+    const permissions = requestedPermissions(req.body);
+    const permissionError = checkPermissionChange(req.user, permissions);
+    if (permissionError) {
+      return res
+        .status(permissionError.status)
+        .json({ message: permissionError.message });
+    }
+
     // Check if department is required and exists
     let departmentObj = null;
     if (!isRootLevel && department) {
@@ -129,6 +180,8 @@ export const add_role = async (req, res) => {
       data: { roleId: newRole.id },
     });
 
+    await grantPermissions(prisma, newRole.id, permissions, req.user.id);
+
     res.status(201).json({
       message: "Role created successfully.",
       role: newRole,
@@ -185,6 +238,7 @@ export const get_roles = async (req, res) => {
             name: true,
           },
         },
+        permissions: { select: { permission: true } },
       },
     });
     const formattedRoles = roles.map((role) => ({
@@ -197,6 +251,7 @@ export const get_roles = async (req, res) => {
       createdAt: role.createdAt,
       updatedAt: role.updatedAt,
       status: role.status,
+      permissions: role.permissions.map((grant) => grant.permission),
     }));
     res.status(200).json({
       message: "Roles fetched successfully.",
@@ -225,6 +280,7 @@ export const get_role = async (req, res) => {
         parentRole: {
           select: { id: true, role: true },
         },
+        permissions: { select: { permission: true } },
       },
     });
 
@@ -234,7 +290,7 @@ export const get_role = async (req, res) => {
 
     // Get all document accesses for this role
     const documentAccesses = await prisma.documentAccess.findMany({
-      where: { roleId: parseInt(id) },
+      where: { roleId: parseInt(id), effect: "ALLOW" },
       include: {
         document: {
           select: {
@@ -291,6 +347,7 @@ export const get_role = async (req, res) => {
       isRootLevel: role.isRootLevel,
       isAdmin: role.isAdmin,
       isDepartmentHead: role.isDepartmentHead,
+      permissions: role.permissions.map((grant) => grant.permission),
       parentRoleId: role.parentRoleId,
       parentRole: role.parentRole,
       createdAt: role.createdAt,
@@ -333,11 +390,42 @@ export const edit_role = async (req, res) => {
     // Check if role exists
     const existingRole = await prisma.role.findUnique({
       where: { id: parseInt(id) },
+      include: { permissions: { select: { permission: true } } },
     });
     if (!existingRole) {
       return res.status(404).json({ message: "Role not found." });
     }
 
+    // An explicit list replaces the role's permissions; the old flags only
+    // ever add to them
+    const currentPermissions = existingRole.permissions.map(
+      (grant) => grant.permission
+    );
+    const replacePermissions = Array.isArray(req.body.permissions);
+    const permissions = requestedPermissions(req.body);
+    const permissionError = checkPermissionChange(req.user, [
+      ...permissions.filter((p) => !currentPermissions.includes(p)),
+      ...(replacePermissions
+        ? currentPermissions.filter((p) => !permissions.includes(p))
+        : []),
+    ]);
+    if (permissionError) {
+      return res
+        .status(permissionError.status)
+        .json({ message: permissionError.message });
+    }
+    if (
+      replacePermissions &&
+      currentPermissions.includes("permission.manage") &&
+      !permissions.includes("permission.manage") &&
+      (await isLastPermissionManager(parseInt(id)))
+    ) {
+      return res.status(400).json({
+        message:
+          "Another active role must hold permission.manage before it is removed here",
+      });
+    }
+
     // Check if department exists if provided
     let departmentObj = null;
     if (!isRootLevel && department) {
@@ -414,9 +502,10 @@ export const edit_role = async (req, res) => {
         },
       }),
 
-      // Delete existing document accesses for this role
+      // Delete existing document accesses for this role; DENY entries are
+      // managed on the documents and stay
       prisma.documentAccess.deleteMany({
-        where: { roleId: parseInt(id) },
+        where: { roleId: parseInt(id), effect: "ALLOW" },
       }),
 
       // Create new document accesses
@@ -430,6 +519,12 @@ export const edit_role = async (req, res) => {
       ),
     ]);
 
+    await prisma.$transaction((tx) =>
+      replacePermissions
+        ? setRolePermissions(tx, parseInt(id), permissions, req.user.id)
+        : grantPermissions(tx, parseInt(id), permissions, req.user.id)
+    );
+
     res.status(200).json({
       message: "Role updated successfully.",
     });
@@ -572,12 +667,7 @@ export const getRolesHierarchyInDepartment = async (req, res) => {
 
 export const deactivate_role = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { id } = req.params;
 
@@ -0,0 +1,127 @@
+import { PrismaClient } from "@prisma/client";
+import logger from "./logger.js";
+import { listActiveSessions } from "../services/sessionService.js";
+import { hasPermission } from "../services/permissionService.js";
+import {
+  revokeTokenFamily,
+  revokeAllUserTokens,
+} from "../services/tokenService.js";
+
+const prisma = new PrismaClient();
+
+// LoginLog entry for the signed-out user, SystemLog entry for who did it
+const logSessionEvent = async (req, user, action, details) => {
+  await prisma.loginLog.create({
+    data: {
+      userId: user.id,
+      username: user.username,
+      email: user.email,
+      action,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+      success: true,
+    },
+  });
+  logger.info({
+    action,
+    userId: req.user.id,
+    details: { targetUserId: user.id, username: user.username, ...details },
+  });
+};
+
+export const get_my_sessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching sessions", error);
+    return res.status(500).json({ message: "Error fetching sessions" });
+  }
+};
+
+export const get_user_sessions = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const sessions = await listActiveSessions(userId);
+
+    res.status(200).json({ userId, username: user.username, sessions });
+  } catch (error) {
+    console.error("Error fetching user sessions", error);
+    return res.status(500).json({ message: "Error fetching user sessions" });
+  }
+};
+
+// Users can end their own sessions, admins anyone's
+export const revoke_session = async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.sessionId },
+      include: { user: true },
+    });
+    if (
+      !session ||
+      (session.userId !== req.user.id &&
+        !hasPermission(req.user, "user.manage"))
+    ) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    if (session.revokedAt) {
+      return res.status(400).json({ message: "Session is already signed out" });
+    }
+
+    await revokeTokenFamily(session.id, prisma, {
+      reason: "REVOKED",
+      revokedById: req.user.id,
+    });
+    await logSessionEvent(req, session.user, "SESSION_REVOKE", {
+      sessionId: session.id,
+      device: session.device,
+      ipAddress: session.ipAddress,
+    });
+
+    res.status(200).json({ message: "Session signed out" });
+  } catch (error) {
+    console.error("Error revoking session", error);
+    return res.status(500).json({ message: "Error revoking session" });
+  }
+};
+
+export const sign_out_everywhere = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.userId) },
+    });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { count } = await revokeAllUserTokens(user.id, prisma, {
+      reason: "SIGN_OUT_EVERYWHERE",
+      revokedById: req.user.id,
+    });
+    await logSessionEvent(req, user, "SIGN_OUT_EVERYWHERE", {
+      revokedTokens: count,
+    });
+
+    res.status(200).json({
+      message: "User signed out of all sessions",
+      revokedTokens: count,
+    });
+  } catch (error) {
+    console.error("Error signing user out everywhere", error);
+    return res
+      .status(500)
+      .json({ message: "Error signing user out everywhere" });
+  }
+};
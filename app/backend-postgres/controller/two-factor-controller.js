@@ -0,0 +1,339 @@
+import bcrypt from "bcryptjs";
+import { PrismaClient } from "@prisma/client";
+import { completeLogin, sendLockedOut } from "./auth-controller.js";
+import {
+  getActiveLockout,
+  applyLockoutIfNeeded,
+} from "../services/loginProtectionService.js";
+import {
+  isTwoFactorRequired,
+  verifyTwoFactorChallenge,
+  startEnrollment,
+  verifyTotpForUser,
+  consumeRecoveryCode,
+  generateRecoveryCodes,
+  disableTwoFactor,
+} from "../services/twoFactorService.js";
+
+const prisma = new PrismaClient();
+
+// Enrollment works either with a normal access token or, when policy forces
+// setup during login, with the 2FA_SETUP challenge token from /login
+const resolveEnrollingUser = async (req) => {
+  const { challengeToken } = req.body;
+  if (challengeToken) {
+    const challenge = verifyTwoFactorChallenge(challengeToken, ["2FA_SETUP"]);
+    if (!challenge) return { error: "Unauthorized" };
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.challengeUserId },
+    });
+    return user ? { user, fromChallenge: true } : { error: "Unauthorized" };
+  }
+
+  if (!req.user) return { error: "Unauthorized" };
+
+  const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+  return { user, fromChallenge: false };
+};
+
+const logTwoFactorEvent = async (req, user, action, success, error) => {
+  await prisma.loginLog.create({
+    data: {
+      userId: user.id,
+      username: user.username,
+      email: user.email,
+      action,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("User-Agent"),
+      success,
+      error,
+    },
+  });
+};
+
+export const get_two_factor_status = async (req, res) => {
+  try {
+    const userData = req.user;
+
+    const user = await prisma.user.findUnique({ where: { id: userData.id } });
+
+    res.status(200).json({
+      enabled: user.twoFactorEnabled,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status", error);
+    return res
+      .status(500)
+      .json({ message: "Error fetching two-factor status" });
+  }
+};
+
+/*
+{
+  "challengeToken": "<only when /login answered twoFactorSetupRequired>"
+}
+*/
+export const setup_two_factor = async (req, res) => {
+  try {
+    const { user, error } = await resolveEnrollingUser(req);
+    if (error) {
+      return res.status(401).json({ message: "Unauthorized request" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(user);
+
+    res.status(200).json({
+      message: "Scan the QR code and confirm with a code to enable 2FA",
+      secret,
+      otpauthUrl,
+    });
+  } catch (error) {
+    console.error("Error starting two-factor setup", error);
+    return res.status(500).json({ message: "Error starting two-factor setup" });
+  }
+};
+
+/*
+{
+  "code": "123456",
+  "challengeToken": "<only when enrolling during login>"
+}
+*/
+export const enable_two_factor = async (req, res) => {
+  try {
+    const { user, fromChallenge, error } = await resolveEnrollingUser(req);
+    if (error) {
+      return res.status(401).json({ message: "Unauthorized request" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactorSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before enabling it" });
+    }
+
+    const valid = await verifyTotpForUser(user, req.body.code);
+    if (!valid) {
+      await logTwoFactorEvent(req, user, "2FA_ENABLE", false, "Invalid code");
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabled: true },
+      });
+      return await generateRecoveryCodes(user.id, tx);
+    });
+
+    await logTwoFactorEvent(req, user, "2FA_ENABLE", true);
+
+    // Enrollment forced at login finishes the login in the same request
+    if (fromChallenge) {
+      return await completeLogin(req, res, user, { recoveryCodes });
+    }
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication", error);
+    return res
+      .status(500)
+      .json({ message: "Error enabling two-factor authentication" });
+  }
+};
+
+/*
+{
+  "challengeToken": "<from /login>",
+  "code": "123456",            // or
+  "recoveryCode": "AB12C-DE34F"
+}
+*/
+export const verify_two_factor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, ["2FA_VERIFY"]);
+    if (!challenge) {
+      return res
+        .status(401)
+        .json({ message: "Login session expired, please log in again" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.challengeUserId },
+    });
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: "Unauthorized request" });
+    }
+
+    const lockout = await getActiveLockout(user.username, ipAddress);
+    if (lockout) {
+      return sendLockedOut(res, lockout);
+    }
+
+    const valid = recoveryCode
+      ? await consumeRecoveryCode(user, recoveryCode)
+      : await verifyTotpForUser(user, code);
+
+    if (!valid) {
+      // Counted as a failed LOGIN so code guessing hits the same lockout
+      await logTwoFactorEvent(
+        req,
+        user,
+        "LOGIN",
+        false,
+        recoveryCode ? "Invalid recovery code" : "Invalid two-factor code"
+      );
+      const [newLockout] = await applyLockoutIfNeeded({
+        username: user.username,
+        userId: user.id,
+        ipAddress,
+      });
+      if (newLockout) {
+        return sendLockedOut(res, newLockout);
+      }
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    await completeLogin(
+      req,
+      res,
+      user,
+      recoveryCode
+        ? { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length - 1 }
+        : {}
+    );
+  } catch (error) {
+    console.error("Error verifying two-factor code", error);
+    return res.status(500).json({ message: "Error verifying two-factor code" });
+  }
+};
+
+/*
+{
+  "password": "current password",
+  "code": "123456"
+}
+*/
+export const disable_two_factor = async (req, res) => {
+  try {
+    const userData = req.user;
+
+    const user = await prisma.user.findUnique({ where: { id: userData.id } });
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is mandatory for your role",
+      });
+    }
+
+    const passwordMatch = await bcrypt.compare(
+      req.body.password || "",
+      user.password
+    );
+    const codeValid =
+      passwordMatch && (await verifyTotpForUser(user, req.body.code));
+    if (!codeValid) {
+      await logTwoFactorEvent(
+        req,
+        user,
+        "2FA_DISABLE",
+        false,
+        "Invalid password or code"
+      );
+      return res.status(400).json({ message: "Invalid password or code" });
+    }
+
+    await disableTwoFactor(user.id);
+    await logTwoFactorEvent(req, user, "2FA_DISABLE", true);
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication", error);
+    return res
+      .status(500)
+      .json({ message: "Error disabling two-factor authentication" });
+  }
+};
+
+/*
+{
+  "code": "123456"
+}
+*/
+export const regenerate_recovery_codes = async (req, res) => {
+  try {
+    const userData = req.user;
+
+    const user = await prisma.user.findUnique({ where: { id: userData.id } });
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (!(await verifyTotpForUser(user, req.body.code))) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    await logTwoFactorEvent(req, user, "2FA_RECOVERY_CODES", true);
+
+    res.status(200).json({
+      message: "Recovery codes regenerated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes", error);
+    return res
+      .status(500)
+      .json({ message: "Error regenerating recovery codes" });
+  }
+};
+
+// Admin escape hatch for users who lost their authenticator and codes
+export const reset_two_factor = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.userId) },
+    });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await disableTwoFactor(user.id);
+    await logTwoFactorEvent(req, user, "2FA_RESET", true);
+
+    res
+      .status(200)
+      .json({ message: "Two-factor authentication reset for user" });
+  } catch (error) {
+    console.error("Error resetting two-factor authentication", error);
+    return res
+      .status(500)
+      .json({ message: "Error resetting two-factor authentication" });
+  }
+};
@@ -0,0 +1,422 @@
+import { PrismaClient } from "@prisma/client";
+import fs from "fs/promises";
+import path from "path";
+import logger from "./logger.js";
+import {
+  createUserPermissions,
+  storeChildIdInParentDocument,
+  indexDocumentFile,
+  rejectIfReserved,
+  readRequestBody,
+  isValidFileName,
+  isSafeFolderPath,
+} from "./file-controller.js";
+import { hasDocumentAccess } from "../services/documentAccessService.js";
+import { saveNewVersion } from "../services/documentVersionService.js";
+import {
+  MAX_CHUNK_SIZE,
+  sha256Of,
+  expectedChunkLength,
+  missingChunks,
+  sessionView,
+  createUploadSession,
+  getUploadSession,
+  saveChunk,
+  assembleUpload,
+  claimUploadSession,
+  reopenUploadSession,
+  completeUploadSession,
+  deleteUploadSession,
+} from "../services/uploadSessionService.js";
+import { ingestFile, linkBlob } from "../services/blobStoreService.js";
+
+const prisma = new PrismaClient();
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+const sessionNotFound = (res) =>
+  res.status(404).json({ message: "Upload session not found" });
+
+/*
+{
+  "fileName": "report.docx",
+  "path": "../departments/FIN/Reports",
+  "fileSize": 7340032,
+  "chunkSize": 2097152,
+  "sha256": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08",
+  "documentId": 42,
+  "comment": "Final figures",
+  "tags": ["finance"],
+  "departmentName": "Finance",
+  "isInvolvedInProcess": false
+}
+documentId replaces that document's file as a new version, and so does a
+fileName already used in the folder; comment goes on that version.
+*/
+export const create_upload_session = async (req, res) => {
+  try {
+    const userData = req.user;
+    const { fileSize, chunkSize, comment, departmentName } = req.body;
+    const sha256 = req.body.sha256?.toLowerCase();
+
+    if (
+      !Number.isInteger(fileSize) ||
+      fileSize < 0 ||
+      !Number.isInteger(chunkSize) ||
+      chunkSize < 1 ||
+      chunkSize > MAX_CHUNK_SIZE
+    ) {
+      return res.status(400).json({
+        message: `fileSize must be a whole number and chunkSize one from 1 to ${MAX_CHUNK_SIZE}`,
+      });
+    }
+    if (!SHA256_PATTERN.test(sha256 || "")) {
+      return res
+        .status(400)
+        .json({ message: "sha256 must be the hex SHA-256 of the file" });
+    }
+
+    let document = null;
+    let folder = null;
+    if (req.body.documentId) {
+      document = await prisma.document.findUnique({
+        where: { id: parseInt(req.body.documentId) },
+      });
+      if (!document || document.type === "folder") {
+        return res.status(404).json({ message: "Document not found" });
+      }
+    } else {
+      const requestedFolder = req.body.path?.substring(2);
+      if (
+        !isValidFileName(req.body.fileName) ||
+        !isSafeFolderPath(requestedFolder)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "A valid fileName and path are required" });
+      }
+      folder = await prisma.document.findUnique({
+        where: { path: requestedFolder },
+      });
+      if (!folder || folder.type !== "folder") {
+        return res.status(404).json({ message: "Folder not found" });
+      }
+      document = await prisma.document.findUnique({
+        where: { path: `${folder.path}/${req.body.fileName}` },
+      });
+    }
+
+    const fileName = document?.name ?? req.body.fileName;
+    const folderPath = document
+      ? path.posix.dirname(document.path)
+      : folder.path;
+
+    if (document) {
+      if (!(await hasDocumentAccess(userData, document.id, "EDIT"))) {
+        return res
+          .status(403)
+          .json({ message: "You cannot replace this document" });
+      }
+      if (await rejectIfReserved(res, [document.path])) return;
+    } else if (!(await hasDocumentAccess(userData, folder.id, "EDIT"))) {
+      return res
+        .status(403)
+        .json({ message: "You cannot upload to this folder" });
+    }
+
+    const session = await createUploadSession({
+      userId: userData.id,
+      fileName,
+      folderPath,
+      documentId: document?.id ?? null,
+      fileSize,
+      chunkSize,
+      sha256,
+      comment: comment?.trim() || null,
+      tags: Array.isArray(req.body.tags) ? req.body.tags : [],
+      departmentName: departmentName || null,
+      isInvolvedInProcess: req.body.isInvolvedInProcess === true,
+    });
+
+    logger.info({
+      action: "UPLOAD_SESSION_CREATE",
+      userId: userData.id,
+      details: {
+        sessionId: session.id,
+        fileName,
+        folderPath,
+        documentId: session.documentId,
+        fileSize,
+        totalChunks: session.totalChunks,
+      },
+    });
+
+    res.status(201).json({ session: sessionView(session) });
+  } catch (error) {
+    console.error("Error creating upload session:", error);
+    return res.status(500).json({ message: "Error creating upload session" });
+  }
+};
+
+/*
+GET /uploadSessions/<id>
+A client resuming after a dropped connection sends only missingChunks.
+*/
+export const get_upload_session = async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.sessionId, req.user.id);
+    if (!session) return sessionNotFound(res);
+
+    res.status(200).json({ session: sessionView(session) });
+  } catch (error) {
+    console.error("Error getting upload session:", error);
+    return res.status(500).json({ message: "Error getting upload session" });
+  }
+};
+
+/*
+PUT /uploadSessions/<id>/chunks/3
+The body is the raw chunk, X-Chunk-SHA256 its hex SHA-256.
+*/
+export const upload_session_chunk = async (req, res) => {
+  try {
+    const userData = req.user;
+    const chunkNumber = parseInt(req.params.chunkNumber);
+    const declaredSha256 = req.headers["x-chunk-sha256"]?.toLowerCase();
+
+    const session = await getUploadSession(req.params.sessionId, userData.id);
+    if (!session) return sessionNotFound(res);
+    if (session.status !== "OPEN") {
+      return res
+        .status(409)
+        .json({ message: "The upload has already been finalized" });
+    }
+    if (
+      !Number.isInteger(chunkNumber) ||
+      chunkNumber < 0 ||
+      chunkNumber >= session.totalChunks
+    ) {
+      return res.status(400).json({
+        message: `chunkNumber must be from 0 to ${session.totalChunks - 1}`,
+      });
+    }
+    if (!SHA256_PATTERN.test(declaredSha256 || "")) {
+      return res.status(400).json({
+        message: "X-Chunk-SHA256 must be the hex SHA-256 of the chunk",
+      });
+    }
+
+    const expectedLength = expectedChunkLength(session, chunkNumber);
+    if (parseInt(req.headers["content-length"]) > expectedLength) {
+      return res.status(400).json({
+        message: `Chunk ${chunkNumber} must be ${expectedLength} bytes`,
+      });
+    }
+
+    const chunk = await readRequestBody(req);
+    if (chunk.length !== expectedLength) {
+      return res.status(400).json({
+        message: `Chunk ${chunkNumber} must be ${expectedLength} bytes`,
+      });
+    }
+    const receivedSha256 = sha256Of(chunk);
+    if (receivedSha256 !== declaredSha256) {
+      logger.warn({
+        action: "UPLOAD_SESSION_CHUNK_CHECKSUM_MISMATCH",
+        userId: userData.id,
+        details: { sessionId: session.id, chunkNumber },
+      });
+      return res.status(422).json({
+        message: `Chunk ${chunkNumber} was corrupted in transit; send it again`,
+        expected: declaredSha256,
+        received: receivedSha256,
+      });
+    }
+
+    const updated = await saveChunk(session, chunkNumber, chunk);
+    res.status(200).json({ session: sessionView(updated) });
+  } catch (error) {
+    console.error("Error storing upload chunk:", error);
+    return res.status(500).json({ message: "Error storing upload chunk" });
+  }
+};
+
+// The part of finalize run while the session is claimed
+const finishUpload = async (req, res, session) => {
+  const userData = req.user;
+
+  const targetPath = `${session.folderPath}/${session.fileName}`;
+  if (await rejectIfReserved(res, [targetPath])) return;
+  const replacedDocument = session.documentId
+    ? await prisma.document.findUnique({ where: { id: session.documentId } })
+    : null;
+  if (session.documentId && (!replacedDocument || replacedDocument.inBin)) {
+    return res.status(404).json({
+      message: "The document this upload replaces no longer exists",
+    });
+  }
+  // The name may have been taken since the session was opened
+  if (
+    !session.documentId &&
+    (await prisma.document.findUnique({ where: { path: targetPath } }))
+  ) {
+    return res.status(409).json({
+      message: `${targetPath} was created meanwhile; upload it as a new version`,
+    });
+  }
+
+  const { assembledPath, sha256 } = await assembleUpload(session);
+  if (sha256 !== session.sha256) {
+    await fs.rm(assembledPath, { force: true });
+    logger.warn({
+      action: "UPLOAD_SESSION_CHECKSUM_MISMATCH",
+      userId: userData.id,
+      details: { sessionId: session.id, fileName: session.fileName },
+    });
+    return res.status(422).json({
+      message: "The assembled file does not match its SHA-256",
+      expected: session.sha256,
+      received: sha256,
+    });
+  }
+
+  let document;
+  let version = null;
+  let hash;
+  try {
+    if (replacedDocument) {
+      document = replacedDocument;
+      version = await saveNewVersion(document, assembledPath, {
+        authorId: userData.id,
+        comment: session.comment,
+      });
+    } else {
+      ({ hash } = await ingestFile(assembledPath));
+      await linkBlob(hash, targetPath);
+    }
+  } finally {
+    await fs.rm(assembledPath, { force: true });
+  }
+
+  if (!version) {
+    document = await prisma.document.create({
+      data: {
+        name: session.fileName,
+        type: session.fileName.split(".").pop(),
+        path: targetPath,
+        createdById: userData.id,
+        isInvolvedInProcess: session.isInvolvedInProcess,
+        tags: session.tags,
+        isRecord: !session.isInvolvedInProcess,
+        department: session.departmentName
+          ? { connect: { name: session.departmentName } }
+          : undefined,
+        blobHash: hash,
+      },
+    });
+    await createUserPermissions(document.id, userData.username, true);
+    await storeChildIdInParentDocument(session.folderPath, document.id);
+  }
+
+  await completeUploadSession(session.id, document.id);
+
+  logger.info({
+    action: "UPLOAD_SESSION_COMPLETED",
+    userId: userData.id,
+    details: {
+      sessionId: session.id,
+      documentId: document.id,
+      path: document.path,
+      versionNumber: version?.versionNumber,
+      fileSize: session.fileSize,
+    },
+  });
+
+  res.status(200).json({
+    message: version ? "File has been replaced." : "Upload completed",
+    documentId: document.id,
+    version,
+  });
+
+  try {
+    await indexDocumentFile(document);
+  } catch (error) {
+    logger.error({
+      action: "UPLOAD_SESSION_INDEXING_ERROR",
+      userId: userData.id,
+      details: { documentId: document.id, error: error.message },
+    });
+  }
+};
+
+/*
+POST /uploadSessions/<id>/finalize
+Joins the chunks, checks the file's SHA-256 and creates the document, or
+the new version of the one being replaced. Repeating it after success
+returns the same document.
+*/
+export const finalize_upload_session = async (req, res) => {
+  try {
+    const userData = req.user;
+
+    const session = await getUploadSession(req.params.sessionId, userData.id);
+    if (!session) return sessionNotFound(res);
+    if (session.status === "COMPLETED") {
+      return res.status(200).json({
+        message: "Upload completed",
+        documentId: session.resultDocumentId,
+      });
+    }
+
+    const missing = missingChunks(session);
+    if (missing.length > 0) {
+      return res.status(409).json({
+        message: "Some chunks have not been received",
+        missingChunks: missing,
+      });
+    }
+
+    // Two finalize requests at once must not both create the document
+    if (!(await claimUploadSession(session.id))) {
+      return res
+        .status(409)
+        .json({ message: "The upload is already being finalized" });
+    }
+    try {
+      await finishUpload(req, res, session);
+    } finally {
+      // A no-op once completed; otherwise finalize can be tried again
+      await reopenUploadSession(session.id);
+    }
+  } catch (error) {
+    console.error("Error finalizing upload:", error);
+    return res.status(500).json({ message: "Error finalizing upload" });
+  }
+};
+
+/*
+DELETE /uploadSessions/<id>
+Abandons the upload and drops the chunks received so far.
+*/
+export const abort_upload_session = async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.sessionId, req.user.id);
+    if (!session) return sessionNotFound(res);
+    if (session.status === "FINALIZING") {
+      return res.status(409).json({ message: "The upload is being finalized" });
+    }
+
+    await deleteUploadSession(session.id);
+
+    logger.info({
+      action: "UPLOAD_SESSION_ABORT",
+      userId: req.user.id,
+      details: { sessionId: session.id, fileName: session.fileName },
+    });
+
+    res.status(200).json({ message: "Upload session removed" });
+  } catch (error) {
+    console.error("Error removing upload session:", error);
+    return res.status(500).json({ message: "Error removing upload session" });
+  }
+};
@@ -1,4 +1,15 @@
-import { verifyUser } from "../utility/verifyUser.js";
+import { revokeAllUserTokens } from "../services/tokenService.js";
+import {
+  getPendingWork,
+  hasPendingWork,
+  needsSingleSuccessor,
+  reassignPendingWork,
+} from "../services/reassignmentService.js";
+import {
+  getRolesPermissions,
+  permissionsNotHeld,
+} from "../services/permissionService.js";
+import logger from "./logger.js";
 
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
@@ -151,11 +162,7 @@ export const get_users_with_details = async (req, res) => {
 
 export const get_user_profile_data = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      throw new Error("Unauthorised request");
-    }
+    const userData = req.user;
     const user = await prisma.user.findFirst({
       where: { id: userData.id },
       select: {
@@ -307,21 +314,12 @@ export const get_user = async (req, res) => {
 export const edit_user = async (req, res) => {
   try {
     const { userId } = req.params; // Assuming userId is passed as a URL parameter
-    const {
-      username,
-      email,
-      name,
-      specialUser,
-      isRootLevel,
-      isAdmin,
-      roles,
-      permissions,
-      status,
-    } = req.body;
+    const { username, email, name, roles, permissions, status } = req.body;
 
     // Check if the user exists
     const existingUser = await prisma.user.findUnique({
       where: { id: parseInt(userId) },
+      include: { roles: { select: { roleId: true } } },
     });
 
     if (!existingUser) {
@@ -361,6 +359,19 @@ export const edit_user = async (req, res) => {
           message: "One or more roles are invalid or inactive",
         });
       }
+
+      const currentRoleIds = existingUser.roles.map((r) => r.roleId);
+      const notHeld = permissionsNotHeld(
+        req.user,
+        await getRolesPermissions(
+          roles.filter((roleId) => !currentRoleIds.includes(roleId))
+        )
+      );
+      if (notHeld.length > 0) {
+        return res.status(403).json({
+          message: `The roles grant permissions you do not hold: ${notHeld.join(", ")}`,
+        });
+      }
     }
 
     // Prepare update data
@@ -369,9 +380,6 @@ export const edit_user = async (req, res) => {
       ...(email && { email }),
       ...(name && { name }),
       ...(status && { status }),
-      ...(typeof specialUser === "boolean" && { specialUser }),
-      ...(typeof isRootLevel === "boolean" && { isRootLevel }),
-      ...(typeof isAdmin === "boolean" && { isAdmin }),
       ...(permissions?.writable && { writable: permissions.writable }),
       ...(permissions?.readable && { readable: permissions.readable }),
       ...(permissions?.downloadable && {
@@ -418,14 +426,7 @@ export const edit_user = async (req, res) => {
 
 export const get_user_signature = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     // Prisma query with select
     const user = await prisma.user.findUnique({
@@ -457,14 +458,7 @@ export const get_user_signature = async (req, res, next) => {
 
 export const get_user_profile_pic = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     const user = await prisma.user.findUnique({
       where: { id: userData.id },
@@ -494,14 +488,7 @@ export const get_user_profile_pic = async (req, res, next) => {
 
 export const get_user_dsc = async (req, res, next) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({
-        message: "Unauthorized request",
-      });
-    }
+    const userData = req.user;
 
     const user = await prisma.user.findUnique({
       where: { id: userData.id },
@@ -529,27 +516,141 @@ export const get_user_dsc = async (req, res, next) => {
   }
 };
 
-export const deactivate_user = async (req, res) => {
+export const get_user_pending_work = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
+    const userId = parseInt(req.params.userId);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
     }
 
-    const { id } = req.params;
+    const pendingWork = await getPendingWork(userId);
 
-    const user = await prisma.user.update({
-      where: { id: parseInt(id) },
-      data: { status: "Inactive" },
+    return res.status(200).json({
+      userId,
+      username: user.username,
+      hasPendingWork: hasPendingWork(pendingWork),
+      pendingWork,
     });
+  } catch (error) {
+    console.error("Error fetching pending work:", error);
+    return res.status(500).json({ message: "Error fetching pending work" });
+  }
+};
 
-    if (!user) {
+/*
+{
+  "successorId": 7,
+  "roleId": 3,
+  "reason": "Transferred to another branch"
+}
+Both are optional when the user has no pending work. With roleId, open steps
+and queries addressed to the user go to every active holder of the role;
+everything else (queries raised, recommendations, HOD/admin links) needs
+successorId.
+*/
+export const deactivate_user = async (req, res) => {
+  try {
+    const userData = req.user;
+
+    const { id } = req.params;
+    const userId = parseInt(id);
+    const successorId = req.body?.successorId
+      ? parseInt(req.body.successorId)
+      : null;
+    const roleId = req.body?.roleId ? parseInt(req.body.roleId) : null;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+    if (!existingUser) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    return res.status(200).json({ message: "User deactivated successfully" });
+    const pendingWork = await getPendingWork(userId);
+    if (hasPendingWork(pendingWork) && !successorId && !roleId) {
+      return res.status(409).json({
+        message:
+          "User has pending work; choose a successor or role pool to take it over",
+        pendingWork,
+      });
+    }
+
+    if (successorId) {
+      const successor = await prisma.user.findUnique({
+        where: { id: successorId },
+      });
+      if (
+        !successor ||
+        successor.id === userId ||
+        successor.status === "Inactive" ||
+        successor.authSource === "SERVICE"
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Successor must be another active user" });
+      }
+    }
+
+    if (roleId) {
+      const holders = await prisma.userRole.count({
+        where: {
+          roleId,
+          userId: { not: userId },
+          role: { isActive: true },
+          user: { status: { not: "Inactive" } },
+        },
+      });
+      if (holders === 0) {
+        return res
+          .status(400)
+          .json({ message: "Role pool has no other active users" });
+      }
+      if (!successorId && needsSingleSuccessor(pendingWork)) {
+        return res.status(400).json({
+          message:
+            "Queries raised, recommendations and department head/admin links need a successorId",
+          pendingWork,
+        });
+      }
+    }
+
+    const reassigned = await prisma.$transaction(async (tx) => {
+      const reassigned = await reassignPendingWork(tx, userId, {
+        successorId,
+        roleId,
+      });
+
+      await tx.user.update({
+        where: { id: userId },
+        data: { status: "Inactive" },
+      });
+
+      // Sign the user out of every session immediately
+      await revokeAllUserTokens(userId, tx, {
+        reason: "DEACTIVATED",
+        revokedById: userData.id,
+      });
+
+      return reassigned;
+    });
+
+    logger.info({
+      action: "USER_DEACTIVATE",
+      userId: userData.id,
+      details: {
+        deactivatedUserId: userId,
+        username: existingUser.username,
+        successorId,
+        roleId,
+        reason: req.body?.reason || null,
+        reassigned,
+      },
+    });
+
+    return res
+      .status(200)
+      .json({ message: "User deactivated successfully", reassigned });
   } catch (error) {
     console.error("Error deactivating user:", error);
     return res.status(500).json({ message: "Internal server error" });
@@ -1,6 +1,6 @@
 import { PrismaClient } from "@prisma/client";
+import { hasPermission } from "../services/permissionService.js";
 
-import { verifyUser } from "../utility/verifyUser.js";
 import { file_copy } from "./file-controller.js";
 import { buildRoleHierarchyForAssignment } from "./process-controller.js";
 import {
@@ -21,17 +21,14 @@ const __dirname = dirname(__filename);
 import { Document, Packer, Paragraph } from "docx";
 import officegen from "officegen";
 import { generateUniqueDocumentName } from "./process-controller.js";
-
-const STORAGE_PATH = process.env.STORAGE_PATH;
+import { PassThrough } from "stream";
+import { documentStorage } from "../services/storageService.js";
+import { ingestBuffer, linkBlob } from "../services/blobStoreService.js";
 
 const prisma = new PrismaClient();
 
 export const add_workflow = async (req, res) => {
-  const accessToken = req.headers["authorization"]?.substring(7);
-  const userData = await verifyUser(accessToken);
-  if (userData === "Unauthorized") {
-    return res.status(401).json({ message: "Unauthorized request" });
-  }
+  const userData = req.user;
 
   const createdById = userData.id;
   const { name, description, steps } = req.body;
@@ -239,11 +236,7 @@ export const add_workflow = async (req, res) => {
 
 export const edit_workflow = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { name, description, steps, id: workflowId } = req.body;
 
@@ -686,11 +679,7 @@ async function getWorkflowLineage(workflowId) {
 
 export const get_workflows = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     // Fetch user's roles for ROLE and DEPARTMENT checks
     const userRoles = await prisma.userRole.findMany({
@@ -846,7 +835,7 @@ export const get_workflows = async (req, res) => {
       // Check each version in the group
       for (const version of workflowVersions) {
         const hasAccess = await checkUserAccessToStep1(version.id);
-        if (hasAccess || userData.isAdmin) {
+        if (hasAccess || hasPermission(userData, "workflow.edit")) {
           accessibleVersions.push(version);
         }
       }
@@ -1041,11 +1030,7 @@ export const get_workflows = async (req, res) => {
 
 export const create_template_document = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"].substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
     const { extension, workflowId, templateName } = req.body;
 
     const workflow = await prisma.workflow.findUnique({
@@ -1053,24 +1038,12 @@ export const create_template_document = async (req, res) => {
       select: { id: true, name: true },
     });
 
-    const templatePath = path.join(
-      __dirname,
-      STORAGE_PATH,
-      workflow.name,
-      "templates",
-      `${templateName}.${extension}`
-    );
-
-    const dirPath = path.join(
-      __dirname,
-      STORAGE_PATH,
-      workflow.name,
-      "templates"
-    );
+    const templatePath = `/${workflow.name}/templates/${templateName}.${extension}`;
+    const dirPath = `/${workflow.name}/templates`;
 
     console.log("templatePath", templatePath);
     try {
-      await fs.access(dirPath);
+      await documentStorage.stat(dirPath);
       console.log("Templates directory exists");
     } catch (error) {
       if (error.code === "ENOENT") {
@@ -1083,7 +1056,7 @@ export const create_template_document = async (req, res) => {
         // if (templateDirectory) {
         //   await fs.rmdir(dirPath, { recursive: true });
         // }
-        await fs.mkdir(dirPath, { recursive: true });
+        await documentStorage.makeFolder(dirPath);
         const templa = await prisma.document.create({
           data: {
             name: "templates",
@@ -1100,7 +1073,7 @@ export const create_template_document = async (req, res) => {
         await storeChildIdInParentDocument(parentPath, templa.id);
 
         const parentDocument = await prisma.document.findFirst({
-          where: { path: `${STORAGE_PATH}/${workflow.name}` },
+          where: { path: `/${workflow.name}` },
         });
 
         if (parentDocument) {
@@ -1151,15 +1124,14 @@ export const create_template_document = async (req, res) => {
     // const __dirname = path.dirname(new URL(import.meta.url).pathname);
 
     // Create content based on extension
+    let content;
     if (["docx", "docm", "dotx"].includes(cleanExtension)) {
       // Create a blank Word document
       const doc = new Document({
         sections: [{ children: [new Paragraph("")] }],
       });
 
-      // Generate buffer and write to file
-      const buffer = await Packer.toBuffer(doc);
-      await fs.writeFile(templatePath, buffer);
+      content = await Packer.toBuffer(doc);
     } else if (["xlsx", "xlsm", "xltx"].includes(cleanExtension)) {
       // Create a blank Excel workbook
       const workbook = XLSX.utils.book_new();
@@ -1169,8 +1141,10 @@ export const create_template_document = async (req, res) => {
         "Sheet1"
       );
 
-      // Write the workbook to a file (synchronous)
-      XLSX.writeFile(workbook, templatePath, { bookType: cleanExtension });
+      content = XLSX.write(workbook, {
+        type: "buffer",
+        bookType: cleanExtension,
+      });
     } else if (["pptx", "pptm", "potx"].includes(cleanExtension)) {
       // Create a blank PowerPoint presentation using officegen
       const pptx = officegen("pptx");
@@ -1179,27 +1153,32 @@ export const create_template_document = async (req, res) => {
       const slide = pptx.makeNewSlide();
       slide.addText("", { x: 0, y: 0, font_size: 18 }); // Add empty text to create a blank slide
 
-      // Write the presentation to a file
-      await new Promise((resolve, reject) => {
-        const out = fsCB.createWriteStream(templatePath);
-        pptx.generate(out);
-        out.on("close", resolve);
+      content = await new Promise((resolve, reject) => {
+        const out = new PassThrough();
+        const chunks = [];
+        out.on("data", (chunk) => chunks.push(chunk));
+        out.on("end", () => resolve(Buffer.concat(chunks)));
         out.on("error", reject);
+        pptx.generate(out);
       });
     }
 
+    const { hash } = await ingestBuffer(content);
+    await linkBlob(hash, templatePath);
+
     const newTemplate = await prisma.document.create({
       data: {
         name: `${templateName}.${extension}`,
-        path: `/${workflow.name}/templates/${templateName}.${extension}`,
+        path: templatePath,
         createdById: userData.id,
         type: "file",
+        blobHash: hash,
       },
     });
 
     await createUserPermissions(newTemplate.id, userData.username, true);
 
-    const parentPath = getParentPath(`../${templatePath}`);
+    const parentPath = getParentPath(`..${templatePath}`);
 
     await storeChildIdInParentDocument(parentPath, newTemplate.id);
 
@@ -1241,17 +1220,7 @@ export const create_template_document = async (req, res) => {
 
 export const get_workflow_templates = async (req, res) => {
   try {
-    // Extract and verify access token
-    const accessToken = req.headers["authorization"]?.substring(7);
-    if (!accessToken) {
-      return res
-        .status(401)
-        .json({ message: "Authorization token is required" });
-    }
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     // Extract workflowId from request body or query
     const workflowId = req.params.workflowId;
@@ -1296,17 +1265,7 @@ export const get_workflow_templates = async (req, res) => {
 
 export const upload_template_document = async (req, res) => {
   try {
-    // Extract and validate authorization token
-    const accessToken = req.headers["authorization"]?.substring(7);
-    if (!accessToken) {
-      return res.status(401).json({ message: "Authorization token missing" });
-    }
-
-    // Verify user
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     // Extract workflowId and file from request
     const { workflowId, purpose } = req.body;
@@ -1357,31 +1316,18 @@ export const upload_template_document = async (req, res) => {
 
     // Define paths
     const templateName = path.basename(file.originalname, `.${extension}`);
-    const templatePath = path.join(
-      __dirname,
-      "../",
-      STORAGE_PATH,
-      workflow.name,
-      "templates",
-      `${templateName}.${extension}`
-    );
-    const dirPath = path.join(
-      __dirname,
-      "../",
-      STORAGE_PATH,
-      workflow.name,
-      "templates"
-    );
+    const templatePath = `/${workflow.name}/templates/${templateName}.${extension}`;
+    const dirPath = `/${workflow.name}/templates`;
 
     console.log("first");
     // Ensure templates directory exists and is in database
     try {
-      await fs.access(dirPath);
+      await documentStorage.stat(dirPath);
       console.log("Templates directory exists");
     } catch (error) {
       if (error.code === "ENOENT") {
         console.log("Templates directory does not exist, creating it...");
-        await fs.mkdir(dirPath, { recursive: true });
+        await documentStorage.makeFolder(dirPath);
 
         // Create folder record in database
         const templateDir = await prisma.document.create({
@@ -1419,13 +1365,17 @@ export const upload_template_document = async (req, res) => {
       }
     }
 
-    // File is already saved by Multer; create document record in database
+    // Multer keeps the file in memory; store it and create the record
+    const { hash } = await ingestBuffer(file.buffer);
+    await linkBlob(hash, templatePath);
+
     const newTemplate = await prisma.document.create({
       data: {
         name: `${templateName}.${extension}`,
-        path: `/${workflow.name}/templates/${templateName}.${extension}`,
+        path: templatePath,
         createdById: userData.id,
         type: "file",
+        blobHash: hash,
       },
     });
 
@@ -1478,16 +1428,7 @@ export const upload_template_document = async (req, res) => {
 
 export const use_template_document = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    if (!accessToken) {
-      return res.status(401).json({ message: "Authorization token missing" });
-    }
-
-    // Verify user
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     let { templateId, workflowId } = req.body;
 
@@ -1504,9 +1445,7 @@ export const use_template_document = async (req, res) => {
     });
 
     try {
-      await fs.access(
-        path.join(__dirname, STORAGE_PATH, workflow.name, "temp")
-      );
+      await documentStorage.stat(`/${workflow.name}/temp`);
     } catch (error) {
       if (error.code === "ENOENT") {
         await createFolder(false, `../${workflow.name}/temp`, userData);
@@ -1528,7 +1467,7 @@ export const use_template_document = async (req, res) => {
     const response = await new Promise((resolve, reject) => {
       file_copy(
         {
-          headers: { authorization: `Bearer ${accessToken}` },
+          user: req.user,
           body: { sourcePath, destinationPath, name },
         },
         {
@@ -1563,12 +1502,7 @@ export const get_workflow_steps_with_assignments = async (req, res) => {
   try {
     const { workflowId } = req.params;
 
-    // Verify user authorization
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     // Fetch workflow with all necessary relations in a single query
     const workflow = await prisma.workflow.findUnique({
@@ -1896,12 +1830,7 @@ export const get_workflow_steps_with_assignments = async (req, res) => {
 
 export const get_all_workflows_with_basics = async (req, res) => {
   try {
-    // Verify user authorization
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     // Fetch all workflows with only the required fields
     const workflows = await prisma.workflow.findMany({
@@ -1934,11 +1863,7 @@ export const get_all_workflows_with_basics = async (req, res) => {
 
 export const check_if_workflow_is_duplicate = async (req, res) => {
   try {
-    const accessToken = req.headers["authorization"]?.substring(7);
-    const userData = await verifyUser(accessToken);
-    if (userData === "Unauthorized") {
-      return res.status(401).json({ message: "Unauthorized request" });
-    }
+    const userData = req.user;
 
     const { name, steps } = req.body;
 
@@ -0,0 +1,62 @@
+import cron from "node-cron";
+import ldapConfig from "../config/ldap-config.js";
+import { syncLdapUsers } from "../services/ldapService.js";
+import { endExpiredImpersonations } from "../services/impersonationService.js";
+import {
+  notifyExpiringGrants,
+  revokeExpiredGrants,
+} from "../services/documentAccessService.js";
+import {
+  remindRecertificationReviewers,
+  closeDueRecertifications,
+} from "../services/recertificationService.js";
+import { cleanupExpiredUploadSessions } from "../services/uploadSessionService.js";
+
+// Wrap a job so a failure is logged and never takes the server down
+const runJob = (name, job) => async () => {
+  try {
+    console.log(`Running scheduled job: ${name}`);
+    await job();
+  } catch (error) {
+    console.error(`Scheduled job ${name} failed:`, error);
+  }
+};
+
+export const startScheduledJobs = () => {
+  if (ldapConfig.enabled) {
+    cron.schedule(ldapConfig.syncCron, runJob("ldap-sync", syncLdapUsers));
+  }
+
+  // Expired impersonations are closed and reported to the user
+  cron.schedule(
+    "*/5 * * * *",
+    runJob("impersonation-expiry", endExpiredImpersonations)
+  );
+
+  // Time-bound document grants: warn their owners, then remove lapsed ones
+  cron.schedule(
+    "0 * * * *",
+    runJob("document-access-expiry", async () => {
+      await notifyExpiringGrants();
+      await revokeExpiredGrants();
+    })
+  );
+
+  // Access recertification: close campaigns past their due date, then
+  // remind reviewers of the ones still open
+  cron.schedule(
+    "0 7 * * *",
+    runJob("access-recertification", async () => {
+      await closeDueRecertifications();
+      await remindRecertificationReviewers();
+    })
+  );
+
+  // Resumable uploads nobody finished, and finished ones past their expiry
+  cron.schedule(
+    "30 * * * *",
+    runJob("upload-session-cleanup", cleanupExpiredUploadSessions)
+  );
+};
+
+export default startScheduledJobs;
@@ -0,0 +1,434 @@
+import { PrismaClient } from "@prisma/client";
+import { verifyUser } from "../utility/verifyUser.js";
+import {
+  verifyWopiToken,
+  verifyFileUrlToken,
+  verifyImpersonationToken,
+} from "../services/tokenService.js";
+import { hasDocumentAccess } from "../services/documentAccessService.js";
+import {
+  hasPermission,
+  isKnownPermission,
+} from "../services/permissionService.js";
+import { touchSession } from "../services/sessionService.js";
+import {
+  findUsableApiKey,
+  recordApiKeyUse,
+  isWorkflowAllowed,
+} from "../services/apiKeyService.js";
+import { findActiveImpersonation } from "../services/impersonationService.js";
+import { impersonationContext } from "../utility/impersonationContext.js";
+import logger from "../controller/logger.js";
+
+const prisma = new PrismaClient();
+
+// Most calls send "authorization"; uploads, file streaming and the editor
+// send the same bearer token as "x-authorization"
+const getBearerToken = (req) => {
+  const header = req.headers["authorization"] || req.headers["x-authorization"];
+  return header?.startsWith("Bearer ") ? header.substring(7) : null;
+};
+
+// Fresh roles/departments on every request, so role changes apply at once
+const loadRequestUser = async (userId, claims = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      roles: {
+        include: {
+          role: { include: { permissions: { select: { permission: true } } } },
+        },
+      },
+      branches: { select: { id: true, name: true } },
+    },
+  });
+  if (!user || user.status === "Inactive") return null;
+
+  const roles = user.roles.map((userRole) => userRole.role);
+  // Deactivated roles stay assigned but grant nothing
+  const rolePermissions = (role) =>
+    role.isActive ? role.permissions.map((grant) => grant.permission) : [];
+
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    name: user.name,
+    sid: claims.sid,
+    permissions: [...new Set(roles.flatMap(rolePermissions))],
+    roles: roles.map((role) => ({
+      id: role.id,
+      role: role.role,
+      departmentId: role.departmentId,
+      isRootLevel: role.isRootLevel,
+      permissions: rolePermissions(role),
+    })),
+    roleIds: roles.map((role) => role.id),
+    departments: user.branches,
+    departmentIds: user.branches.map((department) => department.id),
+  };
+};
+
+// Every request made while impersonating is logged under the admin, with the
+// user they were viewing as
+const logImpersonatedRequest = (req, res) => {
+  res.on("finish", () => {
+    logger.info({
+      action: "IMPERSONATED_REQUEST",
+      userId: req.user.impersonation.impersonatorId,
+      details: {
+        impersonationId: req.user.impersonation.id,
+        impersonatedUserId: req.user.id,
+        impersonatedUsername: req.user.username,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip || req.connection.remoteAddress,
+      },
+    });
+  });
+};
+
+const authenticateImpersonation = async (req, res, claims) => {
+  const impersonation = await findActiveImpersonation(claims.impersonationId);
+  const user = impersonation && (await loadRequestUser(impersonation.userId));
+  if (!user) return null;
+
+  req.user = {
+    ...user,
+    impersonation: {
+      id: impersonation.id,
+      impersonatorId: impersonation.admin.id,
+      impersonatorUsername: impersonation.admin.username,
+      readOnly: impersonation.readOnly,
+    },
+  };
+  logImpersonatedRequest(req, res);
+  return req.user;
+};
+
+const authenticate = async (req, res) => {
+  if (req.user) return req.user;
+
+  const accessToken = getBearerToken(req);
+  if (!accessToken) return null;
+
+  const impersonationClaims = verifyImpersonationToken(accessToken);
+  if (impersonationClaims) {
+    return await authenticateImpersonation(req, res, impersonationClaims);
+  }
+
+  const userData = await verifyUser(accessToken);
+  if (userData === "Unauthorized") return null;
+
+  req.user = await loadRequestUser(userData.id, userData);
+  if (req.user?.sid) {
+    await touchSession(req.user.sid, req);
+  }
+  return req.user;
+};
+
+// Every request made with an API key ends up in SystemLog, allowed or not
+const logApiKeyRequest = (req, res) => {
+  res.on("finish", () => {
+    logger.info({
+      action: "API_KEY_REQUEST",
+      userId: req.user.id,
+      details: {
+        apiKeyId: req.user.apiKey.id,
+        apiKeyName: req.user.apiKey.name,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip || req.connection.remoteAddress,
+      },
+    });
+  });
+};
+
+const unauthorized = (res) =>
+  res.status(401).json({ message: "Unauthorized request" });
+
+// POST routes that only read, so they stay open to read-only impersonation
+const IMPERSONATION_READ_POSTS = new Set([
+  "/accessFolder",
+  "/getDocumentChildren",
+  "/getDocumentDetailsOnTheBasisOfPathForEdit",
+  "/getAllBranches",
+  "/getProjects",
+  "/getRootDocumentsForEdit",
+  "/getUserProfilePic",
+  "/download",
+  "/downloadFolder",
+  "/wopi/token/:fileId",
+  "/impersonation/stop",
+]);
+
+const isReadRequest = (req) =>
+  ["GET", "HEAD", "OPTIONS"].includes(req.method) ||
+  IMPERSONATION_READ_POSTS.has(req.route?.path);
+
+// Runs the rest of the request as the impersonation, and stops writes when
+// it is read-only
+const continueAs = (req, res, next) => () => {
+  const impersonation = req.user?.impersonation;
+  if (!impersonation) return next();
+  if (impersonation.readOnly && !isReadRequest(req)) {
+    return res
+      .status(403)
+      .json({ message: "Impersonation is read-only; this action is blocked" });
+  }
+  impersonationContext.run(impersonation, next);
+};
+
+// Tags the middleware with the rule it enforces so assertRoutesDeclareAccess
+// can tell a guarded route from one that was forgotten
+const accessRule = (rule, check) => {
+  const middleware = async (req, res, next) => {
+    try {
+      await check(req, res, continueAs(req, res, next));
+    } catch (error) {
+      console.error("Error checking access", error);
+      res.status(500).json({ message: "Error checking access" });
+    }
+  };
+  middleware.accessRule = rule;
+  return middleware;
+};
+
+export const publicRoute = accessRule("public", (req, res, next) => next());
+
+// Attaches req.user when a valid token is sent, never rejects
+export const optionalAuth = accessRule("optional", async (req, res, next) => {
+  await authenticate(req, res);
+  next();
+});
+
+export const requireAuth = accessRule(
+  "authenticated",
+  async (req, res, next) => {
+    if (!(await authenticate(req, res))) return unauthorized(res);
+    next();
+  }
+);
+
+// `permission` is a key of PERMISSIONS in config/permission-config.js; a
+// typo fails at startup rather than locking everyone out of the route
+export const requirePermission = (permission) => {
+  if (!isKnownPermission(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return accessRule(`permission:${permission}`, async (req, res, next) => {
+    const user = await authenticate(req, res);
+    if (!user) return unauthorized(res);
+    if (!hasPermission(user, permission)) {
+      return res
+        .status(403)
+        .json({ message: `The ${permission} permission is required` });
+    }
+    next();
+  });
+};
+
+/**
+ * Routes integrations may call with an X-API-Key header. The key must carry
+ * `scope`; `workflowOf` returns the workflow a processes:initiate request
+ * starts. Requests without a key are authenticated like requireAuth, and
+ * API keys are not accepted by any other guard.
+ */
+export const allowApiKey = (scope, { workflowOf } = {}) =>
+  accessRule(`api-key:${scope}`, async (req, res, next) => {
+    const key = req.headers["x-api-key"];
+    if (!key) {
+      if (!(await authenticate(req, res))) return unauthorized(res);
+      return next();
+    }
+
+    const apiKey = await findUsableApiKey(key);
+    const user = apiKey && (await loadRequestUser(apiKey.userId));
+    if (!user) return unauthorized(res);
+
+    req.user = {
+      ...user,
+      apiKey: {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        workflowIds: apiKey.workflowIds,
+      },
+    };
+    logApiKeyRequest(req, res);
+    await recordApiKeyUse(apiKey.id, req.ip || req.connection.remoteAddress);
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res
+        .status(403)
+        .json({ message: `API key does not have the ${scope} scope` });
+    }
+    if (workflowOf && !(await isWorkflowAllowed(apiKey, workflowOf(req)))) {
+      return res
+        .status(403)
+        .json({ message: "API key may not start processes for this workflow" });
+    }
+    next();
+  });
+
+export const documentIdFromRequest = (req) =>
+  req.params.documentId ??
+  req.params.fileId ??
+  req.body?.documentId ??
+  req.query.documentId;
+
+// A `locate` for routes naming the document by its path: `pathOf` returns
+// the document path ("/departments/FIN/report.docx") from the request.
+// Resolves to null when no document has that path.
+export const documentIdAtPath = (pathOf) => async (req) => {
+  const documentPath = pathOf(req);
+  if (!documentPath) return undefined;
+  const document = await prisma.document.findUnique({
+    where: { path: documentPath },
+    select: { id: true },
+  });
+  return document?.id ?? null;
+};
+
+/**
+ * accessType is READ, EDIT or DOWNLOAD, or a function of the request when
+ * the route serves both (e.g. opening the editor read-only or for editing).
+ * `locate` returns, or resolves to, the document id the request is about.
+ */
+export const requireDocumentAccess = (
+  accessType,
+  locate = documentIdFromRequest
+) =>
+  accessRule(
+    `document:${typeof accessType === "function" ? "dynamic" : accessType}`,
+    async (req, res, next) => {
+      const user = await authenticate(req, res);
+      if (!user) return unauthorized(res);
+
+      const located = await locate(req);
+      if (located === null) {
+        return res.status(404).json({ message: "Document not found" });
+      }
+      const documentId = parseInt(located);
+      if (Number.isNaN(documentId)) {
+        return res.status(400).json({ message: "documentId is required" });
+      }
+
+      const required =
+        typeof accessType === "function" ? accessType(req) : accessType;
+      if (!(await hasDocumentAccess(user, documentId, required))) {
+        return res
+          .status(403)
+          .json({ message: `${required} access to this document is required` });
+      }
+      next();
+    }
+  );
+
+/**
+ * Collabora calls back with the WOPI token from /wopi/token as
+ * ?access_token=; the token's user becomes req.user. allowUserToken also
+ * accepts the user's bearer token instead. accessType may be a function of
+ * the request, as for requireDocumentAccess.
+ */
+export const requireWopiToken = (
+  accessType = "READ",
+  { allowUserToken = false } = {}
+) => {
+  const documentGuard = requireDocumentAccess(accessType);
+
+  return accessRule(
+    `wopi:${typeof accessType === "function" ? "dynamic" : accessType}`,
+    async (req, res, next) => {
+      if (!req.query.access_token && allowUserToken) {
+        return documentGuard(req, res, next);
+      }
+
+      const claims = verifyWopiToken(req.query.access_token);
+      const fileId = req.params.fileId ?? req.params.id;
+      if (!claims || String(claims.fileId) !== String(fileId)) {
+        return unauthorized(res);
+      }
+      const required =
+        typeof accessType === "function" ? accessType(req) : accessType;
+      if (required === "EDIT" && claims.readOnly) {
+        return res.status(403).json({ message: "Document opened read-only" });
+      }
+      // Tokens outlive DENY entries and inheritance breaks added while the
+      // document is open, so access is looked at again on every callback
+      const user = await loadRequestUser(claims.userId);
+      if (
+        !user ||
+        !(await hasDocumentAccess(user, parseInt(fileId), required))
+      ) {
+        return res
+          .status(403)
+          .json({ message: `${required} access to this document is required` });
+      }
+
+      req.user = user;
+      req.wopi = claims;
+      next();
+    }
+  );
+};
+
+// /files/* links are opened by the browser directly, so the token rides in
+// ?token= (see issueFileUrlToken); a bearer header works as well
+export const requireFileUrlToken = accessRule(
+  "file-url",
+  async (req, res, next) => {
+    const claims = req.query.token && verifyFileUrlToken(req.query.token);
+    if (claims) {
+      req.user = await loadRequestUser(claims.userId);
+    }
+    const user = req.user || (await authenticate(req, res));
+    if (!user) return unauthorized(res);
+
+    const document = await prisma.document.findUnique({
+      where: { path: "/" + req.params.filePath },
+      select: { id: true },
+    });
+    // Unknown paths fall through to the controller's 404
+    if (document && !(await hasDocumentAccess(user, document.id, "READ"))) {
+      return res
+        .status(403)
+        .json({ message: "READ access to this document is required" });
+    }
+    next();
+  }
+);
+
+// Fail at startup when a route was registered without an access rule in
+// front of its handler
+export const assertRoutesDeclareAccess = (router) => {
+  const undeclared = router.stack
+    .filter((layer) => layer.route)
+    .filter((layer) => !layer.route.stack[0]?.handle.accessRule)
+    .map(
+      (layer) =>
+        `${Object.keys(layer.route.methods).join(",").toUpperCase()} ${
+          layer.route.path
+        }`
+    );
+
+  if (undeclared.length > 0) {
+    throw new Error(`Routes without an access rule: ${undeclared.join(", ")}`);
+  }
+};
+
+export default {
+  publicRoute,
+  optionalAuth,
+  requireAuth,
+  requirePermission,
+  allowApiKey,
+  documentIdAtPath,
+  requireDocumentAccess,
+  requireWopiToken,
+  requireFileUrlToken,
+  assertRoutesDeclareAccess,
+};
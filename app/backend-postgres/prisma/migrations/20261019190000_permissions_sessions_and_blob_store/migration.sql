@@ -0,0 +1,529 @@
+/*
+  Warnings:
+
+  - Added the required columns `expiresAt` and `familyId` to the `Token` table without a default value. Refresh tokens issued before rotation cannot be carried over: they are deleted, and everyone signs in again.
+  - A unique constraint covering the column `token` on the table `Token` will be added.
+  - Role permissions start empty: run `npm run permissions:backfill` after deploying.
+  - Existing files are not in the blob store yet: run `npm run storage:migrate-blobs` after deploying.
+
+*/
+-- CreateEnum
+CREATE TYPE "AccessEffect" AS ENUM ('ALLOW', 'DENY');
+
+-- CreateEnum
+CREATE TYPE "AccessRequestStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "RecertificationStatus" AS ENUM ('OPEN', 'CLOSED');
+
+-- CreateEnum
+CREATE TYPE "RecertificationDecision" AS ENUM ('PENDING', 'KEEP', 'REVOKE');
+
+-- CreateEnum
+CREATE TYPE "UploadSessionStatus" AS ENUM ('OPEN', 'FINALIZING', 'COMPLETED');
+
+-- CreateEnum
+CREATE TYPE "AuthSource" AS ENUM ('LOCAL', 'LDAP', 'SERVICE');
+
+-- CreateEnum
+CREATE TYPE "LockoutScope" AS ENUM ('USERNAME', 'IP');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "NotificationType" ADD VALUE 'ACCESS_REQUEST';
+ALTER TYPE "NotificationType" ADD VALUE 'ACCESS_REQUEST_DECISION';
+ALTER TYPE "NotificationType" ADD VALUE 'ACCESS_RECERTIFICATION';
+
+-- DropIndex
+DROP INDEX "Token_userId_key";
+
+-- AlterTable
+ALTER TABLE "Document" ADD COLUMN     "blobHash" TEXT,
+ADD COLUMN     "checkedOutAt" TIMESTAMP(3),
+ADD COLUMN     "checkedOutById" INTEGER,
+ADD COLUMN     "inheritAccess" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "versionLimit" INTEGER;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "authSource" "AuthSource" NOT NULL DEFAULT 'LOCAL',
+ADD COLUMN     "externalId" TEXT,
+ADD COLUMN     "lastSyncedAt" TIMESTAMP(3),
+ADD COLUMN     "mustChangePassword" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "passwordChangedAt" TIMESTAMP(3),
+ADD COLUMN     "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "twoFactorLastUsedStep" INTEGER,
+ADD COLUMN     "twoFactorRecoveryCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "twoFactorSecret" TEXT;
+
+-- DeleteRows
+DELETE FROM "Token";
+
+-- AlterTable
+ALTER TABLE "Token" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "expiresAt" TIMESTAMP(3) NOT NULL,
+ADD COLUMN     "familyId" TEXT NOT NULL,
+ADD COLUMN     "replacedById" INTEGER,
+ADD COLUMN     "revokedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "DocumentAccess" ADD COLUMN     "effect" "AccessEffect" NOT NULL DEFAULT 'ALLOW',
+ADD COLUMN     "expiryNotifiedAt" TIMESTAMP(3),
+ADD COLUMN     "validFrom" TIMESTAMP(3),
+ADD COLUMN     "validUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "ProcessStepInstance" ADD COLUMN     "delegatedFromId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "DocumentSignature" ADD COLUMN     "onBehalfOfId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "DocumentRejection" ADD COLUMN     "onBehalfOfId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "LoginLog" ALTER COLUMN "userId" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "RolePermission" (
+    "id" SERIAL NOT NULL,
+    "roleId" INTEGER NOT NULL,
+    "permission" TEXT NOT NULL,
+    "grantedById" INTEGER,
+    "grantedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RolePermission_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Session" (
+    "id" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "device" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "revokedById" INTEGER,
+    "revokeReason" TEXT,
+
+    CONSTRAINT "Session_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PasswordHistory" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PasswordHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PasswordResetToken" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "requestedIp" TEXT,
+
+    CONSTRAINT "PasswordResetToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DocumentAccessRequest" (
+    "id" SERIAL NOT NULL,
+    "documentId" INTEGER NOT NULL,
+    "requestingUserId" INTEGER NOT NULL,
+    "accessType" "AccessType"[] DEFAULT ARRAY[]::"AccessType"[],
+    "reason" TEXT NOT NULL,
+    "status" "AccessRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "decidedById" INTEGER,
+    "decidedAt" TIMESTAMP(3),
+    "rejectionReason" TEXT,
+    "accessId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentAccessRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AccessRecertification" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "folderId" INTEGER,
+    "departmentId" INTEGER,
+    "status" "RecertificationStatus" NOT NULL DEFAULT 'OPEN',
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+    "closedById" INTEGER,
+
+    CONSTRAINT "AccessRecertification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AccessRecertificationItem" (
+    "id" SERIAL NOT NULL,
+    "campaignId" INTEGER NOT NULL,
+    "accessId" TEXT NOT NULL,
+    "documentId" INTEGER NOT NULL,
+    "documentPath" TEXT NOT NULL,
+    "reviewerId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "roleId" INTEGER,
+    "departmentId" INTEGER,
+    "grantee" TEXT NOT NULL,
+    "accessType" "AccessType"[] DEFAULT ARRAY[]::"AccessType"[],
+    "accessLevel" "AccessLevel" NOT NULL,
+    "grantedById" INTEGER,
+    "grantedAt" TIMESTAMP(3) NOT NULL,
+    "validUntil" TIMESTAMP(3),
+    "decision" "RecertificationDecision" NOT NULL DEFAULT 'PENDING',
+    "decidedAt" TIMESTAMP(3),
+    "comment" TEXT,
+    "autoRevoked" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "AccessRecertificationItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "WopiLock" (
+    "documentId" INTEGER NOT NULL,
+    "lockId" TEXT NOT NULL,
+    "userId" INTEGER,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WopiLock_pkey" PRIMARY KEY ("documentId")
+);
+
+-- CreateTable
+CREATE TABLE "DocumentVersion" (
+    "id" SERIAL NOT NULL,
+    "documentId" INTEGER NOT NULL,
+    "versionNumber" INTEGER NOT NULL,
+    "authorId" INTEGER,
+    "comment" TEXT,
+    "size" INTEGER NOT NULL,
+    "blobHash" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DocumentVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Blob" (
+    "hash" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "refCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Blob_pkey" PRIMARY KEY ("hash")
+);
+
+-- CreateTable
+CREATE TABLE "UploadSession" (
+    "id" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "folderPath" TEXT NOT NULL,
+    "documentId" INTEGER,
+    "fileSize" INTEGER NOT NULL,
+    "chunkSize" INTEGER NOT NULL,
+    "totalChunks" INTEGER NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "receivedChunks" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "status" "UploadSessionStatus" NOT NULL DEFAULT 'OPEN',
+    "resultDocumentId" INTEGER,
+    "comment" TEXT,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "departmentName" TEXT,
+    "isInvolvedInProcess" BOOLEAN NOT NULL DEFAULT false,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UploadSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Delegation" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "delegateId" INTEGER NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "cancelledAt" TIMESTAMP(3),
+
+    CONSTRAINT "Delegation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ImpersonationSession" (
+    "id" TEXT NOT NULL,
+    "adminId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "readOnly" BOOLEAN NOT NULL DEFAULT true,
+    "ipAddress" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+    "endReason" TEXT,
+    "notifiedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ImpersonationSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ApiKey" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "scopes" TEXT[],
+    "workflowIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "lastUsedAt" TIMESTAMP(3),
+    "lastUsedIp" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" INTEGER,
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LdapGroupMapping" (
+    "id" SERIAL NOT NULL,
+    "groupDn" TEXT NOT NULL,
+    "roleId" INTEGER,
+    "departmentId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LdapGroupMapping_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoginLockout" (
+    "id" SERIAL NOT NULL,
+    "scope" "LockoutScope" NOT NULL,
+    "key" TEXT NOT NULL,
+    "failedAttempts" INTEGER NOT NULL,
+    "lockedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "unlockedAt" TIMESTAMP(3),
+    "unlockedById" INTEGER,
+
+    CONSTRAINT "LoginLockout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RolePermission_roleId_permission_key" ON "RolePermission"("roleId", "permission");
+
+-- CreateIndex
+CREATE INDEX "Session_userId_revokedAt_idx" ON "Session"("userId", "revokedAt");
+
+-- CreateIndex
+CREATE INDEX "PasswordHistory_userId_createdAt_idx" ON "PasswordHistory"("userId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PasswordResetToken_tokenHash_key" ON "PasswordResetToken"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "PasswordResetToken_userId_idx" ON "PasswordResetToken"("userId");
+
+-- CreateIndex
+CREATE INDEX "DocumentAccessRequest_documentId_status_idx" ON "DocumentAccessRequest"("documentId", "status");
+
+-- CreateIndex
+CREATE INDEX "DocumentAccessRequest_requestingUserId_idx" ON "DocumentAccessRequest"("requestingUserId");
+
+-- CreateIndex
+CREATE INDEX "AccessRecertification_status_dueDate_idx" ON "AccessRecertification"("status", "dueDate");
+
+-- CreateIndex
+CREATE INDEX "AccessRecertificationItem_campaignId_decision_idx" ON "AccessRecertificationItem"("campaignId", "decision");
+
+-- CreateIndex
+CREATE INDEX "AccessRecertificationItem_reviewerId_decision_idx" ON "AccessRecertificationItem"("reviewerId", "decision");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentVersion_documentId_versionNumber_key" ON "DocumentVersion"("documentId", "versionNumber");
+
+-- CreateIndex
+CREATE INDEX "UploadSession_expiresAt_idx" ON "UploadSession"("expiresAt");
+
+-- CreateIndex
+CREATE INDEX "Delegation_userId_startsAt_endsAt_idx" ON "Delegation"("userId", "startsAt", "endsAt");
+
+-- CreateIndex
+CREATE INDEX "ImpersonationSession_userId_idx" ON "ImpersonationSession"("userId");
+
+-- CreateIndex
+CREATE INDEX "ImpersonationSession_endedAt_expiresAt_idx" ON "ImpersonationSession"("endedAt", "expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKey_keyHash_key" ON "ApiKey"("keyHash");
+
+-- CreateIndex
+CREATE INDEX "ApiKey_userId_idx" ON "ApiKey"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LdapGroupMapping_groupDn_roleId_departmentId_key" ON "LdapGroupMapping"("groupDn", "roleId", "departmentId");
+
+-- CreateIndex
+CREATE INDEX "LoginLockout_scope_key_lockedUntil_idx" ON "LoginLockout"("scope", "key", "lockedUntil");
+
+-- CreateIndex
+CREATE INDEX "Document_parentId_idx" ON "Document"("parentId");
+
+-- CreateIndex
+CREATE INDEX "Document_blobHash_idx" ON "Document"("blobHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_externalId_key" ON "User"("externalId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Token_token_key" ON "Token"("token");
+
+-- CreateIndex
+CREATE INDEX "Token_userId_idx" ON "Token"("userId");
+
+-- CreateIndex
+CREATE INDEX "Token_familyId_idx" ON "Token"("familyId");
+
+-- CreateIndex
+CREATE INDEX "DocumentAccess_validUntil_idx" ON "DocumentAccess"("validUntil");
+
+-- CreateIndex
+CREATE INDEX "LoginLog_username_createdAt_idx" ON "LoginLog"("username", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LoginLog_ipAddress_createdAt_idx" ON "LoginLog"("ipAddress", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Document" ADD CONSTRAINT "Document_checkedOutById_fkey" FOREIGN KEY ("checkedOutById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Document" ADD CONSTRAINT "Document_blobHash_fkey" FOREIGN KEY ("blobHash") REFERENCES "Blob"("hash") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RolePermission" ADD CONSTRAINT "RolePermission_roleId_fkey" FOREIGN KEY ("roleId") REFERENCES "Role"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RolePermission" ADD CONSTRAINT "RolePermission_grantedById_fkey" FOREIGN KEY ("grantedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Session" ADD CONSTRAINT "Session_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Session" ADD CONSTRAINT "Session_revokedById_fkey" FOREIGN KEY ("revokedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PasswordHistory" ADD CONSTRAINT "PasswordHistory_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PasswordResetToken" ADD CONSTRAINT "PasswordResetToken_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProcessStepInstance" ADD CONSTRAINT "ProcessStepInstance_delegatedFromId_fkey" FOREIGN KEY ("delegatedFromId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentSignature" ADD CONSTRAINT "DocumentSignature_onBehalfOfId_fkey" FOREIGN KEY ("onBehalfOfId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentRejection" ADD CONSTRAINT "DocumentRejection_onBehalfOfId_fkey" FOREIGN KEY ("onBehalfOfId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentAccessRequest" ADD CONSTRAINT "DocumentAccessRequest_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentAccessRequest" ADD CONSTRAINT "DocumentAccessRequest_requestingUserId_fkey" FOREIGN KEY ("requestingUserId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentAccessRequest" ADD CONSTRAINT "DocumentAccessRequest_decidedById_fkey" FOREIGN KEY ("decidedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessRecertification" ADD CONSTRAINT "AccessRecertification_folderId_fkey" FOREIGN KEY ("folderId") REFERENCES "Document"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessRecertification" ADD CONSTRAINT "AccessRecertification_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "Department"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessRecertification" ADD CONSTRAINT "AccessRecertification_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessRecertification" ADD CONSTRAINT "AccessRecertification_closedById_fkey" FOREIGN KEY ("closedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessRecertificationItem" ADD CONSTRAINT "AccessRecertificationItem_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "AccessRecertification"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessRecertificationItem" ADD CONSTRAINT "AccessRecertificationItem_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WopiLock" ADD CONSTRAINT "WopiLock_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WopiLock" ADD CONSTRAINT "WopiLock_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentVersion" ADD CONSTRAINT "DocumentVersion_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentVersion" ADD CONSTRAINT "DocumentVersion_blobHash_fkey" FOREIGN KEY ("blobHash") REFERENCES "Blob"("hash") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentVersion" ADD CONSTRAINT "DocumentVersion_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UploadSession" ADD CONSTRAINT "UploadSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UploadSession" ADD CONSTRAINT "UploadSession_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "Document"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Delegation" ADD CONSTRAINT "Delegation_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Delegation" ADD CONSTRAINT "Delegation_delegateId_fkey" FOREIGN KEY ("delegateId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImpersonationSession" ADD CONSTRAINT "ImpersonationSession_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImpersonationSession" ADD CONSTRAINT "ImpersonationSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ApiKey" ADD CONSTRAINT "ApiKey_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ApiKey" ADD CONSTRAINT "ApiKey_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LdapGroupMapping" ADD CONSTRAINT "LdapGroupMapping_roleId_fkey" FOREIGN KEY ("roleId") REFERENCES "Role"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LdapGroupMapping" ADD CONSTRAINT "LdapGroupMapping_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "Department"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoginLockout" ADD CONSTRAINT "LoginLockout_unlockedById_fkey" FOREIGN KEY ("unlockedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
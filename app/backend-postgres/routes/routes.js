@@ -1,10 +1,26 @@
 import express from "express";
+import path from "path";
 
 import upload_, {
   mergePdfUpload,
   uploadMemory,
+  orgImportUpload,
+  checkInUpload,
+  templateUpload,
 } from "../config/multer-config.js";
 import multer from "multer";
+import {
+  publicRoute,
+  optionalAuth,
+  requireAuth,
+  requirePermission,
+  allowApiKey,
+  documentIdAtPath,
+  requireDocumentAccess,
+  requireWopiToken,
+  requireFileUrlToken,
+  assertRoutesDeclareAccess,
+} from "../middleware/auth-middleware.js";
 
 import {
   sign_up,
@@ -12,6 +28,10 @@ import {
   create_admin,
   change_password,
   logout,
+  refresh_token,
+  unlock_login,
+  forgot_password,
+  reset_password,
   download_login_logs,
 } from "../controller/auth-controller.js";
 
@@ -110,6 +130,7 @@ import {
   wopiLock,
   wopiUnlock,
   wopiRefreshLock,
+  wopiFileOperation,
   downloadWatermarkedFile,
   bookmark_document,
   get_bookmarked_documents,
@@ -132,6 +153,7 @@ import {
 
 import {
   deactivate_user,
+  get_user_pending_work,
   edit_user,
   get_user,
   get_user_dsc,
@@ -183,137 +205,551 @@ import {
 import { export_file_logs } from "../controller/file-operation-handler.js";
 
 import { add_tags, get_tags } from "../controller/tag-controller.js";
+import {
+  get_two_factor_status,
+  setup_two_factor,
+  enable_two_factor,
+  verify_two_factor,
+  disable_two_factor,
+  regenerate_recovery_codes,
+  reset_two_factor,
+} from "../controller/two-factor-controller.js";
+import {
+  sync_ldap_users,
+  get_ldap_group_mappings,
+  add_ldap_group_mapping,
+  delete_ldap_group_mapping,
+} from "../controller/ldap-controller.js";
+import {
+  get_my_sessions,
+  get_user_sessions,
+  revoke_session,
+  sign_out_everywhere,
+} from "../controller/session-controller.js";
+import {
+  create_api_key,
+  get_my_api_keys,
+  get_user_api_keys,
+  revoke_api_key,
+  create_service_account,
+  get_service_accounts,
+} from "../controller/api-key-controller.js";
+import {
+  get_my_delegations,
+  get_user_delegations,
+  create_delegation,
+  cancel_delegation,
+} from "../controller/delegation-controller.js";
+import {
+  start_impersonation,
+  stop_impersonation,
+  get_my_impersonations,
+  get_user_impersonations,
+} from "../controller/impersonation-controller.js";
+import {
+  export_org_structure,
+  import_org_structure,
+} from "../controller/org-structure-controller.js";
+import {
+  get_effective_access,
+  create_access_request,
+  get_access_requests,
+  approve_access_request,
+  reject_access_request,
+  cancel_access_request,
+  get_deny_rules,
+  create_deny_rule,
+  delete_deny_rule,
+  set_document_inheritance,
+} from "../controller/document-access-controller.js";
+import {
+  check_out_document,
+  check_in_document,
+  undo_check_out,
+} from "../controller/document-checkout-controller.js";
+import {
+  get_document_versions,
+  download_document_version,
+  restore_document_version,
+  set_version_limit,
+} from "../controller/document-version-controller.js";
+import {
+  create_upload_session,
+  get_upload_session,
+  upload_session_chunk,
+  finalize_upload_session,
+  abort_upload_session,
+} from "../controller/upload-session-controller.js";
+import {
+  create_recertification,
+  get_recertifications,
+  get_recertification,
+  get_my_recertification_reviews,
+  decide_recertification_items,
+  close_recertification,
+  export_recertification_report,
+} from "../controller/recertification-controller.js";
+import {
+  get_permission_matrix,
+  set_role_permissions,
+} from "../controller/permission-controller.js";
 
 const router = express.Router();
 
-router.post("/signup", sign_up);
-router.post("/login", login);
-router.post("/tags", add_tags);
-router.get("/tags", get_tags);
+// Every route names its access rule right after the path: publicRoute,
+// requireAuth, requirePermission(...), requireDocumentAccess(...) and so on.
+// Guards attach req.user; allowApiKey(scope) additionally admits integrations
+// calling with an X-API-Key. assertRoutesDeclareAccess at the bottom refuses to start
+// the server if a route was added without one.
+
+// Opening the editor for editing needs EDIT, a read-only view only READ
+const wopiAccessType = (req) => (req.body.readOnly ? "READ" : "EDIT");
+// Reading the lock is the only X-WOPI-Override that changes nothing
+const wopiOperationAccessType = (req) =>
+  req.headers["x-wopi-override"] === "GET_LOCK" ? "READ" : "EDIT";
+// Copies and moves send paths with the client's two-character prefix
+const documentAtBodyPath = (field) =>
+  documentIdAtPath((req) => req.body[field]?.substring(2));
+// getFileData sends the folder and the name of the file it streams
+const streamedDocument = documentIdAtPath(
+  (req) =>
+    req.headers["x-file-path"] &&
+    path.posix.join(
+      "/",
+      decodeURIComponent(req.headers["x-file-path"]).substring(1),
+      decodeURIComponent(req.headers["x-file-name"])
+    )
+);
+
+router.post("/signup", requirePermission("user.manage"), sign_up);
+router.post("/login", publicRoute, login);
+router.post("/refreshToken", publicRoute, refresh_token);
+
+// two-factor authentication
+router.get("/twoFactor/status", requireAuth, get_two_factor_status);
+router.post("/twoFactor/setup", optionalAuth, setup_two_factor);
+router.post("/twoFactor/enable", optionalAuth, enable_two_factor);
+router.post("/twoFactor/verify", publicRoute, verify_two_factor);
+router.post("/twoFactor/disable", requireAuth, disable_two_factor);
+router.post("/twoFactor/recoveryCodes", requireAuth, regenerate_recovery_codes);
+router.post(
+  "/twoFactor/reset/:userId",
+  requirePermission("security.manage"),
+  reset_two_factor
+);
+
+// active sessions
+router.get("/sessions", requireAuth, get_my_sessions);
+router.get(
+  "/sessions/user/:userId",
+  requirePermission("user.manage"),
+  get_user_sessions
+);
+router.post("/sessions/:sessionId/revoke", requireAuth, revoke_session);
+router.post(
+  "/sessions/user/:userId/revokeAll",
+  requirePermission("user.manage"),
+  sign_out_everywhere
+);
+
+// API keys and service accounts
+router.get("/apiKeys", requireAuth, get_my_api_keys);
+router.post("/apiKeys", requireAuth, create_api_key);
+router.get(
+  "/apiKeys/user/:userId",
+  requirePermission("security.manage"),
+  get_user_api_keys
+);
+router.post("/apiKeys/:id/revoke", requireAuth, revoke_api_key);
+router.get(
+  "/serviceAccounts",
+  requirePermission("security.manage"),
+  get_service_accounts
+);
+router.post(
+  "/serviceAccounts",
+  requirePermission("security.manage"),
+  create_service_account
+);
+
+// LDAP / Active Directory
+router.post(
+  "/ldap/sync",
+  requirePermission("security.manage"),
+  sync_ldap_users
+);
+router.get(
+  "/ldap/groupMappings",
+  requirePermission("security.manage"),
+  get_ldap_group_mappings
+);
+router.post(
+  "/ldap/groupMappings",
+  requirePermission("security.manage"),
+  add_ldap_group_mapping
+);
+router.delete(
+  "/ldap/groupMappings/:id",
+  requirePermission("security.manage"),
+  delete_ldap_group_mapping
+);
+router.post("/tags", requireAuth, add_tags);
+router.get("/tags", requireAuth, get_tags);
 
 // backend/routes/auth.js
 
-router.post("/createAdmin", create_admin);
+router.post("/createAdmin", publicRoute, create_admin);
 
-router.post("/addDepartment", add_department);
+router.post(
+  "/addDepartment",
+  requirePermission("department.manage"),
+  add_department
+);
 
 // change POST to GET
-router.get("/getDepartments", get_departments);
+router.get("/getDepartments", requireAuth, get_departments);
 
-router.post("/getAllBranches", get_departments);
+router.post("/getAllBranches", requireAuth, get_departments);
 
 // all file related routes
 
-router.post("/upload", file_upload);
-router.post("/download", file_download);
-router.post("/copyFile", file_copy);
-router.post("/cutFile", file_cut);
-router.post("/createFolder", create_folder);
-router.post("/downloadFolder", folder_download);
-router.get("/files/:filePath(*)", file_though_url);
-router.get("/getFileData", get_file_data);
+// EDIT on the replaced document, or on the folder a new file goes into, is
+// checked in the controller
+router.post("/upload", allowApiKey("documents:upload"), file_upload);
+// Resumable uploads; sessions belong to the user who opened them
+router.post(
+  "/uploadSessions",
+  allowApiKey("documents:upload"),
+  create_upload_session
+);
+router.get(
+  "/uploadSessions/:sessionId",
+  allowApiKey("documents:upload"),
+  get_upload_session
+);
+router.put(
+  "/uploadSessions/:sessionId/chunks/:chunkNumber",
+  allowApiKey("documents:upload"),
+  upload_session_chunk
+);
+router.post(
+  "/uploadSessions/:sessionId/finalize",
+  allowApiKey("documents:upload"),
+  finalize_upload_session
+);
+router.delete(
+  "/uploadSessions/:sessionId",
+  allowApiKey("documents:upload"),
+  abort_upload_session
+);
+router.post("/download", allowApiKey("documents:read"), file_download);
+router.post(
+  "/copyFile",
+  requireDocumentAccess("READ", documentAtBodyPath("sourcePath")),
+  requireDocumentAccess("EDIT", documentAtBodyPath("destinationPath")),
+  file_copy
+);
+router.post(
+  "/cutFile",
+  requireDocumentAccess("EDIT", documentAtBodyPath("sourcePath")),
+  requireDocumentAccess("EDIT", documentAtBodyPath("destinationPath")),
+  file_cut
+);
+// EDIT on the deepest existing parent folder is checked in the controller
+router.post("/createFolder", requireAuth, create_folder);
+// DOWNLOAD on the folder and on each document zipped is checked in the
+// controller
+router.post("/downloadFolder", requireAuth, folder_download);
+router.get("/files/:filePath(*)", requireFileUrlToken, file_though_url);
+router.get(
+  "/getFileData",
+  requireDocumentAccess("READ", streamedDocument),
+  get_file_data
+);
 
 // file details related routes
 
-router.post("/accessFolder", getDocumentDetailsOnTheBasisOfPath);
+router.post(
+  "/accessFolder",
+  allowApiKey("documents:read"),
+  getDocumentDetailsOnTheBasisOfPath
+);
+
+router.get("/getDepartment/:id", requireAuth, get_department);
 
-router.get("/getDepartment/:id", get_department);
+router.get("/getDepartmentsHierarchy", requireAuth, getDepartmentsHierarchy);
+router.post(
+  "/createPermissions",
+  requirePermission("document.grant"),
+  create_permissions
+);
+router.post(
+  "/getAllDocuments",
+  requirePermission("document.grant"),
+  getDocumentDetailsForAdmin
+);
+router.get(
+  "/documents/:documentId/effectiveAccess",
+  requirePermission("document.grant"),
+  get_effective_access
+);
+router.get(
+  "/documents/:documentId/denyRules",
+  requirePermission("document.grant"),
+  get_deny_rules
+);
+router.post(
+  "/documents/:documentId/denyRules",
+  requirePermission("document.grant"),
+  create_deny_rule
+);
+router.delete(
+  "/documents/:documentId/denyRules/:accessId",
+  requirePermission("document.grant"),
+  delete_deny_rule
+);
+router.put(
+  "/documents/:documentId/inheritance",
+  requirePermission("document.grant"),
+  set_document_inheritance
+);
+// Approvers (owner, folder owner, department head) are checked per request
+router.post(
+  "/documents/:documentId/accessRequests",
+  requireAuth,
+  create_access_request
+);
+router.get("/accessRequests", requireAuth, get_access_requests);
+router.post("/accessRequests/:id/approve", requireAuth, approve_access_request);
+router.post("/accessRequests/:id/reject", requireAuth, reject_access_request);
+router.post("/accessRequests/:id/cancel", requireAuth, cancel_access_request);
 
-router.get("/getDepartmentsHierarchy", getDepartmentsHierarchy);
-router.post("/createPermissions", create_permissions);
-router.post("/getAllDocuments", getDocumentDetailsForAdmin);
+router.post(
+  "/documents/:documentId/checkout",
+  requireDocumentAccess("EDIT"),
+  check_out_document
+);
+router.post(
+  "/documents/:documentId/checkin",
+  requireDocumentAccess("EDIT"),
+  checkInUpload,
+  check_in_document
+);
+// The holder, or document.accessAll for abandoned check-outs, is checked in
+// the controller
+router.post("/documents/:documentId/undoCheckout", requireAuth, undo_check_out);
+
+router.get(
+  "/documents/:documentId/versions",
+  requireDocumentAccess("READ"),
+  get_document_versions
+);
+router.get(
+  "/documents/:documentId/versions/:versionNumber/download",
+  requireDocumentAccess("DOWNLOAD"),
+  download_document_version
+);
+router.post(
+  "/documents/:documentId/versions/:versionNumber/restore",
+  requireDocumentAccess("EDIT"),
+  restore_document_version
+);
+router.put(
+  "/documents/:documentId/versionLimit",
+  requirePermission("document.accessAll"),
+  set_version_limit
+);
+
+router.post(
+  "/recertifications",
+  requirePermission("document.grant"),
+  create_recertification
+);
+router.get(
+  "/recertifications",
+  requirePermission("document.grant"),
+  get_recertifications
+);
+// Reviewers only see and decide the grants assigned to them
+router.get(
+  "/recertifications/reviews",
+  requireAuth,
+  get_my_recertification_reviews
+);
+router.get(
+  "/recertifications/:id",
+  requirePermission("document.grant"),
+  get_recertification
+);
+router.post(
+  "/recertifications/:id/decisions",
+  requireAuth,
+  decide_recertification_items
+);
+router.post(
+  "/recertifications/:id/close",
+  requirePermission("document.grant"),
+  close_recertification
+);
+router.get(
+  "/recertifications/:id/report",
+  requirePermission("document.grant"),
+  export_recertification_report
+);
 router.post(
   "/getDocumentDetailsOnTheBasisOfPathForEdit",
+  requireAuth,
   getDocumentDetailsOnTheBasisOfPathForEdit
 );
-router.post("/getDocumentChildren", getDocumentChildren);
+router.post(
+  "/getDocumentChildren",
+  allowApiKey("documents:read"),
+  getDocumentChildren
+);
 
 // project-controller related routes
 
-router.post("/getProjects", getRootDocumentsWithAccess);
-router.post("/getRootDocumentsForEdit", getRootDocumentsForEdit);
+router.post("/getProjects", requireAuth, getRootDocumentsWithAccess);
+router.post("/getRootDocumentsForEdit", requireAuth, getRootDocumentsForEdit);
 
 // role-controller related routes
 
-router.post("/addRole", add_role);
-router.get("/getRoles", get_roles);
+router.post("/addRole", requirePermission("role.manage"), add_role);
+router.get("/getRoles", requireAuth, get_roles);
 
-router.get("/getRole/:id", get_role);
-router.put("/editRole/:id", edit_role);
+router.get("/getRole/:id", requireAuth, get_role);
+router.put("/editRole/:id", requirePermission("role.manage"), edit_role);
 router.get(
   "/getRolesHierarchyInDepartment/:departmentId",
+  requireAuth,
   getRolesHierarchyInDepartment
 );
 
 // user-controller related routes
-router.get("/getUsers", get_users);
-router.get("/getUser/:userId", get_user);
-router.put("/editUser/:userId", edit_user);
+router.get("/getUsers", requireAuth, get_users);
+router.get("/getUser/:userId", requireAuth, get_user);
+router.put("/editUser/:userId", requirePermission("user.manage"), edit_user);
 router.get(
   "/workflows/:workflowId/getSteps",
+  requireAuth,
   get_workflow_steps_with_assignments
 );
 router.post(
   "/workflows/checkIfDuplicateWorkflow",
+  requireAuth,
   check_if_workflow_is_duplicate
 );
-router.post("/workflows/addWorkflow", add_workflow); // Create a new workflow
-router.put("/workflows/editWorkflow/:workflowId", edit_workflow); // Edit workflow (new version)
-router.get("/workflows/viewWorkflow/:workflowId", view_workflow); // View workflow details
-router.delete("/workflows/deleteWorkflow/:workflowId", delete_workflow); // Delete workflow
-router.get("/workflows/getWorkflows", get_workflows); // Get all workflows
-router.get("/workflows/getWorkflowsList", get_all_workflows_with_basics);
-router.post("/initiateProcess", initiate_process);
+router.post(
+  "/workflows/addWorkflow",
+  requirePermission("workflow.edit"),
+  add_workflow
+); // Create a new workflow
+router.put(
+  "/workflows/editWorkflow/:workflowId",
+  requirePermission("workflow.edit"),
+  edit_workflow
+); // Edit workflow (new version)
+router.get("/workflows/viewWorkflow/:workflowId", requireAuth, view_workflow); // View workflow details
+router.delete(
+  "/workflows/deleteWorkflow/:workflowId",
+  requirePermission("workflow.edit"),
+  delete_workflow
+); // Delete workflow
+router.get("/workflows/getWorkflows", requireAuth, get_workflows); // Get all workflows
+router.get(
+  "/workflows/getWorkflowsList",
+  requireAuth,
+  get_all_workflows_with_basics
+);
+router.post(
+  "/initiateProcess",
+  allowApiKey("processes:initiate", {
+    workflowOf: (req) => req.body.workflowId,
+  }),
+  initiate_process
+);
 
-router.post("/merge-pdf", mergePdfUpload, mergeFilesToPdf);
+router.post("/merge-pdf", requireAuth, mergePdfUpload, mergeFilesToPdf);
 // OR alternatively:
 // router.post('/merge-pdf', uploadMemory.array('files', 10), mergeFilesToPdf);
 
-router.post("/merge-and-save", mergePdfUpload, mergeAndSavePdf);
+router.post("/merge-and-save", requireAuth, mergePdfUpload, mergeAndSavePdf);
+
+router.get("/viewProcess/:processId", requireAuth, view_process);
 
-router.get("/viewProcess/:processId", view_process);
+router.post("/claimProcessStep", requireAuth, pick_process_step);
 
-router.post("/claimProcessStep", pick_process_step);
+// out-of-office delegation
+router.get("/delegations", requireAuth, get_my_delegations);
+router.get(
+  "/delegations/user/:userId",
+  requirePermission("user.manage"),
+  get_user_delegations
+);
+router.post("/delegations", requireAuth, create_delegation);
+router.post("/delegations/:id/cancel", requireAuth, cancel_delegation);
 
-router.post("/completeStep", complete_process_step);
+router.post("/completeStep", requireAuth, complete_process_step);
 
-router.get("/getUsersWithDetails", get_users_with_details);
+router.get("/getUsersWithDetails", requireAuth, get_users_with_details);
 
-router.get("/getUserProcesses", get_user_processes);
+router.get("/getUserProcesses", requireAuth, get_user_processes);
 
-router.post("/changePassword", change_password);
+router.post("/changePassword", publicRoute, change_password);
+router.post("/forgotPassword", publicRoute, forgot_password);
+router.post("/resetPassword", publicRoute, reset_password);
 
-router.post("/signDocument", sign_document);
+router.post("/signDocument", requireAuth, sign_document);
 
-router.post("/signDocuments", sign_documents);
+router.post("/signDocuments", requireAuth, sign_documents);
 
-router.post("/revokeSign", revoke_sign);
-router.post("/rejectDocument", reject_document);
-router.post("/revokeRejection", revoke_rejection);
+router.post("/revokeSign", requireAuth, revoke_sign);
+router.post("/rejectDocument", requireAuth, reject_document);
+router.post("/revokeRejection", requireAuth, revoke_rejection);
 
-router.get("/getUserSignature", get_user_signature);
-router.post("/getUserProfilePic", get_user_profile_pic);
+router.get("/getUserSignature", requireAuth, get_user_signature);
+router.post("/getUserProfilePic", requireAuth, get_user_profile_pic);
 
-router.get("/getUserProfileData", get_user_profile_data);
+router.get("/getUserProfileData", requireAuth, get_user_profile_data);
 
-router.get("/getUserSignature", get_user_signature);
-router.get("/getUserProfilePic", get_user_profile_pic);
-router.get("/getUserDSC", get_user_dsc);
+router.get("/getUserSignature", requireAuth, get_user_signature);
+router.get("/getUserProfilePic", requireAuth, get_user_profile_pic);
+router.get("/getUserDSC", requireAuth, get_user_dsc);
 
-router.post("/queries/createQuery", createQuery);
+router.post("/queries/createQuery", requireAuth, createQuery);
 
-router.post("/recommendations/createRecommendation", createRecommendation);
-router.post("/recommendations/signDocument", signAsRecommender);
-router.post("/recommendations/respond", submitRecommendationResponse);
-router.get("/recommendations/getRecommendations", get_recommendations);
-router.get("/recommendations/:recommendationId", get_recommendation);
+router.post(
+  "/recommendations/createRecommendation",
+  requireAuth,
+  createRecommendation
+);
+router.post("/recommendations/signDocument", requireAuth, signAsRecommender);
+router.post(
+  "/recommendations/respond",
+  requireAuth,
+  submitRecommendationResponse
+);
+router.get(
+  "/recommendations/getRecommendations",
+  requireAuth,
+  get_recommendations
+);
+router.get(
+  "/recommendations/:recommendationId",
+  requireAuth,
+  get_recommendation
+);
 
-router.post("/bookmarkDocument", bookmark_document);
-router.get("/getBookmarkedDocuments", get_bookmarked_documents);
-router.delete("/removeBookmark", remove_bookmark_document);
+router.post(
+  "/bookmarkDocument",
+  requireDocumentAccess("READ"),
+  bookmark_document
+);
+router.get("/getBookmarkedDocuments", requireAuth, get_bookmarked_documents);
+router.delete("/removeBookmark", requireAuth, remove_bookmark_document);
 
-router.get("/get_searches", get_searches);
-router.delete("/delete_search/:id", delete_search);
+router.get("/get_searches", requireAuth, get_searches);
+router.delete("/delete_search/:id", requireAuth, delete_search);
 // router.get("/queries/process/:processId", getProcessQueries);
 // router.post("/queries/respond/:queryId", respondToQuery);
 // router.post("/queries/documents/approve/:documentId", approveQueryDocument);
@@ -337,47 +773,96 @@ router.delete("/delete_search/:id", delete_search);
 
 // // Highlight routes
 // router.post("/highlights", postHighlight);
-router.get("/getHighlightsInFile/:documentId", (req, res, next) => {
-  return res.status(200).json({
-    highlights: [],
-  });
-});
-
-router.get("/logs/getUserLogs", get_user_activity_logs);
-router.get("/logs/:processId/:stepInstanceId?", get_user_activity_log);
-router.get("/getProcessActivityLogs/:processId", get_process_activity_logs);
-
-router.get("/getNumbers", getNumbers);
-router.get("/getDetails", getDetails);
-router.get("/workflowAnalysis/:workflowId", getWorkflowAnalysis);
-
-router.post("/deleteFile", delete_file);
-router.post("/recoverDeletedFile", recover_from_recycle_bin);
-router.post("/archiveFile", archive_file);
-router.post("/unarchiveFile", unarchive_file);
-
-router.get("/wopi/discovery", wopiDiscovery);
-
-router.get("/collabora/capabilities", checkCollaboraCapabilities);
-router.post("/wopi/token/:fileId", getWopiToken);
-router.get("/wopi/files/:fileId", wopiFiles);
-router.post("/wopi/files/:fileId", (req, res) => {
-  // Optional: log if needed
-  console.log(`POST /wopi/files/${req.params.fileId} received`);
-  res.status(200).send(); // Just return success
-});
+router.get(
+  "/getHighlightsInFile/:documentId",
+  requireDocumentAccess("READ"),
+  (req, res, next) => {
+    return res.status(200).json({
+      highlights: [],
+    });
+  }
+);
+
+router.get("/logs/getUserLogs", requireAuth, get_user_activity_logs);
+router.get(
+  "/logs/:processId/:stepInstanceId?",
+  requireAuth,
+  get_user_activity_log
+);
+router.get(
+  "/getProcessActivityLogs/:processId",
+  requireAuth,
+  get_process_activity_logs
+);
+
+router.get("/getNumbers", requireAuth, getNumbers);
+router.get("/getDetails", requireAuth, getDetails);
+router.get("/workflowAnalysis/:workflowId", requireAuth, getWorkflowAnalysis);
+
+router.post("/deleteFile", requireDocumentAccess("EDIT"), delete_file);
+router.post(
+  "/recoverDeletedFile",
+  requireDocumentAccess("EDIT"),
+  recover_from_recycle_bin
+);
+router.post("/archiveFile", requireDocumentAccess("EDIT"), archive_file);
+router.post("/unarchiveFile", requireDocumentAccess("EDIT"), unarchive_file);
+
+router.get("/wopi/discovery", publicRoute, wopiDiscovery);
+
+router.get("/collabora/capabilities", publicRoute, checkCollaboraCapabilities);
+router.post(
+  "/wopi/token/:fileId",
+  requireDocumentAccess(wopiAccessType),
+  getWopiToken
+);
+router.get("/wopi/files/:fileId", requireWopiToken("READ"), wopiFiles);
+router.post(
+  "/wopi/files/:fileId",
+  requireWopiToken(wopiOperationAccessType),
+  wopiFileOperation
+);
 // router.get("/wopi/files/:fileId/contents", wopiFileGet);
-router.get("/wopi/files/:id/contents", wopiFileContents);
-router.post("/wopi/files/:fileId/contents", wopiFilePost);
-router.get("/hosting/discovery", checkHostingDiscovery);
-router.post("/wopi/files/:fileId/lock", wopiLock);
-router.post("/wopi/files/:fileId/unlock", wopiUnlock);
-router.post("/wopi/files/:fileId/refreshlock", wopiRefreshLock);
+router.get(
+  "/wopi/files/:id/contents",
+  requireWopiToken("READ"),
+  wopiFileContents
+);
+router.post(
+  "/wopi/files/:fileId/contents",
+  requireWopiToken("EDIT"),
+  wopiFilePost
+);
+router.get("/hosting/discovery", publicRoute, checkHostingDiscovery);
+router.post(
+  "/wopi/files/:fileId/lock",
+  requireWopiToken("EDIT", { allowUserToken: true }),
+  wopiLock
+);
+router.post(
+  "/wopi/files/:fileId/unlock",
+  requireWopiToken("EDIT", { allowUserToken: true }),
+  wopiUnlock
+);
+router.post(
+  "/wopi/files/:fileId/refreshlock",
+  requireWopiToken("EDIT"),
+  wopiRefreshLock
+);
 
-router.post("/createTemplateDocument", create_template_document);
-router.get("/getWorkflowTemplates/:workflowId", get_workflow_templates);
+router.post("/createTemplateDocument", requireAuth, create_template_document);
+router.get(
+  "/getWorkflowTemplates/:workflowId",
+  requireAuth,
+  get_workflow_templates
+);
 
-router.post("/uploadSignature", upload_.single("file"), upload_signature);
+router.post(
+  "/uploadSignature",
+  requireAuth,
+  upload_.single("file"),
+  upload_signature
+);
 // Middleware to parse form fields
 
 // Route for file upload
@@ -387,51 +872,143 @@ router.post("/uploadSignature", upload_.single("file"), upload_signature);
 // First parse the form fields
 router.post(
   "/upload-template",
-  upload_.single("file"),
+  requireAuth,
+  templateUpload,
   upload_template_document
 );
 
-router.post("/useTemplateDocument", use_template_document);
+router.post("/useTemplateDocument", requireAuth, use_template_document);
 
-router.get("/getCompletedProcesses", get_completed_initiator_processes);
+router.get(
+  "/getCompletedProcesses",
+  requireAuth,
+  get_completed_initiator_processes
+);
 
-router.post("/generateDocumentName", generateDocumentNameController);
+router.post(
+  "/generateDocumentName",
+  requireAuth,
+  generateDocumentNameController
+);
 
 router.get(
   "/processDocuments/:processId/:versionNumber",
+  requireAuth,
   get_process_documents
 );
 
-router.get("/searchDocuments", search_documents);
+router.get("/searchDocuments", allowApiKey("documents:read"), search_documents);
 
-router.post("/reopenProcess", reopen_process);
+router.post("/reopenProcess", requireAuth, reopen_process);
 
-router.post("/downloadWatermarkedFile/:documentId", downloadWatermarkedFile);
+router.post(
+  "/downloadWatermarkedFile/:documentId",
+  allowApiKey("documents:read"),
+  requireDocumentAccess("DOWNLOAD"),
+  downloadWatermarkedFile
+);
 
-router.post("/createPhysicalRequest", create_physical_request);
+router.post("/createPhysicalRequest", requireAuth, create_physical_request);
 
-router.get("/getPhysicalRequests", get_physical_requests);
+router.get("/getPhysicalRequests", requireAuth, get_physical_requests);
 
-router.post("/updatePhysicalRequest/:id", update_physical_request);
+router.post("/updatePhysicalRequest/:id", requireAuth, update_physical_request);
 
-router.get("/getPhysicalRequestMessages/:id", get_physical_request_messages);
+router.get(
+  "/getPhysicalRequestMessages/:id",
+  requireAuth,
+  get_physical_request_messages
+);
 
-router.post("/addRequestMessage/:id", add_request_message);
+router.post("/addRequestMessage/:id", requireAuth, add_request_message);
 
-router.post("/deleteUser/:id", deactivate_user);
+router.get(
+  "/users/:userId/pendingWork",
+  requirePermission("user.manage"),
+  get_user_pending_work
+);
+router.post(
+  "/deleteUser/:id",
+  requirePermission("user.manage"),
+  deactivate_user
+);
 
-router.delete("/deleteRole/:id", deactivate_role);
+router.delete(
+  "/deleteRole/:id",
+  requirePermission("role.manage"),
+  deactivate_role
+);
 
-router.delete("/deleteDepartment/:id", deactivate_department);
+router.delete(
+  "/deleteDepartment/:id",
+  requirePermission("department.manage"),
+  deactivate_department
+);
 
-router.post("/logout", logout);
+router.post(
+  "/impersonation/start",
+  requirePermission("impersonation.use"),
+  start_impersonation
+);
+router.post("/impersonation/stop", requireAuth, stop_impersonation);
+router.get("/impersonations", requireAuth, get_my_impersonations);
+router.get(
+  "/impersonations/user/:userId",
+  requirePermission("impersonation.use"),
+  get_user_impersonations
+);
+
+router.get(
+  "/permissions",
+  requirePermission("permission.manage"),
+  get_permission_matrix
+);
+router.put(
+  "/roles/:roleId/permissions",
+  requirePermission("permission.manage"),
+  set_role_permissions
+);
 
-router.get("/downloadLoginLogs", download_login_logs);
+router.get(
+  "/orgStructure/export",
+  requirePermission("user.manage"),
+  export_org_structure
+);
+router.post(
+  "/orgStructure/import",
+  requirePermission("user.manage"),
+  orgImportUpload,
+  import_org_structure
+);
 
-router.get("/exportFileLogs", export_file_logs);
+router.post("/logout", requireAuth, logout);
 
-router.post("/uploadDocumentsInProcess", upload_documents_in_process);
+router.get(
+  "/downloadLoginLogs",
+  requirePermission("logs.export"),
+  download_login_logs
+);
+
+router.post("/unlockLogin", requirePermission("security.manage"), unlock_login);
+
+router.get(
+  "/exportFileLogs",
+  requirePermission("logs.export"),
+  export_file_logs
+);
+
+router.post(
+  "/uploadDocumentsInProcess",
+  requireAuth,
+  upload_documents_in_process
+);
+
+router.post(
+  "/deleteDocumentInProcess",
+  requireAuth,
+  delete_document_in_process
+);
 
-router.post("/deleteDocumentInProcess", delete_document_in_process);
+assertRoutesDeclareAccess(router);
 
 export default router;
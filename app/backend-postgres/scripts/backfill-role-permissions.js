@@ -0,0 +1,87 @@
+// One-off move from the isAdmin / isRootLevel / isDepartmentHead flags to
+// role permissions. Safe to run again; it only ever adds grants.
+//
+//   npm run permissions:backfill
+//
+// - every flagged role gets what its flags used to mean
+// - users flagged isAdmin themselves, and the bootstrap "admin" user, get
+//   the Administrator role
+// - specialUser users get a root-level "All Documents" role holding
+//   document.accessAll
+import { PrismaClient } from "@prisma/client";
+import {
+  legacyPermissions,
+  grantPermissions,
+  ensureAdministratorRole,
+} from "../services/permissionService.js";
+
+const prisma = new PrismaClient();
+
+const assignRole = async (tx, users, role) => {
+  const assigned = users.filter(
+    (user) => !user.roles.some((userRole) => userRole.roleId === role.id)
+  );
+  await tx.userRole.createMany({
+    data: assigned.map((user) => ({ userId: user.id, roleId: role.id })),
+  });
+  return assigned.map((user) => user.username);
+};
+
+const backfill = async () => {
+  await prisma.$transaction(
+    async (tx) => {
+      const flaggedRoles = await tx.role.findMany({
+        where: {
+          OR: [
+            { isAdmin: true },
+            { isRootLevel: true },
+            { isDepartmentHead: true },
+          ],
+        },
+      });
+      for (const role of flaggedRoles) {
+        await grantPermissions(tx, role.id, legacyPermissions(role));
+      }
+      console.log(`Granted flag permissions to ${flaggedRoles.length} roles`);
+
+      const admins = await tx.user.findMany({
+        where: { OR: [{ isAdmin: true }, { username: "admin" }] },
+        include: { roles: true },
+      });
+      if (admins.length > 0) {
+        const role = await ensureAdministratorRole(tx);
+        const assigned = await assignRole(tx, admins, role);
+        console.log(`Administrator role assigned to: ${assigned.join(", ")}`);
+      }
+
+      const specialUsers = await tx.user.findMany({
+        where: { specialUser: true },
+        include: { roles: true },
+      });
+      if (specialUsers.length > 0) {
+        const role =
+          (await tx.role.findFirst({
+            where: { role: "All Documents", departmentId: null },
+          })) ||
+          (await tx.role.create({
+            data: {
+              role: "All Documents",
+              status: "Active",
+              isRootLevel: true,
+            },
+          }));
+        await grantPermissions(tx, role.id, ["document.accessAll"]);
+        const assigned = await assignRole(tx, specialUsers, role);
+        console.log(`All Documents role assigned to: ${assigned.join(", ")}`);
+      }
+    },
+    { timeout: 60000 }
+  );
+};
+
+backfill()
+  .catch((error) => {
+    console.error("Error backfilling role permissions:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,86 @@
+// Local stand-in for Active Directory, for exercising LDAP login and sync
+// without a real domain controller.
+//
+//   npm run ldap:standin
+//
+// then start the API with
+//   LDAP_ENABLED=true LDAP_URL=ldap://localhost:1389
+//   LDAP_BIND_DN="CN=svc-dms,OU=Service Accounts,DC=dms,DC=local"
+//   LDAP_BIND_PASSWORD=service-password LDAP_BASE_DN="DC=dms,DC=local"
+//
+// Users, passwords and group memberships come from ldap-standin-users.json
+// (or the file named by LDAP_STANDIN_FIXTURE) and can be edited freely.
+import ldap from "ldapjs";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PORT = parseInt(process.env.LDAP_STANDIN_PORT) || 1389;
+const fixturePath =
+  process.env.LDAP_STANDIN_FIXTURE ||
+  path.join(__dirname, "ldap-standin-users.json");
+
+const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+
+const sameDn = (a, b) =>
+  a.replace(/\s*,\s*/g, ",").toLowerCase() ===
+  b.replace(/\s*,\s*/g, ",").toLowerCase();
+
+const passwordFor = (dn) => {
+  if (sameDn(dn, fixture.serviceAccount.dn)) {
+    return fixture.serviceAccount.password;
+  }
+  return fixture.users.find((user) => sameDn(user.dn, dn))?.password;
+};
+
+// Return requested attributes with their original casing, like AD does
+const selectAttributes = (user, requested) => {
+  const wanted = requested.map((name) => name.toLowerCase());
+  if (wanted.length === 0 || wanted.includes("*")) return user.attributes;
+  return Object.fromEntries(
+    Object.entries(user.attributes).filter(([name]) =>
+      wanted.includes(name.toLowerCase())
+    )
+  );
+};
+
+const server = ldap.createServer();
+
+server.bind(fixture.baseDN, (req, res, next) => {
+  const expected = passwordFor(req.dn.toString());
+  if (!expected || expected !== req.credentials) {
+    return next(new ldap.InvalidCredentialsError());
+  }
+  res.end();
+  return next();
+});
+
+server.search(fixture.baseDN, (req, res, next) => {
+  const base = req.dn.toString().toLowerCase().replace(/\s*,\s*/g, ",");
+  for (const user of fixture.users) {
+    const dn = user.dn.toLowerCase().replace(/\s*,\s*/g, ",");
+    if (!dn.endsWith(base)) continue;
+    if (req.filter.matches(user.attributes)) {
+      // A prebuilt SearchEntry skips ldapjs' own (case-sensitive) filtering
+      res.send(
+        new ldap.SearchEntry({
+          objectName: user.dn,
+          messageId: res.messageId,
+          attributes: ldap.Attribute.fromObject(
+            selectAttributes(user, req.attributes)
+          ),
+        })
+      );
+    }
+  }
+  res.end();
+  return next();
+});
+
+server.listen(PORT, () => {
+  console.log(`LDAP stand-in listening at ${server.url} (base ${fixture.baseDN})`);
+});
@@ -0,0 +1,168 @@
+// Moves the document tree onto the blob store. Safe to run again, and
+// worth doing after restoring files by hand: it only stores what is not a
+// blob yet and recounts references at the end.
+//
+//   npm run storage:migrate-blobs
+//
+// - every document's file is stored under its SHA-256 and its path in the
+//   tree becomes a link to that blob; identical files end up sharing one
+// - versions kept in the old version store (VERSION_STORAGE_PATH, on this
+//   server) become blobs and their files there are removed
+// - reference counts are rebuilt from the documents and versions using each
+//   blob, and blobs nothing uses are deleted
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { PrismaClient } from "@prisma/client";
+import { ensureDocumentBlob } from "../services/documentVersionService.js";
+import { blobKey, ingestFile } from "../services/blobStoreService.js";
+import { documentStorage, blobStorage } from "../services/storageService.js";
+
+const prisma = new PrismaClient();
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const LEGACY_VERSION_STORAGE_PATH =
+  process.env.VERSION_STORAGE_PATH ||
+  join(process.env.STORAGE_PATH || "", "..", "versions");
+
+const BATCH_SIZE = 500;
+
+const exists = (filePath) =>
+  fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+
+// Documents in id order, a batch at a time
+async function* documentBatches(where) {
+  let cursor = 0;
+  for (;;) {
+    const batch = await prisma.document.findMany({
+      where: { ...where, id: { gt: cursor } },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+    if (batch.length === 0) return;
+    yield batch;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+const migrateDocuments = async () => {
+  let stored = 0;
+  const missing = [];
+  for await (const batch of documentBatches({ type: { not: "folder" } })) {
+    for (const document of batch) {
+      if (!(await documentStorage.exists(document.path))) {
+        missing.push(document.path);
+        continue;
+      }
+      const before = document.blobHash;
+      await ensureDocumentBlob(document);
+      if (document.blobHash !== before) stored++;
+    }
+  }
+  console.log(`Stored ${stored} document files as blobs`);
+  if (missing.length > 0) {
+    console.warn(`${missing.length} documents have no file:`);
+    missing.forEach((documentPath) => console.warn(`  ${documentPath}`));
+  }
+};
+
+// Versions from before the blob store, other than each document's current
+// one, still have their file under <documentId>/v<versionNumber>
+const migrateLegacyVersions = async () => {
+  const versions = await prisma.documentVersion.findMany({
+    where: { blobHash: null },
+    orderBy: [{ documentId: "asc" }, { versionNumber: "asc" }],
+  });
+  const latest = new Map();
+  versions.forEach((version) =>
+    latest.set(version.documentId, version.versionNumber)
+  );
+
+  let stored = 0;
+  for (const version of versions) {
+    if (latest.get(version.documentId) === version.versionNumber) continue;
+
+    const legacyPath = join(
+      __dirname,
+      LEGACY_VERSION_STORAGE_PATH,
+      `${version.documentId}`,
+      `v${version.versionNumber}`
+    );
+    if (!(await exists(legacyPath))) {
+      console.warn(
+        `No file for version ${version.versionNumber} of document ${version.documentId}`
+      );
+      continue;
+    }
+    const { hash } = await ingestFile(legacyPath);
+    await prisma.documentVersion.update({
+      where: { id: version.id },
+      data: { blobHash: hash },
+    });
+    await fs.rm(legacyPath);
+    stored++;
+  }
+  console.log(`Stored ${stored} earlier versions as blobs`);
+};
+
+const recountReferences = async () => {
+  const [documentCounts, versionCounts] = await Promise.all([
+    prisma.document.groupBy({
+      by: ["blobHash"],
+      where: { blobHash: { not: null } },
+      _count: { _all: true },
+    }),
+    prisma.documentVersion.groupBy({
+      by: ["blobHash"],
+      where: { blobHash: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+  const references = new Map();
+  [...documentCounts, ...versionCounts].forEach((row) =>
+    references.set(
+      row.blobHash,
+      (references.get(row.blobHash) || 0) + row._count._all
+    )
+  );
+
+  const blobs = await prisma.blob.findMany({
+    select: { hash: true, refCount: true },
+  });
+  let corrected = 0;
+  let removed = 0;
+  for (const blob of blobs) {
+    const refCount = references.get(blob.hash) || 0;
+    if (refCount === 0) {
+      await prisma.blob.delete({ where: { hash: blob.hash } });
+      await blobStorage.remove(blobKey(blob.hash));
+      removed++;
+    } else if (refCount !== blob.refCount) {
+      await prisma.blob.update({
+        where: { hash: blob.hash },
+        data: { refCount },
+      });
+      corrected++;
+    }
+  }
+  console.log(
+    `Reference counts corrected on ${corrected} blobs, ${removed} unused blobs removed`
+  );
+};
+
+const migrate = async () => {
+  await migrateDocuments();
+  await migrateLegacyVersions();
+  await recountReferences();
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Error migrating to the blob store:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
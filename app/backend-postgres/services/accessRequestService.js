@@ -0,0 +1,162 @@
+// services/accessRequestService.js
+import { PrismaClient } from "@prisma/client";
+import { hasPermission } from "./permissionService.js";
+
+const prisma = new PrismaClient();
+
+export const accessRequestInclude = {
+  document: { select: { id: true, name: true, path: true, type: true } },
+  requestingUser: { select: { id: true, username: true, name: true } },
+  decidedBy: { select: { id: true, username: true, name: true } },
+};
+
+// What deciding a request needs to know about the document
+const documentApproverSelect = {
+  id: true,
+  name: true,
+  path: true,
+  createdById: true,
+  parent: { select: { createdById: true } },
+  department: { select: { headId: true } },
+};
+
+export const getRequestDocument = (documentId, tx = prisma) =>
+  tx.document.findUnique({
+    where: { id: documentId },
+    select: documentApproverSelect,
+  });
+
+/**
+ * Who decides access to a document: its owner, the owner of the folder it is
+ * in and the head of its department. `document` is what getRequestDocument
+ * returns. Anyone holding document.grant may decide as well.
+ */
+export const isApprover = (user, document) =>
+  [
+    document.createdById,
+    document.parent?.createdById,
+    document.department?.headId,
+  ].includes(user.id) || hasPermission(user, "document.grant");
+
+// Where clause for the requests a user can decide
+export const approverWhere = (user) =>
+  hasPermission(user, "document.grant")
+    ? {}
+    : {
+        document: {
+          OR: [
+            { createdById: user.id },
+            { parent: { createdById: user.id } },
+            { department: { headId: user.id } },
+          ],
+        },
+      };
+
+/**
+ * The active users a new request is sent to. When the owners and department
+ * head are all gone, the holders of document.grant hear about it instead so
+ * the request is not left with nobody to decide it.
+ */
+export const getApproverIds = async (
+  document,
+  requestingUserId,
+  tx = prisma
+) => {
+  const candidateIds = [
+    document.createdById,
+    document.parent?.createdById,
+    document.department?.headId,
+  ].filter((id) => id && id !== requestingUserId);
+
+  const approvers = await tx.user.findMany({
+    where: {
+      id: { in: candidateIds },
+      status: { not: "Inactive" },
+      authSource: { not: "SERVICE" },
+    },
+    select: { id: true },
+  });
+  if (approvers.length > 0) return approvers.map((user) => user.id);
+
+  const granters = await tx.user.findMany({
+    where: {
+      id: { not: requestingUserId },
+      status: { not: "Inactive" },
+      authSource: { not: "SERVICE" },
+      roles: {
+        some: {
+          role: {
+            isActive: true,
+            permissions: { some: { permission: "document.grant" } },
+          },
+        },
+      },
+    },
+    select: { id: true },
+  });
+  return granters.map((user) => user.id);
+};
+
+const notificationMetadata = (request, document) => ({
+  accessRequestId: request.id,
+  documentId: document.id,
+  documentName: document.name,
+  path: document.path,
+  accessType: request.accessType,
+});
+
+export const notifyApprovers = async (tx, request, document, approverIds) => {
+  await tx.processNotification.createMany({
+    data: approverIds.map((userId) => ({
+      userId,
+      type: "ACCESS_REQUEST",
+      status: "ACTIVE",
+      metadata: {
+        ...notificationMetadata(request, document),
+        requestingUserId: request.requestingUserId,
+        reason: request.reason,
+      },
+    })),
+  });
+};
+
+/**
+ * Once a request is decided or cancelled the approvers' notifications about
+ * it are done with, and the requester hears the outcome unless they
+ * cancelled it themselves.
+ */
+export const closeAccessRequest = async (tx, request, document) => {
+  await tx.processNotification.updateMany({
+    where: {
+      type: "ACCESS_REQUEST",
+      status: "ACTIVE",
+      metadata: { path: ["accessRequestId"], equals: request.id },
+    },
+    data: { status: request.status },
+  });
+
+  if (request.status === "CANCELLED") return;
+  await tx.processNotification.create({
+    data: {
+      userId: request.requestingUserId,
+      type: "ACCESS_REQUEST_DECISION",
+      status: "ACTIVE",
+      metadata: {
+        ...notificationMetadata(request, document),
+        status: request.status,
+        decidedById: request.decidedById,
+        rejectionReason: request.rejectionReason,
+      },
+    },
+  });
+};
+
+export default {
+  accessRequestInclude,
+  getRequestDocument,
+  isApprover,
+  approverWhere,
+  getApproverIds,
+  notifyApprovers,
+  closeAccessRequest,
+};
@@ -0,0 +1,121 @@
+// services/apiKeyService.js
+import crypto from "crypto";
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+const KEY_PREFIX = "dms_";
+// characters after KEY_PREFIX kept in clear for the key list
+const DISPLAY_LENGTH = 8;
+
+// documents:read     list, search, download and stream documents
+// documents:upload   upload files into folders the owner can write to
+// processes:initiate start processes, only for the key's workflowIds
+export const API_KEY_SCOPES = [
+  "documents:read",
+  "documents:upload",
+  "processes:initiate",
+];
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Store a new key for the user. The raw key is only returned here; the
+ * database keeps its hash and a short prefix for display.
+ */
+export const createApiKey = async ({
+  userId,
+  name,
+  scopes,
+  workflowIds = [],
+  expiresAt,
+  createdById,
+}) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      userId,
+      name,
+      prefix: key.substring(0, KEY_PREFIX.length + DISPLAY_LENGTH),
+      keyHash: hashApiKey(key),
+      scopes,
+      workflowIds,
+      expiresAt,
+      createdById,
+    },
+  });
+
+  return { apiKey, key };
+};
+
+// Returns the key row when it exists, is not revoked and has not expired
+export const findUsableApiKey = async (key) => {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(key) },
+  });
+  if (!apiKey || apiKey.revokedAt || apiKey.expiresAt < new Date()) {
+    return null;
+  }
+  return apiKey;
+};
+
+export const recordApiKeyUse = async (apiKeyId, ipAddress) => {
+  await prisma.apiKey.update({
+    where: { id: apiKeyId },
+    data: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+  });
+};
+
+/**
+ * Editing a workflow creates a new version with a new id, so a key granted
+ * for a workflow keeps working for the versions that follow it.
+ */
+export const isWorkflowAllowed = async (apiKey, workflowId) => {
+  let currentId = workflowId;
+  const seen = new Set();
+
+  while (currentId && !seen.has(currentId)) {
+    if (apiKey.workflowIds.includes(currentId)) return true;
+    seen.add(currentId);
+
+    const workflow = await prisma.workflow.findUnique({
+      where: { id: currentId },
+      select: { previousVersionId: true },
+    });
+    currentId = workflow?.previousVersionId;
+  }
+  return false;
+};
+
+export const listApiKeys = async (userId) => {
+  return await prisma.apiKey.findMany({
+    where: { userId },
+    select: {
+      id: true,
+      name: true,
+      prefix: true,
+      scopes: true,
+      workflowIds: true,
+      expiresAt: true,
+      lastUsedAt: true,
+      lastUsedIp: true,
+      createdAt: true,
+      revokedAt: true,
+      createdBy: { select: { id: true, username: true } },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+export default {
+  API_KEY_SCOPES,
+  createApiKey,
+  findUsableApiKey,
+  recordApiKeyUse,
+  isWorkflowAllowed,
+  listApiKeys,
+};
@@ -0,0 +1,126 @@
+// services/blobStoreService.js
+//
+// File bodies are stored once, under their SHA-256, in the blob store. A
+// document's file in the document tree is linked to its blob, so everything
+// reading the tree keeps working while identical files share their bytes.
+// Blob rows count the documents and kept versions using them; the blob goes
+// when the last one lets go.
+//
+// With the local driver the links are hard links, which need the blob store
+// on the same filesystem as STORAGE_PATH; in S3 they are empty objects
+// pointing at the blob's. Either way storage writes replace a file rather
+// than writing into it, so documents sharing a blob never change together.
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import { createHash } from "crypto";
+import { dirname } from "path";
+import { pipeline } from "stream/promises";
+import { PrismaClient } from "@prisma/client";
+import { scratchPath, documentStorage, blobStorage } from "./storageService.js";
+
+const prisma = new PrismaClient();
+
+export const blobKey = (hash) => `${hash.slice(0, 2)}/${hash}`;
+
+export const hashFile = async (filePath) => {
+  const hash = createHash("sha256");
+  let size = 0;
+  await pipeline(createReadStream(filePath), async function* (source) {
+    for await (const chunk of source) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+  });
+  return { hash: hash.digest("hex"), size };
+};
+
+/**
+ * Stores the bytes of a file of this server as a blob, unless the same
+ * bytes already are one, and takes a reference on it for the caller. The
+ * file is left where it is, but may now be linked to the blob: it must not
+ * be written to afterwards.
+ *
+ * The reference is taken first: once it is held no release can delete the
+ * blob, and a release that deleted it just before has removed its bytes
+ * already, so they are written again when missing.
+ */
+export const ingestFile = async (filePath) => {
+  const { hash, size } = await hashFile(filePath);
+  await prisma.blob.upsert({
+    where: { hash },
+    create: { hash, size, refCount: 1 },
+    update: { refCount: { increment: 1 } },
+  });
+  try {
+    if (!(await blobStorage.exists(blobKey(hash)))) {
+      await blobStorage.putFile(blobKey(hash), filePath);
+    }
+  } catch (error) {
+    await releaseBlob(hash);
+    throw error;
+  }
+  return { hash, size };
+};
+
+export const ingestBuffer = async (buffer) => {
+  const temp = scratchPath();
+  await fs.mkdir(dirname(temp), { recursive: true });
+  await fs.writeFile(temp, buffer);
+  try {
+    return await ingestFile(temp);
+  } finally {
+    await fs.rm(temp, { force: true });
+  }
+};
+
+// ingestFile for a file of the document tree
+export const ingestDocumentFile = (documentPath) =>
+  documentStorage.withLocalFile(documentPath, ingestFile);
+
+export const acquireBlob = (hash) =>
+  prisma.blob.update({
+    where: { hash },
+    data: { refCount: { increment: 1 } },
+  });
+
+// Drops one reference, and the blob with its bytes when it was the last.
+// The decrement locks the row until the bytes are gone, so an ingest of the
+// same file waits for it and then finds them missing.
+export const releaseBlob = async (hash) => {
+  if (!hash) return;
+  await prisma.$transaction(
+    async (tx) => {
+      await tx.blob.updateMany({
+        where: { hash },
+        data: { refCount: { decrement: 1 } },
+      });
+      const { count } = await tx.blob.deleteMany({
+        where: { hash, refCount: { lte: 0 } },
+      });
+      if (count > 0) {
+        await blobStorage.remove(blobKey(hash));
+      }
+    },
+    { timeout: 30000 }
+  );
+};
+
+// Replaces whatever is at the document path by a link to the blob
+export const linkBlob = (hash, documentPath) =>
+  documentStorage.linkFrom(blobStorage, blobKey(hash), documentPath);
+
+// Whether the file at the document path is still the blob's
+export const isLinkedToBlob = (hash, documentPath) =>
+  documentStorage.isLinked(blobStorage, blobKey(hash), documentPath);
+
+export default {
+  blobKey,
+  hashFile,
+  ingestFile,
+  ingestBuffer,
+  ingestDocumentFile,
+  acquireBlob,
+  releaseBlob,
+  linkBlob,
+  isLinkedToBlob,
+};
@@ -0,0 +1,65 @@
+// services/checkoutService.js
+import { PrismaClient } from "@prisma/client";
+import { getActiveLock } from "./wopiLockService.js";
+
+const prisma = new PrismaClient();
+
+export const checkedOutBySelect = { id: true, username: true, name: true };
+
+/**
+ * Reserves a document for `userId`. Fails with the reason when it is already
+ * checked out or open for editing in Collabora.
+ */
+export const checkOutDocument = async (documentId, userId) => {
+  if (await getActiveLock(documentId)) {
+    return { ok: false, message: "The document is open for editing" };
+  }
+
+  const { count } = await prisma.document.updateMany({
+    where: { id: documentId, checkedOutById: null },
+    data: { checkedOutById: userId, checkedOutAt: new Date() },
+  });
+  return count > 0
+    ? { ok: true }
+    : { ok: false, message: "The document is already checked out" };
+};
+
+// Check-in and undo check-out both end the reservation
+export const releaseCheckOut = (documentId, tx = prisma) =>
+  tx.document.update({
+    where: { id: documentId },
+    data: { checkedOutById: null, checkedOutAt: null },
+  });
+
+/**
+ * The first checked-out document among those `where` matches, with who has
+ * it. Moves, deletes and process replacements refuse to touch these.
+ */
+export const findCheckedOutDocument = (where) =>
+  prisma.document.findFirst({
+    where: { ...where, checkedOutById: { not: null } },
+    select: {
+      id: true,
+      path: true,
+      checkedOutAt: true,
+      checkedOutBy: { select: checkedOutBySelect },
+    },
+  });
+
+// The 409 body for an action blocked by a check-out
+export const checkedOutMessage = (document) => ({
+  message: `${document.path} is checked out by ${
+    document.checkedOutBy?.name || document.checkedOutBy?.username
+  }`,
+  documentId: document.id,
+  checkedOutBy: document.checkedOutBy,
+  checkedOutAt: document.checkedOutAt,
+});
+
+export default {
+  checkedOutBySelect,
+  checkOutDocument,
+  releaseCheckOut,
+  findCheckedOutDocument,
+  checkedOutMessage,
+};
@@ -0,0 +1,72 @@
+// services/delegationService.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+// A delegate who is away themselves hands on to their own delegate; this
+// bounds how far such a chain is followed
+const MAX_DELEGATION_HOPS = 5;
+
+export const findActiveDelegation = async (tx, userId, at = new Date()) => {
+  return await tx.delegation.findFirst({
+    where: {
+      userId,
+      cancelledAt: null,
+      startsAt: { lte: at },
+      endsAt: { gt: at },
+      delegate: { status: { not: "Inactive" } },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+/**
+ * Who should actually receive work assigned to userId right now.
+ * delegatedFromId is the original assignee, or null when nobody is away.
+ */
+export const resolveAssignee = async (tx, userId) => {
+  let assignedTo = userId;
+  const visited = new Set([userId]);
+
+  for (let hop = 0; hop < MAX_DELEGATION_HOPS; hop++) {
+    const delegation = await findActiveDelegation(tx, assignedTo);
+    if (!delegation || visited.has(delegation.delegateId)) break;
+    assignedTo = delegation.delegateId;
+    visited.add(assignedTo);
+  }
+
+  return {
+    assignedTo,
+    delegatedFromId: assignedTo === userId ? null : userId,
+  };
+};
+
+// The assignee a delegate acted for on this step, or null
+export const getOnBehalfOf = async (stepInstanceId) => {
+  if (!stepInstanceId) return null;
+  const stepInstance = await prisma.processStepInstance.findUnique({
+    where: { id: stepInstanceId },
+    select: {
+      delegatedFrom: { select: { id: true, username: true, name: true } },
+    },
+  });
+  return stepInstance?.delegatedFrom || null;
+};
+
+export const findOverlappingDelegation = async (userId, startsAt, endsAt) => {
+  return await prisma.delegation.findFirst({
+    where: {
+      userId,
+      cancelledAt: null,
+      startsAt: { lt: endsAt },
+      endsAt: { gt: startsAt },
+    },
+  });
+};
+
+export default {
+  findActiveDelegation,
+  resolveAssignee,
+  getOnBehalfOf,
+  findOverlappingDelegation,
+};
@@ -0,0 +1,632 @@
+// services/documentAccessService.js
+import { PrismaClient } from "@prisma/client";
+import { hasPermission } from "./permissionService.js";
+import { sendEmail } from "./emailService.js";
+import { documentAccessPolicy } from "../config/security-config.js";
+import logger from "../controller/logger.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Loads the given documents and every folder above them in one recursive
+ * query into `nodes` (id -> { id, parentId, inheritAccess }). UNION drops
+ * rows already found, so a parent loop cannot recurse forever.
+ */
+const loadChains = async (documentIds, nodes) => {
+  const ids = [...new Set(documentIds)].filter((id) => !nodes.has(id));
+  if (ids.length === 0) return;
+
+  const rows = await prisma.$queryRaw`
+    WITH RECURSIVE chain AS (
+      SELECT id, "parentId", "inheritAccess"
+      FROM "Document"
+      WHERE id = ANY(${ids}::int[])
+      UNION
+      SELECT parent.id, parent."parentId", parent."inheritAccess"
+      FROM "Document" parent
+      JOIN chain ON parent.id = chain."parentId"
+    )
+    SELECT id, "parentId", "inheritAccess" FROM chain
+  `;
+  rows.forEach((row) => nodes.set(row.id, row));
+  // Unknown ids are remembered too, so they are not looked up again
+  ids.filter((id) => !nodes.has(id)).forEach((id) => nodes.set(id, null));
+};
+
+// The document and the folders above it, nearest first. `nodes` caches
+// documents across calls when many are resolved at once.
+const getAccessChain = async (documentId, nodes = new Map()) => {
+  await loadChains([documentId], nodes);
+
+  const chain = [];
+  let current = nodes.get(documentId);
+  while (current && !chain.some((node) => node.id === current.id)) {
+    chain.push(current);
+    current = current.parentId ? nodes.get(current.parentId) : null;
+  }
+  return chain;
+};
+
+export const getAncestorIds = async (documentId) =>
+  (await getAccessChain(documentId)).slice(1).map((node) => node.id);
+
+/**
+ * Ids of every document below the given ones, in one recursive query.
+ * Folders that break inheritance, and what is below them, are left out
+ * unless `throughBreaks`.
+ */
+const getDescendantIds = async (rootIds, { throughBreaks = false } = {}) => {
+  if (rootIds.length === 0) return [];
+
+  const rows = await prisma.$queryRaw`
+    WITH RECURSIVE below AS (
+      SELECT id FROM "Document" WHERE id = ANY(${rootIds}::int[])
+      UNION
+      SELECT child.id
+      FROM "Document" child
+      JOIN below ON child."parentId" = below.id
+      WHERE ${throughBreaks}::boolean OR child."inheritAccess"
+    )
+    SELECT id FROM below
+  `;
+  const roots = new Set(rootIds);
+  return rows.map((row) => row.id).filter((id) => !roots.has(id));
+};
+
+// Of the chain, the documents whose FULL grants reach the first one: up to
+// and including the nearest folder that breaks inheritance
+const inheritingIds = (chain) => {
+  const breakAt = chain.findIndex((node) => node.inheritAccess === false);
+  return (breakAt === -1 ? chain : chain.slice(0, breakAt + 1)).map(
+    (node) => node.id
+  );
+};
+
+const ACCESS_TYPES = ["READ", "EDIT", "DOWNLOAD"];
+
+const isDeny = (access) => access.effect === "DENY";
+
+// What a DENY entry takes away; without READ nothing else is usable
+const deniedTypes = (access) =>
+  access.accessType.length === 0 || access.accessType.includes("READ")
+    ? ACCESS_TYPES
+    : access.accessType;
+
+/**
+ * Where clause for grants in force now: time-bound grants count from
+ * validFrom and stop at validUntil. Every query that decides what a user can
+ * see or do has to include it; the expiry job deletes lapsed grants but only
+ * runs periodically.
+ */
+export const activeGrantWhere = (now = new Date()) => ({
+  AND: [
+    { OR: [{ validFrom: null }, { validFrom: { lte: now } }] },
+    { OR: [{ validUntil: null }, { validUntil: { gt: now } }] },
+  ],
+});
+
+const isGrantActive = (access, now = new Date()) =>
+  (!access.validFrom || access.validFrom <= now) &&
+  (!access.validUntil || access.validUntil > now);
+
+// Whether one DocumentAccess row on the document or a folder above it gives
+// accessType on the document
+const grantGives = (access, documentId, accessType) => {
+  if (access.accessLevel === "FULL") return true;
+  if (access.documentId !== documentId) return false;
+  return accessType === "READ"
+    ? access.accessType.length > 0
+    : access.accessType.includes(accessType);
+};
+
+/**
+ * READ, EDIT and DOWNLOAD on the first document of the chain, from the
+ * user's grants in force: a grant on the document itself, or FULL access on
+ * it or a folder above it up to where inheritance is broken. Any grant is
+ * enough to READ. DENY entries anywhere on the chain win over all of it.
+ * `denied` lists what DENY entries took away, for callers that also let
+ * document owners in.
+ */
+const resolveRights = (accesses, chain) => {
+  const documentId = chain[0]?.id;
+  const chainIds = chain.map((node) => node.id);
+  const inheriting = inheritingIds(chain);
+  const onChain = accesses.filter((access) =>
+    chainIds.includes(access.documentId)
+  );
+  const denied = [...new Set(onChain.filter(isDeny).flatMap(deniedTypes))];
+
+  const rights = { denied };
+  ACCESS_TYPES.forEach((accessType) => {
+    rights[accessType] =
+      !denied.includes(accessType) &&
+      onChain.some(
+        (access) =>
+          !isDeny(access) &&
+          inheriting.includes(access.documentId) &&
+          grantGives(access, documentId, accessType)
+      );
+  });
+  return rights;
+};
+
+const userGrantsWhere = (user) => ({
+  OR: [{ userId: user.id }, { roleId: { in: user.roleIds } }],
+  ...activeGrantWhere(),
+});
+
+/**
+ * Whether the user holds accessType (READ, EDIT or DOWNLOAD) on a document,
+ * following resolveRights. `user` is the req.user built by the auth
+ * middleware.
+ */
+export const hasDocumentAccess = async (user, documentId, accessType) => {
+  if (hasPermission(user, "document.accessAll")) return true;
+
+  const chain = await getAccessChain(documentId);
+  const accesses = await prisma.documentAccess.findMany({
+    where: {
+      documentId: { in: chain.map((node) => node.id) },
+      ...userGrantsWhere(user),
+    },
+  });
+
+  return resolveRights(accesses, chain)[accessType];
+};
+
+/**
+ * For listings that check many documents: loads the user's grants once and
+ * returns rights(documentId) resolving each like hasDocumentAccess. load()
+ * fetches the folder chains of a whole listing in one query up front. Does
+ * not look at document.accessAll; listings handle that themselves.
+ */
+export const createAccessResolver = async (user) => {
+  const accesses = await prisma.documentAccess.findMany({
+    where: userGrantsWhere(user),
+  });
+  const nodes = new Map();
+
+  return {
+    load: (documentIds) => loadChains(documentIds, nodes),
+    rights: async (documentId) =>
+      resolveRights(accesses, await getAccessChain(documentId, nodes)),
+  };
+};
+
+/**
+ * Ids of every document the user can READ, for search and the dashboard:
+ * documents granted to them or created by them, and everything below a FULL
+ * grant down to folders that break inheritance, less whatever a DENY on READ
+ * covers.
+ */
+export const getAccessibleDocumentIds = async (user) => {
+  const accesses = await prisma.documentAccess.findMany({
+    where: userGrantsWhere(user),
+    select: {
+      documentId: true,
+      accessType: true,
+      accessLevel: true,
+      effect: true,
+    },
+  });
+
+  const allows = accesses.filter(
+    (access) =>
+      !isDeny(access) &&
+      (access.accessLevel === "FULL" || access.accessType.length > 0)
+  );
+  const fullIds = allows
+    .filter((access) => access.accessLevel === "FULL")
+    .map((access) => access.documentId);
+  const ownDocuments = await prisma.document.findMany({
+    where: { createdById: user.id },
+    select: { id: true },
+  });
+
+  const allowed = new Set([
+    ...allows.map((access) => access.documentId),
+    ...(await getDescendantIds(fullIds)),
+    ...ownDocuments.map((document) => document.id),
+  ]);
+
+  const deniedIds = accesses
+    .filter((access) => isDeny(access) && deniedTypes(access).includes("READ"))
+    .map((access) => access.documentId);
+  [
+    ...deniedIds,
+    ...(await getDescendantIds(deniedIds, { throughBreaks: true })),
+  ].forEach((id) => allowed.delete(id));
+
+  return [...allowed];
+};
+
+/**
+ * Why a user does or does not hold READ, EDIT and DOWNLOAD on a document,
+ * following the same rules as hasDocumentAccess. Each right lists the grants
+ * that give it, with the folders a FULL grant was inherited through, or the
+ * reasons it is missing. Null when the user or document does not exist.
+ */
+export const explainDocumentAccess = async (userId, documentId) => {
+  const [user, document] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        username: true,
+        name: true,
+        status: true,
+        branches: { select: { id: true } },
+        roles: {
+          select: {
+            role: {
+              select: {
+                id: true,
+                role: true,
+                isActive: true,
+                permissions: { select: { permission: true } },
+              },
+            },
+          },
+        },
+      },
+    }),
+    prisma.document.findUnique({
+      where: { id: documentId },
+      select: { id: true, name: true, path: true },
+    }),
+  ]);
+  if (!user || !document) return null;
+
+  const roles = user.roles.map((userRole) => userRole.role);
+  const roleIds = roles.map((role) => role.id);
+  const departmentIds = user.branches.map((branch) => branch.id);
+  // Deactivated roles still carry their document grants but no permissions,
+  // as in the auth middleware
+  const accessAllRoles = roles.filter(
+    (role) =>
+      role.isActive &&
+      role.permissions.some(
+        (grant) => grant.permission === "document.accessAll"
+      )
+  );
+
+  // Nearest first: the document, its folder, that folder's folder...
+  const chainNodes = await getAccessChain(documentId);
+  const chain = chainNodes.map((node) => node.id);
+  const inheriting = inheritingIds(chainNodes);
+  const [chainDocuments, accesses] = await Promise.all([
+    prisma.document.findMany({
+      where: { id: { in: chain } },
+      select: { id: true, path: true },
+    }),
+    prisma.documentAccess.findMany({
+      where: { documentId: { in: chain } },
+      include: {
+        role: { select: { id: true, role: true } },
+        department: { select: { id: true, name: true } },
+        grantedBy: { select: { id: true, username: true } },
+      },
+      orderBy: { grantedAt: "asc" },
+    }),
+  ]);
+  const pathOf = new Map(chainDocuments.map((doc) => [doc.id, doc.path]));
+
+  const now = new Date();
+  const isUsersEntry = (access) =>
+    (access.userId === user.id || roleIds.includes(access.roleId)) &&
+    isGrantActive(access, now);
+  const isUsersGrant = (access) => isUsersEntry(access) && !isDeny(access);
+
+  const describeGrant = (access) => ({
+    id: access.id,
+    via: access.userId === user.id ? "USER" : "ROLE",
+    role: access.userId === user.id ? null : access.role,
+    documentId: access.documentId,
+    documentPath: pathOf.get(access.documentId),
+    inherited: access.documentId !== documentId,
+    // From the folder holding the grant down to the document
+    inheritancePath: chain
+      .slice(0, chain.indexOf(access.documentId) + 1)
+      .reverse()
+      .map((id) => pathOf.get(id)),
+    accessLevel: access.accessLevel,
+    accessType: access.accessType,
+    effect: access.effect,
+    docAccessThrough: access.docAccessThrough,
+    processId: access.processId,
+    stepInstanceId: access.stepInstanceId,
+    grantedBy: access.grantedBy,
+    grantedAt: access.grantedAt,
+    validFrom: access.validFrom,
+    validUntil: access.validUntil,
+  });
+
+  const missingReasons = (accessType) => {
+    const reasons = [];
+    const breakId = chain[inheriting.length - 1];
+    accesses.filter(isUsersGrant).forEach((access) => {
+      const where = pathOf.get(access.documentId);
+      if (!inheriting.includes(access.documentId)) {
+        reasons.push(
+          `Grant ${access.id} on ${where} does not reach past ${pathOf.get(
+            breakId
+          )}, which breaks inheritance from the folders above it`
+        );
+      } else if (access.documentId !== documentId) {
+        reasons.push(
+          `Grant ${access.id} on ${where} is STANDARD; only FULL grants carry down to what is inside a folder`
+        );
+      } else {
+        reasons.push(
+          `Grant ${access.id} on this document gives ${
+            access.accessType.join(", ") || "nothing"
+          }, not ${accessType}`
+        );
+      }
+    });
+    accesses
+      .filter(
+        (access) =>
+          (access.userId === user.id || roleIds.includes(access.roleId)) &&
+          !isDeny(access) &&
+          !isGrantActive(access, now) &&
+          grantGives(access, documentId, accessType)
+      )
+      .forEach((access) =>
+        reasons.push(
+          access.validFrom > now
+            ? `Grant ${access.id} on ${pathOf.get(access.documentId)} starts on ${access.validFrom.toISOString()}`
+            : `Grant ${access.id} on ${pathOf.get(access.documentId)} expired on ${access.validUntil.toISOString()}`
+        )
+      );
+    accesses
+      .filter(
+        (access) =>
+          !access.userId &&
+          !access.roleId &&
+          !isDeny(access) &&
+          departmentIds.includes(access.departmentId) &&
+          grantGives(access, documentId, accessType)
+      )
+      .forEach((access) =>
+        reasons.push(
+          `Grant ${access.id} on ${pathOf.get(access.documentId)} names only the ${
+            access.department.name
+          } department; access checks use user and role grants`
+        )
+      );
+
+    const otherRoles = [
+      ...new Map(
+        accesses
+          .filter(
+            (access) =>
+              access.role &&
+              !roleIds.includes(access.roleId) &&
+              !isDeny(access) &&
+              isGrantActive(access, now) &&
+              grantGives(access, documentId, accessType)
+          )
+          .map((access) => [access.role.id, access.role.role])
+      ).values(),
+    ];
+    if (otherRoles.length > 0) {
+      reasons.push(
+        `${accessType} is granted to roles the user does not hold: ${otherRoles.join(", ")}`
+      );
+    }
+
+    if (reasons.length === 0) {
+      reasons.push(
+        "No grant to the user or their roles on this document, and no FULL grant on a folder above it"
+      );
+    }
+    return reasons;
+  };
+
+  const rights = {};
+  for (const accessType of ACCESS_TYPES) {
+    if (accessAllRoles.length > 0) {
+      rights[accessType] = {
+        granted: true,
+        via: "PERMISSION",
+        reason: `document.accessAll permission through ${accessAllRoles
+          .map((role) => role.role)
+          .join(", ")}`,
+        grants: [],
+      };
+      continue;
+    }
+    const denies = accesses.filter(
+      (access) =>
+        isDeny(access) &&
+        isUsersEntry(access) &&
+        deniedTypes(access).includes(accessType)
+    );
+    const grants = accesses
+      .filter(
+        (access) =>
+          isUsersGrant(access) &&
+          inheriting.includes(access.documentId) &&
+          grantGives(access, documentId, accessType)
+      )
+      .map(describeGrant);
+    if (denies.length > 0) {
+      rights[accessType] = {
+        granted: false,
+        via: "DENY",
+        grants,
+        denies: denies.map(describeGrant),
+        reasons: denies.map(
+          (access) =>
+            `DENY entry ${access.id} on ${pathOf.get(
+              access.documentId
+            )} takes away ${access.accessType.join(", ") || "all access"}`
+        ),
+      };
+      continue;
+    }
+    rights[accessType] =
+      grants.length > 0
+        ? { granted: true, via: "GRANT", grants }
+        : { granted: false, grants, reasons: missingReasons(accessType) };
+  }
+
+  return {
+    user: {
+      id: user.id,
+      username: user.username,
+      name: user.name,
+      // Inactive users cannot sign in, whatever their grants say
+      active: user.status !== "Inactive",
+    },
+    document,
+    rights,
+  };
+};
+
+export const grantee = (access) =>
+  access.user
+    ? access.user.name || access.user.username
+    : access.role
+      ? `role ${access.role.role}`
+      : "a department";
+
+/**
+ * Grants a user accessType on a document, plus READ on each folder above it
+ * the user has no grant on yet so the document shows up in the tree, the way
+ * /createPermissions does. Returns the grant on the document.
+ */
+export const grantDocumentAccess = async (
+  tx,
+  { documentId, userId, accessType, grantedById, validUntil = null }
+) => {
+  const ancestorIds = await getAncestorIds(documentId);
+  const grantedFolders = await tx.documentAccess.findMany({
+    where: {
+      documentId: { in: ancestorIds },
+      userId,
+      effect: "ALLOW",
+      ...activeGrantWhere(),
+    },
+    select: { documentId: true },
+  });
+  const ungranted = ancestorIds.filter(
+    (id) => !grantedFolders.some((access) => access.documentId === id)
+  );
+  const grant = {
+    userId,
+    docAccessThrough: "ADMINISTRATION",
+    grantedById,
+    validUntil,
+  };
+
+  await tx.documentAccess.createMany({
+    data: ungranted.map((id) => ({
+      ...grant,
+      documentId: id,
+      accessType: ["READ"],
+    })),
+  });
+  return tx.documentAccess.create({
+    data: { ...grant, documentId, accessType },
+  });
+};
+
+// Scheduled: the granter and the document owner hear once, shortly before a
+// time-bound grant lapses, so it can be renewed if the work is not done
+export const notifyExpiringGrants = async () => {
+  const now = new Date();
+  const warnUntil = new Date(
+    now.getTime() + documentAccessPolicy.expiryWarningDays * 24 * 60 * 60 * 1000
+  );
+  const owner = {
+    select: { id: true, username: true, name: true, email: true },
+  };
+  const expiring = await prisma.documentAccess.findMany({
+    where: { validUntil: { gt: now, lte: warnUntil }, expiryNotifiedAt: null },
+    include: {
+      document: { select: { name: true, path: true, createdBy: owner } },
+      user: { select: { username: true, name: true } },
+      role: { select: { role: true } },
+      grantedBy: owner,
+    },
+  });
+
+  for (const access of expiring) {
+    const recipients = new Map(
+      [access.grantedBy, access.document.createdBy]
+        .filter((user) => user?.email)
+        .map((user) => [user.id, user])
+    );
+    for (const recipient of recipients.values()) {
+      try {
+        await sendEmail(
+          recipient.email,
+          `Access to ${access.document.name} expires soon`,
+          {
+            title: "Document Access Expiring",
+            greeting: `Hello ${recipient.name || recipient.username},`,
+            message: `
+              <p>Access for <strong>${grantee(access)}</strong> to
+              <strong>${access.document.path}</strong> ends on
+              ${access.validUntil.toLocaleString()}.</p>
+              <p>Grant it again if it is still needed.</p>
+            `,
+            text: `Access for ${grantee(access)} to ${
+              access.document.path
+            } ends on ${access.validUntil.toLocaleString()}.`,
+          }
+        );
+      } catch (error) {
+        console.error("Error sending grant expiry notice:", error);
+      }
+    }
+    await prisma.documentAccess.update({
+      where: { id: access.id },
+      data: { expiryNotifiedAt: now },
+    });
+  }
+};
+
+// Scheduled: lapsed grants are removed; checks already ignore them
+export const revokeExpiredGrants = async () => {
+  const expired = await prisma.documentAccess.findMany({
+    where: { validUntil: { lte: new Date() } },
+    include: { document: { select: { path: true } } },
+  });
+  if (expired.length === 0) return;
+
+  await prisma.documentAccess.deleteMany({
+    where: { id: { in: expired.map((access) => access.id) } },
+  });
+  for (const access of expired) {
+    logger.info({
+      action: "DOCUMENT_ACCESS_EXPIRED",
+      userId: null,
+      details: {
+        accessId: access.id,
+        documentId: access.documentId,
+        path: access.document.path,
+        userId: access.userId,
+        roleId: access.roleId,
+        accessType: access.accessType,
+        accessLevel: access.accessLevel,
+        validUntil: access.validUntil,
+        grantedById: access.grantedById,
+      },
+    });
+  }
+};
+
+export default {
+  activeGrantWhere,
+  hasDocumentAccess,
+  createAccessResolver,
+  getAccessibleDocumentIds,
+  getAncestorIds,
+  explainDocumentAccess,
+  grantDocumentAccess,
+  notifyExpiringGrants,
+  revokeExpiredGrants,
+};
@@ -0,0 +1,258 @@
+// services/documentVersionService.js
+import { createHash } from "crypto";
+import { PrismaClient } from "@prisma/client";
+import { getAncestorIds } from "./documentAccessService.js";
+import { scratchPath, documentStorage, blobStorage } from "./storageService.js";
+import {
+  blobKey,
+  ingestFile,
+  ingestBuffer,
+  ingestDocumentFile,
+  acquireBlob,
+  releaseBlob,
+  linkBlob,
+  isLinkedToBlob,
+} from "./blobStoreService.js";
+
+const prisma = new PrismaClient();
+
+export const versionAuthorSelect = { id: true, username: true, name: true };
+
+// A chunked upload is assembled here, on this server, and stored once the
+// last chunk is in: as the new version of the document at `documentPath`,
+// or as a new document
+export const uploadStagingPath = (documentPath, userId) =>
+  scratchPath(
+    `upload-${userId}-${createHash("sha256")
+      .update(documentPath)
+      .digest("hex")}`
+  );
+
+/**
+ * The blob the document's file is. A file that is not one yet, or was
+ * rewritten since, is stored now: the document takes a reference on the new
+ * blob and lets go of the one it had.
+ */
+export const ensureDocumentBlob = async (document, tx = prisma) => {
+  if (
+    document.blobHash &&
+    (await isLinkedToBlob(document.blobHash, document.path))
+  ) {
+    return document.blobHash;
+  }
+
+  const previousHash = document.blobHash;
+  const { hash } = await ingestDocumentFile(document.path);
+  await linkBlob(hash, document.path);
+  await tx.document.update({
+    where: { id: document.id },
+    data: { blobHash: hash },
+  });
+  document.blobHash = hash;
+  await releaseBlob(previousHash);
+  return hash;
+};
+
+/**
+ * The version the file at the document's path is. Documents written before
+ * versioning get version 1 for it, by whoever created them.
+ */
+const getCurrentVersion = async (document, tx = prisma) => {
+  const latest = await tx.documentVersion.findFirst({
+    where: { documentId: document.id },
+    orderBy: { versionNumber: "desc" },
+  });
+  if (latest) return latest;
+
+  const { size } = await documentStorage.stat(document.path);
+  return tx.documentVersion.create({
+    data: {
+      documentId: document.id,
+      versionNumber: 1,
+      authorId: document.createdById,
+      size,
+      createdAt: document.createdOn,
+    },
+  });
+};
+
+// Where a version's bytes are: its blob, or the document's own file for the
+// current version
+export const versionSource = (document, version) =>
+  version.blobHash
+    ? { storage: blobStorage, key: blobKey(version.blobHash) }
+    : { storage: documentStorage, key: document.path };
+
+/**
+ * Every version of the document, newest first. The file as it is now is
+ * always listed, as version 1 if it was never replaced.
+ */
+export const listVersions = async (document) => {
+  await getCurrentVersion(document);
+  return prisma.documentVersion.findMany({
+    where: { documentId: document.id },
+    orderBy: { versionNumber: "desc" },
+    include: { author: { select: versionAuthorSelect } },
+  });
+};
+
+export const getVersion = (documentId, versionNumber) =>
+  prisma.documentVersion.findUnique({
+    where: { documentId_versionNumber: { documentId, versionNumber } },
+    include: { author: { select: versionAuthorSelect } },
+  });
+
+// The versionLimit of the nearest folder above the document that sets one
+export const getVersionLimit = async (documentId) => {
+  const ancestorIds = await getAncestorIds(documentId);
+  const folders = await prisma.document.findMany({
+    where: { id: { in: ancestorIds }, versionLimit: { not: null } },
+    select: { id: true, versionLimit: true },
+  });
+  const limits = new Map(
+    folders.map((folder) => [folder.id, folder.versionLimit])
+  );
+  const nearestId = ancestorIds.find((id) => limits.has(id));
+  return nearestId ? limits.get(nearestId) : null;
+};
+
+/**
+ * Drops the oldest versions, and their blobs when nothing else uses them,
+ * beyond what the retention limit keeps. The current version always stays.
+ */
+export const pruneVersions = async (documentId) => {
+  const limit = await getVersionLimit(documentId);
+  if (!limit) return 0;
+
+  const expired = await prisma.documentVersion.findMany({
+    where: { documentId },
+    orderBy: { versionNumber: "desc" },
+    skip: limit,
+  });
+  await prisma.documentVersion.deleteMany({
+    where: { id: { in: expired.map((version) => version.id) } },
+  });
+  for (const version of expired) {
+    await releaseBlob(version.blobHash);
+  }
+  return expired.length;
+};
+
+// Before a document is deleted for good: lets go of its blob and those of
+// its versions; the rows go with the document
+export const releaseDocumentBlobs = async (document) => {
+  const versions = await prisma.documentVersion.findMany({
+    where: { documentId: document.id, blobHash: { not: null } },
+  });
+  await releaseBlob(document.blobHash);
+  for (const version of versions) {
+    await releaseBlob(version.blobHash);
+  }
+};
+
+/**
+ * Makes the blob `storeNew` stores, and takes a reference on, the document's
+ * file, keeping the blob of the file it replaces for the previous version.
+ *
+ * The new blob is stored first, then the document row is locked: saves of
+ * the same document (PutFile, an upload, a restore) take turns from there,
+ * each numbering its version after the one before. The new blob is let go
+ * again when the save fails.
+ */
+const replaceDocumentBlob = async (
+  document,
+  storeNew,
+  { authorId, comment }
+) => {
+  const { hash, size } = await storeNew();
+
+  let version;
+  try {
+    version = await prisma.$transaction(
+      async (tx) => {
+        await tx.$queryRaw`
+          SELECT id FROM "Document" WHERE id = ${document.id} FOR UPDATE
+        `;
+        const current = await tx.document.findUnique({
+          where: { id: document.id },
+        });
+        const previous = await getCurrentVersion(current, tx);
+        // The document's reference on its blob passes to the previous version
+        const previousHash = await ensureDocumentBlob(current, tx);
+        await linkBlob(hash, current.path);
+
+        await tx.documentVersion.update({
+          where: { id: previous.id },
+          data: { blobHash: previousHash },
+        });
+        await tx.document.update({
+          where: { id: document.id },
+          data: { lastUpdatedOn: new Date(), blobHash: hash },
+        });
+        return tx.documentVersion.create({
+          data: {
+            documentId: document.id,
+            versionNumber: previous.versionNumber + 1,
+            authorId,
+            comment,
+            size,
+          },
+          include: { author: { select: versionAuthorSelect } },
+        });
+      },
+      { timeout: 60000 }
+    );
+  } catch (error) {
+    await releaseBlob(hash);
+    throw error;
+  }
+  document.blobHash = hash;
+  await pruneVersions(document.id);
+  return version;
+};
+
+/**
+ * Replaces the document's file with `source` (the path of a file of this
+ * server, or a Buffer) and keeps the file it replaces as the previous
+ * version. Returns the new current version, numbered after the last one,
+ * with its author and comment.
+ */
+export const saveNewVersion = (
+  document,
+  source,
+  { authorId, comment = null }
+) =>
+  replaceDocumentBlob(
+    document,
+    () => (Buffer.isBuffer(source) ? ingestBuffer(source) : ingestFile(source)),
+    { authorId, comment }
+  );
+
+// saveNewVersion with the file of an earlier version, which is already a blob
+export const restoreVersion = (
+  document,
+  version,
+  { authorId, comment = null }
+) =>
+  replaceDocumentBlob(
+    document,
+    async () => {
+      const { hash, size } = await acquireBlob(version.blobHash);
+      return { hash, size };
+    },
+    { authorId, comment }
+  );
+
+export default {
+  versionAuthorSelect,
+  uploadStagingPath,
+  ensureDocumentBlob,
+  versionSource,
+  listVersions,
+  getVersion,
+  getVersionLimit,
+  pruneVersions,
+  releaseDocumentBlobs,
+  saveNewVersion,
+  restoreVersion,
+};
@@ -0,0 +1,141 @@
+// services/impersonationService.js
+import crypto from "crypto";
+import { PrismaClient } from "@prisma/client";
+import { sendEmail } from "./emailService.js";
+import { issueImpersonationToken } from "./tokenService.js";
+
+const prisma = new PrismaClient();
+
+export const startImpersonation = async ({
+  adminId,
+  userId,
+  reason,
+  minutes,
+  readOnly,
+  ipAddress,
+}) => {
+  const impersonation = await prisma.impersonationSession.create({
+    data: {
+      id: crypto.randomUUID(),
+      adminId,
+      userId,
+      reason,
+      readOnly,
+      ipAddress,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    },
+  });
+
+  return {
+    impersonation,
+    token: issueImpersonationToken(impersonation.id, impersonation.expiresAt),
+  };
+};
+
+export const findActiveImpersonation = async (impersonationId) => {
+  return await prisma.impersonationSession.findFirst({
+    where: {
+      id: impersonationId,
+      endedAt: null,
+      expiresAt: { gt: new Date() },
+      admin: { status: { not: "Inactive" } },
+    },
+    include: { admin: { select: { id: true, username: true } } },
+  });
+};
+
+// Tell the user who looked at the system as them, when and why
+const notifyImpersonatedUser = async (impersonation) => {
+  const { user, admin } = impersonation;
+  try {
+    if (user.email) {
+      await sendEmail(user.email, "An administrator viewed your account", {
+        title: "Account Viewed by an Administrator",
+        greeting: `Hello ${user.name || user.username},`,
+        message: `
+          <p>${admin.name || admin.username} viewed the system as you.</p>
+          <p><strong>From:</strong> ${impersonation.startedAt.toLocaleString()}</p>
+          <p><strong>To:</strong> ${impersonation.endedAt.toLocaleString()}</p>
+          <p><strong>Reason:</strong> ${impersonation.reason}</p>
+          <p><strong>Access:</strong> ${
+            impersonation.readOnly ? "Read-only" : "Read and write"
+          }</p>
+        `,
+        footerNote:
+          "Every request made during this session is recorded in the audit log.",
+        text: `${admin.username} viewed the system as you from ${impersonation.startedAt.toLocaleString()} to ${impersonation.endedAt.toLocaleString()}. Reason: ${impersonation.reason}`,
+      });
+    }
+  } catch (error) {
+    console.error("Error notifying impersonated user:", error);
+  }
+
+  await prisma.impersonationSession.update({
+    where: { id: impersonation.id },
+    data: { notifiedAt: new Date() },
+  });
+};
+
+/**
+ * Close a session and notify the user. Returns null when it was already
+ * closed, e.g. the admin stopped it twice or the expiry job got there first.
+ */
+export const endImpersonation = async (
+  impersonationId,
+  endReason,
+  endedAt = new Date()
+) => {
+  const { count } = await prisma.impersonationSession.updateMany({
+    where: { id: impersonationId, endedAt: null },
+    data: { endedAt, endReason },
+  });
+  if (count === 0) return null;
+
+  const impersonation = await prisma.impersonationSession.findUnique({
+    where: { id: impersonationId },
+    include: {
+      user: { select: { username: true, name: true, email: true } },
+      admin: { select: { username: true, name: true } },
+    },
+  });
+  await notifyImpersonatedUser(impersonation);
+  return impersonation;
+};
+
+// Scheduled: sessions the admin never stopped still have to be reported
+export const endExpiredImpersonations = async () => {
+  const expired = await prisma.impersonationSession.findMany({
+    where: { endedAt: null, expiresAt: { lte: new Date() } },
+    select: { id: true, expiresAt: true },
+  });
+  // An expired session ended at its expiry, not when the job noticed it
+  for (const { id, expiresAt } of expired) {
+    await endImpersonation(id, "EXPIRED", expiresAt);
+  }
+};
+
+export const listImpersonations = async (where) => {
+  return await prisma.impersonationSession.findMany({
+    where,
+    select: {
+      id: true,
+      reason: true,
+      readOnly: true,
+      startedAt: true,
+      expiresAt: true,
+      endedAt: true,
+      endReason: true,
+      admin: { select: { id: true, username: true, name: true } },
+      user: { select: { id: true, username: true, name: true } },
+    },
+    orderBy: { startedAt: "desc" },
+  });
+};
+
+export default {
+  startImpersonation,
+  findActiveImpersonation,
+  endImpersonation,
+  endExpiredImpersonations,
+  listImpersonations,
+};
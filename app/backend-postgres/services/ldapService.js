@@ -0,0 +1,350 @@
+// services/ldapService.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { Client } from "ldapts";
+import { PrismaClient } from "@prisma/client";
+import ldapConfig from "../config/ldap-config.js";
+import { revokeAllUserTokens } from "./tokenService.js";
+import logger from "../controller/logger.js";
+
+const prisma = new PrismaClient();
+
+// AD userAccountControl flag for disabled accounts
+const ACCOUNT_DISABLE = 0x2;
+
+const createClient = () =>
+  new Client({
+    url: ldapConfig.url,
+    timeout: ldapConfig.timeout,
+    connectTimeout: ldapConfig.timeout,
+    // ldapts switches to TLS whenever tlsOptions is set, so only for ldaps://
+    ...(ldapConfig.url.startsWith("ldaps://") && {
+      tlsOptions: { rejectUnauthorized: ldapConfig.tlsRejectUnauthorized },
+    }),
+  });
+
+// RFC 4515 escaping so a login name cannot change the search filter
+export const escapeFilterValue = (value) =>
+  String(value).replace(
+    /[\\*()\0]/g,
+    (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, "0")}`
+  );
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Attribute names are case-insensitive in LDAP; servers differ in what they echo
+const attribute = (entry, name) => {
+  const key = Object.keys(entry).find(
+    (candidate) => candidate.toLowerCase() === name.toLowerCase()
+  );
+  return key === undefined ? undefined : entry[key];
+};
+
+const asList = (value) =>
+  value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+// Flatten a directory entry into the fields we keep on User
+export const normalizeEntry = (entry) => {
+  const { attributes } = ldapConfig;
+  const rawId = firstValue(attribute(entry, attributes.externalId));
+  const userAccountControl = parseInt(
+    firstValue(attribute(entry, "userAccountControl"))
+  );
+
+  return {
+    dn: entry.dn,
+    externalId: Buffer.isBuffer(rawId)
+      ? rawId.toString("hex")
+      : rawId || entry.dn,
+    username: firstValue(attribute(entry, attributes.username)),
+    email: firstValue(attribute(entry, attributes.email)) || null,
+    name: firstValue(attribute(entry, attributes.name)) || null,
+    groups: asList(attribute(entry, attributes.groups)).map(String),
+    disabled:
+      !Number.isNaN(userAccountControl) &&
+      (userAccountControl & ACCOUNT_DISABLE) === ACCOUNT_DISABLE,
+  };
+};
+
+const searchAttributes = () => [
+  "dn",
+  "userAccountControl",
+  ...Object.values(ldapConfig.attributes),
+];
+
+const withServiceBind = async (callback) => {
+  const client = createClient();
+  try {
+    await client.bind(ldapConfig.bindDN, ldapConfig.bindPassword);
+    return await callback(client);
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+};
+
+/**
+ * Look the user up with the service account, then bind as that user to check
+ * the password. Returns the normalized directory profile or null.
+ */
+export const authenticateWithLdap = async (username, password) => {
+  // An empty password would be an anonymous bind and always "succeed"
+  if (!username || !password) return null;
+
+  try {
+    const entry = await withServiceBind(async (client) => {
+      const { searchEntries } = await client.search(ldapConfig.baseDN, {
+        scope: "sub",
+        filter: ldapConfig.userFilter.replace(
+          /{{username}}/g,
+          escapeFilterValue(username)
+        ),
+        attributes: searchAttributes(),
+        explicitBufferAttributes: [ldapConfig.attributes.externalId],
+        sizeLimit: 2,
+      });
+      return searchEntries.length === 1 ? searchEntries[0] : null;
+    });
+
+    if (!entry) return null;
+
+    const userClient = createClient();
+    try {
+      await userClient.bind(entry.dn, password);
+    } catch (error) {
+      return null;
+    } finally {
+      await userClient.unbind().catch(() => {});
+    }
+
+    const profile = normalizeEntry(entry);
+    return profile.disabled ? null : profile;
+  } catch (error) {
+    console.error("LDAP authentication error:", error.message);
+    return null;
+  }
+};
+
+const sameGroup = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Bring the user's roles and department memberships in line with the group
+ * mappings. Only roles/departments that appear in some mapping are managed,
+ * anything assigned by hand inside the DMS is left alone.
+ */
+const applyGroupMappings = async (tx, userId, groups, mappings) => {
+  const matched = mappings.filter((mapping) =>
+    groups.some((group) => sameGroup(group, mapping.groupDn))
+  );
+
+  const managedRoleIds = [
+    ...new Set(mappings.map((m) => m.roleId).filter(Boolean)),
+  ];
+  const desiredRoleIds = [
+    ...new Set(matched.map((m) => m.roleId).filter(Boolean)),
+  ];
+  const managedDepartmentIds = [
+    ...new Set(mappings.map((m) => m.departmentId).filter(Boolean)),
+  ];
+  const desiredDepartmentIds = [
+    ...new Set(matched.map((m) => m.departmentId).filter(Boolean)),
+  ];
+
+  await tx.userRole.deleteMany({
+    where: {
+      userId,
+      roleId: {
+        in: managedRoleIds.filter((id) => !desiredRoleIds.includes(id)),
+      },
+    },
+  });
+  const existingRoles = await tx.userRole.findMany({
+    where: { userId, roleId: { in: desiredRoleIds } },
+    select: { roleId: true },
+  });
+  const missingRoleIds = desiredRoleIds.filter(
+    (id) => !existingRoles.some((existing) => existing.roleId === id)
+  );
+  if (missingRoleIds.length > 0) {
+    await tx.userRole.createMany({
+      data: missingRoleIds.map((roleId) => ({ userId, roleId })),
+    });
+  }
+
+  await tx.user.update({
+    where: { id: userId },
+    data: {
+      branches: {
+        disconnect: managedDepartmentIds
+          .filter((id) => !desiredDepartmentIds.includes(id))
+          .map((id) => ({ id })),
+        connect: desiredDepartmentIds.map((id) => ({ id })),
+      },
+    },
+  });
+};
+
+/**
+ * Create or update the local user for a directory profile.
+ * Returns { user, action } where action is "created", "updated" or
+ * "conflict" (a LOCAL user already owns the username and is not touched).
+ */
+export const upsertLdapUser = async (profile, mappings) => {
+  const groupMappings =
+    mappings || (await prisma.ldapGroupMapping.findMany());
+
+  const existing =
+    (await prisma.user.findUnique({
+      where: { externalId: profile.externalId },
+    })) ||
+    (await prisma.user.findUnique({ where: { username: profile.username } }));
+
+  if (existing && existing.authSource !== "LDAP") {
+    return { user: null, action: "conflict" };
+  }
+
+  const status = profile.disabled ? "Inactive" : "Active";
+
+  const user = await prisma.$transaction(async (tx) => {
+    const user = existing
+      ? await tx.user.update({
+          where: { id: existing.id },
+          data: {
+            username: profile.username,
+            email: profile.email,
+            name: profile.name,
+            externalId: profile.externalId,
+            status,
+            lastSyncedAt: new Date(),
+          },
+        })
+      : await tx.user.create({
+          data: {
+            username: profile.username,
+            email: profile.email,
+            name: profile.name,
+            externalId: profile.externalId,
+            authSource: "LDAP",
+            status,
+            // never used: LDAP users always authenticate against the directory
+            password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+            lastSyncedAt: new Date(),
+          },
+        });
+
+    await applyGroupMappings(tx, user.id, profile.groups, groupMappings);
+
+    if (profile.disabled) {
+      await revokeAllUserTokens(user.id, tx, { reason: "DIRECTORY_SYNC" });
+    }
+
+    return user;
+  });
+
+  return { user, action: existing ? "updated" : "created" };
+};
+
+// Used by login: refreshes (or, if allowed, creates) the local user
+export const provisionLdapUser = async (profile) => {
+  if (!ldapConfig.autoProvision) {
+    const existing = await prisma.user.findFirst({
+      where: { authSource: "LDAP", username: profile.username },
+    });
+    if (!existing) return null;
+  }
+  const { user } = await upsertLdapUser(profile);
+  return user;
+};
+
+/**
+ * Pull every user matching the sync filter, create/update local rows and
+ * deactivate LDAP users that are no longer in the directory.
+ */
+export const syncLdapUsers = async ({ triggeredById = null } = {}) => {
+  const summary = {
+    created: 0,
+    updated: 0,
+    deactivated: 0,
+    conflicts: [],
+    errors: [],
+  };
+
+  const entries = await withServiceBind(async (client) => {
+    const { searchEntries } = await client.search(ldapConfig.baseDN, {
+      scope: "sub",
+      filter: ldapConfig.syncFilter,
+      attributes: searchAttributes(),
+      explicitBufferAttributes: [ldapConfig.attributes.externalId],
+      paged: { pageSize: 500 },
+    });
+    return searchEntries;
+  });
+
+  const mappings = await prisma.ldapGroupMapping.findMany();
+  const seenExternalIds = new Set();
+
+  for (const entry of entries) {
+    const profile = normalizeEntry(entry);
+    if (!profile.username) continue;
+    seenExternalIds.add(profile.externalId);
+
+    try {
+      const { action } = await upsertLdapUser(profile, mappings);
+      if (action === "conflict") {
+        summary.conflicts.push(profile.username);
+      } else {
+        summary[action]++;
+      }
+    } catch (error) {
+      summary.errors.push({ username: profile.username, error: error.message });
+    }
+  }
+
+  if (ldapConfig.deactivateMissing) {
+    const missing = await prisma.user.findMany({
+      where: {
+        authSource: "LDAP",
+        status: { not: "Inactive" },
+        OR: [
+          { externalId: null },
+          { externalId: { notIn: [...seenExternalIds] } },
+        ],
+      },
+      select: { id: true },
+    });
+
+    for (const { id } of missing) {
+      await prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id },
+          data: { status: "Inactive", lastSyncedAt: new Date() },
+        });
+        await revokeAllUserTokens(id, tx, { reason: "DIRECTORY_SYNC" });
+      });
+      summary.deactivated++;
+    }
+  }
+
+  logger.info({
+    action: "LDAP_SYNC",
+    userId: triggeredById,
+    details: {
+      directoryEntries: entries.length,
+      created: summary.created,
+      updated: summary.updated,
+      deactivated: summary.deactivated,
+      conflicts: summary.conflicts,
+      errors: summary.errors,
+    },
+  });
+
+  return summary;
+};
+
+export default {
+  escapeFilterValue,
+  normalizeEntry,
+  authenticateWithLdap,
+  upsertLdapUser,
+  provisionLdapUser,
+  syncLdapUsers,
+};
@@ -0,0 +1,143 @@
+// services/localStorageDriver.js
+//
+// Storage driver keeping files under a directory of this server. Writes go
+// to a new file renamed over the old one, never into the file in place:
+// files here may be hard links sharing their bytes with other keys.
+import fs from "fs/promises";
+import { createReadStream, createWriteStream } from "fs";
+import { randomUUID } from "crypto";
+import { dirname, join } from "path";
+import { pipeline } from "stream/promises";
+
+// A path through a file is as missing as a missing one
+const MISSING_CODES = ["ENOENT", "ENOTDIR"];
+
+const notFound = (key) =>
+  Object.assign(new Error(`${key} is not in storage`), { code: "ENOENT" });
+
+export const createLocalStorage = (root) => {
+  const localPath = (key) => join(root, key);
+
+  // Runs `write` on a temporary name next to `key` and puts the result in
+  // its place once complete
+  const replace = async (key, write) => {
+    const target = localPath(key);
+    const temp = `${target}.${randomUUID()}.tmp`;
+    await fs.mkdir(dirname(target), { recursive: true });
+    try {
+      await write(temp);
+      await fs.rename(temp, target);
+    } finally {
+      // Renaming a link onto another link to the same file leaves both
+      await fs.rm(temp, { force: true });
+    }
+  };
+
+  const stat = async (key) => {
+    const stats = await fs.stat(localPath(key));
+    return {
+      size: stats.size,
+      mtime: stats.mtime,
+      atime: stats.atime,
+      isFolder: stats.isDirectory(),
+    };
+  };
+
+  return {
+    driver: "local",
+    localPath,
+
+    createReadStream: async (key, { start, end } = {}) => {
+      const stream = createReadStream(localPath(key), { start, end });
+      // Fail here, as the S3 driver does, rather than on the first read
+      await new Promise((resolve, reject) => {
+        stream.once("open", resolve);
+        stream.once("error", reject);
+      });
+      return stream;
+    },
+
+    readFile: (key) => fs.readFile(localPath(key)),
+
+    // data: a Buffer, a string or a readable stream
+    writeFile: (key, data) =>
+      replace(key, (temp) =>
+        typeof data?.pipe === "function"
+          ? pipeline(data, createWriteStream(temp))
+          : fs.writeFile(temp, data)
+      ),
+
+    // Stores the file at `filePath` under `key`, linking it when it is on the
+    // same filesystem: the caller must not change that file afterwards
+    putFile: (key, filePath) =>
+      replace(key, async (temp) => {
+        try {
+          await fs.link(filePath, temp);
+        } catch (error) {
+          if (error.code !== "EXDEV") throw error;
+          await fs.copyFile(filePath, temp);
+        }
+      }),
+
+    // `key` becomes the file `sourceKey` is in `source`, another local
+    // storage: a hard link, or a copy across filesystems
+    linkFrom: (source, sourceKey, key) =>
+      replace(key, async (temp) => {
+        try {
+          await fs.link(source.localPath(sourceKey), temp);
+        } catch (error) {
+          if (error.code !== "EXDEV") throw error;
+          await fs.copyFile(source.localPath(sourceKey), temp);
+        }
+      }),
+
+    // Whether `key` is still what linkFrom made it, not rewritten since
+    isLinked: async (source, sourceKey, key) => {
+      try {
+        const [linked, original] = await Promise.all([
+          fs.stat(localPath(key)),
+          fs.stat(source.localPath(sourceKey)),
+        ]);
+        return linked.ino === original.ino && linked.dev === original.dev;
+      } catch (error) {
+        if (MISSING_CODES.includes(error.code)) return false;
+        throw error;
+      }
+    },
+
+    move: async (fromKey, toKey) => {
+      await fs.mkdir(dirname(localPath(toKey)), { recursive: true });
+      await fs.rename(localPath(fromKey), localPath(toKey));
+    },
+
+    remove: (key) => fs.rm(localPath(key), { force: true }),
+
+    removeFolder: (key) =>
+      fs.rm(localPath(key), { recursive: true, force: true }),
+
+    makeFolder: (key) => fs.mkdir(localPath(key), { recursive: true }),
+
+    stat,
+
+    exists: (key) =>
+      stat(key).then(
+        () => true,
+        (error) => {
+          if (MISSING_CODES.includes(error.code)) return false;
+          throw error;
+        }
+      ),
+
+    // The file is used where it is
+    withLocalFile: async (key, use) => {
+      try {
+        await fs.access(localPath(key));
+      } catch {
+        throw notFound(key);
+      }
+      return use(localPath(key));
+    },
+  };
+};
+
+export default { createLocalStorage };
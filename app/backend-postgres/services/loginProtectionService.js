@@ -0,0 +1,148 @@
+// services/loginProtectionService.js
+import { PrismaClient } from "@prisma/client";
+import { loginProtection } from "../config/security-config.js";
+
+const prisma = new PrismaClient();
+
+const latest = (...dates) =>
+  new Date(Math.max(...dates.filter(Boolean).map((date) => date.getTime())));
+
+// Returns the lockout currently blocking this username or IP, if any
+export const getActiveLockout = async (username, ipAddress) => {
+  return await prisma.loginLockout.findFirst({
+    where: {
+      lockedUntil: { gt: new Date() },
+      unlockedAt: null,
+      OR: [
+        { scope: "USERNAME", key: username || "" },
+        { scope: "IP", key: ipAddress || "" },
+      ],
+    },
+    orderBy: { lockedUntil: "desc" },
+  });
+};
+
+// Failed LOGIN entries in the window, ignoring anything before the last
+// successful login (username only) or the last lockout / unlock
+const countRecentFailures = async (scope, key) => {
+  if (!key) return 0;
+
+  const windowStart = new Date(
+    Date.now() - loginProtection.attemptWindowMinutes * 60 * 1000
+  );
+
+  const lastLockout = await prisma.loginLockout.findFirst({
+    where: { scope, key },
+    orderBy: { lockedAt: "desc" },
+  });
+
+  const lastSuccess =
+    scope === "USERNAME"
+      ? await prisma.loginLog.findFirst({
+          where: { username: key, action: "LOGIN", success: true },
+          orderBy: { createdAt: "desc" },
+        })
+      : null;
+
+  const since = latest(
+    windowStart,
+    lastSuccess?.createdAt,
+    lastLockout?.lockedAt,
+    lastLockout?.unlockedAt
+  );
+
+  return await prisma.loginLog.count({
+    where: {
+      action: "LOGIN",
+      success: false,
+      createdAt: { gt: since },
+      ...(scope === "USERNAME" ? { username: key } : { ipAddress: key }),
+    },
+  });
+};
+
+// Progressive delay: each recent failure adds a step, up to the configured cap
+export const getLoginDelay = async (username, ipAddress) => {
+  const failures = Math.max(
+    await countRecentFailures("USERNAME", username),
+    await countRecentFailures("IP", ipAddress)
+  );
+  return Math.min(
+    failures * loginProtection.delayStepMs,
+    loginProtection.maxDelayMs
+  );
+};
+
+/**
+ * Lock the username and/or IP once their failure counts reach the configured
+ * thresholds. Call after the failed attempt has been written to LoginLog.
+ *
+ * @returns {Promise<object[]>} lockouts created by this call
+ */
+export const applyLockoutIfNeeded = async ({ username, userId, ipAddress }) => {
+  const lockedUntil = new Date(
+    Date.now() + loginProtection.lockoutMinutes * 60 * 1000
+  );
+  const checks = [
+    {
+      scope: "USERNAME",
+      key: username,
+      limit: loginProtection.maxFailedAttemptsPerUser,
+    },
+    {
+      scope: "IP",
+      key: ipAddress,
+      limit: loginProtection.maxFailedAttemptsPerIp,
+    },
+  ];
+
+  const lockouts = [];
+  for (const { scope, key, limit } of checks) {
+    if (!key) continue;
+    const failedAttempts = await countRecentFailures(scope, key);
+    if (failedAttempts < limit) continue;
+
+    const lockout = await prisma.loginLockout.create({
+      data: { scope, key, failedAttempts, lockedUntil },
+    });
+    await prisma.loginLog.create({
+      data: {
+        userId: scope === "USERNAME" ? userId : null,
+        username: username || "",
+        action: "LOCKOUT",
+        ipAddress,
+        success: false,
+        error: `${scope} ${key} locked until ${lockedUntil.toISOString()} after ${failedAttempts} failed attempts`,
+      },
+    });
+    lockouts.push(lockout);
+  }
+
+  return lockouts;
+};
+
+// Clear active lockouts for a username and/or IP; returns how many were lifted
+export const unlockLogin = async ({ username, ipAddress, unlockedById }) => {
+  const targets = [];
+  if (username) targets.push({ scope: "USERNAME", key: username });
+  if (ipAddress) targets.push({ scope: "IP", key: ipAddress });
+  if (targets.length === 0) return 0;
+
+  const { count } = await prisma.loginLockout.updateMany({
+    where: {
+      OR: targets,
+      unlockedAt: null,
+      lockedUntil: { gt: new Date() },
+    },
+    data: { unlockedAt: new Date(), unlockedById },
+  });
+
+  return count;
+};
+
+export default {
+  getActiveLockout,
+  getLoginDelay,
+  applyLockoutIfNeeded,
+  unlockLogin,
+};
@@ -0,0 +1,789 @@
+// services/orgImportService.js
+import XLSX from "xlsx";
+import ExcelJS from "exceljs";
+import bcrypt from "bcryptjs";
+import { PrismaClient } from "@prisma/client";
+import { generateRandomPassword } from "./passwordService.js";
+import { revokeAllUserTokens } from "./tokenService.js";
+import { getPendingWork, hasPendingWork } from "./reassignmentService.js";
+import {
+  isKnownPermission,
+  legacyPermissions,
+  permissionsNotHeld,
+  grantPermissions,
+  setRolePermissions,
+} from "./permissionService.js";
+
+const prisma = new PrismaClient();
+
+// One sheet per entity. The export writes the same columns, so an exported
+// workbook can be edited and imported again.
+export const ORG_SHEETS = {
+  Departments: [
+    { header: "Code", key: "code", width: 15 },
+    { header: "Name", key: "name", width: 30 },
+    { header: "Type", key: "type", width: 15 },
+    { header: "Parent Code", key: "parentCode", width: 15 },
+    { header: "Status", key: "status", width: 12 },
+  ],
+  Roles: [
+    { header: "Role", key: "role", width: 25 },
+    { header: "Department Code", key: "departmentCode", width: 18 },
+    { header: "Parent Role", key: "parentRole", width: 25 },
+    {
+      header: "Parent Role Department Code",
+      key: "parentDepartmentCode",
+      width: 28,
+    },
+    { header: "Root Level", key: "isRootLevel", width: 12 },
+    { header: "Admin", key: "isAdmin", width: 10 },
+    { header: "Department Head", key: "isDepartmentHead", width: 17 },
+    { header: "Permissions", key: "permissions", width: 40 },
+    { header: "Status", key: "status", width: 12 },
+  ],
+  // A role's Permissions replace its current ones; when empty the Admin, Root
+  // Level and Department Head flags add what they used to mean.
+  // Roles are "DEPARTMENT_CODE:Role name" (just the name for roles without a
+  // department), several roles or departments are separated by ";"
+  Users: [
+    { header: "Username", key: "username", width: 20 },
+    { header: "Name", key: "name", width: 25 },
+    { header: "Email", key: "email", width: 30 },
+    { header: "Roles", key: "roles", width: 40 },
+    { header: "Departments", key: "departments", width: 25 },
+    { header: "Status", key: "status", width: 12 },
+  ],
+};
+
+const STATUSES = ["Active", "Inactive"];
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+const parseBoolean = (value) =>
+  ["yes", "y", "true", "1"].includes(String(value).trim().toLowerCase());
+
+const splitList = (value) =>
+  String(value || "")
+    .split(";")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const roleKey = (role, departmentCode) => `${departmentCode || ""}:${role}`;
+
+const parseRoleRef = (ref) => {
+  const separator = ref.indexOf(":");
+  if (separator === -1) return { role: ref, departmentCode: null };
+  return {
+    departmentCode: ref.slice(0, separator).trim() || null,
+    role: ref.slice(separator + 1).trim(),
+  };
+};
+
+const formatRoleRef = (role, departmentCode) =>
+  departmentCode ? `${departmentCode}:${role}` : role;
+
+/**
+ * Read an XLSX workbook, or a CSV file holding the single sheet named by
+ * `sheet`. Returns the rows of every known sheet keyed by column key, each
+ * with the spreadsheet row number it came from.
+ */
+export const parseOrgWorkbook = (buffer, sheet) => {
+  const workbook = XLSX.read(buffer, { type: "buffer" });
+  const sheets = {};
+
+  for (const [name, columns] of Object.entries(ORG_SHEETS)) {
+    let worksheetName = workbook.SheetNames.find(
+      (sheetName) => normalizeHeader(sheetName) === normalizeHeader(name)
+    );
+    if (
+      !worksheetName &&
+      workbook.SheetNames.length === 1 &&
+      sheet &&
+      normalizeHeader(sheet) === normalizeHeader(name)
+    ) {
+      worksheetName = workbook.SheetNames[0];
+    }
+    if (!worksheetName) {
+      sheets[name] = [];
+      continue;
+    }
+
+    const keysByHeader = new Map();
+    columns.forEach((column) => {
+      keysByHeader.set(normalizeHeader(column.header), column.key);
+      keysByHeader.set(normalizeHeader(column.key), column.key);
+    });
+
+    const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(
+      workbook.Sheets[worksheetName],
+      { header: 1, defval: "", raw: false, blankrows: true }
+    );
+    const keys = headerRow.map((header) =>
+      keysByHeader.get(normalizeHeader(header))
+    );
+
+    sheets[name] = dataRows
+      .map((cells, index) => {
+        const row = { row: index + 2 };
+        keys.forEach((key, column) => {
+          if (key) row[key] = String(cells[column] ?? "").trim();
+        });
+        return row;
+      })
+      .filter((row) =>
+        columns.some((column) => row[column.key] && row[column.key] !== "")
+      );
+  }
+
+  return sheets;
+};
+
+// Follow parent links from every key and report the ones that lead back to
+// themselves
+const findCycles = (parents, keys) => {
+  const cyclic = new Set();
+  for (const start of keys) {
+    const seen = new Set([start]);
+    let current = parents.get(start);
+    while (current) {
+      if (seen.has(current)) {
+        if (current === start) cyclic.add(start);
+        break;
+      }
+      seen.add(current);
+      current = parents.get(current);
+    }
+  }
+  return cyclic;
+};
+
+const validateDepartments = async (rows, error) => {
+  const existing = await prisma.department.findMany({
+    select: {
+      id: true,
+      code: true,
+      name: true,
+      parentDepartment: { select: { code: true } },
+    },
+  });
+  const byCode = new Map(existing.map((dept) => [dept.code, dept]));
+  const byName = new Map(existing.map((dept) => [dept.name, dept]));
+
+  const fileCodes = new Map();
+  const fileNames = new Map();
+  const plan = [];
+
+  for (const row of rows) {
+    if (!row.code) error(row, "code", "Code is required");
+    if (!row.name) error(row, "name", "Name is required");
+    if (!row.type) error(row, "type", "Type is required");
+    if (row.status && !STATUSES.includes(row.status)) {
+      error(row, "status", `Status must be one of ${STATUSES.join(", ")}`);
+    }
+    if (!row.code) continue;
+
+    if (fileCodes.has(row.code)) {
+      error(row, "code", `Duplicate of row ${fileCodes.get(row.code)}`);
+      continue;
+    }
+    fileCodes.set(row.code, row.row);
+
+    if (row.name) {
+      if (fileNames.has(row.name)) {
+        error(row, "name", `Duplicate of row ${fileNames.get(row.name)}`);
+      }
+      fileNames.set(row.name, row.row);
+      const owner = byName.get(row.name);
+      if (owner && owner.code !== row.code) {
+        error(row, "name", `Name is already used by department ${owner.code}`);
+      }
+    }
+
+    plan.push({ ...row, existingId: byCode.get(row.code)?.id || null });
+  }
+
+  const parents = new Map(
+    existing.map((dept) => [dept.code, dept.parentDepartment?.code || null])
+  );
+  for (const dept of plan) {
+    parents.set(dept.code, dept.parentCode || null);
+    if (!dept.parentCode) continue;
+    if (!fileCodes.has(dept.parentCode) && !byCode.has(dept.parentCode)) {
+      error(dept, "parentCode", `Unknown department ${dept.parentCode}`);
+    }
+  }
+  const cyclic = findCycles(
+    parents,
+    plan.map((dept) => dept.code)
+  );
+  plan
+    .filter((dept) => cyclic.has(dept.code))
+    .forEach((dept) => error(dept, "parentCode", "Parent links form a cycle"));
+
+  const knownCodes = new Set([...byCode.keys(), ...fileCodes.keys()]);
+  return { plan, knownCodes };
+};
+
+const validateRoles = async (rows, knownCodes, importer, error) => {
+  const existing = await prisma.role.findMany({
+    select: {
+      id: true,
+      role: true,
+      isActive: true,
+      permissions: { select: { permission: true } },
+      branch: { select: { code: true } },
+      parentRole: {
+        select: { role: true, branch: { select: { code: true } } },
+      },
+    },
+  });
+  const byKey = new Map(
+    existing.map((role) => [roleKey(role.role, role.branch?.code), role])
+  );
+
+  const fileKeys = new Map();
+  const plan = [];
+
+  for (const row of rows) {
+    if (!row.role) {
+      error(row, "role", "Role is required");
+      continue;
+    }
+    if (row.status && !STATUSES.includes(row.status)) {
+      error(row, "status", `Status must be one of ${STATUSES.join(", ")}`);
+    }
+    if (row.departmentCode && !knownCodes.has(row.departmentCode)) {
+      error(row, "departmentCode", `Unknown department ${row.departmentCode}`);
+    }
+
+    const key = roleKey(row.role, row.departmentCode);
+    if (fileKeys.has(key)) {
+      error(row, "role", `Duplicate of row ${fileKeys.get(key).row}`);
+      continue;
+    }
+
+    const flags = {
+      isRootLevel: parseBoolean(row.isRootLevel),
+      isAdmin: parseBoolean(row.isAdmin),
+      isDepartmentHead: parseBoolean(row.isDepartmentHead),
+    };
+    const listed = splitList(row.permissions);
+    listed
+      .filter((permission) => !isKnownPermission(permission))
+      .forEach((permission) =>
+        error(row, "permissions", `Unknown permission ${permission}`)
+      );
+    const replacePermissions = listed.length > 0;
+    const permissions = replacePermissions
+      ? [...new Set(listed)]
+      : legacyPermissions(flags);
+
+    const current = (byKey.get(key)?.permissions || []).map(
+      (grant) => grant.permission
+    );
+    const notHeld = permissionsNotHeld(importer, [
+      ...permissions.filter((permission) => !current.includes(permission)),
+      ...(replacePermissions
+        ? current.filter((permission) => !permissions.includes(permission))
+        : []),
+    ]).filter(isKnownPermission);
+    if (notHeld.length > 0) {
+      error(
+        row,
+        "permissions",
+        `You do not hold these permissions: ${notHeld.join(", ")}`
+      );
+    }
+
+    const entry = {
+      ...row,
+      ...flags,
+      key,
+      parentKey: row.parentRole
+        ? roleKey(row.parentRole, row.parentDepartmentCode)
+        : null,
+      permissions,
+      replacePermissions,
+      // What the role grants once the import is applied
+      resultingPermissions: replacePermissions
+        ? permissions
+        : [...new Set([...current, ...permissions])],
+      existingId: byKey.get(key)?.id || null,
+    };
+    fileKeys.set(key, entry);
+    plan.push(entry);
+  }
+
+  const parents = new Map(
+    existing.map((role) => [
+      roleKey(role.role, role.branch?.code),
+      role.parentRole
+        ? roleKey(role.parentRole.role, role.parentRole.branch?.code)
+        : null,
+    ])
+  );
+  for (const role of plan) {
+    parents.set(role.key, role.parentKey);
+    if (role.parentKey && !fileKeys.has(role.parentKey)) {
+      if (!byKey.has(role.parentKey)) {
+        error(
+          role,
+          "parentRole",
+          `Unknown role ${formatRoleRef(
+            role.parentRole,
+            role.parentDepartmentCode
+          )}`
+        );
+      }
+    }
+  }
+  const cyclic = findCycles(
+    parents,
+    plan.map((role) => role.key)
+  );
+  plan
+    .filter((role) => cyclic.has(role.key))
+    .forEach((role) => error(role, "parentRole", "Parent links form a cycle"));
+
+  // A role is usable for users when it ends up active after the import
+  const isActiveRole = (key) => {
+    const fileRole = fileKeys.get(key);
+    if (fileRole) return fileRole.status !== "Inactive";
+    return byKey.get(key)?.isActive === true;
+  };
+  const permissionsOf = (key) =>
+    fileKeys.get(key)?.resultingPermissions ||
+    (byKey.get(key)?.permissions || []).map((grant) => grant.permission);
+  return {
+    plan,
+    isKnownRole: (key) => byKey.has(key) || fileKeys.has(key),
+    isActiveRole,
+    permissionsOf,
+  };
+};
+
+const validateUsers = async (rows, knownCodes, roles, importer, error) => {
+  const existing = await prisma.user.findMany({
+    where: {
+      username: { in: rows.map((row) => row.username).filter(Boolean) },
+    },
+    select: {
+      id: true,
+      username: true,
+      status: true,
+      authSource: true,
+      roles: {
+        select: {
+          role: { select: { role: true, branch: { select: { code: true } } } },
+        },
+      },
+    },
+  });
+  const byUsername = new Map(existing.map((user) => [user.username, user]));
+
+  const fileUsernames = new Map();
+  const plan = [];
+
+  for (const row of rows) {
+    if (!row.username) {
+      error(row, "username", "Username is required");
+      continue;
+    }
+    if (fileUsernames.has(row.username)) {
+      error(
+        row,
+        "username",
+        `Duplicate of row ${fileUsernames.get(row.username)}`
+      );
+      continue;
+    }
+    fileUsernames.set(row.username, row.row);
+
+    const user = byUsername.get(row.username);
+    if (user && user.authSource !== "LOCAL") {
+      error(
+        row,
+        "username",
+        `${user.authSource} accounts cannot be changed by import`
+      );
+      continue;
+    }
+    if (row.status && !STATUSES.includes(row.status)) {
+      error(row, "status", `Status must be one of ${STATUSES.join(", ")}`);
+    }
+
+    const roleKeys = splitList(row.roles).map((ref) => {
+      const { role, departmentCode } = parseRoleRef(ref);
+      const key = roleKey(role, departmentCode);
+      if (!roles.isKnownRole(key)) {
+        error(row, "roles", `Unknown role ${ref}`);
+      } else if (!roles.isActiveRole(key)) {
+        error(row, "roles", `Role ${ref} is inactive`);
+      }
+      return key;
+    });
+    const currentRoleKeys = (user?.roles || []).map(({ role }) =>
+      roleKey(role.role, role.branch?.code)
+    );
+    const notHeld = permissionsNotHeld(importer, [
+      ...new Set(
+        roleKeys
+          .filter((key) => !currentRoleKeys.includes(key))
+          .flatMap((key) => roles.permissionsOf(key))
+      ),
+    ]);
+    if (notHeld.length > 0) {
+      error(
+        row,
+        "roles",
+        `The roles grant permissions you do not hold: ${notHeld.join(", ")}`
+      );
+    }
+    const departmentCodes = splitList(row.departments);
+    departmentCodes
+      .filter((code) => !knownCodes.has(code))
+      .forEach((code) =>
+        error(row, "departments", `Unknown department ${code}`)
+      );
+
+    if (!user) {
+      if (!row.email) error(row, "email", "Email is required for new users");
+      if (roleKeys.length === 0) {
+        error(row, "roles", "At least one role is required for new users");
+      }
+    }
+
+    // Deactivating here would orphan their work, see deactivate_user
+    if (user && row.status === "Inactive" && user.status !== "Inactive") {
+      if (hasPendingWork(await getPendingWork(user.id))) {
+        error(
+          row,
+          "status",
+          "User has pending work; deactivate them from the user screen so it can be reassigned"
+        );
+      }
+    }
+
+    plan.push({
+      ...row,
+      roleKeys,
+      departmentCodes,
+      existingId: user?.id || null,
+      deactivate: Boolean(
+        user && row.status === "Inactive" && user.status !== "Inactive"
+      ),
+    });
+  }
+
+  return { plan };
+};
+
+/**
+ * Check parsed sheets against each other and the database without writing
+ * anything. errors holds one entry per problem with the sheet, row and
+ * column it was found in; plan is what applyOrgImport needs. `importer` is
+ * the req.user running the import, who cannot hand out permissions they do
+ * not hold.
+ */
+export const validateOrgImport = async (sheets, importer) => {
+  const errors = [];
+  const errorIn = (sheet) => (row, field, message) =>
+    errors.push({ sheet, row: row.row, field, message });
+
+  const departments = await validateDepartments(
+    sheets.Departments,
+    errorIn("Departments")
+  );
+  const roles = await validateRoles(
+    sheets.Roles,
+    departments.knownCodes,
+    importer,
+    errorIn("Roles")
+  );
+  const users = await validateUsers(
+    sheets.Users,
+    departments.knownCodes,
+    roles,
+    importer,
+    errorIn("Users")
+  );
+
+  const count = (plan) => ({
+    create: plan.filter((item) => !item.existingId).length,
+    update: plan.filter((item) => item.existingId).length,
+  });
+
+  return {
+    errors,
+    summary: {
+      departments: count(departments.plan),
+      roles: count(roles.plan),
+      users: count(users.plan),
+    },
+    plan: {
+      departments: departments.plan,
+      roles: roles.plan,
+      users: users.plan,
+    },
+  };
+};
+
+// Passwords for new users are generated up front so the bcrypt work stays
+// outside the import transaction
+export const preparePasswords = async (plan) => {
+  for (const user of plan.users.filter((user) => !user.existingId)) {
+    user.password = generateRandomPassword();
+    user.hashedPassword = await bcrypt.hash(user.password, 10);
+  }
+};
+
+/**
+ * Write a validated plan: departments, then roles, then users, each created
+ * first and linked to their parents afterwards so rows can come in any
+ * order. Returns the users that were created, with their passwords.
+ */
+export const applyOrgImport = async (tx, plan, importedById) => {
+  const departmentIds = new Map(
+    (await tx.department.findMany({ select: { id: true, code: true } })).map(
+      (dept) => [dept.code, dept.id]
+    )
+  );
+  for (const dept of plan.departments) {
+    const data = { name: dept.name, type: dept.type };
+    const saved = dept.existingId
+      ? await tx.department.update({
+          where: { id: dept.existingId },
+          data: { ...data, ...(dept.status && { status: dept.status }) },
+        })
+      : await tx.department.create({
+          data: {
+            ...data,
+            code: dept.code,
+            status: dept.status || "Active",
+            createdById: importedById,
+          },
+        });
+    departmentIds.set(dept.code, saved.id);
+  }
+  for (const dept of plan.departments) {
+    await tx.department.update({
+      where: { id: departmentIds.get(dept.code) },
+      data: {
+        parentDepartmentId: dept.parentCode
+          ? departmentIds.get(dept.parentCode)
+          : null,
+      },
+    });
+  }
+
+  const existingRoles = await tx.role.findMany({
+    select: { id: true, role: true, branch: { select: { code: true } } },
+  });
+  const roleIds = new Map(
+    existingRoles.map((role) => [
+      roleKey(role.role, role.branch?.code),
+      role.id,
+    ])
+  );
+  for (const role of plan.roles) {
+    const status = role.status || "Active";
+    const data = {
+      status,
+      isActive: status !== "Inactive",
+      isRootLevel: role.isRootLevel,
+      isAdmin: role.isAdmin,
+      isDepartmentHead: role.isDepartmentHead,
+    };
+    const saved = role.existingId
+      ? await tx.role.update({ where: { id: role.existingId }, data })
+      : await tx.role.create({
+          data: {
+            ...data,
+            role: role.role,
+            departmentId: role.departmentCode
+              ? departmentIds.get(role.departmentCode)
+              : null,
+          },
+        });
+    roleIds.set(role.key, saved.id);
+    await (role.replacePermissions ? setRolePermissions : grantPermissions)(
+      tx,
+      saved.id,
+      role.permissions,
+      importedById
+    );
+  }
+  for (const role of plan.roles) {
+    await tx.role.update({
+      where: { id: roleIds.get(role.key) },
+      data: {
+        parentRoleId: role.parentKey ? roleIds.get(role.parentKey) : null,
+      },
+    });
+  }
+
+  const createdUsers = [];
+  for (const user of plan.users) {
+    const roleIdsForUser = [
+      ...new Set(user.roleKeys.map((key) => roleIds.get(key))),
+    ];
+    const branches = user.departmentCodes.map((code) => ({
+      id: departmentIds.get(code),
+    }));
+
+    if (user.existingId) {
+      await tx.user.update({
+        where: { id: user.existingId },
+        data: {
+          ...(user.name && { name: user.name }),
+          ...(user.email && { email: user.email }),
+          ...(user.status && { status: user.status }),
+          // Empty cells leave the current roles and departments alone
+          ...(branches.length > 0 && { branches: { set: branches } }),
+        },
+      });
+      if (roleIdsForUser.length > 0) {
+        await tx.userRole.deleteMany({ where: { userId: user.existingId } });
+        await tx.userRole.createMany({
+          data: roleIdsForUser.map((roleId) => ({
+            userId: user.existingId,
+            roleId,
+          })),
+        });
+      }
+      if (user.deactivate) {
+        await revokeAllUserTokens(user.existingId, tx, {
+          reason: "DEACTIVATED",
+          revokedById: importedById,
+        });
+      }
+    } else {
+      await tx.user.create({
+        data: {
+          username: user.username,
+          name: user.name || null,
+          email: user.email,
+          password: user.hashedPassword,
+          status: user.status || "Active",
+          createdById: importedById,
+          mustChangePassword: true,
+          roles: { create: roleIdsForUser.map((roleId) => ({ roleId })) },
+          branches: { connect: branches },
+        },
+      });
+      createdUsers.push({
+        username: user.username,
+        email: user.email,
+        password: user.password,
+      });
+    }
+  }
+
+  return { createdUsers };
+};
+
+const styleHeader = (worksheet) => {
+  worksheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true };
+    cell.fill = {
+      type: "pattern",
+      pattern: "solid",
+      fgColor: { argb: "FFE0E0E0" },
+    };
+  });
+};
+
+// Current departments, roles and users in the import format
+export const buildOrgWorkbook = async () => {
+  const [departments, roles, users] = await Promise.all([
+    prisma.department.findMany({
+      include: { parentDepartment: { select: { code: true } } },
+      orderBy: { id: "asc" },
+    }),
+    prisma.role.findMany({
+      include: {
+        permissions: { select: { permission: true } },
+        branch: { select: { code: true } },
+        parentRole: {
+          select: { role: true, branch: { select: { code: true } } },
+        },
+      },
+      orderBy: { id: "asc" },
+    }),
+    prisma.user.findMany({
+      where: { authSource: "LOCAL" },
+      include: {
+        roles: {
+          include: {
+            role: {
+              select: { role: true, branch: { select: { code: true } } },
+            },
+          },
+        },
+        branches: { select: { code: true } },
+      },
+      orderBy: { username: "asc" },
+    }),
+  ]);
+
+  const workbook = new ExcelJS.Workbook();
+
+  const departmentSheet = workbook.addWorksheet("Departments");
+  departmentSheet.columns = ORG_SHEETS.Departments;
+  departments.forEach((dept) => {
+    departmentSheet.addRow({
+      code: dept.code,
+      name: dept.name,
+      type: dept.type,
+      parentCode: dept.parentDepartment?.code || "",
+      status: dept.status,
+    });
+  });
+
+  const roleSheet = workbook.addWorksheet("Roles");
+  roleSheet.columns = ORG_SHEETS.Roles;
+  roles.forEach((role) => {
+    roleSheet.addRow({
+      role: role.role,
+      departmentCode: role.branch?.code || "",
+      parentRole: role.parentRole?.role || "",
+      parentDepartmentCode: role.parentRole?.branch?.code || "",
+      isRootLevel: role.isRootLevel ? "Yes" : "No",
+      isAdmin: role.isAdmin ? "Yes" : "No",
+      isDepartmentHead: role.isDepartmentHead ? "Yes" : "No",
+      permissions: role.permissions.map((grant) => grant.permission).join("; "),
+      status: role.isActive ? "Active" : "Inactive",
+    });
+  });
+
+  const userSheet = workbook.addWorksheet("Users");
+  userSheet.columns = ORG_SHEETS.Users;
+  users.forEach((user) => {
+    userSheet.addRow({
+      username: user.username,
+      name: user.name || "",
+      email: user.email || "",
+      roles: user.roles
+        .map(({ role }) => formatRoleRef(role.role, role.branch?.code))
+        .join("; "),
+      departments: user.branches.map((branch) => branch.code).join("; "),
+      status: user.status || "Active",
+    });
+  });
+
+  [departmentSheet, roleSheet, userSheet].forEach(styleHeader);
+
+  return workbook;
+};
+
+export default {
+  ORG_SHEETS,
+  parseOrgWorkbook,
+  validateOrgImport,
+  preparePasswords,
+  applyOrgImport,
+  buildOrgWorkbook,
+};
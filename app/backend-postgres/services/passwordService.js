@@ -0,0 +1,180 @@
+// services/passwordService.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { PrismaClient } from "@prisma/client";
+import { passwordPolicy } from "../config/security-config.js";
+import { sendEmail } from "./emailService.js";
+
+const prisma = new PrismaClient();
+
+// Returns a list of human readable problems; empty means the password is fine
+export const validatePasswordStrength = (password, user = {}) => {
+  const errors = [];
+  if (typeof password !== "string" || password.length < passwordPolicy.minLength) {
+    errors.push(
+      `Password must be at least ${passwordPolicy.minLength} characters long`
+    );
+    return errors;
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+  if (passwordPolicy.requireDigit && !/\d/.test(password)) {
+    errors.push("Password must contain a digit");
+  }
+  if (passwordPolicy.requireSpecial && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push("Password must contain a special character");
+  }
+  if (
+    user.username &&
+    password.toLowerCase().includes(user.username.toLowerCase())
+  ) {
+    errors.push("Password must not contain the username");
+  }
+  return errors;
+};
+
+// True when the password matches the current one or any remembered one
+export const isPasswordReused = async (user, password) => {
+  if (passwordPolicy.historyCount <= 0) return false;
+
+  if (user.password && (await bcrypt.compare(password, user.password))) {
+    return true;
+  }
+
+  const history = await prisma.passwordHistory.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: "desc" },
+    take: passwordPolicy.historyCount,
+  });
+  for (const entry of history) {
+    if (await bcrypt.compare(password, entry.passwordHash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Store a new password hash, remember the old one and trim the history to
+ * the configured length. Runs inside the caller's transaction.
+ */
+export const setUserPassword = async (
+  tx,
+  user,
+  newPassword,
+  { mustChangePassword = false } = {}
+) => {
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  if (user.password && passwordPolicy.historyCount > 0) {
+    await tx.passwordHistory.create({
+      data: { userId: user.id, passwordHash: user.password },
+    });
+    const stale = await tx.passwordHistory.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "desc" },
+      skip: passwordPolicy.historyCount,
+      select: { id: true },
+    });
+    if (stale.length > 0) {
+      await tx.passwordHistory.deleteMany({
+        where: { id: { in: stale.map((entry) => entry.id) } },
+      });
+    }
+  }
+
+  return await tx.user.update({
+    where: { id: user.id },
+    data: {
+      password: hashedPassword,
+      mustChangePassword,
+      passwordChangedAt: new Date(),
+    },
+  });
+};
+
+// Random password that always satisfies the character class rules
+export const generateRandomPassword = (length = 12) => {
+  const sets = [
+    "ABCDEFGHJKLMNPQRSTUVWXYZ",
+    "abcdefghijkmnopqrstuvwxyz",
+    "23456789",
+    "!@#$%*?",
+  ];
+  const all = sets.join("");
+  const chars = sets.map((set) => set[crypto.randomInt(set.length)]);
+  while (chars.length < Math.max(length, passwordPolicy.minLength)) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+};
+
+const hashResetToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Creates a single-use reset token (older unused ones are voided) and emails the link
+export const sendPasswordResetLink = async (user, requestedIp) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await prisma.$transaction(async (tx) => {
+    await tx.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    await tx.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(
+          Date.now() + passwordPolicy.resetTokenExpiryMinutes * 60 * 1000
+        ),
+        requestedIp,
+      },
+    });
+  });
+
+  const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+
+  await sendEmail(user.email, "Reset your password", {
+    title: "Password Reset Request",
+    greeting: `Hello ${user.name || user.username},`,
+    message: `
+      <p>We received a request to reset the password for your account.</p>
+      <p>This link can be used once and expires in ${passwordPolicy.resetTokenExpiryMinutes} minutes.</p>
+    `,
+    actions: [{ text: "Reset Password", url: resetUrl, color: "#007bff" }],
+    footerNote:
+      "If you did not request a password reset, you can ignore this email.",
+    text: `Reset your password: ${resetUrl}`,
+  });
+};
+
+// Returns the token row with its user when the token is unused and unexpired
+export const findValidResetToken = async (token) => {
+  if (!token) return null;
+  const record = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashResetToken(token) },
+    include: { user: true },
+  });
+  if (!record || record.usedAt || record.expiresAt < new Date()) {
+    return null;
+  }
+  return record;
+};
+
+export default {
+  validatePasswordStrength,
+  isPasswordReused,
+  setUserPassword,
+  generateRandomPassword,
+  sendPasswordResetLink,
+  findValidResetToken,
+};
@@ -0,0 +1,182 @@
+// services/permissionService.js
+import { PrismaClient } from "@prisma/client";
+import {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  LEGACY_FLAG_PERMISSIONS,
+} from "../config/permission-config.js";
+
+const prisma = new PrismaClient();
+
+export const isKnownPermission = (permission) =>
+  PERMISSION_KEYS.includes(permission);
+
+/**
+ * `user` is the req.user built by the auth middleware: its roles carry the
+ * permissions they grant, inactive roles grant nothing.
+ */
+export const hasPermission = (user, permission) =>
+  !!user?.permissions?.includes(permission);
+
+// Departments of the user's roles that grant a department-scoped permission
+export const departmentsWithPermission = (user, permission) =>
+  (user?.roles || [])
+    .filter((role) => role.permissions.includes(permission))
+    .map((role) => role.departmentId);
+
+// Permissions implied by the old isAdmin / isRootLevel / isDepartmentHead flags
+export const legacyPermissions = (flags) => [
+  ...new Set(
+    Object.entries(LEGACY_FLAG_PERMISSIONS)
+      .filter(([flag]) => flags[flag])
+      .flatMap(([, permissions]) => permissions)
+  ),
+];
+
+export const grantPermissions = async (
+  tx,
+  roleId,
+  permissions,
+  grantedById = null
+) => {
+  if (permissions.length === 0) return;
+  await tx.rolePermission.createMany({
+    data: permissions.map((permission) => ({
+      roleId,
+      permission,
+      grantedById,
+    })),
+    skipDuplicates: true,
+  });
+};
+
+// Replace a role's permissions; returns what was added and removed
+export const setRolePermissions = async (
+  tx,
+  roleId,
+  permissions,
+  grantedById = null
+) => {
+  const current = (
+    await tx.rolePermission.findMany({
+      where: { roleId },
+      select: { permission: true },
+    })
+  ).map((row) => row.permission);
+
+  const added = permissions.filter(
+    (permission) => !current.includes(permission)
+  );
+  const removed = current.filter(
+    (permission) => !permissions.includes(permission)
+  );
+
+  await tx.rolePermission.deleteMany({
+    where: { roleId, permission: { in: removed } },
+  });
+  await grantPermissions(tx, roleId, added, grantedById);
+
+  return { added, removed };
+};
+
+// Permissions granted by a set of active roles
+export const getRolesPermissions = async (roleIds, tx = prisma) => {
+  const grants = await tx.rolePermission.findMany({
+    where: { roleId: { in: roleIds }, role: { isActive: true } },
+    select: { permission: true },
+  });
+  return [...new Set(grants.map((grant) => grant.permission))];
+};
+
+// Of the permissions, those the user does not hold; nobody may hand out more
+// than they have, whether by granting it to a role or assigning the role
+export const permissionsNotHeld = (user, permissions) =>
+  permissions.filter((permission) => !hasPermission(user, permission));
+
+// Root-level role holding every permission, for bootstrap and the backfill
+export const ensureAdministratorRole = async (tx) => {
+  const role =
+    (await tx.role.findFirst({
+      where: { role: "Administrator", departmentId: null },
+    })) ||
+    (await tx.role.create({
+      data: {
+        role: "Administrator",
+        status: "Active",
+        isRootLevel: true,
+        isAdmin: true,
+      },
+    }));
+  await grantPermissions(tx, role.id, PERMISSION_KEYS);
+  return role;
+};
+
+// Permissions of a user looked up by id, for code that has no req.user
+export const getUserPermissions = async (userId, tx = prisma) => {
+  const grants = await tx.rolePermission.findMany({
+    where: { role: { isActive: true, users: { some: { userId } } } },
+    select: { permission: true },
+  });
+  return [...new Set(grants.map((grant) => grant.permission))];
+};
+
+/**
+ * Whether taking permission.manage away from this role would leave no active
+ * user able to grant permissions at all.
+ */
+export const isLastPermissionManager = async (roleId) => {
+  const otherManagers = await prisma.rolePermission.count({
+    where: {
+      permission: "permission.manage",
+      role: {
+        id: { not: roleId },
+        isActive: true,
+        users: { some: { user: { status: { not: "Inactive" } } } },
+      },
+    },
+  });
+  return otherManagers === 0;
+};
+
+// The catalogue and every role's grants, for the admin matrix
+export const getPermissionMatrix = async () => {
+  const roles = await prisma.role.findMany({
+    select: {
+      id: true,
+      role: true,
+      isActive: true,
+      branch: { select: { id: true, name: true } },
+      permissions: { select: { permission: true } },
+    },
+    orderBy: [{ departmentId: "asc" }, { role: "asc" }],
+  });
+
+  return {
+    permissions: PERMISSION_KEYS.map((key) => ({
+      key,
+      description: PERMISSIONS[key],
+    })),
+    roles: roles.map((role) => ({
+      id: role.id,
+      role: role.role,
+      isActive: role.isActive,
+      department: role.branch,
+      permissions: role.permissions.map((grant) => grant.permission),
+    })),
+  };
+};
+
+export default {
+  isKnownPermission,
+  hasPermission,
+  departmentsWithPermission,
+  legacyPermissions,
+  grantPermissions,
+  setRolePermissions,
+  ensureAdministratorRole,
+  getRolesPermissions,
+  permissionsNotHeld,
+  getUserPermissions,
+  isLastPermissionManager,
+  getPermissionMatrix,
+};
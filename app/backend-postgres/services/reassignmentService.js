@@ -0,0 +1,256 @@
+// services/reassignmentService.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+// Same statuses checkUserProcessAssignment treats as open work
+export const PENDING_STEP_STATUSES = [
+  "PENDING",
+  "IN_PROGRESS",
+  "FOR_RECIRCULATION",
+  "FOR_RECOMMENDATION",
+];
+
+/**
+ * Everything that would be left without an owner if the user went away:
+ * open steps, queries addressed to or raised by them, open recommendations
+ * on either side and the departments they head or administer.
+ */
+export const getPendingWork = async (userId, tx = prisma) => {
+  const [
+    stepInstances,
+    queriesAssigned,
+    queriesRaised,
+    recommendationsToGive,
+    recommendationsRequested,
+    headOfDepartments,
+    adminOfDepartments,
+  ] = await Promise.all([
+    tx.processStepInstance.findMany({
+      where: { assignedTo: userId, status: { in: PENDING_STEP_STATUSES } },
+      select: {
+        id: true,
+        processId: true,
+        status: true,
+        roleId: true,
+        createdAt: true,
+        process: { select: { name: true } },
+        workflowStep: { select: { stepName: true, stepNumber: true } },
+      },
+    }),
+    tx.processQA.findMany({
+      where: { entityType: "USER", entityId: userId, status: "OPEN" },
+      select: { id: true, processId: true, question: true, createdAt: true },
+    }),
+    tx.processQA.findMany({
+      where: { initiatorId: userId, status: "OPEN" },
+      select: { id: true, processId: true, question: true, createdAt: true },
+    }),
+    tx.recommendation.findMany({
+      where: { recommenderId: userId, status: "OPEN" },
+      select: { id: true, processId: true, createdAt: true },
+    }),
+    tx.recommendation.findMany({
+      where: { initiatorId: userId, status: "OPEN" },
+      select: { id: true, processId: true, createdAt: true },
+    }),
+    tx.department.findMany({
+      where: { headId: userId },
+      select: { id: true, name: true },
+    }),
+    tx.department.findMany({
+      where: { adminId: userId },
+      select: { id: true, name: true },
+    }),
+  ]);
+
+  return {
+    stepInstances,
+    queriesAssigned,
+    queriesRaised,
+    recommendationsToGive,
+    recommendationsRequested,
+    headOfDepartments,
+    adminOfDepartments,
+  };
+};
+
+export const hasPendingWork = (pendingWork) =>
+  Object.values(pendingWork).some((items) => items.length > 0);
+
+// Work that has to land on one person and cannot go to a role pool
+export const needsSingleSuccessor = (pendingWork) =>
+  pendingWork.queriesRaised.length > 0 ||
+  pendingWork.recommendationsToGive.length > 0 ||
+  pendingWork.recommendationsRequested.length > 0 ||
+  pendingWork.headOfDepartments.length > 0 ||
+  pendingWork.adminOfDepartments.length > 0;
+
+// Hand a step instance, with its document access and notifications, to toUserId
+const moveStepInstance = async (tx, stepInstance, fromUserId, toUserId) => {
+  await tx.processStepInstance.update({
+    where: { id: stepInstance.id },
+    data: {
+      assignedTo: toUserId,
+      ...(stepInstance.pickedById === fromUserId && { pickedById: toUserId }),
+    },
+  });
+  await tx.documentAccess.updateMany({
+    where: { stepInstanceId: stepInstance.id, userId: fromUserId },
+    data: { userId: toUserId },
+  });
+  await tx.processNotification.updateMany({
+    where: { stepId: stepInstance.id, userId: fromUserId },
+    data: { userId: toUserId },
+  });
+};
+
+/**
+ * Role pool: the original instance goes to the first holder and every other
+ * holder gets a copy, so whoever claims it first takes it (see
+ * pick_process_step, which clears the other copies by roleId).
+ */
+const poolStepInstance = async (
+  tx,
+  stepInstance,
+  fromUserId,
+  role,
+  holders
+) => {
+  const [first, ...others] = holders;
+  await moveStepInstance(tx, stepInstance, fromUserId, first);
+  await tx.processStepInstance.update({
+    where: { id: stepInstance.id },
+    data: { roleId: role.id, departmentId: role.departmentId },
+  });
+
+  const accesses = await tx.documentAccess.findMany({
+    where: { stepInstanceId: stepInstance.id },
+  });
+
+  for (const userId of others) {
+    const copy = await tx.processStepInstance.create({
+      data: {
+        processId: stepInstance.processId,
+        assignmentId: stepInstance.assignmentId,
+        progressId: stepInstance.progressId,
+        stepId: stepInstance.stepId,
+        assignedTo: userId,
+        roleId: role.id,
+        departmentId: role.departmentId,
+        status: stepInstance.status,
+        deadline: stepInstance.deadline,
+        isRecirculated: stepInstance.isRecirculated,
+        recirculationCycle: stepInstance.recirculationCycle,
+      },
+    });
+    if (accesses.length > 0) {
+      await tx.documentAccess.createMany({
+        data: accesses.map(({ id, grantedAt, ...access }) => ({
+          ...access,
+          stepInstanceId: copy.id,
+          userId,
+        })),
+      });
+    }
+  }
+};
+
+/**
+ * Move the user's pending work to successorId, or to every active holder of
+ * roleId. Items that need a single owner always go to successorId. Runs in
+ * the caller's transaction and returns what was moved.
+ */
+export const reassignPendingWork = async (
+  tx,
+  userId,
+  { successorId = null, roleId = null }
+) => {
+  const pendingWork = await getPendingWork(userId, tx);
+
+  let role = null;
+  let holders = [];
+  if (roleId) {
+    role = await tx.role.findUnique({ where: { id: roleId } });
+    const userRoles = await tx.userRole.findMany({
+      where: {
+        roleId,
+        userId: { not: userId },
+        user: { status: { not: "Inactive" } },
+      },
+      select: { userId: true },
+    });
+    holders = userRoles.map((userRole) => userRole.userId);
+  }
+
+  const stepInstanceIds = pendingWork.stepInstances.map((step) => step.id);
+  const stepInstances = await tx.processStepInstance.findMany({
+    where: { id: { in: stepInstanceIds } },
+  });
+  for (const stepInstance of stepInstances) {
+    if (role && holders.length > 0) {
+      await poolStepInstance(tx, stepInstance, userId, role, holders);
+    } else {
+      await moveStepInstance(tx, stepInstance, userId, successorId);
+    }
+  }
+
+  const queryIds = pendingWork.queriesAssigned.map((query) => query.id);
+  if (queryIds.length > 0) {
+    await tx.processQA.updateMany({
+      where: { id: { in: queryIds } },
+      data:
+        role && holders.length > 0
+          ? { entityType: "ROLE", entityId: role.id }
+          : { entityId: successorId },
+    });
+  }
+
+  if (successorId) {
+    await tx.processQA.updateMany({
+      where: { id: { in: pendingWork.queriesRaised.map((q) => q.id) } },
+      data: { initiatorId: successorId },
+    });
+    await tx.recommendation.updateMany({
+      where: {
+        id: { in: pendingWork.recommendationsToGive.map((r) => r.id) },
+      },
+      data: { recommenderId: successorId },
+    });
+    await tx.recommendation.updateMany({
+      where: {
+        id: { in: pendingWork.recommendationsRequested.map((r) => r.id) },
+      },
+      data: { initiatorId: successorId },
+    });
+    await tx.department.updateMany({
+      where: { headId: userId },
+      data: { headId: successorId },
+    });
+    await tx.department.updateMany({
+      where: { adminId: userId },
+      data: { adminId: successorId },
+    });
+  }
+
+  return {
+    stepInstanceIds,
+    pooledTo: role && holders.length > 0 ? holders : null,
+    queryIds,
+    queriesRaisedIds: pendingWork.queriesRaised.map((q) => q.id),
+    recommendationIds: [
+      ...pendingWork.recommendationsToGive,
+      ...pendingWork.recommendationsRequested,
+    ].map((r) => r.id),
+    headOfDepartmentIds: pendingWork.headOfDepartments.map((d) => d.id),
+    adminOfDepartmentIds: pendingWork.adminOfDepartments.map((d) => d.id),
+  };
+};
+
+export default {
+  PENDING_STEP_STATUSES,
+  getPendingWork,
+  hasPendingWork,
+  needsSingleSuccessor,
+  reassignPendingWork,
+};
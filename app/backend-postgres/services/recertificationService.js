@@ -0,0 +1,401 @@
+// services/recertificationService.js
+import ExcelJS from "exceljs";
+import { PrismaClient } from "@prisma/client";
+import { sendEmail } from "./emailService.js";
+import { grantee } from "./documentAccessService.js";
+import { documentAccessPolicy } from "../config/security-config.js";
+import logger from "../controller/logger.js";
+
+const prisma = new PrismaClient();
+
+// The folder and everything below it
+const getSubtreeIds = async (folderId, tx) => {
+  const ids = [folderId];
+  let level = [folderId];
+  while (level.length > 0) {
+    const children = await tx.document.findMany({
+      where: { parentId: { in: level }, id: { notIn: ids } },
+      select: { id: true },
+    });
+    level = children.map((child) => child.id);
+    ids.push(...level);
+  }
+  return ids;
+};
+
+/**
+ * Starts a campaign over the grants on a folder and everything below it, or
+ * on a department's documents. Grants given by a running process are left
+ * out: the workflow adds and removes those itself. Each grant is reviewed by
+ * `reviewerId` when given, otherwise by the document's owner, then its
+ * department head, then whoever started the campaign, skipping inactive
+ * users and never asking the grantee to review their own access.
+ * Returns the campaign, or null when there is nothing to review.
+ */
+export const startRecertification = async (
+  tx,
+  {
+    name,
+    folderId = null,
+    departmentId = null,
+    dueDate,
+    reviewerId,
+    createdById,
+  }
+) => {
+  const documentIds = folderId
+    ? await getSubtreeIds(folderId, tx)
+    : (
+        await tx.document.findMany({
+          where: { departmentId },
+          select: { id: true },
+        })
+      ).map((document) => document.id);
+
+  const grants = await tx.documentAccess.findMany({
+    where: {
+      documentId: { in: documentIds },
+      docAccessThrough: { not: "PROCESS" },
+      effect: "ALLOW",
+      OR: [{ validUntil: null }, { validUntil: { gt: new Date() } }],
+    },
+    include: {
+      document: {
+        select: {
+          path: true,
+          createdById: true,
+          department: { select: { headId: true } },
+        },
+      },
+      user: { select: { username: true, name: true } },
+      role: { select: { role: true } },
+    },
+    orderBy: [{ documentId: "asc" }, { grantedAt: "asc" }],
+  });
+  if (grants.length === 0) return null;
+
+  const candidateIds = [
+    ...new Set(
+      grants.flatMap((access) => [
+        access.document.createdById,
+        access.document.department?.headId,
+      ])
+    ),
+  ].filter(Boolean);
+  const activeIds = (
+    await tx.user.findMany({
+      where: {
+        id: { in: candidateIds },
+        status: { not: "Inactive" },
+        authSource: { not: "SERVICE" },
+      },
+      select: { id: true },
+    })
+  ).map((user) => user.id);
+
+  const reviewerOf = (access) =>
+    [
+      reviewerId,
+      access.document.createdById,
+      access.document.department?.headId,
+    ].find(
+      (id) =>
+        id &&
+        id !== access.userId &&
+        (id === reviewerId || activeIds.includes(id))
+    ) || createdById;
+
+  const campaign = await tx.accessRecertification.create({
+    data: { name, folderId, departmentId, dueDate, createdById },
+  });
+  const items = grants.map((access) => ({
+    campaignId: campaign.id,
+    accessId: access.id,
+    documentId: access.documentId,
+    documentPath: access.document.path,
+    reviewerId: reviewerOf(access),
+    userId: access.userId,
+    roleId: access.roleId,
+    departmentId: access.departmentId,
+    grantee: grantee(access),
+    accessType: access.accessType,
+    accessLevel: access.accessLevel,
+    grantedById: access.grantedById,
+    grantedAt: access.grantedAt,
+    validUntil: access.validUntil,
+  }));
+  await tx.accessRecertificationItem.createMany({ data: items });
+
+  const reviewers = new Map();
+  items.forEach((item) =>
+    reviewers.set(item.reviewerId, (reviewers.get(item.reviewerId) || 0) + 1)
+  );
+  await tx.processNotification.createMany({
+    data: [...reviewers].map(([userId, grantCount]) => ({
+      userId,
+      type: "ACCESS_RECERTIFICATION",
+      status: "ACTIVE",
+      metadata: {
+        campaignId: campaign.id,
+        name,
+        dueDate: dueDate.toISOString(),
+        grantCount,
+      },
+    })),
+  });
+
+  return {
+    ...campaign,
+    grantCount: items.length,
+    reviewerCount: reviewers.size,
+  };
+};
+
+/**
+ * Records a reviewer's decision. REVOKE takes the grant away at once;
+ * decisions are final. Returns the updated item, or null when it was not
+ * pending any more.
+ */
+export const decideRecertificationItem = async (
+  tx,
+  item,
+  decision,
+  comment
+) => {
+  const { count } = await tx.accessRecertificationItem.updateMany({
+    where: { id: item.id, decision: "PENDING" },
+    data: { decision, comment, decidedAt: new Date() },
+  });
+  if (count === 0) return null;
+
+  if (decision === "REVOKE") {
+    await tx.documentAccess.deleteMany({ where: { id: item.accessId } });
+  }
+  return { ...item, decision, comment };
+};
+
+/**
+ * Closes a campaign: grants still waiting for review are revoked and marked
+ * autoRevoked. `closedById` is null when the due date passed. Returns null
+ * when it was already closed.
+ */
+export const closeRecertification = async (campaignId, closedById = null) => {
+  const closed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.accessRecertification.updateMany({
+      where: { id: campaignId, status: "OPEN" },
+      data: { status: "CLOSED", closedAt: new Date(), closedById },
+    });
+    if (count === 0) return null;
+
+    const unreviewed = await tx.accessRecertificationItem.findMany({
+      where: { campaignId, decision: "PENDING" },
+      select: { accessId: true },
+    });
+    await tx.documentAccess.deleteMany({
+      where: { id: { in: unreviewed.map((item) => item.accessId) } },
+    });
+    await tx.accessRecertificationItem.updateMany({
+      where: { campaignId, decision: "PENDING" },
+      data: { decision: "REVOKE", autoRevoked: true, decidedAt: new Date() },
+    });
+    await tx.processNotification.updateMany({
+      where: {
+        type: "ACCESS_RECERTIFICATION",
+        status: "ACTIVE",
+        metadata: { path: ["campaignId"], equals: campaignId },
+      },
+      data: { status: "CLOSED" },
+    });
+
+    return { campaignId, autoRevoked: unreviewed.length };
+  });
+  if (!closed) return null;
+
+  logger.info({
+    action: "ACCESS_RECERTIFICATION_CLOSE",
+    userId: closedById,
+    details: closed,
+  });
+  return closed;
+};
+
+// Scheduled: campaigns past their due date close on their own
+export const closeDueRecertifications = async () => {
+  const due = await prisma.accessRecertification.findMany({
+    where: { status: "OPEN", dueDate: { lte: new Date() } },
+    select: { id: true },
+  });
+  for (const { id } of due) {
+    await closeRecertification(id);
+  }
+};
+
+// Scheduled daily: reviewers with grants left to review in a campaign that
+// is due soon get one email per campaign
+export const remindRecertificationReviewers = async () => {
+  const remindBefore = new Date(
+    Date.now() +
+      documentAccessPolicy.recertificationReminderDays * 24 * 60 * 60 * 1000
+  );
+  const campaigns = await prisma.accessRecertification.findMany({
+    where: { status: "OPEN", dueDate: { lte: remindBefore } },
+    include: {
+      items: {
+        where: { decision: "PENDING" },
+        select: {
+          reviewer: {
+            select: { id: true, username: true, name: true, email: true },
+          },
+        },
+      },
+    },
+  });
+
+  for (const campaign of campaigns) {
+    const pending = new Map();
+    campaign.items.forEach(({ reviewer }) => {
+      const entry = pending.get(reviewer.id) || { reviewer, count: 0 };
+      entry.count += 1;
+      pending.set(reviewer.id, entry);
+    });
+
+    for (const { reviewer, count } of pending.values()) {
+      if (!reviewer.email) continue;
+      try {
+        await sendEmail(
+          reviewer.email,
+          `Access review "${campaign.name}" is due ${campaign.dueDate.toLocaleDateString()}`,
+          {
+            title: "Access Review Reminder",
+            greeting: `Hello ${reviewer.name || reviewer.username},`,
+            message: `
+              <p>You have <strong>${count}</strong> document access
+              grant(s) left to review in <strong>${campaign.name}</strong>.</p>
+              <p>Grants not reviewed by
+              ${campaign.dueDate.toLocaleString()} will be revoked.</p>
+            `,
+            text: `You have ${count} document access grant(s) left to review in ${
+              campaign.name
+            }. Grants not reviewed by ${campaign.dueDate.toLocaleString()} will be revoked.`,
+          }
+        );
+      } catch (error) {
+        console.error("Error sending recertification reminder:", error);
+      }
+    }
+  }
+};
+
+const REPORT_COLUMNS = [
+  { header: "Document", key: "documentPath", width: 40 },
+  { header: "Grantee", key: "grantee", width: 25 },
+  { header: "Access Type", key: "accessType", width: 20 },
+  { header: "Access Level", key: "accessLevel", width: 14 },
+  { header: "Granted By", key: "grantedBy", width: 20 },
+  { header: "Granted At", key: "grantedAt", width: 22 },
+  { header: "Valid Until", key: "validUntil", width: 22 },
+  { header: "Reviewer", key: "reviewer", width: 20 },
+  { header: "Decision", key: "decision", width: 12 },
+  { header: "Decided At", key: "decidedAt", width: 22 },
+  { header: "Comment", key: "comment", width: 40 },
+];
+
+// Evidence for auditors: the campaign and every reviewed grant
+export const buildRecertificationReport = async (campaignId) => {
+  const campaign = await prisma.accessRecertification.findUnique({
+    where: { id: campaignId },
+    include: {
+      folder: { select: { path: true } },
+      department: { select: { name: true } },
+      createdBy: { select: { username: true } },
+      closedBy: { select: { username: true } },
+      items: {
+        include: { reviewer: { select: { username: true } } },
+        orderBy: [{ documentPath: "asc" }, { id: "asc" }],
+      },
+    },
+  });
+  if (!campaign) return null;
+
+  const granters = await prisma.user.findMany({
+    where: {
+      id: {
+        in: campaign.items.map((item) => item.grantedById).filter(Boolean),
+      },
+    },
+    select: { id: true, username: true },
+  });
+  const granterName = new Map(granters.map((user) => [user.id, user.username]));
+  const count = (match) => campaign.items.filter(match).length;
+
+  const workbook = new ExcelJS.Workbook();
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [
+    { header: "Field", key: "field", width: 25 },
+    { header: "Value", key: "value", width: 50 },
+  ];
+  [
+    ["Campaign", campaign.name],
+    [
+      "Scope",
+      campaign.folder
+        ? `Folder ${campaign.folder.path}`
+        : `Department ${campaign.department?.name || campaign.departmentId}`,
+    ],
+    ["Started By", campaign.createdBy.username],
+    ["Started At", campaign.createdAt.toISOString()],
+    ["Due Date", campaign.dueDate.toISOString()],
+    ["Status", campaign.status],
+    ["Closed At", campaign.closedAt?.toISOString() || ""],
+    [
+      "Closed By",
+      campaign.closedAt
+        ? campaign.closedBy?.username || "Due date (automatic)"
+        : "",
+    ],
+    ["Grants In Scope", campaign.items.length],
+    ["Kept", count((item) => item.decision === "KEEP")],
+    [
+      "Revoked By Reviewer",
+      count((item) => item.decision === "REVOKE" && !item.autoRevoked),
+    ],
+    ["Revoked Unreviewed", count((item) => item.autoRevoked)],
+    ["Pending", count((item) => item.decision === "PENDING")],
+  ].forEach(([field, value]) => summary.addRow({ field, value }));
+
+  const grants = workbook.addWorksheet("Grants");
+  grants.columns = REPORT_COLUMNS;
+  campaign.items.forEach((item) => {
+    grants.addRow({
+      documentPath: item.documentPath,
+      grantee: item.grantee,
+      accessType: item.accessType.join(", "),
+      accessLevel: item.accessLevel,
+      grantedBy: granterName.get(item.grantedById) || "",
+      grantedAt: item.grantedAt.toISOString(),
+      validUntil: item.validUntil?.toISOString() || "",
+      reviewer: item.reviewer.username,
+      decision: item.autoRevoked ? "REVOKE (not reviewed)" : item.decision,
+      decidedAt: item.decidedAt?.toISOString() || "",
+      comment: item.comment || "",
+    });
+  });
+
+  [summary, grants].forEach((worksheet) =>
+    worksheet.getRow(1).eachCell((cell) => {
+      cell.font = { bold: true };
+    })
+  );
+
+  return { campaign, workbook };
+};
+
+export default {
+  startRecertification,
+  decideRecertificationItem,
+  closeRecertification,
+  closeDueRecertifications,
+  remindRecertificationReviewers,
+  buildRecertificationReport,
+};
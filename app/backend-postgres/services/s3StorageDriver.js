@@ -0,0 +1,268 @@
+// services/s3StorageDriver.js
+//
+// Storage driver keeping files as objects under a prefix of an S3 bucket.
+// Works with any S3-compatible store; MinIO is the easiest to run locally:
+//
+//   docker run -p 9000:9000 -e MINIO_ROOT_USER=dms -e MINIO_ROOT_PASSWORD=dms-secret minio/minio server /data
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_BUCKET=dms
+//   S3_ACCESS_KEY_ID=dms S3_SECRET_ACCESS_KEY=dms-secret
+//
+// Objects cannot be hard linked: linkFrom writes an empty object whose
+// metadata names the object it links to, and reads of the key follow it, so
+// the bytes stay stored once. Writing the key replaces the pointer, which is
+// how isLinked tells. Folders are empty objects named "<key>/".
+import fs from "fs/promises";
+import { createReadStream, createWriteStream } from "fs";
+import { dirname, extname } from "path";
+import { pipeline } from "stream/promises";
+import { randomUUID } from "crypto";
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+
+const LINKED_FROM = "linked-from";
+
+const isMissing = (error) =>
+  error.name === "NoSuchKey" ||
+  error.name === "NotFound" ||
+  error.$metadata?.httpStatusCode === 404;
+
+const notFound = (key) =>
+  Object.assign(new Error(`${key} is not in storage`), { code: "ENOENT" });
+
+export const createS3Client = ({
+  endpoint,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+}) =>
+  new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+/**
+ * client: an S3Client; prefix: where this storage's keys start in the
+ * bucket; scratchPath: () => a free path on this server, for withLocalFile.
+ */
+export const createS3Storage = ({ client, bucket, prefix, scratchPath }) => {
+  // Document paths start with "/", object keys do not
+  const objectKey = (key) => `${prefix}${key.replace(/^\/+/, "")}`;
+  const folderKey = (key) => `${objectKey(key).replace(/\/+$/, "")}/`;
+  const copySource = (storage, key) =>
+    `${storage.bucket}/${storage.objectKey(key)}`
+      .split("/")
+      .map(encodeURIComponent)
+      .join("/");
+
+  const headObject = async (Key) => {
+    try {
+      return await client.send(new HeadObjectCommand({ Bucket: bucket, Key }));
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  };
+
+  const head = (key) => headObject(objectKey(key));
+
+  // The object holding the bytes of `key`: the linked one for a pointer
+  const linkedKey = (object) => object?.Metadata?.[LINKED_FROM];
+
+  const getObject = async (key, range) => {
+    try {
+      return await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: linkedKey(await head(key)) ?? objectKey(key),
+          Range: range,
+        })
+      );
+    } catch (error) {
+      if (isMissing(error)) throw notFound(key);
+      throw error;
+    }
+  };
+
+  const writeFile = (key, data) =>
+    new Upload({
+      client,
+      params: { Bucket: bucket, Key: objectKey(key), Body: data },
+    }).done();
+
+  // A folder is its marker object, or any object below it
+  const statFolder = async (key) => {
+    const listed = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: folderKey(key),
+        MaxKeys: 1,
+      })
+    );
+    const first = listed.Contents?.[0];
+    if (!first) throw notFound(key);
+    return {
+      size: 0,
+      mtime: first.LastModified,
+      atime: first.LastModified,
+      isFolder: true,
+    };
+  };
+
+  const stat = async (key) => {
+    const object = await head(key);
+    if (!object) return statFolder(key);
+    const linked = linkedKey(object);
+    const bytes = linked ? await headObject(linked) : object;
+    if (!bytes) throw notFound(key);
+    return {
+      size: bytes.ContentLength,
+      mtime: object.LastModified,
+      // objects keep no access time
+      atime: object.LastModified,
+      isFolder: false,
+    };
+  };
+
+  const remove = async (key) => {
+    await client.send(
+      new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+    );
+  };
+
+  return {
+    driver: "s3",
+    bucket,
+    objectKey,
+
+    createReadStream: async (key, { start, end } = {}) => {
+      const range =
+        start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined;
+      const { Body } = await getObject(key, range);
+      return Body;
+    },
+
+    readFile: async (key) => {
+      const { Body } = await getObject(key);
+      return Buffer.from(await Body.transformToByteArray());
+    },
+
+    // data: a Buffer, a string or a readable stream
+    writeFile,
+
+    putFile: (key, filePath) => writeFile(key, createReadStream(filePath)),
+
+    // Pointers only work inside the bucket; from another one the bytes have
+    // to be copied
+    linkFrom: async (source, sourceKey, key) => {
+      if (source.bucket !== bucket) {
+        await client.send(
+          new CopyObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(key),
+            CopySource: copySource(source, sourceKey),
+          })
+        );
+        return;
+      }
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: "",
+          Metadata: { [LINKED_FROM]: source.objectKey(sourceKey) },
+        })
+      );
+    },
+
+    // Whether `key` is still what linkFrom made it: writing it drops the tag
+    isLinked: async (source, sourceKey, key) => {
+      const object = await head(key);
+      return object?.Metadata?.[LINKED_FROM] === source.objectKey(sourceKey);
+    },
+
+    // The copy keeps the metadata, and with it what a pointer links to
+    move: async (fromKey, toKey) => {
+      await client.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(toKey),
+          CopySource: copySource({ bucket, objectKey }, fromKey),
+          MetadataDirective: "COPY",
+        })
+      );
+      await remove(fromKey);
+    },
+
+    remove,
+
+    removeFolder: async (key) => {
+      let ContinuationToken;
+      do {
+        const listed = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: folderKey(key),
+            ContinuationToken,
+          })
+        );
+        if (listed.Contents?.length) {
+          await client.send(
+            new DeleteObjectsCommand({
+              Bucket: bucket,
+              Delete: {
+                Objects: listed.Contents.map(({ Key }) => ({ Key })),
+                Quiet: true,
+              },
+            })
+          );
+        }
+        ContinuationToken = listed.NextContinuationToken;
+      } while (ContinuationToken);
+    },
+
+    makeFolder: async (key) => {
+      await client.send(
+        new PutObjectCommand({ Bucket: bucket, Key: folderKey(key), Body: "" })
+      );
+    },
+
+    stat,
+
+    exists: (key) =>
+      stat(key).then(
+        () => true,
+        (error) => {
+          if (error.code === "ENOENT") return false;
+          throw error;
+        }
+      ),
+
+    // Downloads the object for tools that need a file (text extraction,
+    // image conversion...), keeping its extension, and removes the copy after
+    withLocalFile: async (key, use) => {
+      const filePath = scratchPath(`${randomUUID()}${extname(key)}`);
+      await fs.mkdir(dirname(filePath), { recursive: true });
+      try {
+        const { Body } = await getObject(key);
+        await pipeline(Body, createWriteStream(filePath));
+        return await use(filePath);
+      } finally {
+        await fs.rm(filePath, { force: true });
+      }
+    },
+  };
+};
+
+export default { createS3Client, createS3Storage };
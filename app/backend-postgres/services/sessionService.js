@@ -0,0 +1,97 @@
+// services/sessionService.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const BROWSERS = [
+  ["Edg/", "Edge"],
+  ["OPR/", "Opera"],
+  ["Chrome/", "Chrome"],
+  ["Firefox/", "Firefox"],
+  ["Safari/", "Safari"],
+];
+// Order matters: Android UAs mention Linux, iOS UAs mention Mac OS X
+const PLATFORMS = [
+  ["Windows", "Windows"],
+  ["Android", "Android"],
+  ["iPhone", "iOS"],
+  ["iPad", "iOS"],
+  ["Mac OS X", "macOS"],
+  ["Linux", "Linux"],
+];
+
+// Short label for the session list, e.g. "Chrome on Windows"
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+  const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker));
+  if (!browser && !platform) return "Unknown device";
+  return [browser ? browser[1] : "Unknown browser", platform?.[1]]
+    .filter(Boolean)
+    .join(" on ");
+};
+
+const clientIp = (req) => req.ip || req.connection.remoteAddress;
+
+// Runs in the login transaction, right after the refresh token family is issued
+export const createSession = async (tx, { id, userId, expiresAt, req }) => {
+  const userAgent = req.get("User-Agent") || null;
+  return await tx.session.create({
+    data: {
+      id,
+      userId,
+      expiresAt,
+      ipAddress: clientIp(req),
+      userAgent,
+      device: describeDevice(userAgent),
+    },
+  });
+};
+
+/**
+ * Record activity on a session. Refreshes pass the new refresh token expiry
+ * and always write; plain requests write at most once a minute.
+ */
+export const touchSession = async (sessionId, req, { expiresAt } = {}) => {
+  const now = new Date();
+  await prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      revokedAt: null,
+      ...(!expiresAt && {
+        lastSeenAt: { lt: new Date(now.getTime() - LAST_SEEN_RESOLUTION_MS) },
+      }),
+    },
+    data: {
+      lastSeenAt: now,
+      ipAddress: clientIp(req),
+      ...(expiresAt && { expiresAt }),
+    },
+  });
+};
+
+export const listActiveSessions = async (userId) => {
+  return await prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      device: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true,
+      lastSeenAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastSeenAt: "desc" },
+  });
+};
+
+export default {
+  describeDevice,
+  createSession,
+  touchSession,
+  listActiveSessions,
+};
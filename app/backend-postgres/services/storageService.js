@@ -0,0 +1,69 @@
+// services/storageService.js
+//
+// Where files are kept. Nothing outside the drivers touches the document
+// tree, the blob store or upload chunks with `fs`: it goes through the
+// storage below, picked by STORAGE_DRIVER (config/storage-config.js).
+//
+// Every storage, local or S3, has the same methods. Keys are document paths
+// ("/departments/FIN/report.docx") in documentStorage.
+//   createReadStream(key, { start, end })  Promise of a readable stream
+//   readFile(key) / writeFile(key, data)   data: Buffer, string or stream
+//   putFile(key, filePath)                 stores a file of this server
+//   linkFrom(storage, key, toKey)          shares the bytes when it can
+//   isLinked(storage, key, toKey)          toKey unchanged since linkFrom
+//   move(fromKey, toKey) / remove(key)
+//   makeFolder(key) / removeFolder(key)
+//   stat(key)                              { size, mtime, atime, isFolder }
+//   exists(key)
+//   withLocalFile(key, use)                use(path of a file of this server)
+// Missing keys reject with code "ENOENT", as `fs` does.
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import storageConfig from "../config/storage-config.js";
+import { createLocalStorage } from "./localStorageDriver.js";
+import { createS3Client, createS3Storage } from "./s3StorageDriver.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// A path on this server for a file being worked on, whichever the driver;
+// the caller removes it
+export const scratchPath = (name = randomUUID()) =>
+  join(__dirname, storageConfig.scratchPath, name);
+
+const s3Client =
+  storageConfig.driver === "s3" ? createS3Client(storageConfig.s3) : null;
+
+// Each kind of file has its own directory locally, its own prefix in S3
+const createStorage = (localPath, area) => {
+  if (storageConfig.driver === "local") {
+    return createLocalStorage(join(__dirname, localPath));
+  }
+  if (storageConfig.driver === "s3") {
+    const { bucket, prefix } = storageConfig.s3;
+    return createS3Storage({
+      client: s3Client,
+      bucket,
+      prefix: `${prefix ? `${prefix.replace(/\/+$/, "")}/` : ""}${area}/`,
+      scratchPath,
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${storageConfig.driver}"`);
+};
+
+export const documentStorage = createStorage(
+  storageConfig.documentsPath,
+  "documents"
+);
+export const blobStorage = createStorage(storageConfig.blobsPath, "blobs");
+export const uploadStorage = createStorage(
+  storageConfig.uploadSessionsPath,
+  "upload-sessions"
+);
+
+export default {
+  scratchPath,
+  documentStorage,
+  blobStorage,
+  uploadStorage,
+};
@@ -0,0 +1,238 @@
+// services/tokenService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { PrismaClient } from "@prisma/client";
+import { getUserPermissions } from "./permissionService.js";
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || "15m";
+const REFRESH_TOKEN_EXPIRY_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 7;
+const WOPI_TOKEN_EXPIRY = "1h";
+const FILE_URL_TOKEN_EXPIRY = process.env.FILE_URL_TOKEN_EXPIRY || "1h";
+
+// Refresh tokens are stored hashed so a database leak does not hand out sessions
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Build the access token payload the same way for login and refresh
+export const issueAccessToken = async (user, familyId) => {
+  const userRoles = await prisma.userRole.findMany({
+    where: { userId: user.id },
+    include: { role: true },
+  });
+  const roles = userRoles.map((userRole) => userRole.role);
+  const permissions = await getUserPermissions(user.id);
+
+  // Kept for clients that still read the old flags; the server only checks
+  // permissions, loaded fresh on every request
+  const isAdmin = permissions.includes("user.manage");
+  const isDepartmentHead = permissions.includes("physicalDocument.approve");
+
+  const accessToken = jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      roles: roles.map((role) => role.id),
+      permissions,
+      isAdmin: isAdmin,
+      isDepartmentHead: isDepartmentHead,
+      sid: familyId,
+    },
+    process.env.SECRET_ACCESS_KEY,
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRY,
+    }
+  );
+
+  return { accessToken, roles, permissions, isAdmin, isDepartmentHead };
+};
+
+// Create a refresh token; a new family is started unless one is passed in
+export const issueRefreshToken = async (tx, userId, familyId) => {
+  const sid = familyId || crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { id: userId, sid, jti: crypto.randomUUID() },
+    process.env.REFRESH_SECRET_KEY,
+    { expiresIn: `${REFRESH_TOKEN_EXPIRY_DAYS}d` }
+  );
+
+  const record = await tx.token.create({
+    data: {
+      token: hashToken(refreshToken),
+      userId,
+      familyId: sid,
+      expiresAt: new Date(
+        Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+      ),
+    },
+  });
+
+  return { refreshToken, familyId: sid, record };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Presenting a token that was already rotated means it was copied, so the
+ * whole family is revoked and the caller has to log in again.
+ *
+ * @returns {{ status: "OK", user, refreshToken, familyId } | { status: "INVALID" | "REUSED" | "EXPIRED", userId?, familyId? }}
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  try {
+    jwt.verify(refreshToken, process.env.REFRESH_SECRET_KEY);
+  } catch (error) {
+    return { status: "INVALID" };
+  }
+
+  const stored = await prisma.token.findUnique({
+    where: { token: hashToken(refreshToken) },
+    include: { user: true },
+  });
+
+  if (!stored) {
+    return { status: "INVALID" };
+  }
+
+  if (stored.revokedAt) {
+    await revokeTokenFamily(stored.familyId, prisma, {
+      reason: "REFRESH_TOKEN_REUSE",
+    });
+    return {
+      status: "REUSED",
+      userId: stored.userId,
+      familyId: stored.familyId,
+    };
+  }
+
+  if (stored.expiresAt < new Date() || stored.user.status === "Inactive") {
+    await revokeTokenFamily(stored.familyId, prisma, { reason: "EXPIRED" });
+    return {
+      status: "EXPIRED",
+      userId: stored.userId,
+      familyId: stored.familyId,
+    };
+  }
+
+  return await prisma.$transaction(async (tx) => {
+    // Guard against two concurrent refreshes both winning the rotation
+    const { count } = await tx.token.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (count === 0) {
+      await revokeTokenFamily(stored.familyId, tx, {
+        reason: "REFRESH_TOKEN_REUSE",
+      });
+      return {
+        status: "REUSED",
+        userId: stored.userId,
+        familyId: stored.familyId,
+      };
+    }
+
+    const next = await issueRefreshToken(tx, stored.userId, stored.familyId);
+    await tx.token.update({
+      where: { id: stored.id },
+      data: { replacedById: next.record.id },
+    });
+
+    return {
+      status: "OK",
+      user: stored.user,
+      refreshToken: next.refreshToken,
+      familyId: stored.familyId,
+      expiresAt: next.record.expiresAt,
+    };
+  });
+};
+
+// A token family is one login session, so revoking it also closes the
+// Session row with the same id; reason/revokedById end up on that row
+export const revokeTokenFamily = async (
+  familyId,
+  tx = prisma,
+  { reason = "REVOKED", revokedById = null } = {}
+) => {
+  await tx.session.updateMany({
+    where: { id: familyId, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: reason, revokedById },
+  });
+  return await tx.token.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+export const revokeAllUserTokens = async (
+  userId,
+  tx = prisma,
+  { reason = "SIGN_OUT_EVERYWHERE", revokedById = null } = {}
+) => {
+  await tx.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: reason, revokedById },
+  });
+  return await tx.token.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+// Collabora and plain file links cannot send our Authorization header, so
+// they get narrow tokens instead. The purpose claim stops verifyUser from
+// accepting them as access tokens.
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const claims = jwt.verify(token, process.env.SECRET_ACCESS_KEY);
+    return claims.purpose === purpose ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const issueWopiToken = (userId, fileId, readOnly) =>
+  jwt.sign(
+    { userId, fileId, readOnly, purpose: "WOPI" },
+    process.env.SECRET_ACCESS_KEY,
+    { expiresIn: WOPI_TOKEN_EXPIRY }
+  );
+
+export const verifyWopiToken = (token) => verifyPurposeToken(token, "WOPI");
+
+export const issueFileUrlToken = (userId) =>
+  jwt.sign({ userId, purpose: "FILE_URL" }, process.env.SECRET_ACCESS_KEY, {
+    expiresIn: FILE_URL_TOKEN_EXPIRY,
+  });
+
+export const verifyFileUrlToken = (token) =>
+  verifyPurposeToken(token, "FILE_URL");
+
+// Only names the ImpersonationSession; the session row decides whether it
+// is still valid and whose view it gives
+export const issueImpersonationToken = (impersonationId, expiresAt) =>
+  jwt.sign(
+    { impersonationId, purpose: "IMPERSONATION" },
+    process.env.SECRET_ACCESS_KEY,
+    { expiresIn: Math.ceil((expiresAt.getTime() - Date.now()) / 1000) }
+  );
+
+export const verifyImpersonationToken = (token) =>
+  verifyPurposeToken(token, "IMPERSONATION");
+
+export default {
+  hashToken,
+  issueAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  issueWopiToken,
+  verifyWopiToken,
+  issueFileUrlToken,
+  verifyFileUrlToken,
+  issueImpersonationToken,
+  verifyImpersonationToken,
+};
@@ -0,0 +1,174 @@
+// services/twoFactorService.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { PrismaClient } from "@prisma/client";
+import { twoFactor } from "../config/security-config.js";
+import { PRIVILEGED_PERMISSIONS } from "../config/permission-config.js";
+import { getUserPermissions } from "./permissionService.js";
+import {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUrl,
+} from "../utility/totp.js";
+
+const prisma = new PrismaClient();
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.SECRET_ACCESS_KEY)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+
+// Admins and department heads, by what their roles let them do, must have
+// 2FA when the policy is on
+export const isTwoFactorRequired = async (user) => {
+  if (!twoFactor.requiredForPrivilegedRoles) return false;
+
+  const permissions = await getUserPermissions(user.id);
+  return permissions.some((permission) =>
+    PRIVILEGED_PERMISSIONS.includes(permission)
+  );
+};
+
+/**
+ * Short-lived token handed out after the password check. `purpose` is
+ * "2FA_VERIFY" when the user must enter a code, "2FA_SETUP" when policy
+ * forces enrollment first. verifyUser refuses tokens carrying a purpose.
+ */
+export const issueTwoFactorChallenge = (userId, purpose) =>
+  jwt.sign({ challengeUserId: userId, purpose }, process.env.SECRET_ACCESS_KEY, {
+    expiresIn: twoFactor.challengeExpiry,
+  });
+
+export const verifyTwoFactorChallenge = (token, purposes) => {
+  try {
+    const decoded = jwt.verify(token, process.env.SECRET_ACCESS_KEY);
+    if (!decoded.challengeUserId || !purposes.includes(decoded.purpose)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store a fresh (not yet enabled) secret and return what the authenticator needs
+export const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: encryptSecret(secret), twoFactorEnabled: false },
+  });
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUrl(
+      secret,
+      user.email || user.username,
+      twoFactor.issuer
+    ),
+  };
+};
+
+// Accept each time step only once so an observed code cannot be replayed
+export const verifyTotpForUser = async (user, code) => {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyCode(
+    decryptSecret(user.twoFactorSecret),
+    code,
+    twoFactor.allowedDriftSteps
+  );
+  if (step === null) return false;
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { lt: step } },
+      ],
+    },
+    data: { twoFactorLastUsedStep: step },
+  });
+  return count === 1;
+};
+
+export const consumeRecoveryCode = async (user, code) => {
+  const hash = hashRecoveryCode(String(code || ""));
+  if (!user.twoFactorRecoveryCodes.includes(hash)) return false;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter(
+        (stored) => stored !== hash
+      ),
+    },
+  });
+  return true;
+};
+
+// Replace any existing recovery codes; the plain codes are only returned once
+export const generateRecoveryCodes = async (userId, tx = prisma) => {
+  const codes = Array.from({ length: twoFactor.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await tx.user.update({
+    where: { id: userId },
+    data: { twoFactorRecoveryCodes: codes.map(hashRecoveryCode) },
+  });
+
+  return codes;
+};
+
+export const disableTwoFactor = async (userId) => {
+  return await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null,
+    },
+  });
+};
+
+export default {
+  isTwoFactorRequired,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  startEnrollment,
+  verifyTotpForUser,
+  consumeRecoveryCode,
+  generateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,173 @@
+// services/uploadSessionService.js
+import fs from "fs/promises";
+import { createHash } from "crypto";
+import { dirname } from "path";
+import { PrismaClient } from "@prisma/client";
+import { scratchPath, uploadStorage } from "./storageService.js";
+
+const prisma = new PrismaClient();
+
+// A session nobody has sent a chunk to for this long is abandoned
+const UPLOAD_SESSION_HOURS = 24;
+
+export const MAX_CHUNK_SIZE = 50 * 1024 * 1024;
+
+const sessionExpiry = () =>
+  new Date(Date.now() + UPLOAD_SESSION_HOURS * 60 * 60 * 1000);
+
+// Chunks wait in upload storage, outside the document tree, until the
+// upload is finalized; any server may receive any chunk
+const chunkKey = (sessionId, chunkNumber) => `${sessionId}/${chunkNumber}`;
+
+export const sha256Of = (buffer) =>
+  createHash("sha256").update(buffer).digest("hex");
+
+// Bytes chunk `chunkNumber` must have: chunkSize, except for the last one
+export const expectedChunkLength = (session, chunkNumber) =>
+  chunkNumber === session.totalChunks - 1
+    ? session.fileSize - session.chunkSize * (session.totalChunks - 1)
+    : session.chunkSize;
+
+export const missingChunks = (session) =>
+  Array.from({ length: session.totalChunks }, (_, index) => index).filter(
+    (chunkNumber) => !session.receivedChunks.includes(chunkNumber)
+  );
+
+// What clients see of a session, enough to resume it
+export const sessionView = (session) => ({
+  id: session.id,
+  fileName: session.fileName,
+  folderPath: session.folderPath,
+  documentId: session.documentId,
+  fileSize: session.fileSize,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+  missingChunks: missingChunks(session),
+  status: session.status,
+  resultDocumentId: session.resultDocumentId,
+  expiresAt: session.expiresAt,
+});
+
+export const createUploadSession = (data) =>
+  prisma.uploadSession.create({
+    data: {
+      ...data,
+      totalChunks: Math.max(1, Math.ceil(data.fileSize / data.chunkSize)),
+      expiresAt: sessionExpiry(),
+    },
+  });
+
+// Sessions are only visible to the user who opened them
+export const getUploadSession = (sessionId, userId) =>
+  prisma.uploadSession.findFirst({ where: { id: sessionId, userId } });
+
+/**
+ * Stores a verified chunk and marks it received. A chunk sent again replaces
+ * the earlier copy; chunks may arrive in any order and in parallel.
+ */
+export const saveChunk = async (session, chunkNumber, buffer) => {
+  await uploadStorage.writeFile(chunkKey(session.id, chunkNumber), buffer);
+
+  await prisma.uploadSession.updateMany({
+    where: { id: session.id, NOT: { receivedChunks: { has: chunkNumber } } },
+    data: { receivedChunks: { push: chunkNumber } },
+  });
+  return prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { expiresAt: sessionExpiry() },
+  });
+};
+
+/**
+ * Joins the chunks in order into one file on this server and returns its
+ * path, for the caller to remove, with the SHA-256 of the whole to compare
+ * with what the client declared.
+ */
+export const assembleUpload = async (session) => {
+  const assembledPath = scratchPath(`upload-session-${session.id}`);
+  await fs.mkdir(dirname(assembledPath), { recursive: true });
+  const hash = createHash("sha256");
+  const output = await fs.open(assembledPath, "w");
+  try {
+    for (let number = 0; number < session.totalChunks; number++) {
+      const chunk = await uploadStorage.readFile(chunkKey(session.id, number));
+      hash.update(chunk);
+      await output.write(chunk);
+    }
+  } finally {
+    await output.close();
+  }
+  return { assembledPath, sha256: hash.digest("hex") };
+};
+
+export const removeSessionFiles = (sessionId) =>
+  uploadStorage.removeFolder(sessionId);
+
+// The chunks go right away; the row stays so a repeated finalize is answered
+/**
+ * Moves an OPEN session to FINALIZING; false when another finalize already
+ * has it. reopenUploadSession hands back a session finalize did not complete.
+ */
+export const claimUploadSession = async (sessionId) => {
+  const { count } = await prisma.uploadSession.updateMany({
+    where: { id: sessionId, status: "OPEN" },
+    data: { status: "FINALIZING" },
+  });
+  return count > 0;
+};
+
+export const reopenUploadSession = (sessionId) =>
+  prisma.uploadSession.updateMany({
+    where: { id: sessionId, status: "FINALIZING" },
+    data: { status: "OPEN" },
+  });
+
+export const completeUploadSession = async (sessionId, resultDocumentId) => {
+  await removeSessionFiles(sessionId);
+  return prisma.uploadSession.update({
+    where: { id: sessionId },
+    data: { status: "COMPLETED", resultDocumentId },
+  });
+};
+
+export const deleteUploadSession = async (sessionId) => {
+  await removeSessionFiles(sessionId);
+  await prisma.uploadSession.delete({ where: { id: sessionId } });
+};
+
+/**
+ * Scheduled: removes sessions past their expiry with whatever chunks they
+ * hold. Completed ones only have their row left by then.
+ */
+export const cleanupExpiredUploadSessions = async () => {
+  const expired = await prisma.uploadSession.findMany({
+    where: { expiresAt: { lt: new Date() } },
+    select: { id: true },
+  });
+  for (const { id } of expired) {
+    await removeSessionFiles(id);
+  }
+  const { count } = await prisma.uploadSession.deleteMany({
+    where: { id: { in: expired.map((session) => session.id) } },
+  });
+  return count;
+};
+
+export default {
+  MAX_CHUNK_SIZE,
+  sha256Of,
+  expectedChunkLength,
+  missingChunks,
+  sessionView,
+  createUploadSession,
+  getUploadSession,
+  saveChunk,
+  assembleUpload,
+  removeSessionFiles,
+  claimUploadSession,
+  reopenUploadSession,
+  completeUploadSession,
+  deleteUploadSession,
+  cleanupExpiredUploadSessions,
+};
@@ -0,0 +1,109 @@
+// services/wopiLockService.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+// Fixed by the WOPI protocol; Collabora refreshes well before it runs out
+const WOPI_LOCK_MINUTES = 30;
+
+const lockExpiry = () => new Date(Date.now() + WOPI_LOCK_MINUTES * 60 * 1000);
+
+const activeWhere = () => ({ expiresAt: { gt: new Date() } });
+
+export const getActiveLock = (documentId) =>
+  prisma.wopiLock.findFirst({ where: { documentId, ...activeWhere() } });
+
+// The lock id to send back in X-WOPI-Lock, "" when the file is not locked
+export const currentLockId = async (documentId) =>
+  (await getActiveLock(documentId))?.lockId ?? "";
+
+/**
+ * The lock, if any, on one of the documents at `paths`. Uploads, copies and
+ * moves check it so they do not overwrite a file someone is editing.
+ */
+export const findLockOnPaths = (paths) =>
+  prisma.wopiLock.findFirst({
+    where: { document: { path: { in: paths } }, ...activeWhere() },
+    include: { document: { select: { id: true, path: true } } },
+  });
+
+// Results below are { ok: true } or { ok: false, currentLock } for the 409
+const conflict = async (documentId) => ({
+  ok: false,
+  currentLock: await currentLockId(documentId),
+});
+
+/**
+ * LOCK: takes the lock on an unlocked file, and refreshes it when lockId
+ * already holds it. With `oldLockId` (X-WOPI-OldLock) it is UnlockAndRelock
+ * and only succeeds while oldLockId holds the lock.
+ */
+export const lockDocument = async (
+  documentId,
+  lockId,
+  { userId = null, oldLockId = null } = {}
+) => {
+  const { count } = await prisma.wopiLock.updateMany({
+    where: { documentId, lockId: oldLockId ?? lockId, ...activeWhere() },
+    data: { lockId, expiresAt: lockExpiry(), ...(userId && { userId }) },
+  });
+  if (count > 0) return { ok: true };
+  if (oldLockId) return conflict(documentId);
+
+  // A lapsed lock is as good as none
+  await prisma.wopiLock.deleteMany({
+    where: { documentId, expiresAt: { lte: new Date() } },
+  });
+  try {
+    await prisma.wopiLock.create({
+      data: { documentId, lockId, userId, expiresAt: lockExpiry() },
+    });
+    return { ok: true };
+  } catch (error) {
+    // Someone else locked it in between
+    if (error.code === "P2002") return conflict(documentId);
+    throw error;
+  }
+};
+
+export const refreshDocumentLock = async (documentId, lockId) => {
+  const { count } = await prisma.wopiLock.updateMany({
+    where: { documentId, lockId, ...activeWhere() },
+    data: { expiresAt: lockExpiry() },
+  });
+  return count > 0 ? { ok: true } : conflict(documentId);
+};
+
+export const unlockDocument = async (documentId, lockId) => {
+  const { count } = await prisma.wopiLock.deleteMany({
+    where: { documentId, lockId, ...activeWhere() },
+  });
+  return count > 0 ? { ok: true } : conflict(documentId);
+};
+
+/**
+ * Whether a WOPI write (PutFile, RENAME_FILE) sending lockId may go ahead:
+ * a file locked under another id may not be changed. With requireLock an
+ * unlocked file may not be either, as PutFile on a file that is not empty.
+ */
+export const checkWopiWrite = async (
+  documentId,
+  lockId,
+  { requireLock = false } = {}
+) => {
+  const lock = await getActiveLock(documentId);
+  if (!lock) return requireLock ? { ok: false, currentLock: "" } : { ok: true };
+  return lock.lockId === lockId
+    ? { ok: true }
+    : { ok: false, currentLock: lock.lockId };
+};
+
+export default {
+  getActiveLock,
+  currentLockId,
+  findLockOnPaths,
+  lockDocument,
+  refreshDocumentLock,
+  unlockDocument,
+  checkWopiWrite,
+};
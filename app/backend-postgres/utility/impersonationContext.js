@@ -0,0 +1,7 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Holds the impersonation of the request being handled, so every SystemLog
+// entry written for it names the admin as well as the user (see logger.js)
+export const impersonationContext = new AsyncLocalStorage();
+
+export default impersonationContext;
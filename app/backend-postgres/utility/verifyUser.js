@@ -8,6 +8,11 @@ export const verifyUser = async (accessToken) => {
   try {
     const decodedData = jwt.verify(accessToken, process.env.SECRET_ACCESS_KEY);
 
+    // 2FA challenge tokens are only good for the /twoFactor endpoints
+    if (decodedData.purpose) {
+      throw new Error("Token is not an access token");
+    }
+
     // Fetch full user details from the database
     const user = decodedData.id
       ? await prisma.user.findUnique({
@@ -21,6 +26,29 @@ export const verifyUser = async (accessToken) => {
       throw new Error("User not found");
     }
 
+    if (user.status === "Inactive") {
+      throw new Error("User is deactivated");
+    }
+
+    // Login tokens carry the refresh token family they belong to; once that
+    // family is revoked (logout, reuse, deactivation) the token stops working
+    if (decodedData.id) {
+      if (!decodedData.sid) {
+        throw new Error("Session id missing from token");
+      }
+      const activeToken = await prisma.token.findFirst({
+        where: {
+          userId: user.id,
+          familyId: decodedData.sid,
+          revokedAt: null,
+        },
+        select: { id: true },
+      });
+      if (!activeToken) {
+        throw new Error("Session has been revoked");
+      }
+    }
+
     return {
       id: user.id,
       username: user.username,
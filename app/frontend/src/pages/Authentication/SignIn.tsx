@@ -57,8 +57,7 @@ const SignIn: React.FC = () => {
           res.data['isKeeperOfPhysicalDocs'],
         );
         sessionStorage.setItem('initiator', res.data['isInitiator']);
-        sessionStorage.setItem('accessToken', res.data['accessToken']);
-        sessionStorage.setItem('refreshToken', res.data['refreshToken']);
+        // signIn keeps the access and refresh tokens
         sessionStorage.setItem('specialUser', res.data['specialUser']);
         sessionStorage.setItem('isAdmin', res.data['isAdmin']);
         sessionStorage.setItem(